@@ -0,0 +1,114 @@
+/**
+ * A `postMessage`-style channel: a `MessagePort`, a `Worker`, a `BroadcastChannel`,
+ * `self` in a worker or a Node `worker_threads` port.
+ */
+export interface Channel {
+    postMessage(message: any): void;
+    addEventListener?: (type: string, listener: (e: any) => void) => void;
+    removeEventListener?: (type: string, listener: (e: any) => void) => void;
+    on?: (type: string, listener: (message: any) => void) => any;
+    removeListener?: (type: string, listener: (message: any) => void) => any;
+    start?: () => void;
+}
+/**
+ * Where a fired event comes from, to tell it apart once it comes back over bridges.
+ */
+export interface Route {
+    /**
+     * unique among bridged buses, to deliver the event only once per bus
+     */
+    id: string;
+    /**
+     * the tag of the bus the event was fired on
+     */
+    origin: string;
+    /**
+     * ids of the buses the event went through, to drop it once it loops back
+     */
+    path: Array<string>;
+}
+/**
+ * An event as it travels over a channel.
+ */
+export interface BridgeMessage extends Route {
+    type: string;
+    event: string;
+    data: any;
+}
+/**
+ * Turns bridge messages into what is posted over the channel and back.
+ */
+export interface Serializer {
+    serialize(message: BridgeMessage): any;
+    deserialize(raw: any): BridgeMessage;
+}
+/**
+ * Options of `bridge`.
+ */
+export interface BridgeOptions {
+    /**
+     * event name(s) or pattern(s) to mirror in both directions, default to every event
+     */
+    events?: string | Array<string>;
+    /**
+     * the tag of events fired on this bus, default to the id of the bus
+     */
+    origin?: string;
+    /**
+     * default to posting messages as they are, for channels cloning them
+     */
+    serializer?: Serializer;
+}
+/**
+ * Posts bridge messages over a channel and listens to the ones posted by the other end,
+ * whichever flavour of `postMessage` API the channel has.
+ *
+ * @class Bridge
+ */
+export default class Bridge {
+    /**
+     * serializes messages to JSON strings, for channels which only carry strings
+     *
+     * @static
+     * @property JSON
+     * @type {Object}
+     */
+    static JSON: Serializer;
+    /**
+     * @private
+     * @property _serializer
+     * @type {Object}
+     */
+    private _serializer;
+    /**
+     * @private
+     * @property _channel
+     * @type {Object}
+     */
+    private _channel;
+    /**
+     * @constructor
+     * @param {Object} channel
+     * @param {Object} [serializer]
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    constructor(channel: Channel, serializer?: Serializer);
+    /**
+     * post given event over the channel
+     *
+     * @method post
+     * @param {String} event
+     * @param {Object} data
+     * @param {Object} route
+     */
+    post(event: string, data: any, route: Route): void;
+    /**
+     * call given `handler` with every bridge message posted by the other end,
+     * other messages of the channel are ignored.
+     *
+     * @method listen
+     * @param {Function} handler
+     * @return {Function} stops listening
+     */
+    listen(handler: (message: BridgeMessage) => void): () => void;
+}
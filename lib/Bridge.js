@@ -0,0 +1,106 @@
+/**
+ * tells messages of bridges apart from other messages of a shared channel
+ *
+ * @private
+ * @property BRIDGE_TYPE
+ * @type {String}
+ */
+var BRIDGE_TYPE = 'rx-event-manager';
+/**
+ * posts messages as they are, channels clone them (structured clone)
+ *
+ * @private
+ * @property IDENTITY_SERIALIZER
+ * @type {Object}
+ */
+var IDENTITY_SERIALIZER = {
+    serialize: function (message) { return message; },
+    deserialize: function (raw) { return raw; }
+};
+/**
+ * Posts bridge messages over a channel and listens to the ones posted by the other end,
+ * whichever flavour of `postMessage` API the channel has.
+ *
+ * @class Bridge
+ */
+var Bridge = (function () {
+    /**
+     * @constructor
+     * @param {Object} channel
+     * @param {Object} [serializer]
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    function Bridge(channel, serializer) {
+        if (!channel || 'function' !== typeof channel.postMessage) {
+            throw new TypeError('channel should have a postMessage method');
+        }
+        this._channel = channel;
+        this._serializer = serializer || IDENTITY_SERIALIZER;
+    }
+    /**
+     * post given event over the channel
+     *
+     * @method post
+     * @param {String} event
+     * @param {Object} data
+     * @param {Object} route
+     */
+    Bridge.prototype.post = function (event, data, route) {
+        this._channel.postMessage(this._serializer.serialize({
+            type: BRIDGE_TYPE,
+            event: event,
+            data: data,
+            id: route.id,
+            origin: route.origin,
+            path: route.path
+        }));
+    };
+    /**
+     * call given `handler` with every bridge message posted by the other end,
+     * other messages of the channel are ignored.
+     *
+     * @method listen
+     * @param {Function} handler
+     * @return {Function} stops listening
+     */
+    Bridge.prototype.listen = function (handler) {
+        var _this = this;
+        var channel = this._channel;
+        var receive = function (raw) {
+            var message;
+            try {
+                message = _this._serializer.deserialize(raw);
+            }
+            catch (ex) {
+                return;
+            }
+            if (message && BRIDGE_TYPE === message.type) {
+                handler(message);
+            }
+        };
+        if ('function' === typeof channel.addEventListener) {
+            var listener = function (e) { return receive(e.data); };
+            channel.addEventListener('message', listener);
+            if ('function' === typeof channel.start) {
+                channel.start();
+            }
+            return function () { return channel.removeEventListener('message', listener); };
+        }
+        channel.on('message', receive);
+        return function () { return channel.removeListener('message', receive); };
+    };
+    /**
+     * serializes messages to JSON strings, for channels which only carry strings
+     *
+     * @static
+     * @property JSON
+     * @type {Object}
+     */
+    Bridge.JSON = {
+        serialize: function (message) { return JSON.stringify(message); },
+        deserialize: function (raw) { return JSON.parse(raw); }
+    };
+    return Bridge;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = Bridge;
@@ -0,0 +1,60 @@
+/**
+ * An event as it passed through a bus, see `tap$`.
+ */
+export interface TapEntry {
+    event: string;
+    data: any;
+    /**
+     * the tag of the bus the event was fired on, if it came over a bridge
+     */
+    origin?: string;
+    /**
+     * when the event was delivered, in milliseconds since the epoch
+     */
+    timestamp: number;
+    /**
+     * how long listeners took to handle the event, in milliseconds
+     */
+    duration: number;
+    /**
+     * the number of subscribers of the event, including the ones it did not reach once its propagation was stopped
+     */
+    listeners: number;
+    propagationStopped: boolean;
+    defaultPrevented: boolean;
+}
+/**
+ * Reports events tapped from a bus, see `report`.
+ */
+export interface Reporter {
+    report(entry: TapEntry): void;
+}
+/**
+ * The part of `console` a `ConsoleReporter` writes to.
+ */
+export interface Console {
+    log(message?: any, ...params: Array<any>): void;
+}
+/**
+ * Logs every tapped event as one line: its time, name, listeners, duration and payload.
+ *
+ * @class ConsoleReporter
+ */
+export default class ConsoleReporter implements Reporter {
+    /**
+     * @private
+     * @property _console
+     * @type {Object}
+     */
+    private _console;
+    /**
+     * @constructor
+     * @param {Object} [output] default to the global `console`
+     */
+    constructor(output?: Console);
+    /**
+     * @method report
+     * @param {Object} entry
+     */
+    report(entry: TapEntry): void;
+}
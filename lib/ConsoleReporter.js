@@ -0,0 +1,26 @@
+/**
+ * Logs every tapped event as one line: its time, name, listeners, duration and payload.
+ *
+ * @class ConsoleReporter
+ */
+var ConsoleReporter = (function () {
+    /**
+     * @constructor
+     * @param {Object} [output] default to the global `console`
+     */
+    function ConsoleReporter(output) {
+        if (output === void 0) { output = console; }
+        this._console = output;
+    }
+    /**
+     * @method report
+     * @param {Object} entry
+     */
+    ConsoleReporter.prototype.report = function (entry) {
+        var flags = (entry.propagationStopped ? ' stopped' : '') + (entry.defaultPrevented ? ' prevented' : '');
+        this._console.log('[%s] %s%s -> %d listener(s) in %sms%s', new Date(entry.timestamp).toISOString(), entry.event, entry.origin ? ' (from ' + entry.origin + ')' : '', entry.listeners, entry.duration.toFixed(2), flags, entry.data);
+    };
+    return ConsoleReporter;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = ConsoleReporter;
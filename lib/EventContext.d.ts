@@ -0,0 +1,57 @@
+/**
+ * The event being delivered, given to handlers of `on`, `once`, `latest` and `change` as second argument.
+ * Like a DOM event, a handler can stop the delivery to the handlers after it, and prevent the default
+ * action of whoever dispatched the event (see `dispatch`).
+ *
+ * @class EventContext
+ */
+export default class EventContext<T> {
+    /**
+     * the concrete event name
+     *
+     * @property event
+     * @type {String}
+     */
+    event: string;
+    /**
+     * @property data
+     * @type {Object}
+     */
+    data: T;
+    /**
+     * the tag of the bus the event was fired on, if it came over a bridge
+     *
+     * @property origin
+     * @type {String}
+     */
+    origin: string;
+    /**
+     * @property defaultPrevented
+     * @type {Boolean}
+     */
+    defaultPrevented: boolean;
+    /**
+     * @property propagationStopped
+     * @type {Boolean}
+     */
+    propagationStopped: boolean;
+    /**
+     * @constructor
+     * @param {String} event the concrete event name
+     * @param {Object} data
+     * @param {String} [origin] the tag of the bus the event was fired on, if it came over a bridge
+     */
+    constructor(event: string, data: T, origin?: string);
+    /**
+     * do not deliver the event to handlers with a lower priority, or registered later, nor to parent buses
+     *
+     * @method stopPropagation
+     */
+    stopPropagation(): void;
+    /**
+     * tell whoever dispatched the event to skip its default action
+     *
+     * @method preventDefault
+     */
+    preventDefault(): void;
+}
@@ -0,0 +1,49 @@
+/**
+ * The event being delivered, given to handlers of `on`, `once`, `latest` and `change` as second argument.
+ * Like a DOM event, a handler can stop the delivery to the handlers after it, and prevent the default
+ * action of whoever dispatched the event (see `dispatch`).
+ *
+ * @class EventContext
+ */
+var EventContext = (function () {
+    /**
+     * @constructor
+     * @param {String} event the concrete event name
+     * @param {Object} data
+     * @param {String} [origin] the tag of the bus the event was fired on, if it came over a bridge
+     */
+    function EventContext(event, data, origin) {
+        /**
+         * @property defaultPrevented
+         * @type {Boolean}
+         */
+        this.defaultPrevented = false;
+        /**
+         * @property propagationStopped
+         * @type {Boolean}
+         */
+        this.propagationStopped = false;
+        this.event = event;
+        this.data = data;
+        this.origin = origin;
+    }
+    /**
+     * do not deliver the event to handlers with a lower priority, or registered later, nor to parent buses
+     *
+     * @method stopPropagation
+     */
+    EventContext.prototype.stopPropagation = function () {
+        this.propagationStopped = true;
+    };
+    /**
+     * tell whoever dispatched the event to skip its default action
+     *
+     * @method preventDefault
+     */
+    EventContext.prototype.preventDefault = function () {
+        this.defaultPrevented = true;
+    };
+    return EventContext;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = EventContext;
@@ -1,79 +1,1254 @@
 import { Subscription } from 'rxjs/Subscription';
 import { Observable } from 'rxjs/Observable';
 import { Observer } from 'rxjs/Observer';
+import { Scheduler } from 'rxjs/Scheduler';
+import Bridge, { Channel, BridgeOptions } from './Bridge';
+import ConsoleReporter, { Reporter, TapEntry } from './ConsoleReporter';
+import EventContext from './EventContext';
+import MemoryStorage, { StorageAdapter } from './MemoryStorage';
+import Recorder, { HistoryRecord } from './Recorder';
+import Schema, { SchemaDefinition } from './Schema';
+import State from './State';
+/**
+ * One event name, several space-separated event names or an array of event names.
+ */
+export declare type EventNames = string | Array<string>;
+/**
+ * An event name typed with the payload `P` of the event, made by `EventManager.event`.
+ * It is the bare event name at runtime, the payload type only lives in the compiler.
+ */
+export interface EventKey<P> {
+    __payload: P;
+}
+/**
+ * A value tagged with the name of the event it was fired with.
+ */
+export interface EventMessage<T> {
+    event: string;
+    data: T;
+    /**
+     * the tag of the bus the event was fired on, if it came over a bridge
+     */
+    origin?: string;
+}
+/**
+ * How values of an event reach a listener, given as options of `on`, `observe`, ... or as defaults of `configure`.
+ * Operators apply in this order: throttle, debounce, sample, buffer.
+ */
+export interface FlowControl {
+    /**
+     * emit a value, then ignore the next ones for `throttleMs` milliseconds
+     */
+    throttleMs?: number;
+    /**
+     * emit a value once no other value came for `debounceMs` milliseconds
+     */
+    debounceMs?: number;
+    /**
+     * emit the most recent value every `sampleMs` milliseconds, if any came
+     */
+    sampleMs?: number;
+    /**
+     * emit values as arrays of `bufferCount` values
+     */
+    bufferCount?: number;
+    /**
+     * emit values as arrays of the values which came within `bufferMs` milliseconds
+     */
+    bufferMs?: number;
+    /**
+     * handlers only: call the handler with a value once the previous call settled (see `fireAsync`),
+     * queueing at most `queue` values meanwhile
+     */
+    queue?: number;
+    /**
+     * what to do with a value once the queue is full: `drop-oldest` (default) or `drop-newest`
+     */
+    overflow?: string;
+    /**
+     * the scheduler of time-based operators, default to `asap`. It is not `scheduler`, which makes the replay asynchronous
+     */
+    flowScheduler?: Scheduler;
+}
+/**
+ * Options of `observe`.
+ */
+export interface ObserveOptions extends FlowControl {
+    /**
+     * emit `{ event, data }` instead of bare `data`
+     */
+    withEvent?: boolean;
+}
+/**
+ * How many of the most recent values of an event `latest` replays, see `configure`.
+ */
+export interface ReplayPolicy {
+    /**
+     * number of most recent values to replay, `0` for none, default to `1`
+     */
+    replay?: number;
+    /**
+     * only replay values fired within the last `windowMs` milliseconds
+     */
+    windowMs?: number;
+    /**
+     * deliver the replay through `scheduler` (e.g. `asap`) instead of synchronously
+     */
+    scheduler?: Scheduler;
+}
+/**
+ * The policy of an event, see `configure`.
+ */
+export interface EventPolicy extends ReplayPolicy, FlowControl {
+    /**
+     * what to do when a listener throws, besides publishing the error on `errors$`:
+     * `log` (default) logs it to the console, `unsubscribe` unsubscribes the faulty listener,
+     * `rethrow` throws it from `fire` once every listener got the event
+     */
+    onError?: string;
+    /**
+     * the number of undelivered events to buffer until the first matching `on`, `once` or `observe` receives them,
+     * the oldest ones are dropped beyond it, default to the one configured for a pattern matching the event, or `0`,
+     * see `deadLetters$`
+     */
+    deadLetters?: number;
+}
+/**
+ * Options of `persist`.
+ */
+export interface PersistOptions {
+    /**
+     * where replayed values are stored, e.g. `window.localStorage`, `MemoryStorage` or `FileStorage` of `rx-event-manager/file-storage`
+     */
+    storage: StorageAdapter;
+    /**
+     * prefix of storage keys, default to `rx-event-manager:`
+     */
+    key?: string;
+    /**
+     * version of stored payloads, default to `0`
+     */
+    version?: number;
+    /**
+     * turn a payload stored with another `version` into the current one,
+     * payloads of other versions are dropped without it
+     */
+    migrate?: (data: any, version: number) => any;
+    /**
+     * drop stored values older than `ttlMs` milliseconds
+     */
+    ttlMs?: number;
+}
+/**
+ * Validates the payload of an event, see `define`: returns its errors, an array or a message, nothing if it is valid.
+ */
+export declare type Validator = (data: any) => any;
+/**
+ * Options of `define`.
+ */
+export interface DefineOptions {
+    /**
+     * what `fire` does with an invalid payload, besides not delivering it:
+     * `strict` (default) throws a `ValidationError`, `lenient` publishes it on `errors$`
+     */
+    mode?: string;
+}
+/**
+ * A defined event, see `definitions`.
+ */
+export interface EventDefinition {
+    /**
+     * the event name or pattern
+     */
+    event: string;
+    schema: SchemaDefinition | Validator;
+    mode: string;
+}
+/**
+ * A listener as `inspect` describes it.
+ */
+export interface InspectedListener {
+    /**
+     * the handler, observer or channel of the subscription, `undefined` for subscriptions of `observe`
+     */
+    handler: any;
+    /**
+     * the name of the handler, observer or channel, to tell where the subscription comes from
+     */
+    source: string;
+    /**
+     * see `ListenerOptions`
+     */
+    owner: any;
+}
+/**
+ * An event as `inspect` describes it.
+ */
+export interface InspectedEvent {
+    /**
+     * the event name or pattern
+     */
+    event: string;
+    listenerCount: number;
+    listeners: Array<InspectedListener>;
+    /**
+     * the number of values `latest` replays
+     */
+    replayed: number;
+}
+/**
+ * The state of a bus as `inspect` describes it.
+ */
+export interface InspectorSnapshot {
+    /**
+     * the id of the bus, and of its parent bus if any
+     */
+    id: string;
+    parent: string;
+    events: Array<InspectedEvent>;
+    middlewares: number;
+}
+/**
+ * Options of `record`.
+ */
+export interface RecordOptions {
+    /**
+     * event name(s) or pattern(s) to record, default to every event
+     */
+    events?: EventNames;
+    /**
+     * the number of most recent events to keep, default to `1000`
+     */
+    limit?: number;
+    /**
+     * the clock of timestamps, default to `Date.now`
+     */
+    scheduler?: Scheduler;
+}
+/**
+ * Options of `play`.
+ */
+export interface PlayOptions {
+    /**
+     * `original` (default) fires events as far apart as they were recorded,
+     * `compressed` fires them all at once
+     */
+    timing?: string;
+    /**
+     * divides the original delays between events, default to `1`
+     */
+    speed?: number;
+    /**
+     * the scheduler of the original timing, default to `asap`
+     */
+    scheduler?: Scheduler;
+}
+/**
+ * Options of `sequence`.
+ */
+export interface SequenceOptions {
+    /**
+     * start over once the sequence is not complete `timeoutMs` milliseconds after its first event
+     */
+    timeoutMs?: number;
+    /**
+     * the clock of `timeoutMs`, default to the `flowScheduler` configured for the composite event, or `asap`
+     */
+    scheduler?: Scheduler;
+}
+/**
+ * Options of `window`.
+ */
+export interface WindowOptions {
+    /**
+     * the number of events to detect
+     */
+    count: number;
+    /**
+     * the time window the events should be fired within, in milliseconds
+     */
+    withinMs: number;
+    /**
+     * the clock of `withinMs`, default to the `flowScheduler` configured for the composite event, or `asap`
+     */
+    scheduler?: Scheduler;
+}
+/**
+ * Options of `connect`.
+ */
+export interface ConnectOptions {
+    /**
+     * the event of an `EventEmitter` or `EventTarget` source to listen to, default to the connected event name
+     */
+    event?: string;
+    /**
+     * return the payload to fire for a value of the source, default to the value itself
+     */
+    map?: (value: any) => any;
+}
+/**
+ * Options of `pipeTo`.
+ */
+export interface PipeOptions {
+    /**
+     * the event to emit on an `EventEmitter` or `EventTarget`, default to the name of the fired event
+     */
+    event?: string;
+    /**
+     * return the value to emit for a payload, default to the payload itself
+     */
+    map?: (data: any, event: string) => any;
+}
+/**
+ * Options of `request`.
+ */
+export interface RequestOptions {
+    /**
+     * error with a `TimeoutError` if no reply arrived within `timeoutMs` milliseconds
+     */
+    timeoutMs?: number;
+    /**
+     * `first` (default) replies with the first successful reply of all responders,
+     * `all` replies with an array of replies of all responders
+     */
+    strategy?: string;
+}
+/**
+ * A function called with every fired event (of its patterns) before delivery, see `use`.
+ * It delivers the event (or a transformed one) by calling `next`, which settles once
+ * the rest of the pipeline has run, and vetoes the event by not calling `next` at all.
+ * It may return a Promise to call `next` asynchronously.
+ */
+export declare type Middleware<T> = (message: EventMessage<T>, next: (message?: EventMessage<T>) => Promise<void>) => any;
+/**
+ * An error thrown (or rejected) while dispatching an event, published on `errors$`.
+ */
+export interface EventError<T> {
+    event: string;
+    data: T;
+    error: any;
+    /**
+     * the middleware (or handler) which failed
+     */
+    handler: any;
+}
+/**
+ * Options of a listener, given in place of the `error` callback of `on`, `once`, `latest` and `change`.
+ */
+export interface ListenerOptions extends FlowControl {
+    /**
+     * anything identifying who registered the listener, see `off(event, { owner })`
+     */
+    owner?: any;
+    /**
+     * listeners with a higher priority get events first, default to `0`
+     */
+    priority?: number;
+}
+/**
+ * Options of `fireAsync`.
+ */
+export interface FireAsyncOptions {
+    /**
+     * `parallel` (default) calls all handlers at once, `serial` calls each one once the previous one settled
+     */
+    mode?: string;
+    /**
+     * reject with a `TimeoutError` if handlers did not settle within `timeoutMs` milliseconds
+     */
+    timeoutMs?: number;
+}
 /**
  *
  * @class EventManager
  */
 export default class EventManager<T> {
     /**
-     * observe with given `event`.
-     * Note: It's caller's duty to dispose returned subscription.
+     * The bus, shared with scopes of this instance.
+     *
+     * @private
+     * @property _bus
+     * @type {Object}
+     */
+    private _bus;
+    /**
+     * A hash of { eventName: [registration1, registration2, ...] }
+     * made through this instance (or scope) and its scopes.
+     *
+     * @private
+     * @property _subscriptions
+     * @type {Object}
+     */
+    private _subscriptions;
+    /**
+     * The instance (or scope) this scope was created by, if this is a scope.
+     *
+     * @private
+     * @property _host
+     * @type {EventManager}
+     */
+    private _host;
+    /**
+     * Scopes created by this instance (or scope) and not yet disposed.
+     *
+     * @private
+     * @property _scopes
+     * @type {Array}
+     */
+    private _scopes;
+    /**
+     * @private
+     * @property _disposed
+     * @type {Boolean}
+     */
+    private _disposed;
+    /**
+     * Creates an isolated bus. Events fired on a bus created with `parent`
+     * are delivered locally first and then forwarded to `parent`.
+     *
+     * @constructor
+     * @param {EventManager} [parent]
+     */
+    constructor(parent?: EventManager<T>);
+    /**
+     * The stream of errors thrown (or rejected) by middlewares and listeners of this bus,
+     * each one as `{ event, data, error, handler }`. A throwing listener never prevents
+     * the other listeners from getting the event, see `configure` for what else happens.
+     *
+     * @usage
+     *
+     * eventManager.errors$.subscribe((e) => console.error(e.event, e.error));
+     *
+     * @property errors$
+     * @type {Observable}
+     */
+    errors$: Observable<EventError<T>>;
+    /**
+     * The stream of events delivered by this bus, after middlewares, each one as a `TapEntry`
+     * telling how many subscribers got it and how long they took. Nothing is measured while nobody observes it.
+     *
+     * @usage
+     *
+     * eventManager.tap$.filter((e) => e.duration > 16).subscribe((e) => console.warn('slow listeners of', e.event));
+     *
+     * @property tap$
+     * @type {Observable}
+     */
+    tap$: Observable<TapEntry>;
+    /**
+     * The stream of events fired on this bus which reached no subscriber, e.g. because of a typo in the event name
+     * or a listener registered too late, each one as `{ event, data }`. Events forwarded to a parent bus are left to it.
+     * See `configure` to buffer them until a matching listener comes.
+     *
+     * @usage
+     *
+     * eventManager.deadLetters$.subscribe((e) => console.warn('nobody listens to', e.event));
+     *
+     * @property deadLetters$
+     * @type {Observable}
+     */
+    deadLetters$: Observable<EventMessage<T>>;
+    /**
+     * Returns the process-wide bus, for the cases a global bus is wanted.
+     *
+     * @usage
+     *
+     * EventManager.shared() === EventManager.shared();
+     * > true
+     *
+     * @static
+     * @method shared
+     * @return {EventManager}
+     */
+    static shared(): EventManager<any>;
+    /**
+     * Creates a child bus which forwards every fired event to this one.
+     * Listeners of the child are not affected by `off`/`offAll` of the parent and vice versa.
+     *
+     * @usage
+     *
+     * const child = eventManager.child();
+     *
+     * eventManager.on('hello', (value) => console.log(value));
+     *
+     * child.fire('hello', 42);
+     * > 42
+     *
+     * @method child
+     * @return {EventManager}
+     */
+    child(): EventManager<T>;
+    /**
+     * Creates a scope: a handle on the same bus which tracks every subscription made through it,
+     * so that `dispose` tears all of them down without touching listeners of other scopes.
+     * Scopes nest, disposing a scope disposes its scopes as well.
+     *
+     * @usage
+     *
+     * const scope = eventManager.scope();
+     *
+     * scope.on('hello', (value) => console.log(value));
+     * scope.latest('world', (value) => console.log(value));
+     *
+     * scope.dispose();
+     *
+     * eventManager.fire('hello', 42);
+     * // nothing happened
+     *
+     * @method scope
+     * @return {EventManager}
+     */
+    scope(): EventManager<T>;
+    /**
+     * unsubscribe every subscription made through this scope and dispose its scopes.
+     * Subscriptions made through a disposed scope are unsubscribed immediately.
+     *
+     * @method dispose
+     */
+    dispose(): void;
+    /**
+     * compare any 2 given plain objects, arrays or primitives by value,
+     * to be used as the comparer of `change`.
+     *
+     * @usage
+     *
+     * EventManager.change('user', EventManager.deepEqual, (user) => {
+     *     console.log(user.name);
+     * });
+     *
+     * @static
+     * @method deepEqual
+     * @param {Object} x anything
+     * @param {Object} y anything
+     * @return {Boolean}
+     */
+    static deepEqual(x: any, y: any): boolean;
+    /**
+     * The channel adapter of `bridge`, e.g. `EventManager.Bridge.JSON` is a serializer to JSON strings.
+     *
+     * @static
+     * @property Bridge
+     * @type {Function}
+     */
+    static Bridge: typeof Bridge;
+    /**
+     * A storage adapter keeping items in memory, see `persist`.
+     *
+     * @static
+     * @property MemoryStorage
+     * @type {Function}
+     */
+    static MemoryStorage: typeof MemoryStorage;
+    /**
+     * The event recorder of `record`, e.g. `EventManager.Recorder.parse(text)` imports an exported recording.
+     *
+     * @static
+     * @property Recorder
+     * @type {Function}
+     */
+    static Recorder: typeof Recorder;
+    /**
+     * The validator of schemas given to `define`, e.g. `new EventManager.Schema(definition).validate(data)`.
+     *
+     * @static
+     * @property Schema
+     * @type {Function}
+     */
+    static Schema: typeof Schema;
+    /**
+     * The default reporter of `report`, logging to the console.
+     *
+     * @static
+     * @property ConsoleReporter
+     * @type {Function}
+     */
+    static ConsoleReporter: typeof ConsoleReporter;
+    /**
+     * type given event `name` with the payload type `P`, so that the compiler checks payloads
+     * given to `fire` and infers values of `on`, `once`, `latest`, `change` and `observe`.
+     * Typed events are declared once, as a map of event keys.
+     *
+     * @usage
+     *
+     * const Events = {
+     *     login: EventManager.event<User>('user.login'),
+     *     logout: EventManager.event<number>('user.logout')
+     * };
+     *
+     * eventManager.on(Events.login, (user) => console.log(user.name)); // `user` is a `User`
+     *
+     * eventManager.fire(Events.logout, 'john');
+     * // compile error, the payload of `user.logout` is a number
+     *
+     * @static
+     * @method event
+     * @param {String} name event name or pattern
+     * @return {String} `name`
+     * @throws TypeError if given `name` is not a valid string
+     */
+    static event<P>(name: string): EventKey<P>;
+    /**
+     * A helper to memorize event and correspoinding subscription.
+     *
+     * A subscription registered again only updates its handler and owner.
+     * Subscriptions of a scope are registered with its host as well, owned by the scope by default.
+     * Once unsubscribed (or completed) it is removed automatically.
+     *
+     * @private
+     * @method _registerSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
+     * @param {Function|Observer} [handler]
+     * @param {Object} [owner]
+     * @return {Subscription}
+     */
+    private _registerSubscription(names, subscription, handler?, owner?);
+    /**
+     * forget given `subscription` of given event `names`.
+     *
+     * @private
+     * @method _unregisterSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
+     */
+    private _unregisterSubscription(names, subscription);
+    /**
+     * return registrations of every event name matching given `event` (name(s) or pattern(s)),
+     * each registration only once.
+     *
+     * @private
+     * @method _registrations
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    private _registrations(event);
+    /**
+     * subscribe given `observable` of `event` and memorize the subscription.
+     * `error` can be `ListenerOptions` instead of an error callback.
+     * Handlers get the `EventContext` as second argument, and are skipped once its propagation is stopped.
+     * Values go through the flow control of `options` first, see `_flowOf`.
+     * Handler calls are queued instead if the delivery awaits them, see `fireAsync`.
+     *
+     * @private
+     * @method _listen
+     * @param {String|Array} event event name(s).
+     * @param {Observable} observable
+     * @param {Function|Observer} [next]
+     * @param {Function|Object} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    private _listen(event, observable, next?, error?, complete?);
+    /**
+     * publish given `error`, thrown by `handler` of event `names` with `value`, on `errors$`
+     * and apply the `onError` policy of the event being delivered.
+     *
+     * @private
+     * @method _fail
+     * @param {Array} names event names the handler listens to
+     * @param {Object} value the value given to the handler
+     * @param {Function|Observer} handler
+     * @param {Object} error
+     * @return {String} the applied policy
+     * @throws the error if the policy is `rethrow` and no event is being delivered (e.g. on replay)
+     */
+    private _fail(names, value, handler, error);
+    /**
+     * return the memorized observable of a single `event` for listeners of given `priority`.
+     * A pattern emits `{ event, data }` so that the concrete event name is known.
+     *
+     * @private
+     * @method _observe
+     * @param {String} event event name or pattern
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    private _observe(event, priority?);
+    /**
+     * return the merged observable of given event `names`.
+     *
+     * @private
+     * @method _source
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent tag values with the concrete event name
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    private _source(names, withEvent, priority?);
+    /**
+     * wrap given `source` of event `names` into a new observable which memorizes its subscriptions,
+     * and subscriptions of observables derived from it by operators.
+     *
+     * @private
+     * @method _track
+     * @param {Array} names event names
+     * @param {Observable} source
+     * @return {EventObservable}
+     */
+    private _track(names, source);
+    /**
+     * return the policy of given concrete `event`.
+     *
+     * @private
+     * @method _policy
+     * @param {String} event
+     * @return {Object}
+     */
+    private _policy(event);
+    /**
+     * return the flow control of a listener of given event `names`: given `options` take precedence
+     * over the configuration of the names, which takes precedence over the configuration of patterns matching them.
+     *
+     * @private
+     * @method _flowOf
+     * @param {Array} names event names or patterns
+     * @param {Object} options
+     * @return {Object}
+     * @throws TypeError if given `options` are invalid, see `_checkFlow`
+     */
+    private _flowOf(names, options);
+    /**
+     * return the memorized values of given concrete `event` which are still within the replay window.
+     *
+     * @private
+     * @method _replayEntries
+     * @param {String} event
+     * @return {Array}
+     */
+    private _replayEntries(event);
+    /**
+     * return values to replay for given event `names` in the order they were fired.
+     * Values of patterns are tagged with the concrete event name.
+     *
+     * @private
+     * @method _replayValues
+     * @param {Array} names event names or patterns
+     * @return {Array}
+     */
+    private _replayValues(names);
+    /**
+     * prepend values to replay of given event `names` to `source`.
+     * The replay is delivered synchronously, or through the scheduler configured for one of `names`;
+     * values fired meanwhile, even by the replay itself, are delivered after the replay.
+     *
+     * @private
+     * @method _replaying
+     * @param {Array} names event names or patterns
+     * @param {Observable} source
+     * @return {Observable}
+     */
+    private _replaying(names, source);
+    /**
+     * prepend buffered undelivered events of given event `names` to `source`, delivered to the first subscriber only,
+     * in the shape `source` emits them, see `_source`. Given a `count`, only the oldest `count` ones are taken
+     * off the buffer, the others stay for the next subscriber.
+     *
+     * @private
+     * @method _draining
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent whether `source` tags values with the concrete event name
+     * @param {Observable} source
+     * @param {Number} [count] default to every buffered one
+     * @return {Observable}
+     */
+    private _draining(names, withEvent, source, count?);
+    /**
+     * observe `event` and emit value only if the value at given `key` (a property path) is changed.
+     *
+     * @private
+     * @method _changeByKey
+     * @param {String|Array} event event name(s).
+     * @param {String} key property name or dotted property path
+     * @param {Number} priority
+     * @return {Observable}
+     */
+    private _changeByKey(event, key, priority);
+    /**
+     * write replayed values of given concrete `event` into its storage, if it is persisted.
+     * An error thrown by the storage is published on `errors$`.
+     *
+     * @private
+     * @method _save
+     * @param {String} event
+     */
+    private _save(event);
+    /**
+     * read values of given concrete `event` from its storage, or store the values in memory if there are any.
+     * Expired values are dropped, values of other versions are migrated or dropped.
+     *
+     * @private
+     * @method _rehydrate
+     * @param {String} event
+     */
+    private _rehydrate(event);
+    /**
+     * observe with given `event`.
+     * Note: It's caller's duty to dispose returned subscription.
+     *
+     * @usage
+     *
+     * 1. single event
+     *
+     * EventManager.observe('ios').subscribe(function (data) {
+     *     console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('ios', { answer: 42 })
+     * > 42
+     *
+     * 2. multiple events (space separated or array), tagged with event name
+     *
+     * EventManager.observe('ios android', { withEvent: true }).subscribe(function (e) {
+     *     console.log(e.event, e.data.answer);
+     * });
+     *
+     * EventManager.fire('android', { answer: 42 })
+     * > android 42
+     *
+     * 3. patterns, `*` matches one segment and `**` any number of segments.
+     *    Values are always emitted as `{ event, data }`
+     *
+     * EventManager.observe('user.*').subscribe(function (e) {
+     *     console.log(e.event, e.data);
+     * });
+     *
+     * EventManager.fire('user.login', 42)
+     * > user.login 42
+     *
+     * 4. flow control, see `FlowControl`
+     *
+     * EventManager.observe('scroll', { throttleMs: 100 }).subscribe(function (position) { ... });
+     *
+     * EventManager.observe('price', { bufferMs: 1000 }).subscribe(function (prices) { ... });
+     *
+     * @throws TypeError if given `event` is not a valid string, or given flow control is invalid
+     * or has a `queue`, which only applies to handlers
+     */
+    observe<P>(event: EventKey<P>): Observable<P>;
+    observe(event: EventNames): Observable<T>;
+    observe(event: EventNames | EventKey<any>, options: ObserveOptions): Observable<any>;
+    /**
+     * subscribe to given `event`.
+     *
+     * @usage
+     *
+     * EventManager.on('ios', (data) => {
+     *     console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('ios', { answer: 42 })
+     * > 42
+     *
+     * multiple events (space separated)
+     *
+     * EventManager.on('hello world', (data) => {
+     *    console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('hello', { answer: 42 })
+     * > 42
+     *
+     * EventManager.fire('world', { answer: 42 })
+     * > 42
+     *
+     * register with an owner, see `off`
+     *
+     * EventManager.on('ios', (data) => {
+     *    console.log(data.answer);
+     * }, { owner: this });
+     *
+     * register with a priority, and stop the event from reaching listeners with a lower one
+     *
+     * EventManager.on('key.down', (key, e) => {
+     *    if ('Escape' === key) { e.stopPropagation(); }
+     * }, { priority: 10 });
+     *
+     * with flow control, see `FlowControl`
+     *
+     * EventManager.on('tick', (price) => render(price), { throttleMs: 100 });
+     *
+     * EventManager.on('upload', (file) => send(file), { queue: 10, overflow: 'drop-newest' });
+     */
+    on<P>(event: EventKey<P>, next?: Observer<P> | ((value: P, event?: EventContext<P>) => void), error?: ((error: any) => void) | ListenerOptions, complete?: () => void): Subscription<P>;
+    on(event: EventNames, next?: Observer<T> | ((value: T, event?: EventContext<T>) => void), error?: ((error: T) => void) | ListenerOptions, complete?: () => void): Subscription<T>;
+    /**
+     * execute callback only once and dispose it self.
+     * @see on
+     */
+    once<P>(event: EventKey<P>, next?: Observer<P> | ((value: P, event?: EventContext<P>) => void), error?: ((error: any) => void) | ListenerOptions, complete?: () => void): Subscription<P>;
+    once(event: EventNames, next?: Observer<T> | ((value: T, event?: EventContext<T>) => void), error?: ((error: T) => void) | ListenerOptions, complete?: () => void): Subscription<T>;
+    /**
+     * Emits latest-persisted sequence (if available), synchronously and before live values.
+     * How many values are replayed is up to the policy of the event, see `configure`.
+     *
+     * @usage
+     *
+     * EventManager.fire('hello', 42);
+     *
+     * EventManager.latest('hello', (value) => console.log(value));
+     * > 42
+     */
+    latest<P>(event: EventKey<P>, next?: ((value?: P, event?: EventContext<P>) => void), error?: ((error: any) => void) | ListenerOptions, complete?: () => void): Subscription<P>;
+    latest(event: EventNames, next?: ((value?: T, event?: EventContext<T>) => void), error?: ((error: T) => void) | ListenerOptions, complete?: () => void): Subscription<T>;
+    /**
+     * configure the policy of given `event`. It replays the last `replay` values
+     * (`0` for none, default to `1`) fired within the last `windowMs` milliseconds.
+     * Given a `scheduler` the replay is delivered asynchronously through it.
+     * `onError` tells what to do when a listener throws, see `errors$`.
+     * Options of `FlowControl` are the defaults of listeners of `event`, configuring a pattern
+     * (e.g. `**`) sets defaults of every event it matches, their time-based operators run on `flowScheduler`.
+     * `deadLetters` buffers that many events which reached no subscriber for the first matching `on`, `once` or `observe`,
+     * see `deadLetters$`. `latest` leaves them buffered, it replays the latest values instead.
+     *
+     * @usage
+     *
+     * EventManager.configure('price', { replay: 5, windowMs: 1000 });
+     *
+     * EventManager.configure('hello', { scheduler: asap });
+     *
+     * EventManager.configure('save', { onError: 'rethrow' });
+     *
+     * EventManager.configure('sensor.*', { sampleMs: 1000 });
+     *
+     * EventManager.configure('app.ready', { deadLetters: 1 });
+     *
+     * @method configure
+     * @param {String|Array} event event name(s).
+     * @param {Object} policy
+     * @throws TypeError if given `replay` is not a non-negative integer, `windowMs` is not a positive number
+     * or `onError` is unknown, `deadLetters` is not a non-negative integer, or given flow control is invalid
+     * @chainable
+     */
+    configure(event: EventNames | EventKey<any>, policy: EventPolicy): EventManager<T>;
+    /**
+     * persist replayed values of given `event` into `storage`, and rehydrate the ones stored before,
+     * so that `latest` replays them right away. Values stored with another `version` are migrated
+     * by `migrate`, or dropped without it. Values older than `ttlMs` are dropped.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage, version: 2, ttlMs: 86400000 });
+     *
+     * EventManager.latest('session.user', (user) => console.log(user.name));
+     * > John
+     *
+     * @method persist
+     * @param {String|Array} event event name(s).
+     * @param {Object} options
+     * @throws TypeError if `event` is a pattern, `storage` is not a storage adapter,
+     * `version` is not a non-negative integer or `ttlMs` is not a positive number
+     * @chainable
+     */
+    persist(event: EventNames | EventKey<any>, options: PersistOptions): EventManager<T>;
+    /**
+     * return the current value of given state `event`, the one set within the batch in progress if any.
+     *
+     * @private
+     * @method _readState
+     * @param {String} event
+     * @return {Object}
+     */
+    private _readState(event);
+    /**
+     * fire given state `event` with `value`, or set it within the batch in progress.
+     *
+     * @private
+     * @method _writeState
+     * @param {String} event
+     * @param {Object} value
+     */
+    private _writeState(event, value);
+    /**
+     * return a handle on the value of given `event`, see `State`: a reactive store whose value is the most recent one
+     * of the event. `initial` is fired unless the event already has a value (e.g. fired before, or rehydrated by `persist`).
+     * It relies on the replayed values of the event, see `configure`.
      *
      * @usage
      *
-     * 1. single event
+     * const counter = EventManager.state('counter', 0);
      *
-     * EventManager.observe('ios').subscribe(function (data) {
-     *     console.log(data.answer);
-     * });
+     * counter.observe().subscribe((value) => console.log(value));
+     * > 0
      *
-     * EventManager.fire('ios', { answer: 42 })
+     * counter.update((value) => value + 1);
+     * > 1
+     *
+     * counter.get();
+     * > 1
+     *
+     * EventManager.fire('counter', 42);
      * > 42
      *
-     * @throws TypeError if given `event` is not a valid string
+     * @method state
+     * @param {String} event a single event name
+     * @param {Object} [initial]
+     * @return {State}
+     * @throws TypeError if given `event` is not a single event name
      */
-    observe(event: any): Observable<T>;
+    state<P>(event: EventKey<P>, initial?: P): State<P>;
+    state(event: string, initial?: T): State<T>;
     /**
-     * subscribe to given `event`.
+     * return a read-only state of given `event`, whose value is computed by `project` from the values
+     * of `sources` (event names, typed event keys or states), and fired whenever it changes.
+     * Call `dispose` of the returned state to stop computing it.
+     * Errors of `project` are published on `errors$`.
      *
      * @usage
      *
-     * EventManager.on('ios', (data) => {
-     *     console.log(data.answer);
-     * });
+     * const price = EventManager.state('cart.price', 10);
+     * const quantity = EventManager.state('cart.quantity', 2);
      *
-     * EventManager.fire('ios', { answer: 42 })
-     * > 42
+     * const total = EventManager.derive('cart.total', [price, 'cart.quantity'], (price, quantity) => price * quantity);
      *
-     * multiple events (space separated)
+     * total.observe().subscribe((value) => console.log(value));
+     * > 20
      *
-     * EventManager.on('hello world', (data) => {
-     *    console.log(data.answer);
+     * quantity.set(3);
+     * > 30
+     *
+     * @method derive
+     * @param {String} event a single event name
+     * @param {Array} sources
+     * @param {Function} project
+     * @return {State}
+     * @throws TypeError if given `event` is not a single event name, `sources` is empty or `project` is not a function
+     */
+    derive<P>(event: EventKey<P>, sources: Array<string | EventKey<any> | State<any>>, project: (...values: Array<any>) => P): State<P>;
+    derive(event: string, sources: Array<string | EventKey<any> | State<any>>, project: (...values: Array<any>) => T): State<T>;
+    /**
+     * call given `updater`, firing the values it sets on states once it returns, one event per state
+     * with its last value: listeners and derived states see all the updates at once.
+     * Nothing is fired if `updater` throws. A batch within a batch belongs to the outer one.
+     *
+     * @usage
+     *
+     * EventManager.batch(() => {
+     *     price.set(12);
+     *     quantity.update((value) => value + 1);
      * });
+     * // `cart.total` is fired once
      *
-     * EventManager.fire('hello', { answer: 42 })
-     * > 42
+     * @method batch
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function
+     * @chainable
+     */
+    batch(updater: () => void): EventManager<T>;
+    /**
+     * fire given composite `event` with what `correlate` returns for every event fired as one of given `sources`,
+     * unless it returns `undefined`. An event matching several sources is correlated once.
+     * The composite is a listener of `event`, so that `off` tears it down.
+     * An error thrown by firing the composite event is published on `errors$`.
      *
-     * EventManager.fire('world', { answer: 42 })
-     * > 42
+     * @private
+     * @method _compose
+     * @param {String|Object} event the composite event name
+     * @param {String|Array} sources event name(s) or pattern(s)
+     * @param {Function} correlate called with `{ event, data }`
+     * @return {Subscription}
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
      */
-    on(event: string, next?: Observer<T> | ((value: T) => void), error?: (error: T) => void, complete?: () => void): Subscription<T>;
+    private _compose(event, sources, correlate);
     /**
-     * execute callback only once and dispose it self.
-     * @see on
+     * return the clock of given composite `event`: given `scheduler`, the configured `flowScheduler` or `asap`
+     *
+     * @private
+     * @method _clockOf
+     * @param {String|Object} event
+     * @param {Scheduler} [scheduler]
+     * @return {Scheduler}
+     */
+    private _clockOf(event, scheduler?);
+    /**
+     * fire given composite `event` once every one of `sources` has been fired, with an array of their latest values,
+     * then again once every one of them has been fired again. An event matching several sources
+     * counts for the first of them not fired yet.
+     *
+     * @usage
+     *
+     * EventManager.all('checkout.ready', 'cart.loaded user.loaded');
+     *
+     * EventManager.on('checkout.ready', ([cart, user]) => console.log(cart.items.length, user.name));
+     *
+     * EventManager.fire('user.loaded', { name: 'John' }).fire('cart.loaded', { items: [] });
+     * > 0 John
+     *
+     * @method all
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    all(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>): Subscription<any>;
+    /**
+     * fire given composite `event` whenever one of `sources` is fired, with `{ event, data }` of the fired one.
+     *
+     * @usage
+     *
+     * EventManager.any('session.ended', 'user.logout session.expired');
+     *
+     * EventManager.on('session.ended', (e) => console.log(e.event));
+     *
+     * EventManager.fire('session.expired', {});
+     * > session.expired
+     *
+     * @method any
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    any(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>): Subscription<any>;
+    /**
+     * fire given composite `event` once `sources` have been fired in order, with an array of their values.
+     * A source may be given several times, e.g. `a a b`. Other sources fired in between are ignored,
+     * the first source starts the sequence over unless it is the next step, as does the next event
+     * once `timeoutMs` elapsed since the first one.
+     *
+     * @usage
+     *
+     * EventManager.sequence('onboarding.done', 'user.signup user.verified profile.completed', { timeoutMs: 600000 });
+     *
+     * @method sequence
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, in order
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string
+     * or `timeoutMs` is not a positive number
      */
-    once(event: string, next?: Observer<T> | ((value: T) => void), error?: (error: T) => void, complete?: () => void): Subscription<T>;
+    sequence(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>, options?: SequenceOptions): Subscription<any>;
     /**
-     * Emits latest-persisted sequence (if available)
+     * fire given composite `event` once `sources` have been fired `count` times within `withinMs` milliseconds,
+     * with an array of their values, then start counting over.
+     *
+     * @usage
+     *
+     * EventManager.window('login.locked', 'login.failed', { count: 3, withinMs: 60000 });
+     *
+     * @method window
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, counted together
+     * @param {Object} options
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string,
+     * `count` is not a positive integer or `withinMs` is not a positive number
      */
-    latest(event: string, next?: ((value?: T) => void), error?: (error: T) => void, complete?: () => void): Subscription<T>;
+    window(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>, options: WindowOptions): Subscription<any>;
     /**
      * Emits value only if it's changed (determined by `comparer`)
      *
+     * @usage
+     *
+     * EventManager.change('user', (x, y) => x.id === y.id, (user) => {
+     *     console.log(user.id);
+     * });
+     *
+     * compare by key or by property path
+     *
+     * EventManager.change('user', 'id', (user) => {
+     *     console.log(user.id);
+     * });
+     *
+     * EventManager.change('user', 'profile.address.city', (user) => {
+     *     console.log(user.profile.address.city);
+     * });
+     *
+     * compare plain objects by value
+     *
+     * EventManager.change('user', EventManager.deepEqual, (user) => {
+     *     console.log(user);
+     * });
+     *
      * @method change
-     * @param {String} event event name.
-     * @param {Function} [comparer] default to `_defaultComparer`
+     * @param {String|Array} event event name(s).
+     * @param {Function|String} [comparer] default to `_defaultComparer`, a key or property path to compare by
      * @param {Function} [next]
-     * @param {Function} [error]
+     * @param {Function|Object} [error] or `ListenerOptions`
      * @param {Function} [complete]
      * @return {Subscription}
      */
-    change(event: string, comparer: Function, next?: Observer<T> | ((value: T) => void), error?: (error: T) => void, complete?: () => void): any;
+    change<P>(event: EventKey<P>, comparer?: ((x: P, y: P) => boolean) | string, next?: Observer<P> | ((value: P, event?: EventContext<P>) => void), error?: ((error: any) => void) | ListenerOptions, complete?: () => void): any;
+    change(event: EventNames, comparer?: ((x: T, y: T) => boolean) | string, next?: Observer<T> | ((value: T, event?: EventContext<T>) => void), error?: ((error: T) => void) | ListenerOptions, complete?: () => void): any;
+    /**
+     * memorize given `message` for replay and deliver it to listeners and to the parent bus.
+     *
+     * @private
+     * @method _deliver
+     * @param {Object} message
+     * @param {Object} delivery its context is updated with `message`, its route defaults to a new route from this bus
+     * @return {Promise} settled once the parent bus delivered `message` too
+     */
+    private _deliver(message, delivery);
+    /**
+     * check given `data` against definitions of given concrete `event`, see `define`.
+     * An invalid payload is thrown in `strict` mode, published on `errors$` otherwise.
+     *
+     * @private
+     * @method _validate
+     * @param {String} event
+     * @param {Object} data
+     * @return {Boolean} whether `data` is valid
+     * @throws ValidationError if `data` is invalid and a failing definition is `strict`
+     */
+    private _validate(event, data);
+    /**
+     * return the number of subscribers of given concrete `event`.
+     *
+     * @private
+     * @method _receivers
+     * @param {String} event
+     * @return {Number}
+     */
+    private _receivers(event);
+    /**
+     * return how many undelivered events of given concrete `event` to buffer: the `deadLetters` configured
+     * for the event, or else for the first pattern matching it.
+     *
+     * @private
+     * @method _deadLettersOf
+     * @param {String} event
+     * @return {Number}
+     */
+    private _deadLettersOf(event);
+    /**
+     * publish given delivered `message` on `deadLetters$` and buffer it, if it reached no subscriber.
+     * Nothing is counted while nobody observes `deadLetters$` and no event is buffered.
+     *
+     * @private
+     * @method _undelivered
+     * @param {Object} message
+     */
+    private _undelivered(message);
+    /**
+     * publish given delivered `message` on `tap$`.
+     *
+     * @private
+     * @method _tap
+     * @param {Object} message
+     * @param {EventContext} context
+     * @param {Number} duration
+     */
+    private _tap(message, context, duration);
+    /**
+     * pass given `message` through `middlewares` matching its event, from `index` on, and deliver it.
+     * Delivery stays synchronous as long as middlewares call `next` synchronously.
+     *
+     * @private
+     * @method _dispatch
+     * @param {Array} middlewares
+     * @param {Number} index
+     * @param {Object} message
+     * @param {Object} delivery see `_deliver`
+     * @return {Promise} settled once `message` is delivered, vetoed or failed
+     * @throws the error of a synchronous delivery (e.g. rethrown by policy), which is not reported as the middleware's
+     */
+    private _dispatch(middlewares, index, message, delivery);
     /**
      * Same as fire method
      */
-    trigger(event: string, data: T): EventManager<T>;
+    trigger<P>(event: EventKey<P>, data: P): EventManager<T>;
+    trigger(event: EventNames, data: T): EventManager<T>;
     /**
      * dispatch `event` with given `data`.
      *
@@ -82,14 +1257,295 @@ export default class EventManager<T> {
      * EventManager.fire('hello', 42);
      * > 42
      *
+     * EventManager.fire('hello world', 42);
+     * // dispatched to both `hello` and `world`
+     *
      * @method fire
-     * @param {String} event event name
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     * @chainable
+     */
+    fire<P>(event: EventKey<P>, data: P): EventManager<T>;
+    fire(event: EventNames, data: T): EventManager<T>;
+    /**
+     * dispatch `event` with given `data` like `fire`, and tell whether the caller should run its default action:
+     * `false` if a handler called `preventDefault` of the event (synchronously), `true` otherwise.
+     *
+     * @usage
+     *
+     * EventManager.on('document.close', (document, e) => {
+     *     if (document.dirty) { e.preventDefault(); }
+     * }, { priority: 10 });
+     *
+     * if (EventManager.dispatch('document.close', document)) {
+     *     document.close();
+     * }
+     *
+     * @method dispatch
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @return {Boolean}
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     */
+    dispatch<P>(event: EventKey<P>, data: P): boolean;
+    dispatch(event: EventNames, data: T): boolean;
+    /**
+     * dispatch `event` with given `data` like `fire`, and await handlers of `on`, `once`, `latest` and `change`:
+     * a handler returning a Promise or an Observable settles with it (the last value of the Observable).
+     * Handlers are called in priority order, at once (`parallel` mode, default) or each once the previous
+     * one settled (`serial` mode, where a handler can still `stopPropagation` to skip the next ones).
+     * The returned Promise resolves with the results of handlers, in order, and rejects
+     * with an `AggregateError` if any handler failed, whose `errors` and `results` tell what happened to each.
+     * It rejects with a `TimeoutError` if handlers did not settle within `timeoutMs`.
+     *
+     * @usage
+     *
+     * EventManager.on('app.shutdown', () => database.close());
+     * EventManager.on('app.shutdown', () => server.close());
+     *
+     * EventManager.fireAsync('app.shutdown', null, { timeoutMs: 5000 }).then(() => process.exit(0));
+     *
+     * EventManager.on('document.beforeSave', (document) => validate(document), { priority: 10 });
+     * EventManager.on('document.beforeSave', (document) => backup(document));
+     *
+     * EventManager.fireAsync('document.beforeSave', document, { mode: 'serial' }).then(() => save(document));
+     *
+     * @method fireAsync
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @param {Object} [options] `FireAsyncOptions`
+     * @return {Promise}
+     * @throws TypeError if given `event` is not a valid string, contains a pattern or `mode` is unknown
+     */
+    fireAsync<P>(event: EventKey<P>, data: P, options?: FireAsyncOptions): Promise<Array<any>>;
+    fireAsync(event: EventNames, data: T, options?: FireAsyncOptions): Promise<Array<any>>;
+    /**
+     * dispatch `event` with given `data`, to its valid names only (see `_validate`).
+     * Given a `from` delivery, the route and the awaited handlers
+     * of `from` are kept: a bridged event keeps its route, an event forwarded by a child bus keeps its context too.
+     *
+     * @private
+     * @method _fire
+     * @param {String|Array} event event name(s)
      * @param {Object} data anything
-     * @throws TypeError if given `event` is not a valid string
+     * @param {Object} [from] see `Delivery`
+     * @return {Array} deliveries of dispatched events
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     */
+    private _fire(event, data, from?);
+    /**
+     * mirror events fired on this bus onto given `channel`, and fire events posted by the other end on this bus.
+     * Events are tagged with the bus they were fired on (`origin`, see `EventMessage`), and dropped once they
+     * loop back to a bus they went through, so buses can be bridged in any topology.
+     * An error thrown by posting an event, or by firing a received one, is published on `errors$`.
+     *
+     * @usage
+     *
+     * const worker = new Worker('worker.js');
+     *
+     * eventManager.bridge(worker, { events: 'cart.**', origin: 'main' });
+     *
+     * // worker.js
+     * eventManager.bridge(self, { events: 'cart.**', origin: 'worker' });
+     *
+     * eventManager.bridge(new BroadcastChannel('app'), { serializer: EventManager.Bridge.JSON });
+     *
+     * @method bridge
+     * @param {Object} channel `MessagePort`, `Worker`, `BroadcastChannel`, Node `worker_threads` port...
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it to stop bridging, `off` removes it like a listener of `channel`
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    bridge(channel: Channel, options?: BridgeOptions): Subscription<any>;
+    /**
+     * fire given `event` with every value of given `source`: an Observable, a Promise,
+     * or an event of an `EventEmitter` or `EventTarget`. An error of the source, or thrown by `map` or firing the event,
+     * is published on `errors$`. The connection is a listener of `event`, so that `off` and `offAll` disconnect it.
+     *
+     * @usage
+     *
+     * EventManager.connect('window.resize', window, { event: 'resize', map: () => window.innerWidth });
+     *
+     * EventManager.connect('process.exit', process, { event: 'exit' });
+     *
+     * EventManager.connect('config.loaded', fetch('/config.json').then((response) => response.json()));
+     *
+     * EventManager.connect('clock.tick', Observable.interval(1000));
+     *
+     * @method connect
+     * @param {String} event event name
+     * @param {Object} source
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to disconnect the source
+     * @throws TypeError if given `event` is not a single event name, `source` is not supported
+     * or `map` is not a function
+     */
+    connect(event: string | EventKey<any>, source: any, options?: ConnectOptions): Subscription<any>;
+    /**
+     * emit events fired on this bus of given `event` (name(s) or pattern(s)) on given `target`: an `EventEmitter`
+     * (`emit`), an `EventTarget` (`dispatchEvent` of a `CustomEvent` with the payload as `detail`) or an Observer (`next`).
+     * An error thrown by `map` or emitting is published on `errors$`. The pipe is a listener of `event`,
+     * so that `off` and `offAll` remove it.
+     *
+     * @usage
+     *
+     * const emitter = new EventEmitter();
+     *
+     * EventManager.pipeTo('cart.*', emitter);
+     * emitter.on('cart.add', (item) => console.log(item.id));
+     *
+     * EventManager.fire('cart.add', { id: 42 });
+     * > 42
+     *
+     * EventManager.pipeTo('user.login', document.body, { event: 'login', map: (user) => user.id });
+     *
+     * @method pipeTo
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} target
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to stop emitting
+     * @throws TypeError if given `target` has neither `emit`, `dispatchEvent` nor `next`, or `map` is not a function
+     */
+    pipeTo(event: EventNames | EventKey<any>, target: any, options?: PipeOptions): Subscription<any>;
+    /**
+     * define the payload of given `event` (name(s) or pattern(s)) by a JSON-Schema-style `schema` (see `Schema`)
+     * or a `Validator` function. Invalid payloads are not delivered: `fire` throws a `ValidationError`
+     * (`strict` mode, default) or publishes it on `errors$` (`lenient` mode). Payloads are validated
+     * as they are fired, before middlewares. Defining an event again replaces its definition.
+     *
+     * @usage
+     *
+     * EventManager.define('user.login', {
+     *     type: 'object',
+     *     required: ['id'],
+     *     properties: { id: { type: 'integer' }, name: { type: 'string' } },
+     *     additionalProperties: false
+     * });
+     *
+     * EventManager.fire('user.login', { id: 42, nmae: 'John' });
+     * > ValidationError: invalid payload of event user.login: data.nmae is not allowed
+     *
+     * EventManager.define('price.*', (price) => price < 0 && 'price should be positive', { mode: 'lenient' });
+     *
+     * @method define
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object|Function} schema
+     * @param {Object} [options]
+     * @throws TypeError if given `event` is not a valid string, `schema` is neither an object nor a function
+     * or `mode` is unknown
      * @chainable
      */
-    fire(event: string, data: T): EventManager<T>;
+    define(event: EventNames | EventKey<any>, schema: SchemaDefinition | Validator, options?: DefineOptions): EventManager<T>;
+    /**
+     * return defined events with their schema and mode, by event name, e.g. to document them
+     *
+     * @usage
+     *
+     * EventManager.definitions();
+     * > [{ event: 'price.*', schema: validator, mode: 'lenient' }, { event: 'user.login', schema: { ... }, mode: 'strict' }]
+     *
+     * @method definitions
+     * @return {Array}
+     */
+    definitions(): Array<EventDefinition>;
+    /**
+     * return a snapshot of the listeners of this bus (or scope) by event name or pattern,
+     * with where each subscription comes from and the number of values `latest` replays.
+     *
+     * @usage
+     *
+     * EventManager.on('user.login', function greet() {}, { owner: header });
+     *
+     * EventManager.inspect().events;
+     * > [{ event: 'user.login', listenerCount: 1, listeners: [{ handler: greet, source: 'greet', owner: header }], replayed: 0 }]
+     *
+     * @method inspect
+     * @return {Object}
+     */
+    inspect(): InspectorSnapshot;
+    /**
+     * report every event delivered by this bus to given `reporter`, until the returned subscription is unsubscribed,
+     * `**` is off-ed or the scope it was made through is disposed.
+     *
+     * @usage
+     *
+     * const reporting = EventManager.report();
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     * > [2016-02-01T10:00:00.000Z] user.login -> 2 listener(s) in 0.12ms { id: 42 }
+     *
+     * reporting.unsubscribe();
+     *
+     * @method report
+     * @param {Object} [reporter] default to a `ConsoleReporter`
+     * @return {Subscription}
+     * @throws TypeError if given `reporter` has no `report` method
+     */
+    report(reporter?: Reporter): Subscription<any>;
+    /**
+     * record fired events (of given `events` only, if any) until `stop` of the returned recorder is called,
+     * keeping the last `limit` ones. Events are recorded as they are fired, before middlewares.
+     *
+     * @usage
+     *
+     * const recorder = EventManager.record({ events: 'user.* cart.*', limit: 500 });
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     *
+     * recorder.query({ events: 'user.*' });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 0 }]
+     *
+     * fs.writeFileSync('session.ndjson', recorder.export('ndjson'));
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     * @throws TypeError if given `events` is not a valid string or `limit` is not a positive integer
+     */
+    record(options?: RecordOptions): Recorder;
+    /**
+     * fire again the events of given recording, in the order they were fired, e.g. into a fresh bus to reproduce a bug.
+     * The `original` timing keeps delays between events, divided by `speed`, the `compressed` one fires them at once.
+     *
+     * @usage
+     *
+     * const recording = EventManager.Recorder.parse(fs.readFileSync('session.ndjson', 'utf8'));
+     *
+     * new EventManager().play(recording, { speed: 10 }).then(() => console.log('done'));
+     *
+     * @method play
+     * @param {Recorder|Array} recording a recorder or its records
+     * @param {Object} [options]
+     * @return {Promise} settled once every event is fired, rejected with the first error thrown by `fire`
+     * @throws TypeError if given `timing` is unknown or `speed` is not a positive number
+     */
+    play(recording: Recorder | Array<HistoryRecord>, options?: PlayOptions): Promise<void>;
+    /**
+     * use given `middleware` for every fired event, or only for events matching given `event`
+     * name(s) or pattern(s). Middlewares run in the order they are used, before delivery.
+     * An error thrown (or rejected) by a middleware is published on `errors$` instead of thrown by `fire`.
+     *
+     * @usage
+     *
+     * eventManager.use((message, next) => next({ event: message.event, data: { value: message.data, at: Date.now() } }));
+     *
+     * eventManager.use('admin.*', (message, next) => {
+     *     return isAllowed(message) && next().then(() => console.log('delivered', message.event));
+     * });
+     *
+     * @method use
+     * @param {String|Array} [event] event name(s) or pattern(s)
+     * @param {Function} middleware
+     * @return {Subscription} unsubscribe it (or `off` given `event`, or dispose the scope it was used through)
+     * to stop using `middleware`
+     * @throws TypeError if given `event` is not a valid string or given `middleware` is not a function
+     */
+    use(event: EventNames | Middleware<T>, middleware?: Middleware<T>): Subscription<any>;
     /**
+     * off listeners of given `event`, and forget its latest data and dead letters.
+     * Persisted events (see `persist`) keep their latest data, `latest` replays it until `forget`.
+     *
      * @usage
      *
      * EventManager.on('hello', function (value) {
@@ -104,15 +1560,111 @@ export default class EventManager<T> {
      * EventManager.fire('hello', 42);
      * // nothing happened
      *
+     * EventManager.off('hello world');
+     * // both `hello` and `world` are off-ed
+     *
+     * EventManager.off('user.*');
+     * // every registration matching `user.*` is off-ed
+     *
+     * EventManager.off('hello', handler);
+     * // only listeners registered with `handler` are off-ed
+     *
+     * EventManager.off('hello', { owner: this });
+     * // only listeners registered with `{ owner: this }` are off-ed
+     *
      * @method off
-     * @param {String} event event name.
+     * @param {String|Array} event event name(s).
+     * @param {Function|Observer|Object} [listener] a handler, or `{ owner }`, to off only matching listeners
+     * @chainable
+     */
+    off(event: EventNames | EventKey<any>, listener?: any): EventManager<T>;
+    /**
+     * forget the latest data of given `event` (name(s) or pattern(s)), and remove its values from the storage
+     * it is persisted into, see `persist`. Listeners are kept.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage });
+     *
+     * // on logout
+     * EventManager.forget('session.user');
+     *
+     * @method forget
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @chainable
      */
-    off(event: string): EventManager<T>;
+    forget(event: EventNames | EventKey<any>): EventManager<T>;
     /**
-     * off all subscriptions
+     * off all subscriptions, and drop every buffered dead letter of the bus
      *
      * @method offAll
      * @chainable
      */
     offAll(): EventManager<T>;
+    /**
+     * ask responders of given `event` and reply with their answer, see `respond`.
+     * The returned Observable is lazy: the request is dispatched on subscribe.
+     * It errors with a `NoResponderError` if nobody responds to `event`,
+     * and with a `TimeoutError` if no reply arrived within `timeoutMs`.
+     *
+     * @usage
+     *
+     * EventManager.respond('config.get', (key) => config[key]);
+     *
+     * EventManager.request('config.get', 'locale', { timeoutMs: 1000 }).subscribe((locale) => {
+     *     console.log(locale);
+     * });
+     * > en-US
+     *
+     * EventManager.request('config.get', 'locale').toPromise().then((locale) => { ... });
+     *
+     * @method request
+     * @param {String} event event name
+     * @param {Object} [data] anything
+     * @param {Object} [options]
+     * @return {Observable}
+     * @throws TypeError if given `event` is not a valid string or `strategy` is unknown
+     */
+    request(event: string, data?: any, options?: RequestOptions): Observable<any>;
+    /**
+     * answer requests of given `event` with the result of `handler`, which is called with
+     * the request data and the event name. The result can be a value, a Promise or an Observable.
+     * Responders are listeners: `off`, `offAll` and `dispose` of scopes remove them.
+     *
+     * @usage
+     *
+     * EventManager.respond('user.get', (id) => fetchUser(id));
+     *
+     * @method respond
+     * @param {String|Array} event event name(s) or pattern(s).
+     * @param {Function} handler
+     * @param {Object} [options] `ListenerOptions`
+     * @return {Subscription}
+     * @throws TypeError if given `handler` is not a function
+     */
+    respond(event: EventNames, handler: (data?: any, event?: string) => any, options?: ListenerOptions): Subscription<any>;
+    /**
+     * return handlers listening to given `event` (name(s) or pattern(s)).
+     * Subscriptions made without a handler are counted by `listenerCount` only.
+     *
+     * @usage
+     *
+     * EventManager.on('hello', handler);
+     *
+     * EventManager.listeners('hello');
+     * > [handler]
+     *
+     * @method listeners
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    listeners(event: EventNames | EventKey<any>): Array<any>;
+    /**
+     * return the number of subscriptions of given `event` (name(s) or pattern(s)).
+     *
+     * @method listenerCount
+     * @param {String|Array} event event name(s).
+     * @return {Number}
+     */
+    listenerCount(event: EventNames | EventKey<any>): number;
 }
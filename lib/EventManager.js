@@ -1,35 +1,93 @@
-var Subscriber_1 = require('rxjs/Subscriber');
+var Subscription_1 = require('rxjs/Subscription');
+var Observable_1 = require('rxjs/Observable');
 var Subject_1 = require('rxjs/Subject');
+var asap_1 = require('rxjs/scheduler/asap');
+var SymbolShim_1 = require('rxjs/util/SymbolShim');
 require('rxjs/add/operator/filter');
 require('rxjs/add/operator/map');
 require('rxjs/add/operator/take');
+require('rxjs/add/operator/throttleTime');
+require('rxjs/add/operator/debounceTime');
+require('rxjs/add/operator/sampleTime');
+require('rxjs/add/operator/bufferCount');
+require('rxjs/add/operator/bufferTime');
 require('rxjs/add/operator/distinctUntilChanged');
 require('rxjs/add/operator/distinctUntilKeyChanged');
-var eventManagerCore = new Subject_1.Subject();
+require('rxjs/add/operator/merge-static');
+require('rxjs/add/operator/timeout');
+require('rxjs/add/operator/toPromise');
+require('rxjs/add/observable/defer');
+require('rxjs/add/observable/from');
+require('rxjs/add/observable/fromEvent');
+require('rxjs/add/observable/fromPromise');
+require('rxjs/add/observable/throw');
+var Bridge_1 = require('./Bridge');
+var ConsoleReporter_1 = require('./ConsoleReporter');
+var EventContext_1 = require('./EventContext');
+var EventObservable_1 = require('./EventObservable');
+var MemoryStorage_1 = require('./MemoryStorage');
+var PatternIndex_1 = require('./PatternIndex');
+var Recorder_1 = require('./Recorder');
+var Schema_1 = require('./Schema');
+var State_1 = require('./State');
 /**
- * A hash of { eventName: eventObservable }
+ * create a bus which routes events of its core to subjects of its index.
+ * Every subscriber of a subject gets the event on its own: an error it throws goes to `fail`
+ * instead of preventing the next subscribers from getting the event.
  *
  * @private
- * @property observables
- * @type {Object}
- */
-var observables = {};
-/**
- * A hash of { eventName: [eventSubscription1, eventSubscription2, ...] }
- *
- * @private
- * @property subscriptions
- * @type {Object}
+ * @method _createBus
+ * @param {EventManager} parent
+ * @param {Function} fail called with the event, the throwing subscriber and the error
+ * @return {Object}
  */
-var subscriptions = {};
+function _createBus(parent, fail) {
+    var bus = {
+        id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+        core: new Subject_1.Subject(),
+        index: new PatternIndex_1.default(),
+        observables: {},
+        latestEventData: {},
+        persistence: {},
+        policies: {},
+        definitions: {},
+        sequence: 0,
+        requests: new Subject_1.Subject(),
+        middlewares: [],
+        errors: new Subject_1.Subject(),
+        taps: new Subject_1.Subject(),
+        unhandled: new Subject_1.Subject(),
+        deadLetters: [],
+        delivering: undefined,
+        failures: undefined,
+        seen: [],
+        batch: undefined,
+        parent: parent
+    };
+    bus.core.subscribe(function (e) {
+        var lanes = [];
+        bus.index.match(e.event).forEach(function (matched) { return lanes.push.apply(lanes, matched); });
+        lanes
+            .sort(function (x, y) { return y.priority - x.priority; })
+            .forEach(function (lane) { return lane.subject.observers.slice().forEach(function (subscriber) {
+            try {
+                subscriber.next(e);
+            }
+            catch (ex) {
+                fail(e, subscriber, ex);
+            }
+        }); });
+    });
+    return bus;
+}
 /**
- * An object which manages the most recent data of events.
+ * The bus returned by `EventManager.shared()`, created on first use.
  *
  * @private
- * @property latestEventData
- * @type {Object}
+ * @property sharedEventManager
+ * @type {EventManager}
  */
-var latestEventData = {};
+var sharedEventManager;
 /**
  * check if given `value` is a non-empty string
  *
@@ -53,11 +111,221 @@ function _isNotFunction(value) {
     return 'function' !== typeof value;
 }
 /**
+ * create an `Error` with given `name`, to tell errors of this module apart
+ *
  * @private
- * @method _keySelector
- * @param {Object} data
+ * @method _createError
+ * @param {String} name
+ * @param {String} message
+ * @return {Error}
+ */
+function _createError(name, message) {
+    var error = new Error(message);
+    error.name = name;
+    return error;
+}
+/**
+ * call given `handler` and settle its result, a value, Promise or Observable (its last value), as a Promise
+ *
+ * @private
+ * @method _settle
+ * @param {Function} handler
+ * @param {Array} args
+ * @return {Promise}
+ */
+function _settle(handler, args) {
+    var result;
+    try {
+        result = handler.apply(void 0, args);
+    }
+    catch (ex) {
+        return Promise.reject(ex);
+    }
+    return result instanceof Observable_1.Observable ? result.toPromise() : Promise.resolve(result);
+}
+/**
+ * settle with the first fulfilled of given `promises`, or reject with the first rejection if all of them rejected
+ *
+ * @private
+ * @method _firstFulfilled
+ * @param {Array} promises
+ * @return {Promise}
+ */
+function _firstFulfilled(promises) {
+    return new Promise(function (resolve, reject) {
+        var errors = [];
+        promises.forEach(function (promise) { return promise.then(resolve, function (error) {
+            errors.push(error);
+            if (promises.length === errors.length) {
+                reject(errors[0]);
+            }
+        }); });
+    });
+}
+/**
+ * check if given `value` is a `ListenerOptions` object rather than an `error` callback
+ *
+ * @private
+ * @method _isListenerOptions
+ * @param {Object} value
+ * @return {Boolean}
+ */
+function _isListenerOptions(value) {
+    return null !== value && 'object' === typeof value;
+}
+/**
+ * check if given `value`, received by a listener of event `names`, comes from given `delivery`:
+ * a value replayed or emitted otherwise while an event is being delivered does not belong to its context.
+ *
+ * @private
+ * @method _isDelivering
+ * @param {Object} delivery see `Delivery`
+ * @param {Array} names event names or patterns
+ * @param {Object} value the data of the event, or `{ event, data }` for patterns
+ * @return {Boolean}
+ */
+function _isDelivering(delivery, names, value) {
+    if (!delivery || !names.some(function (name) { return PatternIndex_1.default.matches(name, delivery.context.event); })) {
+        return false;
+    }
+    return value === delivery.context.data ||
+        (null !== value && 'object' === typeof value && value.event === delivery.context.event && value.data === delivery.context.data);
+}
+/**
+ * return the priority of given `ListenerOptions`, or `0` if `options` is an `error` callback
+ *
+ * @private
+ * @method _priorityOf
+ * @param {Function|Object} [options]
+ * @return {Number}
+ * @throws TypeError if given `priority` is not a finite number
+ */
+function _priorityOf(options) {
+    var priority = _isListenerOptions(options) && undefined !== options.priority ? options.priority : 0;
+    if ('number' !== typeof priority || !isFinite(priority)) {
+        throw new TypeError('priority should be a finite number');
+    }
+    return priority;
+}
+/**
+ * check given `flow`
+ *
+ * @private
+ * @method _checkFlow
+ * @param {Object} flow
+ * @throws TypeError if a delay is not a positive number, a size is not a positive integer,
+ * `bufferCount` and `bufferMs` are both given or `overflow` is unknown
+ */
+function _checkFlow(flow) {
+    ['throttleMs', 'debounceMs', 'sampleMs', 'bufferMs'].forEach(function (option) {
+        var delay = flow[option];
+        if (undefined !== delay && ('number' !== typeof delay || !(delay > 0) || !isFinite(delay))) {
+            throw new TypeError(option + ' should be a positive number');
+        }
+    });
+    ['bufferCount', 'queue'].forEach(function (option) {
+        var size = flow[option];
+        if (undefined !== size && ('number' !== typeof size || !(size > 0) || Math.floor(size) !== size)) {
+            throw new TypeError(option + ' should be a positive integer');
+        }
+    });
+    if (undefined !== flow.bufferCount && undefined !== flow.bufferMs) {
+        throw new TypeError('bufferCount and bufferMs can not be combined');
+    }
+    if (undefined !== flow.overflow && -1 === ['drop-oldest', 'drop-newest'].indexOf(flow.overflow)) {
+        throw new TypeError('overflow should be either `drop-oldest` or `drop-newest`');
+    }
+}
+/**
+ * apply time-based and buffering operators of given `flow` to `observable`
+ *
+ * @private
+ * @method _applyFlow
+ * @param {Observable} observable
+ * @param {Object} flow
+ * @return {Observable}
+ */
+function _applyFlow(observable, flow) {
+    var scheduler = flow.flowScheduler;
+    if (undefined !== flow.throttleMs) {
+        observable = observable.throttleTime(flow.throttleMs, scheduler);
+    }
+    if (undefined !== flow.debounceMs) {
+        observable = observable.debounceTime(flow.debounceMs, scheduler);
+    }
+    if (undefined !== flow.sampleMs) {
+        observable = observable.sampleTime(flow.sampleMs, scheduler);
+    }
+    if (undefined !== flow.bufferCount) {
+        observable = observable.bufferCount(flow.bufferCount, null);
+    }
+    if (undefined !== flow.bufferMs) {
+        observable = observable.bufferTime(flow.bufferMs, undefined, scheduler);
+    }
+    return observable;
+}
+/**
+ * return a function calling given `deliver` with a value once the previous call settled,
+ * queueing at most `size` values meanwhile
+ *
+ * @private
+ * @method _bounded
+ * @param {Function} deliver returns a value, a Promise or an Observable
+ * @param {Number} size
+ * @param {String} [overflow] `drop-oldest` (default) or `drop-newest`
+ * @param {Function} isClosed tells if queued values should be dropped
+ * @return {Function}
+ */
+function _bounded(deliver, size, overflow, isClosed) {
+    var pending = [];
+    var busy = false;
+    var drain = function () {
+        busy = 0 < pending.length && !isClosed();
+        if (busy) {
+            _settle(deliver, [pending.shift()]).then(drain, drain);
+        }
+    };
+    return function (value) {
+        if (busy && size === pending.length) {
+            if ('drop-newest' === overflow) {
+                return;
+            }
+            pending.shift();
+        }
+        pending.push(value);
+        if (!busy) {
+            drain();
+        }
+    };
+}
+/**
+ * split given `events` into a list of unique event names, or of every given name in order if not `unique`.
+ *
+ * @private
+ * @method _toEventNames
+ * @param {String|Array} events space-separated event names or an array of them
+ * @param {Boolean} [unique] default to `true`
+ * @return {Array}
+ * @throws TypeError if given `events` contains no valid event name
  */
-function _keySelector(data) { return data; }
+function _toEventNames(events, unique) {
+    if (unique === void 0) { unique = true; }
+    var names = [];
+    (Array.isArray(events) ? events : [events]).forEach(function (event) {
+        if (_isInvalidString(event)) {
+            throw new TypeError('given event is not a valid string');
+        }
+        event.split(/\s+/).forEach(function (name) {
+            if (name && (!unique || -1 === names.indexOf(name))) {
+                names.push(name);
+            }
+        });
+    });
+    if (0 === names.length) {
+        throw new TypeError('given event is not a valid string');
+    }
+    return names;
+}
 /**
  * compare any 2 given objects and return their equality by ===.
  *
@@ -69,216 +337,2322 @@ function _keySelector(data) { return data; }
  */
 function _defaultComparer(x, y) { return x === y; }
 /**
- * A helper to memorize event and correspoinding subscription.
+ * The policy of events which are not configured: replay the most recent value, log errors of listeners.
+ *
+ * @private
+ * @property DEFAULT_POLICY
+ * @type {Object}
+ */
+var DEFAULT_POLICY = { replay: 1, windowMs: Infinity, onError: 'log' };
+/**
+ * The options of `FlowControl`, grouped by options which are only taken together
+ *
+ * @private
+ * @property FLOW_OPTIONS
+ * @type {Array}
+ */
+var FLOW_OPTIONS = [
+    ['throttleMs'], ['debounceMs'], ['sampleMs'], ['bufferCount', 'bufferMs'], ['queue'], ['overflow'], ['flowScheduler']
+];
+/**
+ * The number of ids of bridged events a bus remembers to deliver them only once.
+ *
+ * @private
+ * @property SEEN_LIMIT
+ * @type {Number}
+ */
+var SEEN_LIMIT = 1000;
+/**
+ * return the current time of given `policy`
+ *
+ * @private
+ * @method _now
+ * @param {Object} policy
+ * @return {Number}
+ */
+function _now(policy) {
+    return policy.scheduler ? policy.scheduler.now() : Date.now();
+}
+/**
+ * return a high resolution time in milliseconds, to measure durations
+ *
+ * @private
+ * @method _clock
+ * @return {Number}
+ */
+function _clock() {
+    return 'undefined' !== typeof performance ? performance.now() : Date.now();
+}
+/**
+ * return the name of given handler, observer or channel
+ *
+ * @private
+ * @method _sourceOf
+ * @param {Object} handler
+ * @return {String}
+ */
+function _sourceOf(handler) {
+    if (undefined === handler) {
+        return 'observe';
+    }
+    if ('function' === typeof handler) {
+        return handler.name || 'anonymous';
+    }
+    return handler.constructor && handler.constructor.name || 'Object';
+}
+/**
+ * check if given `source` is an `EventEmitter` or `EventTarget`, as supported by `Observable.fromEvent`
+ *
+ * @private
+ * @method _isEmitter
+ * @param {Object} source
+ * @return {Boolean}
+ */
+function _isEmitter(source) {
+    return [['addEventListener', 'removeEventListener'], ['on', 'off'], ['addListener', 'removeListener']]
+        .some(function (methods) { return methods.every(function (method) { return 'function' === typeof source[method]; }); });
+}
+/**
+ * return an Observable of given `source`: an Observable (or interoperable one), a Promise,
+ * or given `event` of an `EventEmitter` or `EventTarget`
+ *
+ * @private
+ * @method _toObservable
+ * @param {Object} source
+ * @param {String} event
+ * @return {Observable}
+ * @throws TypeError if given `source` is none of these
+ */
+function _toObservable(source, event) {
+    if (null === source || ('object' !== typeof source && 'function' !== typeof source)) {
+        throw new TypeError('source should be an Observable, a Promise, an EventEmitter or an EventTarget');
+    }
+    if (source instanceof Observable_1.Observable || 'function' === typeof source[SymbolShim_1.SymbolShim.observable] || 'function' === typeof source.then) {
+        return Observable_1.Observable.from(source);
+    }
+    if (_isEmitter(source)) {
+        return Observable_1.Observable.fromEvent(source, event);
+    }
+    throw new TypeError('source should be an Observable, a Promise, an EventEmitter or an EventTarget');
+}
+/**
+ * emit given `data` as `event` on given `target`: an `EventEmitter`, an `EventTarget` (as a `CustomEvent`)
+ * or an Observer
  *
  * @private
- * @method _registerSubscription
+ * @method _emit
+ * @param {Object} target
  * @param {String} event
- * @param {Subscription} subscription
- * @return {Subscription}
+ * @param {Object} data
  */
-function _registerSubscription(event, subscription) {
-    if (Array.isArray(subscriptions[event])) {
-        subscriptions[event].push(subscription);
+function _emit(target, event, data) {
+    if ('function' === typeof target.emit) {
+        target.emit(event, data);
+    }
+    else if ('function' === typeof target.dispatchEvent) {
+        target.dispatchEvent(new CustomEvent(event, { detail: data }));
     }
     else {
-        subscriptions[event] = [subscription];
+        target.next(data);
+    }
+}
+/**
+ * compare any 2 given plain objects, arrays or primitives by value.
+ *
+ * @private
+ * @method _deepEqual
+ * @param {Object} x anything
+ * @param {Object} y anything
+ * @return {Boolean}
+ */
+function _deepEqual(x, y) {
+    if (x === y) {
+        return true;
+    }
+    if (!x || !y || 'object' !== typeof x || 'object' !== typeof y) {
+        // NaN is the only value which is not equal to itself
+        return x !== x && y !== y;
     }
-    return subscription;
+    if (x instanceof Date || y instanceof Date) {
+        return x instanceof Date && y instanceof Date && x.getTime() === y.getTime();
+    }
+    if (Array.isArray(x) !== Array.isArray(y)) {
+        return false;
+    }
+    var keys = Object.keys(x);
+    return keys.length === Object.keys(y).length && keys.every(function (key) {
+        return Object.prototype.hasOwnProperty.call(y, key) && _deepEqual(x[key], y[key]);
+    });
+}
+/**
+ * read the value at given `path` (a list of property names) of `data`.
+ *
+ * @private
+ * @method _valueAt
+ * @param {Object} data
+ * @param {Array} path
+ * @return {Object} `undefined` if any part of `path` is missing
+ */
+function _valueAt(data, path) {
+    return path.reduce(function (value, key) { return (null === value || undefined === value) ? undefined : value[key]; }, data);
 }
 /**
  *
  * @class EventManager
  */
 var EventManager = (function () {
-    function EventManager() {
+    /**
+     * Creates an isolated bus. Events fired on a bus created with `parent`
+     * are delivered locally first and then forwarded to `parent`.
+     *
+     * @constructor
+     * @param {EventManager} [parent]
+     */
+    function EventManager(parent) {
+        var _this = this;
+        /**
+         * A hash of { eventName: [registration1, registration2, ...] }
+         * made through this instance (or scope) and its scopes.
+         *
+         * @private
+         * @property _subscriptions
+         * @type {Object}
+         */
+        this._subscriptions = {};
+        /**
+         * Scopes created by this instance (or scope) and not yet disposed.
+         *
+         * @private
+         * @property _scopes
+         * @type {Array}
+         */
+        this._scopes = [];
+        /**
+         * @private
+         * @property _disposed
+         * @type {Boolean}
+         */
+        this._disposed = false;
+        this._bus = _createBus(parent, function (e, subscriber, error) {
+            if ('unsubscribe' === _this._fail([e.event], e.data, subscriber, error)) {
+                subscriber.unsubscribe();
+            }
+        });
     }
+    Object.defineProperty(EventManager.prototype, "errors$", {
+        /**
+         * The stream of errors thrown (or rejected) by middlewares and listeners of this bus,
+         * each one as `{ event, data, error, handler }`. A throwing listener never prevents
+         * the other listeners from getting the event, see `configure` for what else happens.
+         *
+         * @usage
+         *
+         * eventManager.errors$.subscribe((e) => console.error(e.event, e.error));
+         *
+         * @property errors$
+         * @type {Observable}
+         */
+        get: function () {
+            return this._bus.errors;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(EventManager.prototype, "tap$", {
+        /**
+         * The stream of events delivered by this bus, after middlewares, each one as a `TapEntry`
+         * telling how many subscribers got it and how long they took. Nothing is measured while nobody observes it.
+         *
+         * @usage
+         *
+         * eventManager.tap$.filter((e) => e.duration > 16).subscribe((e) => console.warn('slow listeners of', e.event));
+         *
+         * @property tap$
+         * @type {Observable}
+         */
+        get: function () {
+            return this._bus.taps;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(EventManager.prototype, "deadLetters$", {
+        /**
+         * The stream of events fired on this bus which reached no subscriber, e.g. because of a typo in the event name
+         * or a listener registered too late, each one as `{ event, data }`. Events forwarded to a parent bus are left to it.
+         * See `configure` to buffer them until a matching listener comes.
+         *
+         * @usage
+         *
+         * eventManager.deadLetters$.subscribe((e) => console.warn('nobody listens to', e.event));
+         *
+         * @property deadLetters$
+         * @type {Observable}
+         */
+        get: function () {
+            return this._bus.unhandled;
+        },
+        enumerable: true,
+        configurable: true
+    });
     /**
-     * observe with given `event`.
-     * Note: It's caller's duty to dispose returned subscription.
+     * Returns the process-wide bus, for the cases a global bus is wanted.
      *
      * @usage
      *
-     * 1. single event
-     *
-     * EventManager.observe('ios').subscribe(function (data) {
-     *     console.log(data.answer);
-     * });
-     *
-     * EventManager.fire('ios', { answer: 42 })
-     * > 42
+     * EventManager.shared() === EventManager.shared();
+     * > true
      *
-     * @throws TypeError if given `event` is not a valid string
+     * @static
+     * @method shared
+     * @return {EventManager}
      */
-    EventManager.prototype.observe = function (event) {
-        if (_isInvalidString(event)) {
-            throw new TypeError('given event is not a valid string');
-        }
-        if (!observables[event]) {
-            observables[event] = eventManagerCore
-                .filter(function (e) { return event === e.event; })
-                .map(function (e) { return e.data; });
+    EventManager.shared = function () {
+        if (!sharedEventManager) {
+            sharedEventManager = new EventManager();
         }
-        var observable = observables[event];
-        var originalSubscribe = observable.subscribe;
-        observable.subscribe = function () {
-            var args = [];
-            for (var _i = 0; _i < arguments.length; _i++) {
-                args[_i - 0] = arguments[_i];
-            }
-            return _registerSubscription(event, originalSubscribe.call.apply(originalSubscribe, [observable].concat(args)));
-        };
-        return observable;
+        return sharedEventManager;
     };
     /**
-     * subscribe to given `event`.
+     * Creates a child bus which forwards every fired event to this one.
+     * Listeners of the child are not affected by `off`/`offAll` of the parent and vice versa.
      *
      * @usage
      *
-     * EventManager.on('ios', (data) => {
-     *     console.log(data.answer);
-     * });
-     *
-     * EventManager.fire('ios', { answer: 42 })
-     * > 42
-     *
-     * multiple events (space separated)
+     * const child = eventManager.child();
      *
-     * EventManager.on('hello world', (data) => {
-     *    console.log(data.answer);
-     * });
+     * eventManager.on('hello', (value) => console.log(value));
      *
-     * EventManager.fire('hello', { answer: 42 })
+     * child.fire('hello', 42);
      * > 42
      *
-     * EventManager.fire('world', { answer: 42 })
-     * > 42
-     */
-    EventManager.prototype.on = function (event, next, error, complete) {
-        return _registerSubscription(event, this.observe(event).subscribe(next, error, complete));
-    };
-    /**
-     * execute callback only once and dispose it self.
-     * @see on
+     * @method child
+     * @return {EventManager}
      */
-    EventManager.prototype.once = function (event, next, error, complete) {
-        return _registerSubscription(event, this.observe(event).take(1).subscribe(next, error, complete));
+    EventManager.prototype.child = function () {
+        return new EventManager(this);
     };
     /**
-     * Emits latest-persisted sequence (if available)
+     * Creates a scope: a handle on the same bus which tracks every subscription made through it,
+     * so that `dispose` tears all of them down without touching listeners of other scopes.
+     * Scopes nest, disposing a scope disposes its scopes as well.
+     *
+     * @usage
+     *
+     * const scope = eventManager.scope();
+     *
+     * scope.on('hello', (value) => console.log(value));
+     * scope.latest('world', (value) => console.log(value));
+     *
+     * scope.dispose();
+     *
+     * eventManager.fire('hello', 42);
+     * // nothing happened
+     *
+     * @method scope
+     * @return {EventManager}
      */
-    EventManager.prototype.latest = function (event, next, error, complete) {
-        var observable, observer, latestData, subscription;
-        observable = this.observe(event);
-        if (undefined === next) {
-            return observable;
+    EventManager.prototype.scope = function () {
+        var scope = new EventManager();
+        scope._bus = this._bus;
+        scope._host = this;
+        scope._disposed = this._disposed;
+        if (!this._disposed) {
+            this._scopes.push(scope);
         }
-        observer = Subscriber_1.Subscriber.create(next, error, complete);
-        subscription = observable.subscribe(observer);
-        latestData = latestEventData[event];
-        if (latestData && true === latestData.hasValue) {
-            setImmediate(function () {
-                observer.next(latestData.value);
-            });
-        }
-        return _registerSubscription(event, subscription);
+        return scope;
     };
     /**
-     * Emits value only if it's changed (determined by `comparer`)
+     * unsubscribe every subscription made through this scope and dispose its scopes.
+     * Subscriptions made through a disposed scope are unsubscribed immediately.
      *
-     * @method change
-     * @param {String} event event name.
-     * @param {Function} [comparer] default to `_defaultComparer`
-     * @param {Function} [next]
-     * @param {Function} [error]
-     * @param {Function} [complete]
-     * @return {Subscription}
+     * @method dispose
      */
-    EventManager.prototype.change = function (event, comparer, next, error, complete) {
-        var observable;
-        comparer = comparer || _defaultComparer;
-        if (_isNotFunction(comparer)) {
-            throw new TypeError('comparer should be a function');
-        }
-        observable = this.observe(event).distinctUntilChanged(_keySelector);
-        if (undefined === next) {
-            return observable;
+    EventManager.prototype.dispose = function () {
+        var _this = this;
+        var host = this._host;
+        this._disposed = true;
+        this._scopes.slice().forEach(function (scope) { return scope.dispose(); });
+        Object.keys(this._subscriptions).forEach(function (event) { return _this.off(event); });
+        if (host) {
+            host._scopes = host._scopes.filter(function (scope) { return _this !== scope; });
         }
-        return _registerSubscription(event, observable.subscribe(next, error, complete));
     };
     /**
-     * Same as fire method
+     * compare any 2 given plain objects, arrays or primitives by value,
+     * to be used as the comparer of `change`.
+     *
+     * @usage
+     *
+     * EventManager.change('user', EventManager.deepEqual, (user) => {
+     *     console.log(user.name);
+     * });
+     *
+     * @static
+     * @method deepEqual
+     * @param {Object} x anything
+     * @param {Object} y anything
+     * @return {Boolean}
      */
-    EventManager.prototype.trigger = function (event, data) {
-        return this.fire(event, data);
+    EventManager.deepEqual = function (x, y) {
+        return _deepEqual(x, y);
     };
     /**
-     * dispatch `event` with given `data`.
+     * type given event `name` with the payload type `P`, so that the compiler checks payloads
+     * given to `fire` and infers values of `on`, `once`, `latest`, `change` and `observe`.
+     * Typed events are declared once, as a map of event keys.
      *
      * @usage
      *
-     * EventManager.fire('hello', 42);
-     * > 42
+     * const Events = {
+     *     login: EventManager.event<User>('user.login'),
+     *     logout: EventManager.event<number>('user.logout')
+     * };
      *
-     * @method fire
-     * @param {String} event event name
-     * @param {Object} data anything
-     * @throws TypeError if given `event` is not a valid string
-     * @chainable
+     * eventManager.on(Events.login, (user) => console.log(user.name)); // `user` is a `User`
+     *
+     * eventManager.fire(Events.logout, 'john');
+     * // compile error, the payload of `user.logout` is a number
+     *
+     * @static
+     * @method event
+     * @param {String} name event name or pattern
+     * @return {String} `name`
+     * @throws TypeError if given `name` is not a valid string
      */
-    EventManager.prototype.fire = function (event, data) {
-        if (_isInvalidString(event)) {
+    EventManager.event = function (name) {
+        if (_isInvalidString(name)) {
             throw new TypeError('given event is not a valid string');
         }
-        if (!latestEventData[event]) {
-            latestEventData[event] = { hasValue: true };
-        }
-        latestEventData[event].value = data;
-        eventManagerCore.next({ event: event, data: data });
-        return this;
+        return name;
     };
     /**
-     * @usage
-     *
-     * EventManager.on('hello', function (value) {
-     *     console.log(value);
-     * });
-     *
-     * EventManager.fire('hello', 42);
-     * > 42
-     *
-     * EventManager.off('hello');
+     * A helper to memorize event and correspoinding subscription.
      *
-     * EventManager.fire('hello', 42);
-     * // nothing happened
+     * A subscription registered again only updates its handler and owner.
+     * Subscriptions of a scope are registered with its host as well, owned by the scope by default.
+     * Once unsubscribed (or completed) it is removed automatically.
      *
-     * @method off
-     * @param {String} event event name.
+     * @private
+     * @method _registerSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
+     * @param {Function|Observer} [handler]
+     * @param {Object} [owner]
+     * @return {Subscription}
      */
-    EventManager.prototype.off = function (event) {
-        if (Array.isArray(subscriptions[event])) {
-            subscriptions[event].forEach(function (s) { return s.unsubscribe(); });
-            delete subscriptions[event];
+    EventManager.prototype._registerSubscription = function (names, subscription, handler, owner) {
+        var _this = this;
+        var subscriptions = this._subscriptions;
+        if (this._disposed) {
+            subscription.unsubscribe();
         }
-        if (latestEventData[event]) {
-            delete latestEventData[event];
+        if (subscription.isUnsubscribed) {
+            return subscription;
         }
-        return this;
+        if (this._host) {
+            this._host._registerSubscription(names, subscription, handler, undefined === owner ? this : owner);
+        }
+        var added = names.filter(function (event) {
+            var registrations = subscriptions[event] || (subscriptions[event] = []);
+            var registration = registrations.filter(function (r) { return subscription === r.subscription; })[0];
+            if (!registration) {
+                registrations.push({ subscription: subscription, handler: handler, owner: owner });
+                return true;
+            }
+            if (undefined !== handler) {
+                registration.handler = handler;
+            }
+            if (undefined !== owner) {
+                registration.owner = owner;
+            }
+            return false;
+        });
+        if (0 < added.length) {
+            subscription.add(function () { return _this._unregisterSubscription(added, subscription); });
+        }
+        return subscription;
     };
     /**
-     * off all subscriptions
+     * forget given `subscription` of given event `names`.
      *
-     * @method offAll
-     * @chainable
+     * @private
+     * @method _unregisterSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
      */
-    EventManager.prototype.offAll = function () {
-        var _this = this;
-        Object.keys(subscriptions).forEach(function (event) { return _this.off(event); });
-        return this;
+    EventManager.prototype._unregisterSubscription = function (names, subscription) {
+        var subscriptions = this._subscriptions;
+        names.forEach(function (event) {
+            if (!subscriptions[event]) {
+                return;
+            }
+            subscriptions[event] = subscriptions[event].filter(function (r) { return subscription !== r.subscription; });
+            if (0 === subscriptions[event].length) {
+                delete subscriptions[event];
+            }
+        });
+    };
+    /**
+     * return registrations of every event name matching given `event` (name(s) or pattern(s)),
+     * each registration only once.
+     *
+     * @private
+     * @method _registrations
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    EventManager.prototype._registrations = function (event) {
+        var subscriptions = this._subscriptions;
+        var registrations = [];
+        var seen = [];
+        _toEventNames(event).forEach(function (name) {
+            Object.keys(subscriptions)
+                .filter(function (key) { return PatternIndex_1.default.matches(name, key); })
+                .forEach(function (key) { return subscriptions[key].forEach(function (registration) {
+                if (-1 === seen.indexOf(registration.subscription)) {
+                    seen.push(registration.subscription);
+                    registrations.push(registration);
+                }
+            }); });
+        });
+        return registrations;
     };
+    /**
+     * subscribe given `observable` of `event` and memorize the subscription.
+     * `error` can be `ListenerOptions` instead of an error callback.
+     * Handlers get the `EventContext` as second argument, and are skipped once its propagation is stopped.
+     * Values go through the flow control of `options` first, see `_flowOf`.
+     * Handler calls are queued instead if the delivery awaits them, see `fireAsync`.
+     *
+     * @private
+     * @method _listen
+     * @param {String|Array} event event name(s).
+     * @param {Observable} observable
+     * @param {Function|Observer} [next]
+     * @param {Function|Object} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    EventManager.prototype._listen = function (event, observable, next, error, complete) {
+        var _this = this;
+        var bus = this._bus;
+        var names = _toEventNames(event);
+        var options = _isListenerOptions(error) ? error : {};
+        var flow = this._flowOf(names, options);
+        var observer = next && 'function' !== typeof next ? next : undefined;
+        var subscription;
+        var faulty = false;
+        var guarded = function (value) {
+            var delivery = _isDelivering(bus.delivering, names, value) ? bus.delivering : undefined;
+            var context = delivery ? delivery.context : new EventContext_1.default(names[0], value);
+            var call = function () { return observer ? observer.next(value, context) : next(value, context); };
+            if (context.propagationStopped) {
+                return;
+            }
+            if (delivery && delivery.handlers) {
+                delivery.handlers.push({ context: context, call: call });
+                return;
+            }
+            try {
+                return call();
+            }
+            catch (ex) {
+                faulty = 'unsubscribe' === _this._fail(names, value, next, ex);
+                if (faulty && subscription) {
+                    subscription.unsubscribe();
+                }
+            }
+        };
+        var handle = undefined === flow.queue ? guarded :
+            _bounded(guarded, flow.queue, flow.overflow, function () { return faulty || subscription && subscription.isUnsubscribed; });
+        observable = _applyFlow(observable, flow);
+        subscription = observer ?
+            observable.subscribe(observer.next ? handle : undefined, function (e) { return observer.error && observer.error(e); }, function () { return observer.complete && observer.complete(); }) :
+            observable.subscribe(next && handle, _isListenerOptions(error) ? undefined : error, complete);
+        if (faulty) {
+            subscription.unsubscribe();
+        }
+        return this._registerSubscription(names, subscription, next, options.owner);
+    };
+    /**
+     * publish given `error`, thrown by `handler` of event `names` with `value`, on `errors$`
+     * and apply the `onError` policy of the event being delivered.
+     *
+     * @private
+     * @method _fail
+     * @param {Array} names event names the handler listens to
+     * @param {Object} value the value given to the handler
+     * @param {Function|Observer} handler
+     * @param {Object} error
+     * @return {String} the applied policy
+     * @throws the error if the policy is `rethrow` and no event is being delivered (e.g. on replay)
+     */
+    EventManager.prototype._fail = function (names, value, handler, error) {
+        var bus = this._bus;
+        var message = bus.delivering ? bus.delivering.context : { event: names[0], data: value };
+        var onError = this._policy(message.event).onError || DEFAULT_POLICY.onError;
+        bus.errors.next({ event: message.event, data: message.data, error: error, handler: handler });
+        if ('log' === onError) {
+            console.error(error);
+        }
+        if ('rethrow' === onError) {
+            if (!bus.failures) {
+                throw error;
+            }
+            bus.failures.push(error);
+        }
+        return onError;
+    };
+    /**
+     * return the memorized observable of a single `event` for listeners of given `priority`.
+     * A pattern emits `{ event, data }` so that the concrete event name is known.
+     *
+     * @private
+     * @method _observe
+     * @param {String} event event name or pattern
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    EventManager.prototype._observe = function (event, priority) {
+        if (priority === void 0) { priority = 0; }
+        var observables = this._bus.observables[event] || (this._bus.observables[event] = {});
+        if (!observables[priority]) {
+            var lanes = this._bus.index.get(event, function () { return []; });
+            var subject = new Subject_1.Subject();
+            lanes.push({ priority: priority, subject: subject });
+            observables[priority] = PatternIndex_1.default.isPattern(event) ?
+                subject :
+                subject.map(function (e) { return e.data; });
+        }
+        return observables[priority];
+    };
+    /**
+     * return the merged observable of given event `names`.
+     *
+     * @private
+     * @method _source
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent tag values with the concrete event name
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    EventManager.prototype._source = function (names, withEvent, priority) {
+        var _this = this;
+        if (priority === void 0) { priority = 0; }
+        if (1 === names.length && !withEvent) {
+            return this._observe(names[0], priority);
+        }
+        return Observable_1.Observable.merge.apply(Observable_1.Observable, names.map(function (name) {
+            return withEvent && !PatternIndex_1.default.isPattern(name) ?
+                _this._observe(name, priority).map(function (data) { return ({ event: name, data: data }); }) :
+                _this._observe(name, priority);
+        }));
+    };
+    /**
+     * wrap given `source` of event `names` into a new observable which memorizes its subscriptions,
+     * and subscriptions of observables derived from it by operators.
+     *
+     * @private
+     * @method _track
+     * @param {Array} names event names
+     * @param {Observable} source
+     * @return {EventObservable}
+     */
+    EventManager.prototype._track = function (names, source) {
+        var _this = this;
+        return new EventObservable_1.default(function (subscription, handler) { return _this._registerSubscription(names, subscription, handler); }, source);
+    };
+    /**
+     * return the policy of given concrete `event`.
+     *
+     * @private
+     * @method _policy
+     * @param {String} event
+     * @return {Object}
+     */
+    EventManager.prototype._policy = function (event) {
+        return this._bus.policies[event] || DEFAULT_POLICY;
+    };
+    /**
+     * return the flow control of a listener of given event `names`: given `options` take precedence
+     * over the configuration of the names, which takes precedence over the configuration of patterns matching them.
+     *
+     * @private
+     * @method _flowOf
+     * @param {Array} names event names or patterns
+     * @param {Object} options
+     * @return {Object}
+     * @throws TypeError if given `options` are invalid, see `_checkFlow`
+     */
+    EventManager.prototype._flowOf = function (names, options) {
+        var policies = this._bus.policies;
+        var flow = {};
+        var sources = [options];
+        _checkFlow(options);
+        names.forEach(function (name) { return policies[name] && sources.push(policies[name]); });
+        names.forEach(function (name) { return Object.keys(policies)
+            .filter(function (key) { return key !== name && PatternIndex_1.default.isPattern(key) && PatternIndex_1.default.matches(key, name); })
+            .forEach(function (key) { return sources.push(policies[key]); }); });
+        FLOW_OPTIONS.forEach(function (options) {
+            var source = sources.filter(function (candidate) { return options.some(function (option) { return undefined !== candidate[option]; }); })[0];
+            options.forEach(function (option) { return flow[option] = source && source[option]; });
+        });
+        return flow;
+    };
+    /**
+     * return the memorized values of given concrete `event` which are still within the replay window.
+     *
+     * @private
+     * @method _replayEntries
+     * @param {String} event
+     * @return {Array}
+     */
+    EventManager.prototype._replayEntries = function (event) {
+        var policy = this._policy(event);
+        var now = _now(policy);
+        return (this._bus.latestEventData[event] || [])
+            .filter(function (entry) { return now - entry.timestamp <= policy.windowMs; });
+    };
+    /**
+     * return values to replay for given event `names` in the order they were fired.
+     * Values of patterns are tagged with the concrete event name.
+     *
+     * @private
+     * @method _replayValues
+     * @param {Array} names event names or patterns
+     * @return {Array}
+     */
+    EventManager.prototype._replayValues = function (names) {
+        var _this = this;
+        var latestEventData = this._bus.latestEventData;
+        var entries = [];
+        var values = [];
+        names.forEach(function (name) {
+            var isPattern = PatternIndex_1.default.isPattern(name);
+            var keys = isPattern ?
+                Object.keys(latestEventData).filter(function (key) { return PatternIndex_1.default.matches(name, key); }) :
+                [name];
+            keys.forEach(function (key) { return _this._replayEntries(key).forEach(function (entry) {
+                if (-1 === entries.indexOf(entry)) {
+                    entries.push(entry);
+                    values[entry.sequence] = isPattern ? { event: key, data: entry.value } : entry.value;
+                }
+            }); });
+        });
+        return entries
+            .sort(function (x, y) { return x.sequence - y.sequence; })
+            .map(function (entry) { return values[entry.sequence]; });
+    };
+    /**
+     * prepend values to replay of given event `names` to `source`.
+     * The replay is delivered synchronously, or through the scheduler configured for one of `names`;
+     * values fired meanwhile, even by the replay itself, are delivered after the replay.
+     *
+     * @private
+     * @method _replaying
+     * @param {Array} names event names or patterns
+     * @param {Observable} source
+     * @return {Observable}
+     */
+    EventManager.prototype._replaying = function (names, source) {
+        var _this = this;
+        return new Observable_1.Observable(function (subscriber) {
+            var values = _this._replayValues(names);
+            var scheduler = names
+                .map(function (name) { return _this._policy(name).scheduler; })
+                .filter(Boolean)[0];
+            var pending = values;
+            var subscription = source.subscribe(function (value) { return pending ? pending.push(value) : subscriber.next(value); }, function (error) { return subscriber.error(error); }, function () { return subscriber.complete(); });
+            var flush = function () {
+                try {
+                    while (0 < pending.length && !subscriber.isUnsubscribed) {
+                        subscriber.next(pending.shift());
+                    }
+                }
+                catch (ex) {
+                    subscription.unsubscribe();
+                    throw ex;
+                }
+                pending = null;
+            };
+            if (!scheduler || 0 === values.length) {
+                flush();
+            }
+            else {
+                subscription.add(scheduler.schedule(flush));
+            }
+            return subscription;
+        });
+    };
+    /**
+     * prepend buffered undelivered events of given event `names` to `source`, delivered to the first subscriber only,
+     * in the shape `source` emits them, see `_source`. Given a `count`, only the oldest `count` ones are taken
+     * off the buffer, the others stay for the next subscriber.
+     *
+     * @private
+     * @method _draining
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent whether `source` tags values with the concrete event name
+     * @param {Observable} source
+     * @param {Number} [count] default to every buffered one
+     * @return {Observable}
+     */
+    EventManager.prototype._draining = function (names, withEvent, source, count) {
+        var _this = this;
+        if (count === void 0) { count = Infinity; }
+        return new Observable_1.Observable(function (subscriber) {
+            var bus = _this._bus;
+            var letters = bus.deadLetters
+                .filter(function (letter) { return names.some(function (name) { return PatternIndex_1.default.matches(name, letter.event); }); })
+                .slice(0, count);
+            bus.deadLetters = bus.deadLetters.filter(function (letter) { return -1 === letters.indexOf(letter); });
+            letters.forEach(function (letter) {
+                var tagged = withEvent || names.some(function (name) { return PatternIndex_1.default.isPattern(name) && PatternIndex_1.default.matches(name, letter.event); });
+                subscriber.next(tagged ? letter : letter.data);
+            });
+            return source.subscribe(subscriber);
+        });
+    };
+    /**
+     * observe `event` and emit value only if the value at given `key` (a property path) is changed.
+     *
+     * @private
+     * @method _changeByKey
+     * @param {String|Array} event event name(s).
+     * @param {String} key property name or dotted property path
+     * @param {Number} priority
+     * @return {Observable}
+     */
+    EventManager.prototype._changeByKey = function (event, key, priority) {
+        var path = key.split('.');
+        var names = _toEventNames(event);
+        var observable = this._track(names, this._source(names, false, priority));
+        if (1 === path.length) {
+            return observable.distinctUntilKeyChanged(key);
+        }
+        return observable.distinctUntilChanged(function (x, y) { return _valueAt(x, path) === _valueAt(y, path); });
+    };
+    /**
+     * write replayed values of given concrete `event` into its storage, if it is persisted.
+     * An error thrown by the storage is published on `errors$`.
+     *
+     * @private
+     * @method _save
+     * @param {String} event
+     */
+    EventManager.prototype._save = function (event) {
+        var bus = this._bus;
+        var options = bus.persistence[event];
+        var entries = bus.latestEventData[event];
+        if (!options) {
+            return;
+        }
+        try {
+            if (!entries || 0 === entries.length) {
+                options.storage.removeItem(options.key + event);
+            }
+            else {
+                options.storage.setItem(options.key + event, JSON.stringify({
+                    version: options.version,
+                    entries: entries.map(function (entry) { return ({ value: entry.value, timestamp: entry.timestamp }); })
+                }));
+            }
+        }
+        catch (ex) {
+            var data = entries && entries.length ? entries[entries.length - 1].value : undefined;
+            bus.errors.next({ event: event, data: data, error: ex, handler: options.storage });
+        }
+    };
+    /**
+     * read values of given concrete `event` from its storage, or store the values in memory if there are any.
+     * Expired values are dropped, values of other versions are migrated or dropped.
+     *
+     * @private
+     * @method _rehydrate
+     * @param {String} event
+     */
+    EventManager.prototype._rehydrate = function (event) {
+        var bus = this._bus;
+        var options = bus.persistence[event];
+        var policy = this._policy(event);
+        var now = _now(policy);
+        var stored;
+        try {
+            stored = JSON.parse(options.storage.getItem(options.key + event));
+        }
+        catch (ex) {
+            stored = null;
+        }
+        if (bus.latestEventData[event] || !stored || !Array.isArray(stored.entries)) {
+            this._save(event);
+            return;
+        }
+        var entries = stored.entries
+            .filter(function (entry) { return undefined === options.ttlMs || now - entry.timestamp <= options.ttlMs; });
+        if (stored.version !== options.version) {
+            entries = options.migrate ? entries.filter(function (entry) {
+                try {
+                    entry.value = options.migrate(entry.value, stored.version);
+                }
+                catch (ex) {
+                    bus.errors.next({ event: event, data: entry.value, error: ex, handler: options.migrate });
+                    return false;
+                }
+                return true;
+            }) : [];
+        }
+        bus.latestEventData[event] = entries
+            .slice(Math.max(0, entries.length - policy.replay))
+            .map(function (entry) { return ({ value: entry.value, timestamp: entry.timestamp, sequence: bus.sequence++ }); });
+        if (0 === bus.latestEventData[event].length) {
+            delete bus.latestEventData[event];
+        }
+        this._save(event);
+    };
+    EventManager.prototype.observe = function (event, options) {
+        var names = _toEventNames(event);
+        if (options && undefined !== options.queue) {
+            throw new TypeError('queue only applies to handlers');
+        }
+        var withEvent = Boolean(options && options.withEvent);
+        var source = this._draining(names, withEvent, this._source(names, withEvent));
+        return _applyFlow(this._track(names, source), this._flowOf(names, options || {}));
+    };
+    EventManager.prototype.on = function (event, next, error, complete) {
+        var names = _toEventNames(event);
+        var source = this._draining(names, false, this._source(names, false, _priorityOf(error)));
+        return this._listen(event, this._track(names, source), next, error, complete);
+    };
+    EventManager.prototype.once = function (event, next, error, complete) {
+        var names = _toEventNames(event);
+        var observable = this._track(names, this._draining(names, false, this._source(names, false, _priorityOf(error)), 1));
+        return this._listen(event, observable.take(1), next, error, complete);
+    };
+    EventManager.prototype.latest = function (event, next, error, complete) {
+        var names = _toEventNames(event);
+        var observable = this._track(names, this._replaying(names, this._source(names, false, _priorityOf(error))));
+        if (undefined === next) {
+            return observable;
+        }
+        return this._listen(event, observable, next, error, complete);
+    };
+    /**
+     * configure the policy of given `event`. It replays the last `replay` values
+     * (`0` for none, default to `1`) fired within the last `windowMs` milliseconds.
+     * Given a `scheduler` the replay is delivered asynchronously through it.
+     * `onError` tells what to do when a listener throws, see `errors$`.
+     * Options of `FlowControl` are the defaults of listeners of `event`, configuring a pattern
+     * (e.g. `**`) sets defaults of every event it matches, their time-based operators run on `flowScheduler`.
+     * `deadLetters` buffers that many events which reached no subscriber for the first matching `on`, `once` or `observe`,
+     * see `deadLetters$`. `latest` leaves them buffered, it replays the latest values instead.
+     *
+     * @usage
+     *
+     * EventManager.configure('price', { replay: 5, windowMs: 1000 });
+     *
+     * EventManager.configure('hello', { scheduler: asap });
+     *
+     * EventManager.configure('save', { onError: 'rethrow' });
+     *
+     * EventManager.configure('sensor.*', { sampleMs: 1000 });
+     *
+     * EventManager.configure('app.ready', { deadLetters: 1 });
+     *
+     * @method configure
+     * @param {String|Array} event event name(s).
+     * @param {Object} policy
+     * @throws TypeError if given `replay` is not a non-negative integer, `windowMs` is not a positive number
+     * or `onError` is unknown, `deadLetters` is not a non-negative integer, or given flow control is invalid
+     * @chainable
+     */
+    EventManager.prototype.configure = function (event, policy) {
+        var _this = this;
+        var bus = this._bus;
+        var replay = undefined === policy.replay ? DEFAULT_POLICY.replay : policy.replay;
+        var windowMs = undefined === policy.windowMs ? DEFAULT_POLICY.windowMs : policy.windowMs;
+        var onError = undefined === policy.onError ? DEFAULT_POLICY.onError : policy.onError;
+        var deadLetters = policy.deadLetters;
+        if ('number' !== typeof replay || replay < 0 || Math.floor(replay) !== replay) {
+            throw new TypeError('replay should be a non-negative integer');
+        }
+        if ('number' !== typeof windowMs || !(windowMs > 0)) {
+            throw new TypeError('windowMs should be a positive number');
+        }
+        if (-1 === ['log', 'unsubscribe', 'rethrow'].indexOf(onError)) {
+            throw new TypeError('onError should be one of `log`, `unsubscribe` or `rethrow`');
+        }
+        if (undefined !== deadLetters && ('number' !== typeof deadLetters || deadLetters < 0 || Math.floor(deadLetters) !== deadLetters)) {
+            throw new TypeError('deadLetters should be a non-negative integer');
+        }
+        _checkFlow(policy);
+        _toEventNames(event).forEach(function (name) {
+            var entries = bus.latestEventData[name];
+            bus.policies[name] = {
+                replay: replay, windowMs: windowMs, scheduler: policy.scheduler, onError: onError, deadLetters: deadLetters
+            };
+            FLOW_OPTIONS.forEach(function (options) { return options.forEach(function (option) { return bus.policies[name][option] = policy[option]; }); });
+            if (entries) {
+                entries.splice(0, Math.max(0, entries.length - replay));
+                _this._save(name);
+            }
+        });
+        return this;
+    };
+    /**
+     * persist replayed values of given `event` into `storage`, and rehydrate the ones stored before,
+     * so that `latest` replays them right away. Values stored with another `version` are migrated
+     * by `migrate`, or dropped without it. Values older than `ttlMs` are dropped.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage, version: 2, ttlMs: 86400000 });
+     *
+     * EventManager.latest('session.user', (user) => console.log(user.name));
+     * > John
+     *
+     * @method persist
+     * @param {String|Array} event event name(s).
+     * @param {Object} options
+     * @throws TypeError if `event` is a pattern, `storage` is not a storage adapter,
+     * `version` is not a non-negative integer or `ttlMs` is not a positive number
+     * @chainable
+     */
+    EventManager.prototype.persist = function (event, options) {
+        var _this = this;
+        var names = _toEventNames(event);
+        var storage = options.storage;
+        var version = undefined === options.version ? 0 : options.version;
+        if (names.some(function (name) { return PatternIndex_1.default.isPattern(name); })) {
+            throw new TypeError('patterns can not be persisted');
+        }
+        if (!storage || ['getItem', 'setItem', 'removeItem'].some(function (method) { return _isNotFunction(storage[method]); })) {
+            throw new TypeError('storage should have getItem, setItem and removeItem methods');
+        }
+        if ('number' !== typeof version || version < 0 || Math.floor(version) !== version) {
+            throw new TypeError('version should be a non-negative integer');
+        }
+        if (undefined !== options.ttlMs && !(options.ttlMs > 0)) {
+            throw new TypeError('ttlMs should be a positive number');
+        }
+        names.forEach(function (name) {
+            _this._bus.persistence[name] = {
+                storage: storage,
+                key: options.key || 'rx-event-manager:',
+                version: version,
+                migrate: options.migrate,
+                ttlMs: options.ttlMs
+            };
+            _this._rehydrate(name);
+        });
+        return this;
+    };
+    /**
+     * return the current value of given state `event`, the one set within the batch in progress if any.
+     *
+     * @private
+     * @method _readState
+     * @param {String} event
+     * @return {Object}
+     */
+    EventManager.prototype._readState = function (event) {
+        var batch = this._bus.batch;
+        var entries = this._replayEntries(event);
+        if (batch && batch.values.hasOwnProperty(event)) {
+            return batch.values[event];
+        }
+        return entries.length ? entries[entries.length - 1].value : undefined;
+    };
+    /**
+     * fire given state `event` with `value`, or set it within the batch in progress.
+     *
+     * @private
+     * @method _writeState
+     * @param {String} event
+     * @param {Object} value
+     */
+    EventManager.prototype._writeState = function (event, value) {
+        var batch = this._bus.batch;
+        if (!batch) {
+            this.fire(event, value);
+            return;
+        }
+        if (!batch.values.hasOwnProperty(event)) {
+            batch.names.push(event);
+        }
+        batch.values[event] = value;
+    };
+    EventManager.prototype.state = function (event, initial) {
+        var _this = this;
+        var names = _toEventNames(event);
+        var name = names[0];
+        if (1 !== names.length || PatternIndex_1.default.isPattern(name)) {
+            throw new TypeError('state should be a single event name');
+        }
+        if (undefined !== initial && undefined === this._readState(name)) {
+            this._writeState(name, initial);
+        }
+        return new State_1.default(name, function () { return _this._readState(name); }, function (value) { return _this._writeState(name, value); }, function () { return _this.latest(name); });
+    };
+    EventManager.prototype.derive = function (event, sources, project) {
+        var _this = this;
+        var bus = this._bus;
+        var state = this.state(event);
+        var name = state.name;
+        if (!Array.isArray(sources) || 0 === sources.length) {
+            throw new TypeError('sources should be a non-empty array');
+        }
+        if (_isNotFunction(project)) {
+            throw new TypeError('project should be a function');
+        }
+        var names = sources.map(function (source) { return source instanceof State_1.default ? source.name : _this.state(source).name; });
+        var compute = function () {
+            var value;
+            try {
+                value = project.apply(void 0, names.map(function (source) { return _this._readState(source); }));
+            }
+            catch (ex) {
+                bus.errors.next({ event: name, data: undefined, error: ex, handler: project });
+                return;
+            }
+            if (value !== _this._readState(name)) {
+                _this._writeState(name, value);
+            }
+        };
+        var subscription = this.observe(names).subscribe(compute);
+        compute();
+        return new State_1.default(name, function () { return _this._readState(name); }, undefined, function () { return _this.latest(name); }, function () { return subscription.unsubscribe(); });
+    };
+    /**
+     * call given `updater`, firing the values it sets on states once it returns, one event per state
+     * with its last value: listeners and derived states see all the updates at once.
+     * Nothing is fired if `updater` throws. A batch within a batch belongs to the outer one.
+     *
+     * @usage
+     *
+     * EventManager.batch(() => {
+     *     price.set(12);
+     *     quantity.update((value) => value + 1);
+     * });
+     * // `cart.total` is fired once
+     *
+     * @method batch
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function
+     * @chainable
+     */
+    EventManager.prototype.batch = function (updater) {
+        var bus = this._bus;
+        var batch = bus.batch;
+        if (_isNotFunction(updater)) {
+            throw new TypeError('updater should be a function');
+        }
+        if (batch) {
+            updater();
+            return this;
+        }
+        batch = bus.batch = { names: [], values: {} };
+        try {
+            updater();
+            while (0 < batch.names.length) {
+                var name_1 = batch.names.shift();
+                var value = batch.values[name_1];
+                delete batch.values[name_1];
+                this.fire(name_1, value);
+            }
+        }
+        finally {
+            bus.batch = undefined;
+        }
+        return this;
+    };
+    /**
+     * fire given composite `event` with what `correlate` returns for every event fired as one of given `sources`,
+     * unless it returns `undefined`. An event matching several sources is correlated once.
+     * The composite is a listener of `event`, so that `off` tears it down.
+     * An error thrown by firing the composite event is published on `errors$`.
+     *
+     * @private
+     * @method _compose
+     * @param {String|Object} event the composite event name
+     * @param {String|Array} sources event name(s) or pattern(s)
+     * @param {Function} correlate called with `{ event, data }`
+     * @return {Subscription}
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    EventManager.prototype._compose = function (event, sources, correlate) {
+        var _this = this;
+        var bus = this._bus;
+        var names = _toEventNames(event);
+        var name = names[0];
+        var sourceNames = _toEventNames(sources);
+        var subscription;
+        if (1 !== names.length || PatternIndex_1.default.isPattern(name)) {
+            throw new TypeError('composite should be a single event name');
+        }
+        subscription = this._source(sourceNames, true).subscribe(function (message) {
+            var delivery = bus.delivering;
+            // overlapping sources, e.g. `user.* user.login`, all receive the event being delivered
+            if (delivery.composites && -1 !== delivery.composites.indexOf(subscription)) {
+                return;
+            }
+            delivery.composites = (delivery.composites || []).concat(subscription);
+            var data = correlate(message);
+            if (undefined === data) {
+                return;
+            }
+            try {
+                _this.fire(name, data);
+            }
+            catch (ex) {
+                bus.errors.next({ event: name, data: data, error: ex, handler: undefined });
+            }
+        });
+        return this._registerSubscription(names, subscription);
+    };
+    /**
+     * return the clock of given composite `event`: given `scheduler`, the configured `flowScheduler` or `asap`
+     *
+     * @private
+     * @method _clockOf
+     * @param {String|Object} event
+     * @param {Scheduler} [scheduler]
+     * @return {Scheduler}
+     */
+    EventManager.prototype._clockOf = function (event, scheduler) {
+        return this._flowOf(_toEventNames(event), { flowScheduler: scheduler }).flowScheduler || asap_1.asap;
+    };
+    /**
+     * fire given composite `event` once every one of `sources` has been fired, with an array of their latest values,
+     * then again once every one of them has been fired again. An event matching several sources
+     * counts for the first of them not fired yet.
+     *
+     * @usage
+     *
+     * EventManager.all('checkout.ready', 'cart.loaded user.loaded');
+     *
+     * EventManager.on('checkout.ready', ([cart, user]) => console.log(cart.items.length, user.name));
+     *
+     * EventManager.fire('user.loaded', { name: 'John' }).fire('cart.loaded', { items: [] });
+     * > 0 John
+     *
+     * @method all
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    EventManager.prototype.all = function (event, sources) {
+        var sourceNames = _toEventNames(sources);
+        var length = sourceNames.length;
+        var values = [];
+        var fired = [];
+        return this._compose(event, sources, function (message) {
+            var matching = sourceNames
+                .map(function (source, index) { return PatternIndex_1.default.matches(source, message.event) ? index : -1; })
+                .filter(function (index) { return -1 !== index; });
+            var index = matching.filter(function (i) { return !fired[i]; }).concat(matching)[0];
+            values[index] = message.data;
+            fired[index] = true;
+            if (fired.filter(Boolean).length < length) {
+                return undefined;
+            }
+            fired = [];
+            return values.slice();
+        });
+    };
+    /**
+     * fire given composite `event` whenever one of `sources` is fired, with `{ event, data }` of the fired one.
+     *
+     * @usage
+     *
+     * EventManager.any('session.ended', 'user.logout session.expired');
+     *
+     * EventManager.on('session.ended', (e) => console.log(e.event));
+     *
+     * EventManager.fire('session.expired', {});
+     * > session.expired
+     *
+     * @method any
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    EventManager.prototype.any = function (event, sources) {
+        return this._compose(event, sources, function (message) { return ({ event: message.event, data: message.data }); });
+    };
+    /**
+     * fire given composite `event` once `sources` have been fired in order, with an array of their values.
+     * A source may be given several times, e.g. `a a b`. Other sources fired in between are ignored,
+     * the first source starts the sequence over unless it is the next step, as does the next event
+     * once `timeoutMs` elapsed since the first one.
+     *
+     * @usage
+     *
+     * EventManager.sequence('onboarding.done', 'user.signup user.verified profile.completed', { timeoutMs: 600000 });
+     *
+     * @method sequence
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, in order
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string
+     * or `timeoutMs` is not a positive number
+     */
+    EventManager.prototype.sequence = function (event, sources, options) {
+        var timeoutMs = options && options.timeoutMs;
+        var steps = _toEventNames(sources, false);
+        var clock = this._clockOf(event, options && options.scheduler);
+        var values = [];
+        var startedAt;
+        if (undefined !== timeoutMs && ('number' !== typeof timeoutMs || !(timeoutMs > 0))) {
+            throw new TypeError('timeoutMs should be a positive number');
+        }
+        return this._compose(event, sources, function (message) {
+            var now = clock.now();
+            if (0 < values.length && undefined !== timeoutMs && now - startedAt > timeoutMs) {
+                values = [];
+            }
+            if (!PatternIndex_1.default.matches(steps[values.length], message.event)) {
+                if (!PatternIndex_1.default.matches(steps[0], message.event)) {
+                    return undefined;
+                }
+                values = [];
+            }
+            if (0 === values.length) {
+                startedAt = now;
+            }
+            values.push(message.data);
+            if (values.length < steps.length) {
+                return undefined;
+            }
+            var completed = values;
+            values = [];
+            return completed;
+        });
+    };
+    /**
+     * fire given composite `event` once `sources` have been fired `count` times within `withinMs` milliseconds,
+     * with an array of their values, then start counting over.
+     *
+     * @usage
+     *
+     * EventManager.window('login.locked', 'login.failed', { count: 3, withinMs: 60000 });
+     *
+     * @method window
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, counted together
+     * @param {Object} options
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string,
+     * `count` is not a positive integer or `withinMs` is not a positive number
+     */
+    EventManager.prototype.window = function (event, sources, options) {
+        var count = options && options.count;
+        var withinMs = options && options.withinMs;
+        var clock = this._clockOf(event, options && options.scheduler);
+        var fired = [];
+        if ('number' !== typeof count || !(count > 0) || Math.floor(count) !== count) {
+            throw new TypeError('count should be a positive integer');
+        }
+        if ('number' !== typeof withinMs || !(withinMs > 0)) {
+            throw new TypeError('withinMs should be a positive number');
+        }
+        return this._compose(event, sources, function (message) {
+            var now = clock.now();
+            fired = fired.filter(function (e) { return now - e.timestamp <= withinMs; }).concat({ timestamp: now, data: message.data });
+            if (fired.length < count) {
+                return undefined;
+            }
+            var values = fired.map(function (e) { return e.data; });
+            fired = [];
+            return values;
+        });
+    };
+    EventManager.prototype.change = function (event, comparer, next, error, complete) {
+        var names = _toEventNames(event);
+        var priority = _priorityOf(error);
+        var observable;
+        comparer = comparer || _defaultComparer;
+        if ('string' === typeof comparer) {
+            observable = this._changeByKey(event, comparer, priority);
+        }
+        else if (_isNotFunction(comparer)) {
+            throw new TypeError('comparer should be a function');
+        }
+        else {
+            observable = this._track(names, this._source(names, false, priority))
+                .distinctUntilChanged(comparer);
+        }
+        if (undefined === next) {
+            return observable;
+        }
+        return this._listen(event, observable, next, error, complete);
+    };
+    /**
+     * memorize given `message` for replay and deliver it to listeners and to the parent bus.
+     *
+     * @private
+     * @method _deliver
+     * @param {Object} message
+     * @param {Object} delivery its context is updated with `message`, its route defaults to a new route from this bus
+     * @return {Promise} settled once the parent bus delivered `message` too
+     */
+    EventManager.prototype._deliver = function (message, delivery) {
+        var bus = this._bus;
+        var name = message.event;
+        var policy = this._policy(name);
+        var entries = bus.latestEventData[name] || (bus.latestEventData[name] = []);
+        var sequence = bus.sequence++;
+        entries.push({ value: message.data, timestamp: _now(policy), sequence: sequence });
+        entries.splice(0, Math.max(0, entries.length - policy.replay));
+        this._save(name);
+        var delivering = bus.delivering;
+        var failures = bus.failures;
+        var rethrown = bus.failures = [];
+        delivery.route = delivery.route || { id: bus.id + '.' + sequence, origin: undefined, path: [] };
+        delivery.context.event = name;
+        delivery.context.data = message.data;
+        bus.delivering = delivery;
+        var tapping = 0 < bus.taps.observers.length;
+        var start = tapping ? _clock() : 0;
+        try {
+            bus.core.next(message);
+        }
+        finally {
+            bus.delivering = delivering;
+            bus.failures = failures;
+        }
+        if (tapping) {
+            this._tap(message, delivery.context, _clock() - start);
+        }
+        var forwarding = bus.parent && !delivery.context.propagationStopped;
+        if (!forwarding) {
+            this._undelivered(message);
+        }
+        var forwarded = forwarding ? bus.parent._fire(name, message.data, delivery) : [];
+        if (0 < rethrown.length) {
+            throw rethrown[0];
+        }
+        return Promise.all(forwarded.map(function (parent) { return parent.done; })).then(function () { return undefined; });
+    };
+    /**
+     * check given `data` against definitions of given concrete `event`, see `define`.
+     * An invalid payload is thrown in `strict` mode, published on `errors$` otherwise.
+     *
+     * @private
+     * @method _validate
+     * @param {String} event
+     * @param {Object} data
+     * @return {Boolean} whether `data` is valid
+     * @throws ValidationError if `data` is invalid and a failing definition is `strict`
+     */
+    EventManager.prototype._validate = function (event, data) {
+        var _this = this;
+        var definitions = this._bus.definitions;
+        var failing = Object.keys(definitions)
+            .filter(function (key) { return PatternIndex_1.default.matches(key, event); })
+            .map(function (key) { return ({ definition: definitions[key], errors: definitions[key].validate(data) }); })
+            .filter(function (failure) { return 0 < failure.errors.length; });
+        if (0 === failing.length) {
+            return true;
+        }
+        var errors = failing.reduce(function (all, failure) { return all.concat(failure.errors); }, []);
+        var error = _createError('ValidationError', 'invalid payload of event ' + event + ': ' + errors.join(', '));
+        error.event = event;
+        error.errors = errors;
+        if (failing.some(function (failure) { return 'strict' === failure.definition.mode; })) {
+            throw error;
+        }
+        failing.forEach(function (failure) {
+            _this._bus.errors.next({ event: event, data: data, error: error, handler: failure.definition.schema });
+        });
+        return false;
+    };
+    /**
+     * return the number of subscribers of given concrete `event`.
+     *
+     * @private
+     * @method _receivers
+     * @param {String} event
+     * @return {Number}
+     */
+    EventManager.prototype._receivers = function (event) {
+        return this._bus.index.match(event).reduce(function (count, matched) { return count +
+            matched.reduce(function (sum, lane) { return sum + lane.subject.observers.length; }, 0); }, 0);
+    };
+    /**
+     * return how many undelivered events of given concrete `event` to buffer: the `deadLetters` configured
+     * for the event, or else for the first pattern matching it.
+     *
+     * @private
+     * @method _deadLettersOf
+     * @param {String} event
+     * @return {Number}
+     */
+    EventManager.prototype._deadLettersOf = function (event) {
+        var policies = this._bus.policies;
+        var key = [event]
+            .concat(Object.keys(policies).filter(function (key) { return key !== event && PatternIndex_1.default.isPattern(key) && PatternIndex_1.default.matches(key, event); }))
+            .filter(function (key) { return policies[key] && undefined !== policies[key].deadLetters; })[0];
+        return key ? policies[key].deadLetters : 0;
+    };
+    /**
+     * publish given delivered `message` on `deadLetters$` and buffer it, if it reached no subscriber.
+     * Nothing is counted while nobody observes `deadLetters$` and no event is buffered.
+     *
+     * @private
+     * @method _undelivered
+     * @param {Object} message
+     */
+    EventManager.prototype._undelivered = function (message) {
+        var bus = this._bus;
+        var policies = bus.policies;
+        var name = message.event;
+        var observed = 0 < bus.unhandled.observers.length;
+        if (!observed && !Object.keys(policies).some(function (key) { return policies[key] && 0 < policies[key].deadLetters; })) {
+            return;
+        }
+        var limit = this._deadLettersOf(name);
+        if ((!observed && 0 === limit) || 0 < this._receivers(name)) {
+            return;
+        }
+        bus.unhandled.next({ event: name, data: message.data });
+        if (0 < limit) {
+            var buffered = bus.deadLetters.filter(function (letter) { return name === letter.event; });
+            bus.deadLetters.push({ event: name, data: message.data });
+            buffered.slice(0, Math.max(0, buffered.length + 1 - limit))
+                .forEach(function (letter) { return bus.deadLetters.splice(bus.deadLetters.indexOf(letter), 1); });
+        }
+    };
+    /**
+     * publish given delivered `message` on `tap$`.
+     *
+     * @private
+     * @method _tap
+     * @param {Object} message
+     * @param {EventContext} context
+     * @param {Number} duration
+     */
+    EventManager.prototype._tap = function (message, context, duration) {
+        this._bus.taps.next({
+            event: message.event,
+            data: message.data,
+            origin: message.origin,
+            timestamp: Date.now(),
+            duration: duration,
+            listeners: this._receivers(message.event),
+            propagationStopped: context.propagationStopped,
+            defaultPrevented: context.defaultPrevented
+        });
+    };
+    /**
+     * pass given `message` through `middlewares` matching its event, from `index` on, and deliver it.
+     * Delivery stays synchronous as long as middlewares call `next` synchronously.
+     *
+     * @private
+     * @method _dispatch
+     * @param {Array} middlewares
+     * @param {Number} index
+     * @param {Object} message
+     * @param {Object} delivery see `_deliver`
+     * @return {Promise} settled once `message` is delivered, vetoed or failed
+     * @throws the error of a synchronous delivery (e.g. rethrown by policy), which is not reported as the middleware's
+     */
+    EventManager.prototype._dispatch = function (middlewares, index, message, delivery) {
+        var _this = this;
+        var bus = this._bus;
+        while (index < middlewares.length &&
+            !middlewares[index].names.some(function (pattern) { return PatternIndex_1.default.matches(pattern, message.event); })) {
+            index++;
+        }
+        if (index === middlewares.length) {
+            return this._deliver(message, delivery);
+        }
+        var middleware = middlewares[index].middleware;
+        var called = false;
+        var failure;
+        var next = function (nextMessage) {
+            if (called) {
+                return Promise.resolve();
+            }
+            called = true;
+            try {
+                return _this._dispatch(middlewares, index + 1, nextMessage || message, delivery);
+            }
+            catch (ex) {
+                failure = { error: ex };
+                throw ex;
+            }
+        };
+        var settled = _settle(middleware, [message, next]).then(function () { return undefined; }, function (error) {
+            if (!failure || error !== failure.error) {
+                bus.errors.next({ event: message.event, data: message.data, error: error, handler: middleware });
+            }
+        });
+        if (failure) {
+            throw failure.error;
+        }
+        return settled;
+    };
+    EventManager.prototype.trigger = function (event, data) {
+        return this.fire(event, data);
+    };
+    EventManager.prototype.fire = function (event, data) {
+        this._fire(event, data);
+        return this;
+    };
+    EventManager.prototype.dispatch = function (event, data) {
+        return !this._fire(event, data).some(function (delivery) { return delivery.context.defaultPrevented; });
+    };
+    EventManager.prototype.fireAsync = function (event, data, options) {
+        var mode = options && options.mode || 'parallel';
+        var timeoutMs = options && options.timeoutMs;
+        var handlers = [];
+        if ('parallel' !== mode && 'serial' !== mode) {
+            throw new TypeError('mode should be either `parallel` or `serial`');
+        }
+        var deliveries = this._fire(event, data, { route: undefined, context: undefined, handlers: handlers, done: undefined });
+        var settled = Promise.all(deliveries.map(function (delivery) { return delivery.done; })).then(function () {
+            var outcomes = [];
+            var run = function (handler) { return handler.context.propagationStopped ?
+                Promise.resolve({}) :
+                _settle(handler.call, []).then(function (result) { return ({ result: result }); }, function (error) { return ({ error: error }); }); };
+            if ('parallel' === mode) {
+                handlers.forEach(function (handler) { return outcomes.push(run(handler)); });
+            }
+            else {
+                handlers.reduce(function (previous, handler) {
+                    var outcome = previous.then(function () { return run(handler); });
+                    outcomes.push(outcome);
+                    return outcome;
+                }, Promise.resolve({}));
+            }
+            return Promise.all(outcomes);
+        }).then(function (outcomes) {
+            var results = outcomes.map(function (outcome) { return outcome.result; });
+            var errors = outcomes.filter(function (outcome) { return 'error' in outcome; }).map(function (outcome) { return outcome.error; });
+            if (0 < errors.length) {
+                var error = _createError('AggregateError', errors.length + ' handler(s) of ' + event + ' failed');
+                error.errors = errors;
+                error.results = results;
+                throw error;
+            }
+            return results;
+        });
+        if (undefined === timeoutMs) {
+            return settled;
+        }
+        return Observable_1.Observable.fromPromise(settled)
+            .timeout(timeoutMs, _createError('TimeoutError', 'handlers of ' + event + ' timed out'))
+            .toPromise();
+    };
+    /**
+     * dispatch `event` with given `data`, to its valid names only (see `_validate`).
+     * Given a `from` delivery, the route and the awaited handlers
+     * of `from` are kept: a bridged event keeps its route, an event forwarded by a child bus keeps its context too.
+     *
+     * @private
+     * @method _fire
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @param {Object} [from] see `Delivery`
+     * @return {Array} deliveries of dispatched events
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     */
+    EventManager.prototype._fire = function (event, data, from) {
+        var _this = this;
+        var middlewares = this._bus.middlewares.slice();
+        var route = from && from.route;
+        var names = _toEventNames(event);
+        if (names.some(function (name) { return PatternIndex_1.default.isPattern(name); })) {
+            throw new TypeError('patterns can not be fired');
+        }
+        return names.filter(function (name) { return _this._validate(name, data); }).map(function (name) {
+            var message = route && undefined !== route.origin ?
+                { event: name, data: data, origin: route.origin } :
+                { event: name, data: data };
+            var delivery = {
+                route: route,
+                context: from && from.context || new EventContext_1.default(name, data, message.origin),
+                handlers: from && from.handlers,
+                done: undefined
+            };
+            delivery.done = _this._dispatch(middlewares, 0, message, delivery);
+            return delivery;
+        });
+    };
+    /**
+     * mirror events fired on this bus onto given `channel`, and fire events posted by the other end on this bus.
+     * Events are tagged with the bus they were fired on (`origin`, see `EventMessage`), and dropped once they
+     * loop back to a bus they went through, so buses can be bridged in any topology.
+     * An error thrown by posting an event, or by firing a received one, is published on `errors$`.
+     *
+     * @usage
+     *
+     * const worker = new Worker('worker.js');
+     *
+     * eventManager.bridge(worker, { events: 'cart.**', origin: 'main' });
+     *
+     * // worker.js
+     * eventManager.bridge(self, { events: 'cart.**', origin: 'worker' });
+     *
+     * eventManager.bridge(new BroadcastChannel('app'), { serializer: EventManager.Bridge.JSON });
+     *
+     * @method bridge
+     * @param {Object} channel `MessagePort`, `Worker`, `BroadcastChannel`, Node `worker_threads` port...
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it to stop bridging, `off` removes it like a listener of `channel`
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    EventManager.prototype.bridge = function (channel, options) {
+        var _this = this;
+        var bus = this._bus;
+        var bridge = new Bridge_1.default(channel, options && options.serializer);
+        var names = _toEventNames(options && options.events || '**');
+        var origin = options && options.origin || bus.id;
+        var subscription = this._track(names, this._source(names, true)).subscribe(function (e) {
+            var route = bus.delivering.route;
+            try {
+                bridge.post(e.event, e.data, {
+                    id: route.id,
+                    origin: undefined === route.origin ? origin : route.origin,
+                    path: route.path.concat(bus.id)
+                });
+            }
+            catch (ex) {
+                bus.errors.next({ event: e.event, data: e.data, error: ex, handler: channel });
+            }
+        });
+        subscription.add(bridge.listen(function (message) {
+            var seen = bus.seen;
+            if (-1 !== message.path.indexOf(bus.id) || -1 !== seen.indexOf(message.id) ||
+                !names.some(function (name) { return PatternIndex_1.default.matches(name, message.event); })) {
+                return;
+            }
+            seen.push(message.id);
+            seen.splice(0, Math.max(0, seen.length - SEEN_LIMIT));
+            try {
+                _this._fire(message.event, message.data, { route: message, context: undefined, handlers: undefined, done: undefined });
+            }
+            catch (ex) {
+                bus.errors.next({ event: message.event, data: message.data, error: ex, handler: channel });
+            }
+        }));
+        return this._registerSubscription(names, subscription, channel);
+    };
+    /**
+     * fire given `event` with every value of given `source`: an Observable, a Promise,
+     * or an event of an `EventEmitter` or `EventTarget`. An error of the source, or thrown by `map` or firing the event,
+     * is published on `errors$`. The connection is a listener of `event`, so that `off` and `offAll` disconnect it.
+     *
+     * @usage
+     *
+     * EventManager.connect('window.resize', window, { event: 'resize', map: () => window.innerWidth });
+     *
+     * EventManager.connect('process.exit', process, { event: 'exit' });
+     *
+     * EventManager.connect('config.loaded', fetch('/config.json').then((response) => response.json()));
+     *
+     * EventManager.connect('clock.tick', Observable.interval(1000));
+     *
+     * @method connect
+     * @param {String} event event name
+     * @param {Object} source
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to disconnect the source
+     * @throws TypeError if given `event` is not a single event name, `source` is not supported
+     * or `map` is not a function
+     */
+    EventManager.prototype.connect = function (event, source, options) {
+        var _this = this;
+        var bus = this._bus;
+        var names = _toEventNames(event);
+        var name = names[0];
+        var map = options && options.map;
+        if (1 !== names.length || PatternIndex_1.default.isPattern(name)) {
+            throw new TypeError('connect should be given a single event name');
+        }
+        if (undefined !== map && _isNotFunction(map)) {
+            throw new TypeError('map should be a function');
+        }
+        var subscription = _toObservable(source, options && options.event || name).subscribe(function (value) {
+            var data;
+            try {
+                data = map ? map(value) : value;
+            }
+            catch (ex) {
+                bus.errors.next({ event: name, data: value, error: ex, handler: map });
+                return;
+            }
+            try {
+                _this.fire(name, data);
+            }
+            catch (ex) {
+                bus.errors.next({ event: name, data: data, error: ex, handler: source });
+            }
+        }, function (error) { return bus.errors.next({ event: name, data: undefined, error: error, handler: source }); });
+        return this._registerSubscription(names, subscription, source);
+    };
+    /**
+     * emit events fired on this bus of given `event` (name(s) or pattern(s)) on given `target`: an `EventEmitter`
+     * (`emit`), an `EventTarget` (`dispatchEvent` of a `CustomEvent` with the payload as `detail`) or an Observer (`next`).
+     * An error thrown by `map` or emitting is published on `errors$`. The pipe is a listener of `event`,
+     * so that `off` and `offAll` remove it.
+     *
+     * @usage
+     *
+     * const emitter = new EventEmitter();
+     *
+     * EventManager.pipeTo('cart.*', emitter);
+     * emitter.on('cart.add', (item) => console.log(item.id));
+     *
+     * EventManager.fire('cart.add', { id: 42 });
+     * > 42
+     *
+     * EventManager.pipeTo('user.login', document.body, { event: 'login', map: (user) => user.id });
+     *
+     * @method pipeTo
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} target
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to stop emitting
+     * @throws TypeError if given `target` has neither `emit`, `dispatchEvent` nor `next`, or `map` is not a function
+     */
+    EventManager.prototype.pipeTo = function (event, target, options) {
+        var bus = this._bus;
+        var names = _toEventNames(event);
+        var map = options && options.map;
+        if (!target || ['emit', 'dispatchEvent', 'next'].every(function (method) { return 'function' !== typeof target[method]; })) {
+            throw new TypeError('target should be an EventEmitter, an EventTarget or an Observer');
+        }
+        if (undefined !== map && _isNotFunction(map)) {
+            throw new TypeError('map should be a function');
+        }
+        var subscription = this._source(names, true).subscribe(function (e) {
+            try {
+                _emit(target, options && options.event || e.event, map ? map(e.data, e.event) : e.data);
+            }
+            catch (ex) {
+                bus.errors.next({ event: e.event, data: e.data, error: ex, handler: target });
+            }
+        });
+        return this._registerSubscription(names, subscription, target);
+    };
+    /**
+     * define the payload of given `event` (name(s) or pattern(s)) by a JSON-Schema-style `schema` (see `Schema`)
+     * or a `Validator` function. Invalid payloads are not delivered: `fire` throws a `ValidationError`
+     * (`strict` mode, default) or publishes it on `errors$` (`lenient` mode). Payloads are validated
+     * as they are fired, before middlewares. Defining an event again replaces its definition.
+     *
+     * @usage
+     *
+     * EventManager.define('user.login', {
+     *     type: 'object',
+     *     required: ['id'],
+     *     properties: { id: { type: 'integer' }, name: { type: 'string' } },
+     *     additionalProperties: false
+     * });
+     *
+     * EventManager.fire('user.login', { id: 42, nmae: 'John' });
+     * > ValidationError: invalid payload of event user.login: data.nmae is not allowed
+     *
+     * EventManager.define('price.*', (price) => price < 0 && 'price should be positive', { mode: 'lenient' });
+     *
+     * @method define
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object|Function} schema
+     * @param {Object} [options]
+     * @throws TypeError if given `event` is not a valid string, `schema` is neither an object nor a function
+     * or `mode` is unknown
+     * @chainable
+     */
+    EventManager.prototype.define = function (event, schema, options) {
+        var _this = this;
+        var mode = options && options.mode || 'strict';
+        var names = _toEventNames(event);
+        var validate;
+        if ('strict' !== mode && 'lenient' !== mode) {
+            throw new TypeError('mode should be either `strict` or `lenient`');
+        }
+        if ('function' === typeof schema) {
+            validate = function (data) {
+                var errors = schema(data);
+                return Array.isArray(errors) ? errors : errors ? [String(errors)] : [];
+            };
+        }
+        else {
+            var validator = new Schema_1.default(schema);
+            validate = function (data) { return validator.validate(data); };
+        }
+        names.forEach(function (name) {
+            _this._bus.definitions[name] = { event: name, schema: schema, mode: mode, validate: validate };
+        });
+        return this;
+    };
+    /**
+     * return defined events with their schema and mode, by event name, e.g. to document them
+     *
+     * @usage
+     *
+     * EventManager.definitions();
+     * > [{ event: 'price.*', schema: validator, mode: 'lenient' }, { event: 'user.login', schema: { ... }, mode: 'strict' }]
+     *
+     * @method definitions
+     * @return {Array}
+     */
+    EventManager.prototype.definitions = function () {
+        var definitions = this._bus.definitions;
+        return Object.keys(definitions).sort().map(function (key) { return ({
+            event: key,
+            schema: definitions[key].schema,
+            mode: definitions[key].mode
+        }); });
+    };
+    /**
+     * return a snapshot of the listeners of this bus (or scope) by event name or pattern,
+     * with where each subscription comes from and the number of values `latest` replays.
+     *
+     * @usage
+     *
+     * EventManager.on('user.login', function greet() {}, { owner: header });
+     *
+     * EventManager.inspect().events;
+     * > [{ event: 'user.login', listenerCount: 1, listeners: [{ handler: greet, source: 'greet', owner: header }], replayed: 0 }]
+     *
+     * @method inspect
+     * @return {Object}
+     */
+    EventManager.prototype.inspect = function () {
+        var _this = this;
+        var bus = this._bus;
+        var subscriptions = this._subscriptions;
+        var events = Object.keys(subscriptions)
+            .concat(Object.keys(bus.latestEventData).filter(function (key) { return !subscriptions.hasOwnProperty(key); }))
+            .sort();
+        return {
+            id: bus.id,
+            parent: bus.parent ? bus.parent._bus.id : undefined,
+            events: events.map(function (event) {
+                var registrations = subscriptions[event] || [];
+                return {
+                    event: event,
+                    listenerCount: registrations.length,
+                    listeners: registrations.map(function (r) { return ({ handler: r.handler, source: _sourceOf(r.handler), owner: r.owner }); }),
+                    replayed: PatternIndex_1.default.isPattern(event) ? 0 : _this._replayEntries(event).length
+                };
+            }),
+            middlewares: bus.middlewares.length
+        };
+    };
+    /**
+     * report every event delivered by this bus to given `reporter`, until the returned subscription is unsubscribed,
+     * `**` is off-ed or the scope it was made through is disposed.
+     *
+     * @usage
+     *
+     * const reporting = EventManager.report();
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     * > [2016-02-01T10:00:00.000Z] user.login -> 2 listener(s) in 0.12ms { id: 42 }
+     *
+     * reporting.unsubscribe();
+     *
+     * @method report
+     * @param {Object} [reporter] default to a `ConsoleReporter`
+     * @return {Subscription}
+     * @throws TypeError if given `reporter` has no `report` method
+     */
+    EventManager.prototype.report = function (reporter) {
+        if (reporter === void 0) { reporter = new ConsoleReporter_1.default(); }
+        if (!reporter || _isNotFunction(reporter.report)) {
+            throw new TypeError('reporter should have a report method');
+        }
+        return this._registerSubscription(['**'], this.tap$.subscribe(function (entry) { return reporter.report(entry); }), reporter);
+    };
+    /**
+     * record fired events (of given `events` only, if any) until `stop` of the returned recorder is called,
+     * keeping the last `limit` ones. Events are recorded as they are fired, before middlewares.
+     *
+     * @usage
+     *
+     * const recorder = EventManager.record({ events: 'user.* cart.*', limit: 500 });
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     *
+     * recorder.query({ events: 'user.*' });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 0 }]
+     *
+     * fs.writeFileSync('session.ndjson', recorder.export('ndjson'));
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     * @throws TypeError if given `events` is not a valid string or `limit` is not a positive integer
+     */
+    EventManager.prototype.record = function (options) {
+        var bus = this._bus;
+        var scheduler = options && options.scheduler;
+        var names = _toEventNames(options && undefined !== options.events ? options.events : '**');
+        var entry;
+        var recorder = new Recorder_1.default(options && undefined !== options.limit ? options.limit : undefined, scheduler ? function () { return scheduler.now(); } : undefined, function () { return bus.middlewares = bus.middlewares.filter(function (e) { return entry !== e; }); });
+        entry = {
+            names: names,
+            middleware: function (message, next) {
+                recorder.push(message.event, message.data);
+                return next();
+            }
+        };
+        bus.middlewares.unshift(entry);
+        return recorder;
+    };
+    /**
+     * fire again the events of given recording, in the order they were fired, e.g. into a fresh bus to reproduce a bug.
+     * The `original` timing keeps delays between events, divided by `speed`, the `compressed` one fires them at once.
+     *
+     * @usage
+     *
+     * const recording = EventManager.Recorder.parse(fs.readFileSync('session.ndjson', 'utf8'));
+     *
+     * new EventManager().play(recording, { speed: 10 }).then(() => console.log('done'));
+     *
+     * @method play
+     * @param {Recorder|Array} recording a recorder or its records
+     * @param {Object} [options]
+     * @return {Promise} settled once every event is fired, rejected with the first error thrown by `fire`
+     * @throws TypeError if given `timing` is unknown or `speed` is not a positive number
+     */
+    EventManager.prototype.play = function (recording, options) {
+        var _this = this;
+        var timing = options && options.timing || 'original';
+        var speed = options && undefined !== options.speed ? options.speed : 1;
+        var scheduler = options && options.scheduler || asap_1.asap;
+        var records = (recording instanceof Recorder_1.default ? recording.query() : recording.slice())
+            .sort(function (x, y) { return x.sequence - y.sequence; });
+        if ('original' !== timing && 'compressed' !== timing) {
+            throw new TypeError('timing should be either `original` or `compressed`');
+        }
+        if ('number' !== typeof speed || !(speed > 0)) {
+            throw new TypeError('speed should be a positive number');
+        }
+        if ('compressed' === timing) {
+            try {
+                records.forEach(function (record) { return _this.fire(record.event, record.data); });
+            }
+            catch (ex) {
+                return Promise.reject(ex);
+            }
+            return Promise.resolve();
+        }
+        return new Promise(function (resolve, reject) {
+            var schedule;
+            var playFrom = function (index) {
+                if (index === records.length) {
+                    resolve();
+                    return;
+                }
+                try {
+                    _this.fire(records[index].event, records[index].data);
+                }
+                catch (ex) {
+                    reject(ex);
+                    return;
+                }
+                schedule(index + 1);
+            };
+            schedule = function (index) {
+                var delay = 0 < index && index < records.length ?
+                    (records[index].timestamp - records[index - 1].timestamp) / speed : 0;
+                scheduler.schedule(function () { return playFrom(index); }, Math.max(0, delay));
+            };
+            schedule(0);
+        });
+    };
+    /**
+     * use given `middleware` for every fired event, or only for events matching given `event`
+     * name(s) or pattern(s). Middlewares run in the order they are used, before delivery.
+     * An error thrown (or rejected) by a middleware is published on `errors$` instead of thrown by `fire`.
+     *
+     * @usage
+     *
+     * eventManager.use((message, next) => next({ event: message.event, data: { value: message.data, at: Date.now() } }));
+     *
+     * eventManager.use('admin.*', (message, next) => {
+     *     return isAllowed(message) && next().then(() => console.log('delivered', message.event));
+     * });
+     *
+     * @method use
+     * @param {String|Array} [event] event name(s) or pattern(s)
+     * @param {Function} middleware
+     * @return {Subscription} unsubscribe it (or `off` given `event`, or dispose the scope it was used through)
+     * to stop using `middleware`
+     * @throws TypeError if given `event` is not a valid string or given `middleware` is not a function
+     */
+    EventManager.prototype.use = function (event, middleware) {
+        var bus = this._bus;
+        if ('function' === typeof event) {
+            middleware = event;
+            event = '**';
+        }
+        var entry = { names: _toEventNames(event), middleware: middleware };
+        if (_isNotFunction(middleware)) {
+            throw new TypeError('middleware should be a function');
+        }
+        bus.middlewares.push(entry);
+        return this._registerSubscription(entry.names, new Subscription_1.Subscription(function () {
+            bus.middlewares = bus.middlewares.filter(function (e) { return entry !== e; });
+        }), middleware);
+    };
+    /**
+     * off listeners of given `event`, and forget its latest data and dead letters.
+     * Persisted events (see `persist`) keep their latest data, `latest` replays it until `forget`.
+     *
+     * @usage
+     *
+     * EventManager.on('hello', function (value) {
+     *     console.log(value);
+     * });
+     *
+     * EventManager.fire('hello', 42);
+     * > 42
+     *
+     * EventManager.off('hello');
+     *
+     * EventManager.fire('hello', 42);
+     * // nothing happened
+     *
+     * EventManager.off('hello world');
+     * // both `hello` and `world` are off-ed
+     *
+     * EventManager.off('user.*');
+     * // every registration matching `user.*` is off-ed
+     *
+     * EventManager.off('hello', handler);
+     * // only listeners registered with `handler` are off-ed
+     *
+     * EventManager.off('hello', { owner: this });
+     * // only listeners registered with `{ owner: this }` are off-ed
+     *
+     * @method off
+     * @param {String|Array} event event name(s).
+     * @param {Function|Observer|Object} [listener] a handler, or `{ owner }`, to off only matching listeners
+     * @chainable
+     */
+    EventManager.prototype.off = function (event, listener) {
+        var bus = this._bus;
+        var latestEventData = bus.latestEventData;
+        var byOwner = _isListenerOptions(listener) && listener.hasOwnProperty('owner');
+        this._registrations(event)
+            .filter(function (r) { return undefined === listener || (byOwner ? listener.owner === r.owner : listener === r.handler); })
+            .forEach(function (r) { return r.subscription.unsubscribe(); });
+        // a scope only offs its own listeners, the latest data and dead letters belong to the bus
+        if (undefined !== listener || this._host) {
+            return this;
+        }
+        var names = _toEventNames(event);
+        // persisted events keep their latest data, in memory as in their storage, until `forget`
+        names.forEach(function (name) {
+            Object.keys(latestEventData)
+                .filter(function (key) { return PatternIndex_1.default.matches(name, key) && !bus.persistence.hasOwnProperty(key); })
+                .forEach(function (key) { return delete latestEventData[key]; });
+        });
+        bus.deadLetters = bus.deadLetters.filter(function (letter) { return !names.some(function (name) { return PatternIndex_1.default.matches(name, letter.event); }); });
+        return this;
+    };
+    /**
+     * forget the latest data of given `event` (name(s) or pattern(s)), and remove its values from the storage
+     * it is persisted into, see `persist`. Listeners are kept.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage });
+     *
+     * // on logout
+     * EventManager.forget('session.user');
+     *
+     * @method forget
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @chainable
+     */
+    EventManager.prototype.forget = function (event) {
+        var _this = this;
+        var bus = this._bus;
+        var names = _toEventNames(event);
+        Object.keys(bus.latestEventData)
+            .concat(Object.keys(bus.persistence).filter(function (key) { return !bus.latestEventData.hasOwnProperty(key); }))
+            .filter(function (key) { return names.some(function (name) { return PatternIndex_1.default.matches(name, key); }); })
+            .forEach(function (key) {
+            delete bus.latestEventData[key];
+            _this._save(key);
+        });
+        return this;
+    };
+    /**
+     * off all subscriptions, and drop every buffered dead letter of the bus
+     *
+     * @method offAll
+     * @chainable
+     */
+    EventManager.prototype.offAll = function () {
+        var _this = this;
+        Object.keys(this._subscriptions).forEach(function (event) { return _this.off(event); });
+        if (!this._host) {
+            this._bus.deadLetters = [];
+        }
+        return this;
+    };
+    /**
+     * ask responders of given `event` and reply with their answer, see `respond`.
+     * The returned Observable is lazy: the request is dispatched on subscribe.
+     * It errors with a `NoResponderError` if nobody responds to `event`,
+     * and with a `TimeoutError` if no reply arrived within `timeoutMs`.
+     *
+     * @usage
+     *
+     * EventManager.respond('config.get', (key) => config[key]);
+     *
+     * EventManager.request('config.get', 'locale', { timeoutMs: 1000 }).subscribe((locale) => {
+     *     console.log(locale);
+     * });
+     * > en-US
+     *
+     * EventManager.request('config.get', 'locale').toPromise().then((locale) => { ... });
+     *
+     * @method request
+     * @param {String} event event name
+     * @param {Object} [data] anything
+     * @param {Object} [options]
+     * @return {Observable}
+     * @throws TypeError if given `event` is not a valid string or `strategy` is unknown
+     */
+    EventManager.prototype.request = function (event, data, options) {
+        var timeoutMs = options && options.timeoutMs;
+        var strategy = options && options.strategy || 'first';
+        var requests = this._bus.requests;
+        if (_isInvalidString(event)) {
+            throw new TypeError('given event is not a valid string');
+        }
+        if ('first' !== strategy && 'all' !== strategy) {
+            throw new TypeError('strategy should be either `first` or `all`');
+        }
+        return Observable_1.Observable.defer(function () {
+            var replies = [];
+            var reply;
+            requests.next({ event: event, data: data, reply: function (result) { return replies.push(result); } });
+            if (0 === replies.length) {
+                return Observable_1.Observable.throw(_createError('NoResponderError', 'no responder for event ' + event));
+            }
+            reply = Observable_1.Observable.fromPromise('all' === strategy ? Promise.all(replies) : _firstFulfilled(replies));
+            if (undefined !== timeoutMs) {
+                reply = reply.timeout(timeoutMs, _createError('TimeoutError', 'request ' + event + ' timed out'));
+            }
+            return reply;
+        });
+    };
+    /**
+     * answer requests of given `event` with the result of `handler`, which is called with
+     * the request data and the event name. The result can be a value, a Promise or an Observable.
+     * Responders are listeners: `off`, `offAll` and `dispose` of scopes remove them.
+     *
+     * @usage
+     *
+     * EventManager.respond('user.get', (id) => fetchUser(id));
+     *
+     * @method respond
+     * @param {String|Array} event event name(s) or pattern(s).
+     * @param {Function} handler
+     * @param {Object} [options] `ListenerOptions`
+     * @return {Subscription}
+     * @throws TypeError if given `handler` is not a function
+     */
+    EventManager.prototype.respond = function (event, handler, options) {
+        var names = _toEventNames(event);
+        if (_isNotFunction(handler)) {
+            throw new TypeError('handler should be a function');
+        }
+        var requests = this._bus.requests
+            .filter(function (request) { return names.some(function (name) { return PatternIndex_1.default.matches(name, request.event); }); });
+        var subscription = this._track(names, requests).subscribe(function (request) {
+            request.reply(_settle(handler, [request.data, request.event]));
+        });
+        return this._registerSubscription(names, subscription, handler, options && options.owner);
+    };
+    /**
+     * return handlers listening to given `event` (name(s) or pattern(s)).
+     * Subscriptions made without a handler are counted by `listenerCount` only.
+     *
+     * @usage
+     *
+     * EventManager.on('hello', handler);
+     *
+     * EventManager.listeners('hello');
+     * > [handler]
+     *
+     * @method listeners
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    EventManager.prototype.listeners = function (event) {
+        return this._registrations(event)
+            .map(function (r) { return r.handler; })
+            .filter(function (handler) { return undefined !== handler; });
+    };
+    /**
+     * return the number of subscriptions of given `event` (name(s) or pattern(s)).
+     *
+     * @method listenerCount
+     * @param {String|Array} event event name(s).
+     * @return {Number}
+     */
+    EventManager.prototype.listenerCount = function (event) {
+        return this._registrations(event).length;
+    };
+    /**
+     * The channel adapter of `bridge`, e.g. `EventManager.Bridge.JSON` is a serializer to JSON strings.
+     *
+     * @static
+     * @property Bridge
+     * @type {Function}
+     */
+    EventManager.Bridge = Bridge_1.default;
+    /**
+     * A storage adapter keeping items in memory, see `persist`.
+     *
+     * @static
+     * @property MemoryStorage
+     * @type {Function}
+     */
+    EventManager.MemoryStorage = MemoryStorage_1.default;
+    /**
+     * The event recorder of `record`, e.g. `EventManager.Recorder.parse(text)` imports an exported recording.
+     *
+     * @static
+     * @property Recorder
+     * @type {Function}
+     */
+    EventManager.Recorder = Recorder_1.default;
+    /**
+     * The validator of schemas given to `define`, e.g. `new EventManager.Schema(definition).validate(data)`.
+     *
+     * @static
+     * @property Schema
+     * @type {Function}
+     */
+    EventManager.Schema = Schema_1.default;
+    /**
+     * The default reporter of `report`, logging to the console.
+     *
+     * @static
+     * @property ConsoleReporter
+     * @type {Function}
+     */
+    EventManager.ConsoleReporter = ConsoleReporter_1.default;
     return EventManager;
 })();
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.default = EventManager;
 ;
+// keep `import EventManager from './EventManager'` working, e.g. in `testing`
 module.exports = EventManager;
+module.exports.default = EventManager;
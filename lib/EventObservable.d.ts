@@ -0,0 +1,43 @@
+import { Subscription } from 'rxjs/Subscription';
+import { Observable } from 'rxjs/Observable';
+import { Observer } from 'rxjs/Observer';
+import { Operator } from 'rxjs/Operator';
+/**
+ * memorize given `subscription`, made with given `handler`, and return it
+ */
+export declare type Register = (subscription: Subscription<any>, handler: any) => Subscription<any>;
+/**
+ * An Observable of events which hands every subscription to `register`,
+ * including subscriptions of Observables derived from it by operators:
+ * operators `lift` it into another `EventObservable` with the same `register`.
+ *
+ * @class EventObservable
+ */
+export default class EventObservable<T> extends Observable<T> {
+    /**
+     * @private
+     * @property _register
+     * @type {Function}
+     */
+    private _register;
+    /**
+     * @constructor
+     * @param {Function} register
+     * @param {Observable} [source] the Observable to subscribe, omitted by `lift`
+     */
+    constructor(register: Register, source?: Observable<any>);
+    /**
+     * @method lift
+     * @param {Operator} operator
+     * @return {EventObservable}
+     */
+    lift<T, R>(operator: Operator<T, R>): Observable<T>;
+    /**
+     * @method subscribe
+     * @param {Observer|Function} [observerOrNext]
+     * @param {Function} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    subscribe(observerOrNext?: Observer<T> | ((value: T) => void), error?: (error: T) => void, complete?: () => void): Subscription<T>;
+}
@@ -0,0 +1,49 @@
+var __extends = (this && this.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+var Observable_1 = require('rxjs/Observable');
+/**
+ * An Observable of events which hands every subscription to `register`,
+ * including subscriptions of Observables derived from it by operators:
+ * operators `lift` it into another `EventObservable` with the same `register`.
+ *
+ * @class EventObservable
+ */
+var EventObservable = (function (_super) {
+    __extends(EventObservable, _super);
+    /**
+     * @constructor
+     * @param {Function} register
+     * @param {Observable} [source] the Observable to subscribe, omitted by `lift`
+     */
+    function EventObservable(register, source) {
+        _super.call(this, source ? function (subscriber) { return source.subscribe(subscriber); } : undefined);
+        this._register = register;
+    }
+    /**
+     * @method lift
+     * @param {Operator} operator
+     * @return {EventObservable}
+     */
+    EventObservable.prototype.lift = function (operator) {
+        var observable = new EventObservable(this._register);
+        observable.source = this;
+        observable.operator = operator;
+        return observable;
+    };
+    /**
+     * @method subscribe
+     * @param {Observer|Function} [observerOrNext]
+     * @param {Function} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    EventObservable.prototype.subscribe = function (observerOrNext, error, complete) {
+        return this._register(_super.prototype.subscribe.call(this, observerOrNext, error, complete), observerOrNext);
+    };
+    return EventObservable;
+})(Observable_1.Observable);
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = EventObservable;
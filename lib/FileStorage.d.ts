@@ -0,0 +1,60 @@
+import { StorageAdapter } from './MemoryStorage';
+/**
+ * A storage adapter keeping every item in one JSON file, for Node.js.
+ * The file is read once when created and written on every change.
+ * It requires `fs`, so it ships apart from `EventManager`: `require('rx-event-manager/file-storage')`.
+ *
+ * @class FileStorage
+ */
+export declare class FileStorage implements StorageAdapter {
+    /**
+     * @private
+     * @property _fs
+     * @type {Object}
+     */
+    private _fs;
+    /**
+     * A hash of { key: value }
+     *
+     * @private
+     * @property _items
+     * @type {Object}
+     */
+    private _items;
+    /**
+     * @private
+     * @property _path
+     * @type {String}
+     */
+    private _path;
+    /**
+     * @constructor
+     * @param {String} path of the JSON file, created on the first change if missing
+     */
+    constructor(path: string);
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    getItem(key: string): string;
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    setItem(key: string, value: string): void;
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    removeItem(key: string): void;
+    /**
+     * @private
+     * @method _write
+     */
+    private _write();
+}
+export default FileStorage;
@@ -0,0 +1,73 @@
+/**
+ * A storage adapter keeping every item in one JSON file, for Node.js.
+ * The file is read once when created and written on every change.
+ * It requires `fs`, so it ships apart from `EventManager`: `require('rx-event-manager/file-storage')`.
+ *
+ * @class FileStorage
+ */
+var FileStorage = (function () {
+    /**
+     * @constructor
+     * @param {String} path of the JSON file, created on the first change if missing
+     */
+    function FileStorage(path) {
+        /**
+         * @private
+         * @property _fs
+         * @type {Object}
+         */
+        this._fs = require('fs');
+        /**
+         * A hash of { key: value }
+         *
+         * @private
+         * @property _items
+         * @type {Object}
+         */
+        this._items = {};
+        this._path = path;
+        if (this._fs.existsSync(path)) {
+            this._items = JSON.parse(this._fs.readFileSync(path, 'utf8'));
+        }
+    }
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    FileStorage.prototype.getItem = function (key) {
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    };
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    FileStorage.prototype.setItem = function (key, value) {
+        this._items[key] = String(value);
+        this._write();
+    };
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    FileStorage.prototype.removeItem = function (key) {
+        if (this._items.hasOwnProperty(key)) {
+            delete this._items[key];
+            this._write();
+        }
+    };
+    /**
+     * @private
+     * @method _write
+     */
+    FileStorage.prototype._write = function () {
+        this._fs.writeFileSync(this._path, JSON.stringify(this._items));
+    };
+    return FileStorage;
+})();
+exports.FileStorage = FileStorage;
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = FileStorage;
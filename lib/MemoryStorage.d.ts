@@ -0,0 +1,43 @@
+/**
+ * A synchronous key-value storage of strings, a subset of the Web Storage API:
+ * `window.localStorage` and `window.sessionStorage` are storage adapters as they are.
+ */
+export interface StorageAdapter {
+    getItem(key: string): string;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+/**
+ * A storage adapter keeping items in memory, for tests and for contexts without a persistent storage.
+ *
+ * @class MemoryStorage
+ */
+export default class MemoryStorage implements StorageAdapter {
+    /**
+     * A hash of { key: value }
+     *
+     * @private
+     * @property _items
+     * @type {Object}
+     */
+    private _items;
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    getItem(key: string): string;
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    setItem(key: string, value: string): void;
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    removeItem(key: string): void;
+}
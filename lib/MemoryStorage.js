@@ -0,0 +1,45 @@
+/**
+ * A storage adapter keeping items in memory, for tests and for contexts without a persistent storage.
+ *
+ * @class MemoryStorage
+ */
+var MemoryStorage = (function () {
+    function MemoryStorage() {
+        /**
+         * A hash of { key: value }
+         *
+         * @private
+         * @property _items
+         * @type {Object}
+         */
+        this._items = {};
+    }
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    MemoryStorage.prototype.getItem = function (key) {
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    };
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    MemoryStorage.prototype.setItem = function (key, value) {
+        this._items[key] = String(value);
+    };
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    MemoryStorage.prototype.removeItem = function (key) {
+        delete this._items[key];
+    };
+    return MemoryStorage;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = MemoryStorage;
@@ -0,0 +1,51 @@
+/**
+ * A trie of dotted event names and glob-style patterns (`user.*`, `cart.**`, `*.error`).
+ * Looking up the values matching a concrete event name walks the segments of that name
+ * instead of testing every registered pattern.
+ *
+ * @class PatternIndex
+ */
+export default class PatternIndex<V> {
+    /**
+     * @private
+     * @property _root
+     * @type {Object}
+     */
+    private _root;
+    /**
+     * check if given `name` contains a wildcard segment
+     *
+     * @static
+     * @method isPattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    static isPattern(name: string): boolean;
+    /**
+     * check if given `pattern` matches given concrete event `name`
+     *
+     * @static
+     * @method matches
+     * @param {String} pattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    static matches(pattern: string, name: string): boolean;
+    /**
+     * return the value stored with given `key`, create it by `factory` if there is none
+     *
+     * @method get
+     * @param {String} key an event name or a pattern
+     * @param {Function} factory
+     * @return {Object}
+     */
+    get(key: string, factory: () => V): V;
+    /**
+     * return values of every key matching given concrete event `name`
+     *
+     * @method match
+     * @param {String} name
+     * @return {Array}
+     */
+    match(name: string): Array<V>;
+}
@@ -0,0 +1,148 @@
+/**
+ * matches any single segment of a dotted event name
+ *
+ * @private
+ * @property SINGLE_WILDCARD
+ * @type {String}
+ */
+var SINGLE_WILDCARD = '*';
+/**
+ * matches any number (including zero) of segments of a dotted event name
+ *
+ * @private
+ * @property MULTI_WILDCARD
+ * @type {String}
+ */
+var MULTI_WILDCARD = '**';
+/**
+ * @private
+ * @method _createNode
+ * @return {Object}
+ */
+function _createNode() {
+    return { children: {}, hasValue: false };
+}
+/**
+ * check if given `pattern` segments (from `p`) match given `name` segments (from `n`)
+ *
+ * @private
+ * @method _matchSegments
+ * @param {Array} pattern
+ * @param {Number} p
+ * @param {Array} name
+ * @param {Number} n
+ * @return {Boolean}
+ */
+function _matchSegments(pattern, p, name, n) {
+    if (p === pattern.length) {
+        return n === name.length;
+    }
+    if (MULTI_WILDCARD === pattern[p]) {
+        for (var i = n; i <= name.length; i++) {
+            if (_matchSegments(pattern, p + 1, name, i)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (n === name.length) {
+        return false;
+    }
+    return (SINGLE_WILDCARD === pattern[p] || pattern[p] === name[n]) &&
+        _matchSegments(pattern, p + 1, name, n + 1);
+}
+/**
+ * A trie of dotted event names and glob-style patterns (`user.*`, `cart.**`, `*.error`).
+ * Looking up the values matching a concrete event name walks the segments of that name
+ * instead of testing every registered pattern.
+ *
+ * @class PatternIndex
+ */
+var PatternIndex = (function () {
+    function PatternIndex() {
+        /**
+         * @private
+         * @property _root
+         * @type {Object}
+         */
+        this._root = _createNode();
+    }
+    /**
+     * check if given `name` contains a wildcard segment
+     *
+     * @static
+     * @method isPattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    PatternIndex.isPattern = function (name) {
+        return name.split('.').some(function (segment) { return SINGLE_WILDCARD === segment || MULTI_WILDCARD === segment; });
+    };
+    /**
+     * check if given `pattern` matches given concrete event `name`
+     *
+     * @static
+     * @method matches
+     * @param {String} pattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    PatternIndex.matches = function (pattern, name) {
+        return pattern === name || _matchSegments(pattern.split('.'), 0, name.split('.'), 0);
+    };
+    /**
+     * return the value stored with given `key`, create it by `factory` if there is none
+     *
+     * @method get
+     * @param {String} key an event name or a pattern
+     * @param {Function} factory
+     * @return {Object}
+     */
+    PatternIndex.prototype.get = function (key, factory) {
+        var node = this._root;
+        key.split('.').forEach(function (segment) {
+            node = node.children[segment] || (node.children[segment] = _createNode());
+        });
+        if (!node.hasValue) {
+            node.value = factory();
+            node.hasValue = true;
+        }
+        return node.value;
+    };
+    /**
+     * return values of every key matching given concrete event `name`
+     *
+     * @method match
+     * @param {String} name
+     * @return {Array}
+     */
+    PatternIndex.prototype.match = function (name) {
+        var segments = name.split('.');
+        var values = [];
+        var walk = function (node, n) {
+            var children = node.children;
+            if (children[MULTI_WILDCARD]) {
+                for (var i = n; i <= segments.length; i++) {
+                    walk(children[MULTI_WILDCARD], i);
+                }
+            }
+            if (n === segments.length) {
+                if (node.hasValue && -1 === values.indexOf(node.value)) {
+                    values.push(node.value);
+                }
+                return;
+            }
+            if (children[segments[n]]) {
+                walk(children[segments[n]], n + 1);
+            }
+            if (SINGLE_WILDCARD !== segments[n] && children[SINGLE_WILDCARD]) {
+                walk(children[SINGLE_WILDCARD], n + 1);
+            }
+        };
+        walk(this._root, 0);
+        return values;
+    };
+    return PatternIndex;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = PatternIndex;
@@ -0,0 +1,140 @@
+/**
+ * A fired event, as recorded by `Recorder`.
+ */
+export interface HistoryRecord {
+    event: string;
+    data: any;
+    /**
+     * when the event was fired, in milliseconds
+     */
+    timestamp: number;
+    /**
+     * the order the event was fired in, among recorded events
+     */
+    sequence: number;
+}
+/**
+ * Which records `query` returns, every record matching all given criteria.
+ */
+export interface HistoryQuery {
+    /**
+     * event name(s) or pattern(s), space-separated or an array
+     */
+    events?: string | Array<string>;
+    /**
+     * records fired at or after `from`, in milliseconds
+     */
+    from?: number;
+    /**
+     * records fired at or before `to`, in milliseconds
+     */
+    to?: number;
+}
+/**
+ * Records fired events into a ring buffer keeping the last `limit` ones, made by `record` of `EventManager`.
+ * Recordings export to JSON or NDJSON and import back with `Recorder.parse`, `play` of `EventManager` fires them again.
+ *
+ * @class Recorder
+ */
+export default class Recorder {
+    /**
+     * @private
+     * @property _records
+     * @type {Array}
+     */
+    private _records;
+    /**
+     * @private
+     * @property _sequence
+     * @type {Number}
+     */
+    private _sequence;
+    /**
+     * @private
+     * @property _limit
+     * @type {Number}
+     */
+    private _limit;
+    /**
+     * @private
+     * @property _now
+     * @type {Function}
+     */
+    private _now;
+    /**
+     * @private
+     * @property _stop
+     * @type {Function}
+     */
+    private _stop;
+    /**
+     * @constructor
+     * @param {Number} [limit] the number of records to keep, default to `1000`
+     * @param {Function} [now] returns the current time, default to `Date.now`
+     * @param {Function} [stop] stops recording, omitted by imported recordings
+     * @throws TypeError if given `limit` is not a positive integer
+     */
+    constructor(limit?: number, now?: () => number, stop?: () => void);
+    /**
+     * parse a recording exported by `export`, as JSON or NDJSON
+     *
+     * @static
+     * @method parse
+     * @param {String} text
+     * @return {Recorder} a stopped recorder of the parsed records
+     * @throws SyntaxError if given `text` is neither JSON nor NDJSON
+     * @throws TypeError if a parsed value is not a record
+     */
+    static parse(text: string): Recorder;
+    /**
+     * record given fired event, dropping the oldest record once `limit` is reached
+     *
+     * @method push
+     * @param {String} event
+     * @param {Object} data
+     * @chainable
+     */
+    push(event: string, data: any): Recorder;
+    /**
+     * return records matching given `query`, all of them without it, in the order they were fired
+     *
+     * @usage
+     *
+     * recorder.query({ events: 'user.*', from: Date.now() - 60000 });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 3 }]
+     *
+     * @method query
+     * @param {Object} [query]
+     * @return {Array}
+     */
+    query(query?: HistoryQuery): Array<HistoryRecord>;
+    /**
+     * drop every record
+     *
+     * @method clear
+     * @chainable
+     */
+    clear(): Recorder;
+    /**
+     * stop recording, records are kept
+     *
+     * @method stop
+     */
+    stop(): void;
+    /**
+     * return the records, so that `JSON.stringify(recorder)` exports them
+     *
+     * @method toJSON
+     * @return {Array}
+     */
+    toJSON(): Array<HistoryRecord>;
+    /**
+     * export records as a JSON array, or as NDJSON (one JSON record per line)
+     *
+     * @method export
+     * @param {String} [format] `json` (default) or `ndjson`
+     * @return {String}
+     * @throws TypeError if given `format` is unknown
+     */
+    export(format?: string): string;
+}
@@ -0,0 +1,169 @@
+var PatternIndex_1 = require('./PatternIndex');
+/**
+ * The number of records kept by default.
+ *
+ * @private
+ * @property DEFAULT_LIMIT
+ * @type {Number}
+ */
+var DEFAULT_LIMIT = 1000;
+/**
+ * check given `record` as imported
+ *
+ * @private
+ * @method _isRecord
+ * @param {Object} record
+ * @return {Boolean}
+ */
+function _isRecord(record) {
+    return null !== record && 'object' === typeof record && 'string' === typeof record.event &&
+        'number' === typeof record.timestamp && 'number' === typeof record.sequence;
+}
+/**
+ * Records fired events into a ring buffer keeping the last `limit` ones, made by `record` of `EventManager`.
+ * Recordings export to JSON or NDJSON and import back with `Recorder.parse`, `play` of `EventManager` fires them again.
+ *
+ * @class Recorder
+ */
+var Recorder = (function () {
+    /**
+     * @constructor
+     * @param {Number} [limit] the number of records to keep, default to `1000`
+     * @param {Function} [now] returns the current time, default to `Date.now`
+     * @param {Function} [stop] stops recording, omitted by imported recordings
+     * @throws TypeError if given `limit` is not a positive integer
+     */
+    function Recorder(limit, now, stop) {
+        if (limit === void 0) { limit = DEFAULT_LIMIT; }
+        if (now === void 0) { now = Date.now; }
+        /**
+         * @private
+         * @property _records
+         * @type {Array}
+         */
+        this._records = [];
+        /**
+         * @private
+         * @property _sequence
+         * @type {Number}
+         */
+        this._sequence = 0;
+        if ('number' !== typeof limit || !(limit > 0) || Math.floor(limit) !== limit) {
+            throw new TypeError('limit should be a positive integer');
+        }
+        this._limit = limit;
+        this._now = now;
+        this._stop = stop;
+    }
+    /**
+     * parse a recording exported by `export`, as JSON or NDJSON
+     *
+     * @static
+     * @method parse
+     * @param {String} text
+     * @return {Recorder} a stopped recorder of the parsed records
+     * @throws SyntaxError if given `text` is neither JSON nor NDJSON
+     * @throws TypeError if a parsed value is not a record
+     */
+    Recorder.parse = function (text) {
+        var trimmed = String(text).trim();
+        var records = '[' === trimmed.charAt(0) ?
+            JSON.parse(trimmed) :
+            trimmed.split('\n').filter(function (line) { return '' !== line.trim(); }).map(function (line) { return JSON.parse(line); });
+        var recorder = new Recorder(Math.max(DEFAULT_LIMIT, records.length));
+        records.forEach(function (record, index) {
+            if (!_isRecord(record)) {
+                throw new TypeError('record ' + index + ' should have an event, a timestamp and a sequence');
+            }
+        });
+        recorder._records = records
+            .map(function (record) { return ({ event: record.event, data: record.data, timestamp: record.timestamp, sequence: record.sequence }); })
+            .sort(function (x, y) { return x.sequence - y.sequence; });
+        recorder._sequence = records.length ? recorder._records[records.length - 1].sequence + 1 : 0;
+        return recorder;
+    };
+    /**
+     * record given fired event, dropping the oldest record once `limit` is reached
+     *
+     * @method push
+     * @param {String} event
+     * @param {Object} data
+     * @chainable
+     */
+    Recorder.prototype.push = function (event, data) {
+        this._records.push({ event: event, data: data, timestamp: this._now(), sequence: this._sequence++ });
+        this._records.splice(0, Math.max(0, this._records.length - this._limit));
+        return this;
+    };
+    /**
+     * return records matching given `query`, all of them without it, in the order they were fired
+     *
+     * @usage
+     *
+     * recorder.query({ events: 'user.*', from: Date.now() - 60000 });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 3 }]
+     *
+     * @method query
+     * @param {Object} [query]
+     * @return {Array}
+     */
+    Recorder.prototype.query = function (query) {
+        var events = query && query.events;
+        var patterns = Array.isArray(events) ? events : events ? events.split(' ').filter(Boolean) : [];
+        var from = query && undefined !== query.from ? query.from : -Infinity;
+        var to = query && undefined !== query.to ? query.to : Infinity;
+        return this._records.filter(function (record) { return from <= record.timestamp && record.timestamp <= to &&
+            (0 === patterns.length || patterns.some(function (pattern) { return PatternIndex_1.default.matches(pattern, record.event); })); });
+    };
+    /**
+     * drop every record
+     *
+     * @method clear
+     * @chainable
+     */
+    Recorder.prototype.clear = function () {
+        this._records = [];
+        return this;
+    };
+    /**
+     * stop recording, records are kept
+     *
+     * @method stop
+     */
+    Recorder.prototype.stop = function () {
+        if (this._stop) {
+            this._stop();
+            this._stop = undefined;
+        }
+    };
+    /**
+     * return the records, so that `JSON.stringify(recorder)` exports them
+     *
+     * @method toJSON
+     * @return {Array}
+     */
+    Recorder.prototype.toJSON = function () {
+        return this.query();
+    };
+    /**
+     * export records as a JSON array, or as NDJSON (one JSON record per line)
+     *
+     * @method export
+     * @param {String} [format] `json` (default) or `ndjson`
+     * @return {String}
+     * @throws TypeError if given `format` is unknown
+     */
+    Recorder.prototype.export = function (format) {
+        if (format === void 0) { format = 'json'; }
+        if ('json' === format) {
+            return JSON.stringify(this._records);
+        }
+        if ('ndjson' === format) {
+            return this._records.map(function (record) { return JSON.stringify(record) + '\n'; }).join('');
+        }
+        throw new TypeError('format should be either `json` or `ndjson`');
+    };
+    return Recorder;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = Recorder;
@@ -0,0 +1,73 @@
+/**
+ * A JSON-Schema-style description of a payload, see `Schema`.
+ */
+export interface SchemaDefinition {
+    /**
+     * one or several of `string`, `number`, `integer`, `boolean`, `object`, `array` and `null`
+     */
+    type?: string | Array<string>;
+    /**
+     * allowed values, compared by `===`
+     */
+    enum?: Array<any>;
+    /**
+     * properties of an object
+     */
+    properties?: {
+        [x: string]: SchemaDefinition;
+    };
+    /**
+     * properties an object should have
+     */
+    required?: Array<string>;
+    /**
+     * `false` to forbid properties which are not in `properties`, or the schema of these properties
+     */
+    additionalProperties?: boolean | SchemaDefinition;
+    /**
+     * the schema of every item of an array
+     */
+    items?: SchemaDefinition;
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    minItems?: number;
+    maxItems?: number;
+    /**
+     * a regular expression strings should match
+     */
+    pattern?: string;
+}
+/**
+ * Validates payloads against a JSON-Schema-style definition: `type`, `enum`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * @class Schema
+ */
+export default class Schema {
+    /**
+     * @property definition
+     * @type {Object}
+     */
+    definition: SchemaDefinition;
+    /**
+     * @constructor
+     * @param {Object} definition
+     * @throws TypeError if given `definition` is not an object
+     */
+    constructor(definition: SchemaDefinition);
+    /**
+     * return errors of given `data`, none if it is valid
+     *
+     * @usage
+     *
+     * new Schema({ type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }).validate({ id: '42' });
+     * > ['data.id should be integer, not string']
+     *
+     * @method validate
+     * @param {Object} data
+     * @return {Array} error messages
+     */
+    validate(data: any): Array<string>;
+}
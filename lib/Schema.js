@@ -0,0 +1,137 @@
+/**
+ * return the JSON type of given `value`
+ *
+ * @private
+ * @method _typeOf
+ * @param {Object} value
+ * @return {String}
+ */
+function _typeOf(value) {
+    if (null === value) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+/**
+ * check if given `value` is of given JSON `type`
+ *
+ * @private
+ * @method _isOfType
+ * @param {Object} value
+ * @param {String} type
+ * @return {Boolean}
+ */
+function _isOfType(value, type) {
+    if ('integer' === type) {
+        return 'number' === typeof value && Math.floor(value) === value;
+    }
+    return type === _typeOf(value);
+}
+/**
+ * collect errors of given `value` against `definition` into `errors`
+ *
+ * @private
+ * @method _check
+ * @param {Object} definition
+ * @param {Object} value
+ * @param {String} path where `value` is in the payload, e.g. `data.user.name`
+ * @param {Array} errors
+ */
+function _check(definition, value, path, errors) {
+    var types = undefined === definition.type ? [] : [].concat(definition.type);
+    var type = _typeOf(value);
+    if (0 < types.length && !types.some(function (expected) { return _isOfType(value, expected); })) {
+        errors.push(path + ' should be ' + types.join(' or ') + ', not ' + type);
+        return;
+    }
+    if (definition.enum && -1 === definition.enum.indexOf(value)) {
+        errors.push(path + ' should be one of ' + JSON.stringify(definition.enum));
+    }
+    if ('number' === type) {
+        if (undefined !== definition.minimum && value < definition.minimum) {
+            errors.push(path + ' should be >= ' + definition.minimum);
+        }
+        if (undefined !== definition.maximum && value > definition.maximum) {
+            errors.push(path + ' should be <= ' + definition.maximum);
+        }
+    }
+    if ('string' === type) {
+        if (undefined !== definition.minLength && value.length < definition.minLength) {
+            errors.push(path + ' should have at least ' + definition.minLength + ' characters');
+        }
+        if (undefined !== definition.maxLength && value.length > definition.maxLength) {
+            errors.push(path + ' should have at most ' + definition.maxLength + ' characters');
+        }
+        if (undefined !== definition.pattern && !new RegExp(definition.pattern).test(value)) {
+            errors.push(path + ' should match ' + definition.pattern);
+        }
+    }
+    if ('array' === type) {
+        if (undefined !== definition.minItems && value.length < definition.minItems) {
+            errors.push(path + ' should have at least ' + definition.minItems + ' items');
+        }
+        if (undefined !== definition.maxItems && value.length > definition.maxItems) {
+            errors.push(path + ' should have at most ' + definition.maxItems + ' items');
+        }
+        if (definition.items) {
+            value.forEach(function (item, index) { return _check(definition.items, item, path + '[' + index + ']', errors); });
+        }
+    }
+    if ('object' === type) {
+        var properties = definition.properties || {};
+        var additional = definition.additionalProperties;
+        (definition.required || [])
+            .filter(function (key) { return !value.hasOwnProperty(key); })
+            .forEach(function (key) { return errors.push(path + '.' + key + ' is required'); });
+        Object.keys(value).forEach(function (key) {
+            if (properties.hasOwnProperty(key)) {
+                _check(properties[key], value[key], path + '.' + key, errors);
+            }
+            else if (false === additional) {
+                errors.push(path + '.' + key + ' is not allowed');
+            }
+            else if (additional && 'object' === typeof additional) {
+                _check(additional, value[key], path + '.' + key, errors);
+            }
+        });
+    }
+}
+/**
+ * Validates payloads against a JSON-Schema-style definition: `type`, `enum`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * @class Schema
+ */
+var Schema = (function () {
+    /**
+     * @constructor
+     * @param {Object} definition
+     * @throws TypeError if given `definition` is not an object
+     */
+    function Schema(definition) {
+        if (null === definition || 'object' !== typeof definition || Array.isArray(definition)) {
+            throw new TypeError('definition should be an object');
+        }
+        this.definition = definition;
+    }
+    /**
+     * return errors of given `data`, none if it is valid
+     *
+     * @usage
+     *
+     * new Schema({ type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }).validate({ id: '42' });
+     * > ['data.id should be integer, not string']
+     *
+     * @method validate
+     * @param {Object} data
+     * @return {Array} error messages
+     */
+    Schema.prototype.validate = function (data) {
+        var errors = [];
+        _check(this.definition, data, 'data', errors);
+        return errors;
+    };
+    return Schema;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = Schema;
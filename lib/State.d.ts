@@ -0,0 +1,87 @@
+import { Observable } from 'rxjs/Observable';
+/**
+ * A handle on the most recent value of an event, made by `state` and `derive` of `EventManager`.
+ * The value lives with the replayed values of the event: `fire` sets it too, `latest` replays it.
+ *
+ * @class State
+ */
+export default class State<T> {
+    /**
+     * the event name
+     *
+     * @property name
+     * @type {String}
+     */
+    name: string;
+    /**
+     * @private
+     * @property _read
+     * @type {Function}
+     */
+    private _read;
+    /**
+     * @private
+     * @property _write
+     * @type {Function}
+     */
+    private _write;
+    /**
+     * @private
+     * @property _observe
+     * @type {Function}
+     */
+    private _observe;
+    /**
+     * @private
+     * @property _dispose
+     * @type {Function}
+     */
+    private _dispose;
+    /**
+     * @constructor
+     * @param {String} name the event name
+     * @param {Function} read returns the current value
+     * @param {Function} [write] sets the current value, omitted by read-only (derived) states
+     * @param {Function} observe returns an Observable of the value
+     * @param {Function} [dispose] stops deriving the value
+     */
+    constructor(name: string, read: () => T, write: (value: T) => void, observe: () => Observable<T>, dispose?: () => void);
+    /**
+     * return the current value, `undefined` if there is none (e.g. it is outside of the replay window)
+     *
+     * @method get
+     * @return {Object}
+     */
+    get(): T;
+    /**
+     * set the current value, fired as the event of the state
+     *
+     * @method set
+     * @param {Object} value
+     * @throws TypeError if the state is read-only
+     * @chainable
+     */
+    set(value: T): State<T>;
+    /**
+     * set the current value to the result of `updater` called with the current value
+     *
+     * @method update
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function or the state is read-only
+     * @chainable
+     */
+    update(updater: (value: T) => T): State<T>;
+    /**
+     * return an Observable of the value, which replays the current one like `latest`
+     *
+     * @method observe
+     * @return {Observable}
+     */
+    observe(): Observable<T>;
+    /**
+     * stop deriving the value of a derived state, which keeps its current value
+     *
+     * @method dispose
+     */
+    dispose(): void;
+}
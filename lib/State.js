@@ -0,0 +1,83 @@
+/**
+ * A handle on the most recent value of an event, made by `state` and `derive` of `EventManager`.
+ * The value lives with the replayed values of the event: `fire` sets it too, `latest` replays it.
+ *
+ * @class State
+ */
+var State = (function () {
+    /**
+     * @constructor
+     * @param {String} name the event name
+     * @param {Function} read returns the current value
+     * @param {Function} [write] sets the current value, omitted by read-only (derived) states
+     * @param {Function} observe returns an Observable of the value
+     * @param {Function} [dispose] stops deriving the value
+     */
+    function State(name, read, write, observe, dispose) {
+        this.name = name;
+        this._read = read;
+        this._write = write;
+        this._observe = observe;
+        this._dispose = dispose;
+    }
+    /**
+     * return the current value, `undefined` if there is none (e.g. it is outside of the replay window)
+     *
+     * @method get
+     * @return {Object}
+     */
+    State.prototype.get = function () {
+        return this._read();
+    };
+    /**
+     * set the current value, fired as the event of the state
+     *
+     * @method set
+     * @param {Object} value
+     * @throws TypeError if the state is read-only
+     * @chainable
+     */
+    State.prototype.set = function (value) {
+        if (!this._write) {
+            throw new TypeError('state ' + this.name + ' is read-only');
+        }
+        this._write(value);
+        return this;
+    };
+    /**
+     * set the current value to the result of `updater` called with the current value
+     *
+     * @method update
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function or the state is read-only
+     * @chainable
+     */
+    State.prototype.update = function (updater) {
+        if ('function' !== typeof updater) {
+            throw new TypeError('updater should be a function');
+        }
+        return this.set(updater(this.get()));
+    };
+    /**
+     * return an Observable of the value, which replays the current one like `latest`
+     *
+     * @method observe
+     * @return {Observable}
+     */
+    State.prototype.observe = function () {
+        return this._observe();
+    };
+    /**
+     * stop deriving the value of a derived state, which keeps its current value
+     *
+     * @method dispose
+     */
+    State.prototype.dispose = function () {
+        if (this._dispose) {
+            this._dispose();
+        }
+    };
+    return State;
+})();
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = State;
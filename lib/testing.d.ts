@@ -0,0 +1,219 @@
+import { Observable } from 'rxjs/Observable';
+import { TestScheduler } from 'rxjs/testing/TestScheduler';
+import EventManager, { EventNames, EventKey, EventMessage, RecordOptions, PlayOptions } from './EventManager';
+import Recorder, { HistoryRecord } from './Recorder';
+/**
+ * A value received by a spy, or fired on a test bus, at a virtual time.
+ */
+export interface SpiedEvent<T> extends EventMessage<T> {
+    /**
+     * the virtual time of the scheduler, `0` outside of `flush`
+     */
+    frame: number;
+}
+/**
+ * Records values of an event received by listeners, see `TestBus.spy`.
+ *
+ * @class Spy
+ */
+export declare class Spy<T> {
+    /**
+     * received events, in order
+     *
+     * @property events
+     * @type {Array}
+     */
+    events: Array<SpiedEvent<T>>;
+    /**
+     * @private
+     * @property _subscription
+     * @type {Subscription}
+     */
+    private _subscription;
+    /**
+     * @constructor
+     * @param {Observable} observable of `{ event, data }`
+     * @param {Function} now returns the virtual time
+     */
+    constructor(observable: Observable<EventMessage<T>>, now: () => number);
+    /**
+     * received values, in order
+     *
+     * @property values
+     * @type {Array}
+     */
+    values: Array<T>;
+    /**
+     * the number of received values
+     *
+     * @property count
+     * @type {Number}
+     */
+    count: number;
+    /**
+     * the last received value, if any
+     *
+     * @property last
+     * @type {Object}
+     */
+    last: T;
+    /**
+     * forget received values
+     *
+     * @method clear
+     * @chainable
+     */
+    clear(): Spy<T>;
+    /**
+     * stop spying
+     *
+     * @method dispose
+     */
+    dispose(): void;
+}
+/**
+ * An `EventManager` for tests, running on virtual time: its `scheduler` is the default one of time-based flow control,
+ * `record` and `play`, and can be given to `configure` to replay `latest` values deterministically.
+ * It remembers every fired event for expectations, which throw an `AssertionError` when they fail.
+ *
+ * @usage
+ *
+ * const {TestBus} = require('rx-event-manager/testing');
+ * const bus = new TestBus();
+ *
+ * const spy = bus.spy('search');
+ *
+ * bus.on('input', (text) => bus.fire('search', text), { debounceMs: 20 });
+ * bus.fireMarbles('input', 'ab-c----', { a: 'r', b: 'rx', c: 'rxjs' });
+ * bus.flush();
+ *
+ * bus.expectMarbles('search', '-----c', { c: 'rxjs' });
+ * spy.values;
+ * > ['rxjs']
+ *
+ * @class TestBus
+ */
+export declare class TestBus<T> extends EventManager<T> {
+    /**
+     * the virtual time scheduler of the bus
+     *
+     * @property scheduler
+     * @type {TestScheduler}
+     */
+    scheduler: TestScheduler;
+    /**
+     * every event fired on the bus, see `Recorder`
+     *
+     * @property history
+     * @type {Recorder}
+     */
+    history: Recorder;
+    /**
+     * @constructor
+     */
+    constructor();
+    /**
+     * same as `record` of `EventManager`, on the virtual time of the bus by default
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     */
+    record(options?: RecordOptions): Recorder;
+    /**
+     * same as `play` of `EventManager`, on the virtual time of the bus by default: call `flush` to play the recording
+     *
+     * @method play
+     * @param {Recorder|Array} recording
+     * @param {Object} [options]
+     * @return {Promise}
+     */
+    play(recording: Recorder | Array<HistoryRecord>, options?: PlayOptions): Promise<void>;
+    /**
+     * run everything scheduled on the virtual time of the bus, the virtual time restarts from `0` afterwards
+     *
+     * @method flush
+     * @chainable
+     */
+    flush(): TestBus<T>;
+    /**
+     * spy on values of given `event` (name(s) or pattern(s)) received from now on
+     *
+     * @method spy
+     * @param {String|Array} event
+     * @return {Spy}
+     */
+    spy<P>(event: EventKey<P>): Spy<P>;
+    spy(event: EventNames): Spy<T>;
+    /**
+     * schedule firing `event` as described by given `marbles`: every character is a frame of 10 virtual milliseconds,
+     * `-` lets a frame pass, `(ab)` fires `a` and `b` within a frame, any other character fires its value in `values`,
+     * or itself without `values`. Events are fired once `flush` is called.
+     *
+     * @usage
+     *
+     * bus.fireMarbles('price', '-a--b', { a: 10, b: 12 });
+     * // fires `price` with 10 at frame 10, then with 12 at frame 40
+     *
+     * @method fireMarbles
+     * @param {String} event event name(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @chainable
+     */
+    fireMarbles(event: EventNames, marbles: string, values?: {
+        [x: string]: any;
+    }): TestBus<T>;
+    /**
+     * return events fired on the bus matching given `event` (name(s) or pattern(s))
+     *
+     * @method fired
+     * @param {String|Array} event
+     * @return {Array}
+     */
+    fired(event: EventNames | EventKey<any>): Array<SpiedEvent<any>>;
+    /**
+     * expect given `event` to have been fired, with a payload deep equal to `payload` if given
+     *
+     * @method expectFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} [payload]
+     * @throws AssertionError if no such event was fired
+     * @chainable
+     */
+    expectFired(event: EventNames | EventKey<any>, payload?: any): TestBus<T>;
+    /**
+     * expect given `event` not to have been fired
+     *
+     * @method expectNotFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @throws AssertionError if such an event was fired
+     * @chainable
+     */
+    expectNotFired(event: EventNames | EventKey<any>): TestBus<T>;
+    /**
+     * expect the events fired matching given `event` to be described by `marbles`, see `fireMarbles`
+     *
+     * @usage
+     *
+     * bus.expectMarbles('search', '---a', { a: 'rxjs' });
+     *
+     * @method expectMarbles
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @throws AssertionError if fired events differ
+     * @chainable
+     */
+    expectMarbles(event: EventNames | EventKey<any>, marbles: string, values?: {
+        [x: string]: any;
+    }): TestBus<T>;
+    /**
+     * off every listener, forget latest values and fired events, e.g. in `afterEach`
+     *
+     * @method reset
+     * @chainable
+     */
+    reset(): TestBus<T>;
+}
+export default TestBus;
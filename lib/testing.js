@@ -0,0 +1,312 @@
+var __extends = (this && this.__extends) || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+};
+var TestScheduler_1 = require('rxjs/testing/TestScheduler');
+var EventManager_1 = require('./EventManager');
+/**
+ * The number of fired events a test bus remembers for its expectations.
+ *
+ * @private
+ * @property HISTORY_LIMIT
+ * @type {Number}
+ */
+var HISTORY_LIMIT = 10000;
+/**
+ * throw an `AssertionError` with given `message`
+ *
+ * @private
+ * @method _fail
+ * @param {String} message
+ * @throws AssertionError
+ */
+function _fail(message) {
+    var error = new Error(message);
+    error.name = 'AssertionError';
+    throw error;
+}
+/**
+ * render given fired events (or expected ones) for error messages
+ *
+ * @private
+ * @method _render
+ * @param {Array} events of `{ frame, data }`
+ * @return {String}
+ */
+function _render(events) {
+    return '[' + events.map(function (e) { return e.frame + ': ' + JSON.stringify(e.data); }).join(', ') + ']';
+}
+/**
+ * Records values of an event received by listeners, see `TestBus.spy`.
+ *
+ * @class Spy
+ */
+var Spy = (function () {
+    /**
+     * @constructor
+     * @param {Observable} observable of `{ event, data }`
+     * @param {Function} now returns the virtual time
+     */
+    function Spy(observable, now) {
+        var _this = this;
+        /**
+         * received events, in order
+         *
+         * @property events
+         * @type {Array}
+         */
+        this.events = [];
+        this._subscription = observable.subscribe(function (e) {
+            _this.events.push({ event: e.event, data: e.data, frame: now() });
+        });
+    }
+    Object.defineProperty(Spy.prototype, "values", {
+        /**
+         * received values, in order
+         *
+         * @property values
+         * @type {Array}
+         */
+        get: function () {
+            return this.events.map(function (e) { return e.data; });
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Spy.prototype, "count", {
+        /**
+         * the number of received values
+         *
+         * @property count
+         * @type {Number}
+         */
+        get: function () {
+            return this.events.length;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    Object.defineProperty(Spy.prototype, "last", {
+        /**
+         * the last received value, if any
+         *
+         * @property last
+         * @type {Object}
+         */
+        get: function () {
+            return this.count ? this.events[this.count - 1].data : undefined;
+        },
+        enumerable: true,
+        configurable: true
+    });
+    /**
+     * forget received values
+     *
+     * @method clear
+     * @chainable
+     */
+    Spy.prototype.clear = function () {
+        this.events = [];
+        return this;
+    };
+    /**
+     * stop spying
+     *
+     * @method dispose
+     */
+    Spy.prototype.dispose = function () {
+        this._subscription.unsubscribe();
+    };
+    return Spy;
+})();
+exports.Spy = Spy;
+/**
+ * An `EventManager` for tests, running on virtual time: its `scheduler` is the default one of time-based flow control,
+ * `record` and `play`, and can be given to `configure` to replay `latest` values deterministically.
+ * It remembers every fired event for expectations, which throw an `AssertionError` when they fail.
+ *
+ * @usage
+ *
+ * const {TestBus} = require('rx-event-manager/testing');
+ * const bus = new TestBus();
+ *
+ * const spy = bus.spy('search');
+ *
+ * bus.on('input', (text) => bus.fire('search', text), { debounceMs: 20 });
+ * bus.fireMarbles('input', 'ab-c----', { a: 'r', b: 'rx', c: 'rxjs' });
+ * bus.flush();
+ *
+ * bus.expectMarbles('search', '-----c', { c: 'rxjs' });
+ * spy.values;
+ * > ['rxjs']
+ *
+ * @class TestBus
+ */
+var TestBus = (function (_super) {
+    __extends(TestBus, _super);
+    /**
+     * @constructor
+     */
+    function TestBus() {
+        _super.call(this);
+        this.scheduler = new TestScheduler_1.TestScheduler(function (actual, expected) {
+            if (!EventManager_1.default.deepEqual(actual, expected)) {
+                _fail('expected ' + JSON.stringify(actual) + ' to deep equal ' + JSON.stringify(expected));
+            }
+        });
+        this.history = this.record({ limit: HISTORY_LIMIT });
+        this.configure('**', { flowScheduler: this.scheduler });
+    }
+    /**
+     * same as `record` of `EventManager`, on the virtual time of the bus by default
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     */
+    TestBus.prototype.record = function (options) {
+        return _super.prototype.record.call(this, {
+            events: options && options.events,
+            limit: options && options.limit,
+            scheduler: options && options.scheduler || this.scheduler
+        });
+    };
+    /**
+     * same as `play` of `EventManager`, on the virtual time of the bus by default: call `flush` to play the recording
+     *
+     * @method play
+     * @param {Recorder|Array} recording
+     * @param {Object} [options]
+     * @return {Promise}
+     */
+    TestBus.prototype.play = function (recording, options) {
+        return _super.prototype.play.call(this, recording, {
+            timing: options && options.timing,
+            speed: options && options.speed,
+            scheduler: options && options.scheduler || this.scheduler
+        });
+    };
+    /**
+     * run everything scheduled on the virtual time of the bus, the virtual time restarts from `0` afterwards
+     *
+     * @method flush
+     * @chainable
+     */
+    TestBus.prototype.flush = function () {
+        this.scheduler.flush();
+        return this;
+    };
+    TestBus.prototype.spy = function (event) {
+        var _this = this;
+        return new Spy(this.observe(event, { withEvent: true }), function () { return _this.scheduler.now(); });
+    };
+    /**
+     * schedule firing `event` as described by given `marbles`: every character is a frame of 10 virtual milliseconds,
+     * `-` lets a frame pass, `(ab)` fires `a` and `b` within a frame, any other character fires its value in `values`,
+     * or itself without `values`. Events are fired once `flush` is called.
+     *
+     * @usage
+     *
+     * bus.fireMarbles('price', '-a--b', { a: 10, b: 12 });
+     * // fires `price` with 10 at frame 10, then with 12 at frame 40
+     *
+     * @method fireMarbles
+     * @param {String} event event name(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @chainable
+     */
+    TestBus.prototype.fireMarbles = function (event, marbles, values) {
+        var _this = this;
+        TestScheduler_1.TestScheduler.parseMarbles(marbles, values)
+            .filter(function (message) { return 'N' === message.notification.kind; })
+            .forEach(function (message) {
+            _this.scheduler.schedule(function () { _this.fire(event, message.notification.value); }, message.frame);
+        });
+        return this;
+    };
+    /**
+     * return events fired on the bus matching given `event` (name(s) or pattern(s))
+     *
+     * @method fired
+     * @param {String|Array} event
+     * @return {Array}
+     */
+    TestBus.prototype.fired = function (event) {
+        return this.history.query({ events: event })
+            .map(function (record) { return ({ event: record.event, data: record.data, frame: record.timestamp }); });
+    };
+    /**
+     * expect given `event` to have been fired, with a payload deep equal to `payload` if given
+     *
+     * @method expectFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} [payload]
+     * @throws AssertionError if no such event was fired
+     * @chainable
+     */
+    TestBus.prototype.expectFired = function (event, payload) {
+        var fired = this.fired(event);
+        var withPayload = 1 < arguments.length;
+        if (!fired.some(function (e) { return !withPayload || EventManager_1.default.deepEqual(e.data, payload); })) {
+            _fail('expected ' + event + ' to be fired' + (withPayload ? ' with ' + JSON.stringify(payload) : '') +
+                ', fired ' + _render(fired));
+        }
+        return this;
+    };
+    /**
+     * expect given `event` not to have been fired
+     *
+     * @method expectNotFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @throws AssertionError if such an event was fired
+     * @chainable
+     */
+    TestBus.prototype.expectNotFired = function (event) {
+        var fired = this.fired(event);
+        if (0 < fired.length) {
+            _fail('expected ' + event + ' not to be fired, fired ' + _render(fired));
+        }
+        return this;
+    };
+    /**
+     * expect the events fired matching given `event` to be described by `marbles`, see `fireMarbles`
+     *
+     * @usage
+     *
+     * bus.expectMarbles('search', '---a', { a: 'rxjs' });
+     *
+     * @method expectMarbles
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @throws AssertionError if fired events differ
+     * @chainable
+     */
+    TestBus.prototype.expectMarbles = function (event, marbles, values) {
+        var actual = this.fired(event).map(function (e) { return ({ frame: e.frame, data: e.data }); });
+        var expected = TestScheduler_1.TestScheduler.parseMarbles(marbles, values)
+            .filter(function (message) { return 'N' === message.notification.kind; })
+            .map(function (message) { return ({ frame: message.frame, data: message.notification.value }); });
+        if (!EventManager_1.default.deepEqual(actual, expected)) {
+            _fail('expected ' + event + ' to be fired as ' + _render(expected) + ', fired ' + _render(actual));
+        }
+        return this;
+    };
+    /**
+     * off every listener, forget latest values and fired events, e.g. in `afterEach`
+     *
+     * @method reset
+     * @chainable
+     */
+    TestBus.prototype.reset = function () {
+        this.off('**');
+        this.history.clear();
+        return this;
+    };
+    return TestBus;
+})(EventManager_1.default);
+exports.TestBus = TestBus;
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.default = TestBus;
@@ -0,0 +1,201 @@
+/**
+ * tells messages of bridges apart from other messages of a shared channel
+ *
+ * @private
+ * @property BRIDGE_TYPE
+ * @type {String}
+ */
+const BRIDGE_TYPE = 'rx-event-manager';
+
+/**
+ * A `postMessage`-style channel: a `MessagePort`, a `Worker`, a `BroadcastChannel`,
+ * `self` in a worker or a Node `worker_threads` port.
+ */
+export interface Channel {
+    postMessage(message: any): void;
+    addEventListener?: (type: string, listener: (e: any) => void) => void;
+    removeEventListener?: (type: string, listener: (e: any) => void) => void;
+    on?: (type: string, listener: (message: any) => void) => any;
+    removeListener?: (type: string, listener: (message: any) => void) => any;
+    start?: () => void;
+}
+
+/**
+ * Where a fired event comes from, to tell it apart once it comes back over bridges.
+ */
+export interface Route {
+    /**
+     * unique among bridged buses, to deliver the event only once per bus
+     */
+    id: string;
+
+    /**
+     * the tag of the bus the event was fired on
+     */
+    origin: string;
+
+    /**
+     * ids of the buses the event went through, to drop it once it loops back
+     */
+    path: Array<string>;
+}
+
+/**
+ * An event as it travels over a channel.
+ */
+export interface BridgeMessage extends Route {
+    type: string;
+    event: string;
+    data: any;
+}
+
+/**
+ * Turns bridge messages into what is posted over the channel and back.
+ */
+export interface Serializer {
+    serialize(message: BridgeMessage): any;
+    deserialize(raw: any): BridgeMessage;
+}
+
+/**
+ * Options of `bridge`.
+ */
+export interface BridgeOptions {
+    /**
+     * event name(s) or pattern(s) to mirror in both directions, default to every event
+     */
+    events?: string | Array<string>;
+
+    /**
+     * the tag of events fired on this bus, default to the id of the bus
+     */
+    origin?: string;
+
+    /**
+     * default to posting messages as they are, for channels cloning them
+     */
+    serializer?: Serializer;
+}
+
+/**
+ * posts messages as they are, channels clone them (structured clone)
+ *
+ * @private
+ * @property IDENTITY_SERIALIZER
+ * @type {Object}
+ */
+const IDENTITY_SERIALIZER: Serializer = {
+    serialize: (message) => message,
+    deserialize: (raw) => raw
+};
+
+/**
+ * Posts bridge messages over a channel and listens to the ones posted by the other end,
+ * whichever flavour of `postMessage` API the channel has.
+ *
+ * @class Bridge
+ */
+export default class Bridge {
+
+    /**
+     * serializes messages to JSON strings, for channels which only carry strings
+     *
+     * @static
+     * @property JSON
+     * @type {Object}
+     */
+    static JSON: Serializer = {
+        serialize: (message) => JSON.stringify(message),
+        deserialize: (raw) => JSON.parse(raw)
+    };
+
+    /**
+     * @private
+     * @property _serializer
+     * @type {Object}
+     */
+    private _serializer: Serializer;
+
+    /**
+     * @private
+     * @property _channel
+     * @type {Object}
+     */
+    private _channel: Channel;
+
+    /**
+     * @constructor
+     * @param {Object} channel
+     * @param {Object} [serializer]
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    constructor(channel: Channel, serializer?: Serializer) {
+        if (!channel || 'function' !== typeof channel.postMessage) {
+            throw new TypeError('channel should have a postMessage method');
+        }
+
+        this._channel = channel;
+        this._serializer = serializer || IDENTITY_SERIALIZER;
+    }
+
+    /**
+     * post given event over the channel
+     *
+     * @method post
+     * @param {String} event
+     * @param {Object} data
+     * @param {Object} route
+     */
+    post(event: string, data: any, route: Route): void {
+        this._channel.postMessage(this._serializer.serialize({
+            type: BRIDGE_TYPE,
+            event: event,
+            data: data,
+            id: route.id,
+            origin: route.origin,
+            path: route.path
+        }));
+    }
+
+    /**
+     * call given `handler` with every bridge message posted by the other end,
+     * other messages of the channel are ignored.
+     *
+     * @method listen
+     * @param {Function} handler
+     * @return {Function} stops listening
+     */
+    listen(handler: (message: BridgeMessage) => void): () => void {
+        const channel = this._channel;
+
+        const receive = (raw: any) => {
+            let message: BridgeMessage;
+
+            try {
+                message = this._serializer.deserialize(raw);
+            } catch (ex) {
+                return;
+            }
+
+            if (message && BRIDGE_TYPE === message.type) {
+                handler(message);
+            }
+        };
+
+        if ('function' === typeof channel.addEventListener) {
+            const listener = (e: any) => receive(e.data);
+
+            channel.addEventListener('message', listener);
+
+            if ('function' === typeof channel.start) {
+                channel.start();
+            }
+
+            return () => channel.removeEventListener('message', listener);
+        }
+
+        channel.on('message', receive);
+
+        return () => channel.removeListener('message', receive);
+    }
+}
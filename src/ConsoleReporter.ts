@@ -0,0 +1,86 @@
+/**
+ * An event as it passed through a bus, see `tap$`.
+ */
+export interface TapEntry {
+    event: string;
+    data: any;
+
+    /**
+     * the tag of the bus the event was fired on, if it came over a bridge
+     */
+    origin?: string;
+
+    /**
+     * when the event was delivered, in milliseconds since the epoch
+     */
+    timestamp: number;
+
+    /**
+     * how long listeners took to handle the event, in milliseconds
+     */
+    duration: number;
+
+    /**
+     * the number of subscribers of the event, including the ones it did not reach once its propagation was stopped
+     */
+    listeners: number;
+
+    propagationStopped: boolean;
+    defaultPrevented: boolean;
+}
+
+/**
+ * Reports events tapped from a bus, see `report`.
+ */
+export interface Reporter {
+    report(entry: TapEntry): void;
+}
+
+/**
+ * The part of `console` a `ConsoleReporter` writes to.
+ */
+export interface Console {
+    log(message?: any, ...params: Array<any>): void;
+}
+
+/**
+ * Logs every tapped event as one line: its time, name, listeners, duration and payload.
+ *
+ * @class ConsoleReporter
+ */
+export default class ConsoleReporter implements Reporter {
+
+    /**
+     * @private
+     * @property _console
+     * @type {Object}
+     */
+    private _console: Console;
+
+    /**
+     * @constructor
+     * @param {Object} [output] default to the global `console`
+     */
+    constructor(output: Console = console) {
+        this._console = output;
+    }
+
+    /**
+     * @method report
+     * @param {Object} entry
+     */
+    report(entry: TapEntry): void {
+        const flags = (entry.propagationStopped ? ' stopped' : '') + (entry.defaultPrevented ? ' prevented' : '');
+
+        this._console.log(
+            '[%s] %s%s -> %d listener(s) in %sms%s',
+            new Date(entry.timestamp).toISOString(),
+            entry.event,
+            entry.origin ? ' (from ' + entry.origin + ')' : '',
+            entry.listeners,
+            entry.duration.toFixed(2),
+            flags,
+            entry.data
+        );
+    }
+}
@@ -3,309 +3,3803 @@ import {Observable} from 'rxjs/Observable';
 import {Observer} from 'rxjs/Observer';
 import {Subscriber} from 'rxjs/Subscriber';
 import {Subject} from 'rxjs/Subject';
+import {Scheduler} from 'rxjs/Scheduler';
+import {asap} from 'rxjs/scheduler/asap';
+import {SymbolShim} from 'rxjs/util/SymbolShim';
 
 import 'rxjs/add/operator/filter';
 import 'rxjs/add/operator/map';
 import 'rxjs/add/operator/take';
+import 'rxjs/add/operator/throttleTime';
+import 'rxjs/add/operator/debounceTime';
+import 'rxjs/add/operator/sampleTime';
+import 'rxjs/add/operator/bufferCount';
+import 'rxjs/add/operator/bufferTime';
 import 'rxjs/add/operator/distinctUntilChanged';
 import 'rxjs/add/operator/distinctUntilKeyChanged';
+import 'rxjs/add/operator/merge-static';
+import 'rxjs/add/operator/timeout';
+import 'rxjs/add/operator/toPromise';
+import 'rxjs/add/observable/defer';
+import 'rxjs/add/observable/from';
+import 'rxjs/add/observable/fromEvent';
+import 'rxjs/add/observable/fromPromise';
+import 'rxjs/add/observable/throw';
 
-const eventManagerCore = new Subject();
+import Bridge, {Channel, Route, BridgeMessage, BridgeOptions} from './Bridge';
+import ConsoleReporter, {Reporter, TapEntry} from './ConsoleReporter';
+import EventContext from './EventContext';
+import EventObservable from './EventObservable';
+import MemoryStorage, {StorageAdapter} from './MemoryStorage';
+import PatternIndex from './PatternIndex';
+import Recorder, {HistoryRecord} from './Recorder';
+import Schema, {SchemaDefinition} from './Schema';
+import State from './State';
 
 /**
- * A hash of { eventName: eventObservable }
- *
- * @private
- * @property observables
- * @type {Object}
+ * One event name, several space-separated event names or an array of event names.
  */
-const observables: { [x: string]: Observable<any> } = {};
+export type EventNames = string | Array<string>;
 
 /**
- * A hash of { eventName: [eventSubscription1, eventSubscription2, ...] }
- *
- * @private
- * @property subscriptions
- * @type {Object}
+ * An event name typed with the payload `P` of the event, made by `EventManager.event`.
+ * It is the bare event name at runtime, the payload type only lives in the compiler.
  */
-const subscriptions: { [x: string]: Array<Subscription<any>> } = {};
+export interface EventKey<P> {
+    __payload: P;
+}
 
 /**
- * An object which manages the most recent data of events.
- *
- * @private
- * @property latestEventData
- * @type {Object}
+ * A value tagged with the name of the event it was fired with.
  */
-const latestEventData = {};
+export interface EventMessage<T> {
+    event: string;
+    data: T;
+
+    /**
+     * the tag of the bus the event was fired on, if it came over a bridge
+     */
+    origin?: string;
+}
 
 /**
- * check if given `value` is a non-empty string
- *
- * @private
- * @method _isInvalidString
- * @param {Object} value
- * @return {Boolean}
+ * How values of an event reach a listener, given as options of `on`, `observe`, ... or as defaults of `configure`.
+ * Operators apply in this order: throttle, debounce, sample, buffer.
  */
-function _isInvalidString(value: string): boolean {
-    return ('string' !== typeof value) || (0 === value.length);
+export interface FlowControl {
+    /**
+     * emit a value, then ignore the next ones for `throttleMs` milliseconds
+     */
+    throttleMs?: number;
+
+    /**
+     * emit a value once no other value came for `debounceMs` milliseconds
+     */
+    debounceMs?: number;
+
+    /**
+     * emit the most recent value every `sampleMs` milliseconds, if any came
+     */
+    sampleMs?: number;
+
+    /**
+     * emit values as arrays of `bufferCount` values
+     */
+    bufferCount?: number;
+
+    /**
+     * emit values as arrays of the values which came within `bufferMs` milliseconds
+     */
+    bufferMs?: number;
+
+    /**
+     * handlers only: call the handler with a value once the previous call settled (see `fireAsync`),
+     * queueing at most `queue` values meanwhile
+     */
+    queue?: number;
+
+    /**
+     * what to do with a value once the queue is full: `drop-oldest` (default) or `drop-newest`
+     */
+    overflow?: string;
+
+    /**
+     * the scheduler of time-based operators, default to `asap`. It is not `scheduler`, which makes the replay asynchronous
+     */
+    flowScheduler?: Scheduler;
 }
 
 /**
- * check if given `value` is NOT an instance of function
- *
- * @private
- * @method _isNotFunction
- * @param {Object} value
- * @return {Boolean}
+ * Options of `observe`.
  */
-function _isNotFunction(value: Function): boolean {
-    return 'function' !== typeof value;
+export interface ObserveOptions extends FlowControl {
+    /**
+     * emit `{ event, data }` instead of bare `data`
+     */
+    withEvent?: boolean;
+}
+
+/**
+ * How many of the most recent values of an event `latest` replays, see `configure`.
+ */
+export interface ReplayPolicy {
+    /**
+     * number of most recent values to replay, `0` for none, default to `1`
+     */
+    replay?: number;
+
+    /**
+     * only replay values fired within the last `windowMs` milliseconds
+     */
+    windowMs?: number;
+
+    /**
+     * deliver the replay through `scheduler` (e.g. `asap`) instead of synchronously
+     */
+    scheduler?: Scheduler;
+}
+
+/**
+ * The policy of an event, see `configure`.
+ */
+export interface EventPolicy extends ReplayPolicy, FlowControl {
+    /**
+     * what to do when a listener throws, besides publishing the error on `errors$`:
+     * `log` (default) logs it to the console, `unsubscribe` unsubscribes the faulty listener,
+     * `rethrow` throws it from `fire` once every listener got the event
+     */
+    onError?: string;
+
+    /**
+     * the number of undelivered events to buffer until the first matching `on`, `once` or `observe` receives them,
+     * the oldest ones are dropped beyond it, default to the one configured for a pattern matching the event, or `0`,
+     * see `deadLetters$`
+     */
+    deadLetters?: number;
+}
+
+/**
+ * Options of `persist`.
+ */
+export interface PersistOptions {
+    /**
+     * where replayed values are stored, e.g. `window.localStorage`, `MemoryStorage` or `FileStorage` of `rx-event-manager/file-storage`
+     */
+    storage: StorageAdapter;
+
+    /**
+     * prefix of storage keys, default to `rx-event-manager:`
+     */
+    key?: string;
+
+    /**
+     * version of stored payloads, default to `0`
+     */
+    version?: number;
+
+    /**
+     * turn a payload stored with another `version` into the current one,
+     * payloads of other versions are dropped without it
+     */
+    migrate?: (data: any, version: number) => any;
+
+    /**
+     * drop stored values older than `ttlMs` milliseconds
+     */
+    ttlMs?: number;
+}
+
+/**
+ * Replayed values of an event as they are stored, see `persist`.
+ */
+interface StoredEntries {
+    version: number;
+    entries: Array<{ value: any; timestamp: number }>;
+}
+
+/**
+ * Validates the payload of an event, see `define`: returns its errors, an array or a message, nothing if it is valid.
+ */
+export type Validator = (data: any) => any;
+
+/**
+ * Options of `define`.
+ */
+export interface DefineOptions {
+    /**
+     * what `fire` does with an invalid payload, besides not delivering it:
+     * `strict` (default) throws a `ValidationError`, `lenient` publishes it on `errors$`
+     */
+    mode?: string;
+}
+
+/**
+ * A defined event, see `definitions`.
+ */
+export interface EventDefinition {
+    /**
+     * the event name or pattern
+     */
+    event: string;
+
+    schema: SchemaDefinition | Validator;
+    mode: string;
+}
+
+/**
+ * A listener as `inspect` describes it.
+ */
+export interface InspectedListener {
+    /**
+     * the handler, observer or channel of the subscription, `undefined` for subscriptions of `observe`
+     */
+    handler: any;
+
+    /**
+     * the name of the handler, observer or channel, to tell where the subscription comes from
+     */
+    source: string;
+
+    /**
+     * see `ListenerOptions`
+     */
+    owner: any;
+}
+
+/**
+ * An event as `inspect` describes it.
+ */
+export interface InspectedEvent {
+    /**
+     * the event name or pattern
+     */
+    event: string;
+
+    listenerCount: number;
+    listeners: Array<InspectedListener>;
+
+    /**
+     * the number of values `latest` replays
+     */
+    replayed: number;
+}
+
+/**
+ * The state of a bus as `inspect` describes it.
+ */
+export interface InspectorSnapshot {
+    /**
+     * the id of the bus, and of its parent bus if any
+     */
+    id: string;
+    parent: string;
+
+    events: Array<InspectedEvent>;
+    middlewares: number;
+}
+
+/**
+ * Options of `record`.
+ */
+export interface RecordOptions {
+    /**
+     * event name(s) or pattern(s) to record, default to every event
+     */
+    events?: EventNames;
+
+    /**
+     * the number of most recent events to keep, default to `1000`
+     */
+    limit?: number;
+
+    /**
+     * the clock of timestamps, default to `Date.now`
+     */
+    scheduler?: Scheduler;
+}
+
+/**
+ * Options of `play`.
+ */
+export interface PlayOptions {
+    /**
+     * `original` (default) fires events as far apart as they were recorded,
+     * `compressed` fires them all at once
+     */
+    timing?: string;
+
+    /**
+     * divides the original delays between events, default to `1`
+     */
+    speed?: number;
+
+    /**
+     * the scheduler of the original timing, default to `asap`
+     */
+    scheduler?: Scheduler;
+}
+
+/**
+ * Options of `sequence`.
+ */
+export interface SequenceOptions {
+    /**
+     * start over once the sequence is not complete `timeoutMs` milliseconds after its first event
+     */
+    timeoutMs?: number;
+
+    /**
+     * the clock of `timeoutMs`, default to the `flowScheduler` configured for the composite event, or `asap`
+     */
+    scheduler?: Scheduler;
+}
+
+/**
+ * Options of `window`.
+ */
+export interface WindowOptions {
+    /**
+     * the number of events to detect
+     */
+    count: number;
+
+    /**
+     * the time window the events should be fired within, in milliseconds
+     */
+    withinMs: number;
+
+    /**
+     * the clock of `withinMs`, default to the `flowScheduler` configured for the composite event, or `asap`
+     */
+    scheduler?: Scheduler;
+}
+
+/**
+ * Options of `connect`.
+ */
+export interface ConnectOptions {
+    /**
+     * the event of an `EventEmitter` or `EventTarget` source to listen to, default to the connected event name
+     */
+    event?: string;
+
+    /**
+     * return the payload to fire for a value of the source, default to the value itself
+     */
+    map?: (value: any) => any;
+}
+
+/**
+ * Options of `pipeTo`.
+ */
+export interface PipeOptions {
+    /**
+     * the event to emit on an `EventEmitter` or `EventTarget`, default to the name of the fired event
+     */
+    event?: string;
+
+    /**
+     * return the value to emit for a payload, default to the payload itself
+     */
+    map?: (data: any, event: string) => any;
+}
+
+/**
+ * Options of `request`.
+ */
+export interface RequestOptions {
+    /**
+     * error with a `TimeoutError` if no reply arrived within `timeoutMs` milliseconds
+     */
+    timeoutMs?: number;
+
+    /**
+     * `first` (default) replies with the first successful reply of all responders,
+     * `all` replies with an array of replies of all responders
+     */
+    strategy?: string;
+}
+
+/**
+ * A function called with every fired event (of its patterns) before delivery, see `use`.
+ * It delivers the event (or a transformed one) by calling `next`, which settles once
+ * the rest of the pipeline has run, and vetoes the event by not calling `next` at all.
+ * It may return a Promise to call `next` asynchronously.
+ */
+export type Middleware<T> = (message: EventMessage<T>, next: (message?: EventMessage<T>) => Promise<void>) => any;
+
+/**
+ * An error thrown (or rejected) while dispatching an event, published on `errors$`.
+ */
+export interface EventError<T> {
+    event: string;
+    data: T;
+    error: any;
+
+    /**
+     * the middleware (or handler) which failed
+     */
+    handler: any;
+}
+
+/**
+ * A middleware memorized with the event names or patterns it is scoped to, see `use`.
+ */
+interface MiddlewareEntry<T> {
+    names: Array<string>;
+    middleware: Middleware<T>;
+}
+
+/**
+ * A request dispatched to responders, see `request` and `respond`.
+ */
+interface RequestMessage {
+    event: string;
+    data: any;
+    reply: (result: Promise<any>) => void;
+}
+
+/**
+ * A fired value memorized for replay.
+ */
+interface ReplayEntry<T> {
+    value: T;
+    timestamp: number;
+    sequence: number;
+}
+
+/**
+ * Options of a listener, given in place of the `error` callback of `on`, `once`, `latest` and `change`.
+ */
+export interface ListenerOptions extends FlowControl {
+    /**
+     * anything identifying who registered the listener, see `off(event, { owner })`
+     */
+    owner?: any;
+
+    /**
+     * listeners with a higher priority get events first, default to `0`
+     */
+    priority?: number;
+}
+
+/**
+ * A defined event with the validator of its schema.
+ */
+interface Definition extends EventDefinition {
+    validate: (data: any) => Array<string>;
+}
+
+/**
+ * Values set on states within `batch`, fired once it ends.
+ */
+interface Batch {
+    /**
+     * event names in the order they were first set
+     */
+    names: Array<string>;
+    values: { [x: string]: any };
 }
 
-/**
- * @private
- * @method _keySelector
- * @param {Object} data
- */
-function _keySelector<T>(data: T): T { return data; }
+/**
+ * A handler call queued by the delivery of `fireAsync`.
+ */
+interface PendingHandler<T> {
+    context: EventContext<T>;
+    call: () => any;
+}
+
+/**
+ * The delivery of an event to a bus: where the event comes from, the context given to handlers
+ * and, if the handlers are awaited, their queued calls.
+ */
+interface Delivery<T> {
+    route: Route;
+    context: EventContext<T>;
+    handlers: Array<PendingHandler<T>>;
+
+    /**
+     * settled once the event is delivered, vetoed or failed
+     */
+    done: Promise<void>;
+
+    /**
+     * the composite subscriptions which counted the event already, see `_compose`
+     */
+    composites?: Array<Subscription<any>>;
+}
+
+/**
+ * Options of `fireAsync`.
+ */
+export interface FireAsyncOptions {
+    /**
+     * `parallel` (default) calls all handlers at once, `serial` calls each one once the previous one settled
+     */
+    mode?: string;
+
+    /**
+     * reject with a `TimeoutError` if handlers did not settle within `timeoutMs` milliseconds
+     */
+    timeoutMs?: number;
+}
+
+/**
+ * The subject delivering events of a name or pattern to listeners of a priority.
+ */
+interface Lane<T> {
+    priority: number;
+    subject: Subject<EventMessage<T>>;
+}
+
+/**
+ * A subscription memorized with the handler and the owner it was registered with.
+ */
+interface Registration {
+    subscription: Subscription<any>;
+    handler: any;
+    owner: any;
+}
+
+/**
+ * The state shared by an `EventManager` and all of its scopes.
+ */
+interface Bus<T> {
+    /**
+     * Identifies the bus among bridged buses.
+     */
+    id: string;
+
+    /**
+     * The subject every event is dispatched through.
+     */
+    core: Subject<EventMessage<T>>;
+
+    /**
+     * A trie of { eventNameOrPattern: [lane1, lane2, ...] } which routes each event
+     * from `core` to the lanes of matching names and patterns, by priority.
+     */
+    index: PatternIndex<Array<Lane<T>>>;
+
+    /**
+     * A hash of { eventName: { priority: eventObservable } }
+     */
+    observables: { [x: string]: { [priority: number]: Observable<any> } };
+
+    /**
+     * An object which manages the most recent data of events.
+     */
+    latestEventData: { [x: string]: Array<ReplayEntry<T>> };
+
+    /**
+     * A hash of { eventName: persistOptions }
+     */
+    persistence: { [x: string]: PersistOptions };
+
+    /**
+     * A hash of { eventName: eventPolicy }
+     */
+    policies: { [x: string]: EventPolicy };
+
+    /**
+     * A hash of { eventNameOrPattern: definition }
+     */
+    definitions: { [x: string]: Definition };
+
+    /**
+     * Incremented on every fired value to order replays of several events.
+     */
+    sequence: number;
+
+    /**
+     * The subject every request is dispatched through.
+     */
+    requests: Subject<RequestMessage>;
+
+    /**
+     * Middlewares in the order they are used.
+     */
+    middlewares: Array<MiddlewareEntry<T>>;
+
+    /**
+     * The subject every dispatch error is published on.
+     */
+    errors: Subject<EventError<T>>;
+
+    /**
+     * The subject every delivered event is published on, only while it has observers.
+     */
+    taps: Subject<TapEntry>;
+
+    /**
+     * The subject every event delivered to no subscriber is published on.
+     */
+    unhandled: Subject<EventMessage<T>>;
+
+    /**
+     * Undelivered events buffered for the first matching `on`, `once` or `observe`, see `deadLetters` of `EventPolicy`.
+     */
+    deadLetters: Array<EventMessage<T>>;
+
+    /**
+     * The event being delivered, if any.
+     */
+    delivering: Delivery<T>;
+
+    /**
+     * Errors of listeners to rethrow once the event being delivered reached every listener.
+     */
+    failures: Array<any>;
+
+    /**
+     * Ids of the most recent bridged events, see `SEEN_LIMIT`.
+     */
+    seen: Array<string>;
+
+    /**
+     * The batch in progress, if any.
+     */
+    batch: Batch;
+
+    /**
+     * The bus every fired event is forwarded to, if any.
+     */
+    parent: EventManager<T>;
+}
+
+/**
+ * create a bus which routes events of its core to subjects of its index.
+ * Every subscriber of a subject gets the event on its own: an error it throws goes to `fail`
+ * instead of preventing the next subscribers from getting the event.
+ *
+ * @private
+ * @method _createBus
+ * @param {EventManager} parent
+ * @param {Function} fail called with the event, the throwing subscriber and the error
+ * @return {Object}
+ */
+function _createBus<T>(parent: EventManager<T>, fail: (e: EventMessage<T>, subscriber: Subscriber<any>, error: any) => void): Bus<T> {
+    const bus: Bus<T> = {
+        id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+        core: new Subject<EventMessage<T>>(),
+        index: new PatternIndex<Array<Lane<T>>>(),
+        observables: {},
+        latestEventData: {},
+        persistence: {},
+        policies: {},
+        definitions: {},
+        sequence: 0,
+        requests: new Subject<RequestMessage>(),
+        middlewares: [],
+        errors: new Subject<EventError<T>>(),
+        taps: new Subject<TapEntry>(),
+        unhandled: new Subject<EventMessage<T>>(),
+        deadLetters: [],
+        delivering: undefined,
+        failures: undefined,
+        seen: [],
+        batch: undefined,
+        parent: parent
+    };
+
+    bus.core.subscribe((e: EventMessage<T>) => {
+        const lanes: Array<Lane<T>> = [];
+
+        bus.index.match(e.event).forEach((matched) => lanes.push(...matched));
+
+        lanes
+            .sort((x, y) => y.priority - x.priority)
+            .forEach((lane) => lane.subject.observers.slice().forEach((subscriber: Subscriber<any>) => {
+                try {
+                    subscriber.next(e);
+                } catch (ex) {
+                    fail(e, subscriber, ex);
+                }
+            }));
+    });
+
+    return bus;
+}
+
+/**
+ * The bus returned by `EventManager.shared()`, created on first use.
+ *
+ * @private
+ * @property sharedEventManager
+ * @type {EventManager}
+ */
+let sharedEventManager: EventManager<any>;
+
+/**
+ * check if given `value` is a non-empty string
+ *
+ * @private
+ * @method _isInvalidString
+ * @param {Object} value
+ * @return {Boolean}
+ */
+function _isInvalidString(value: string): boolean {
+    return ('string' !== typeof value) || (0 === value.length);
+}
+
+/**
+ * check if given `value` is NOT an instance of function
+ *
+ * @private
+ * @method _isNotFunction
+ * @param {Object} value
+ * @return {Boolean}
+ */
+function _isNotFunction(value: Function): boolean {
+    return 'function' !== typeof value;
+}
+
+/**
+ * create an `Error` with given `name`, to tell errors of this module apart
+ *
+ * @private
+ * @method _createError
+ * @param {String} name
+ * @param {String} message
+ * @return {Error}
+ */
+function _createError(name: string, message: string): Error {
+    const error = new Error(message);
+
+    error.name = name;
+
+    return error;
+}
+
+/**
+ * call given `handler` and settle its result, a value, Promise or Observable (its last value), as a Promise
+ *
+ * @private
+ * @method _settle
+ * @param {Function} handler
+ * @param {Array} args
+ * @return {Promise}
+ */
+function _settle(handler: Function, args: Array<any>): Promise<any> {
+    let result;
+
+    try {
+        result = handler(...args);
+    } catch (ex) {
+        return Promise.reject(ex);
+    }
+
+    return result instanceof Observable ? result.toPromise() : Promise.resolve(result);
+}
+
+/**
+ * settle with the first fulfilled of given `promises`, or reject with the first rejection if all of them rejected
+ *
+ * @private
+ * @method _firstFulfilled
+ * @param {Array} promises
+ * @return {Promise}
+ */
+function _firstFulfilled(promises: Array<Promise<any>>): Promise<any> {
+    return new Promise((resolve, reject) => {
+        const errors = [];
+
+        promises.forEach((promise) => promise.then(resolve, (error) => {
+            errors.push(error);
+
+            if (promises.length === errors.length) {
+                reject(errors[0]);
+            }
+        }));
+    });
+}
+
+/**
+ * check if given `value` is a `ListenerOptions` object rather than an `error` callback
+ *
+ * @private
+ * @method _isListenerOptions
+ * @param {Object} value
+ * @return {Boolean}
+ */
+function _isListenerOptions(value: any): value is ListenerOptions {
+    return null !== value && 'object' === typeof value;
+}
+
+/**
+ * check if given `value`, received by a listener of event `names`, comes from given `delivery`:
+ * a value replayed or emitted otherwise while an event is being delivered does not belong to its context.
+ *
+ * @private
+ * @method _isDelivering
+ * @param {Object} delivery see `Delivery`
+ * @param {Array} names event names or patterns
+ * @param {Object} value the data of the event, or `{ event, data }` for patterns
+ * @return {Boolean}
+ */
+function _isDelivering(delivery: Delivery<any>, names: Array<string>, value: any): boolean {
+    if (!delivery || !names.some((name) => PatternIndex.matches(name, delivery.context.event))) {
+        return false;
+    }
+
+    return value === delivery.context.data ||
+        (null !== value && 'object' === typeof value && value.event === delivery.context.event && value.data === delivery.context.data);
+}
+
+/**
+ * return the priority of given `ListenerOptions`, or `0` if `options` is an `error` callback
+ *
+ * @private
+ * @method _priorityOf
+ * @param {Function|Object} [options]
+ * @return {Number}
+ * @throws TypeError if given `priority` is not a finite number
+ */
+function _priorityOf(options: any): number {
+    const priority = _isListenerOptions(options) && undefined !== options.priority ? options.priority : 0;
+
+    if ('number' !== typeof priority || !isFinite(priority)) {
+        throw new TypeError('priority should be a finite number');
+    }
+
+    return priority;
+}
+
+/**
+ * check given `flow`
+ *
+ * @private
+ * @method _checkFlow
+ * @param {Object} flow
+ * @throws TypeError if a delay is not a positive number, a size is not a positive integer,
+ * `bufferCount` and `bufferMs` are both given or `overflow` is unknown
+ */
+function _checkFlow(flow: FlowControl): void {
+    ['throttleMs', 'debounceMs', 'sampleMs', 'bufferMs'].forEach((option) => {
+        const delay = (<any> flow)[option];
+
+        if (undefined !== delay && ('number' !== typeof delay || !(delay > 0) || !isFinite(delay))) {
+            throw new TypeError(option + ' should be a positive number');
+        }
+    });
+
+    ['bufferCount', 'queue'].forEach((option) => {
+        const size = (<any> flow)[option];
+
+        if (undefined !== size && ('number' !== typeof size || !(size > 0) || Math.floor(size) !== size)) {
+            throw new TypeError(option + ' should be a positive integer');
+        }
+    });
+
+    if (undefined !== flow.bufferCount && undefined !== flow.bufferMs) {
+        throw new TypeError('bufferCount and bufferMs can not be combined');
+    }
+
+    if (undefined !== flow.overflow && -1 === ['drop-oldest', 'drop-newest'].indexOf(flow.overflow)) {
+        throw new TypeError('overflow should be either `drop-oldest` or `drop-newest`');
+    }
+}
+
+/**
+ * apply time-based and buffering operators of given `flow` to `observable`
+ *
+ * @private
+ * @method _applyFlow
+ * @param {Observable} observable
+ * @param {Object} flow
+ * @return {Observable}
+ */
+function _applyFlow(observable: Observable<any>, flow: FlowControl): Observable<any> {
+    const scheduler = flow.flowScheduler;
+
+    if (undefined !== flow.throttleMs) {
+        observable = observable.throttleTime(flow.throttleMs, scheduler);
+    }
+
+    if (undefined !== flow.debounceMs) {
+        observable = observable.debounceTime(flow.debounceMs, scheduler);
+    }
+
+    if (undefined !== flow.sampleMs) {
+        observable = observable.sampleTime(flow.sampleMs, scheduler);
+    }
+
+    if (undefined !== flow.bufferCount) {
+        observable = observable.bufferCount(flow.bufferCount, null);
+    }
+
+    if (undefined !== flow.bufferMs) {
+        observable = observable.bufferTime(flow.bufferMs, undefined, scheduler);
+    }
+
+    return observable;
+}
+
+/**
+ * return a function calling given `deliver` with a value once the previous call settled,
+ * queueing at most `size` values meanwhile
+ *
+ * @private
+ * @method _bounded
+ * @param {Function} deliver returns a value, a Promise or an Observable
+ * @param {Number} size
+ * @param {String} [overflow] `drop-oldest` (default) or `drop-newest`
+ * @param {Function} isClosed tells if queued values should be dropped
+ * @return {Function}
+ */
+function _bounded(deliver: (value: any) => any, size: number, overflow: string, isClosed: () => boolean): (value: any) => void {
+    const pending: Array<any> = [];
+    let busy = false;
+
+    const drain = () => {
+        busy = 0 < pending.length && !isClosed();
+
+        if (busy) {
+            _settle(deliver, [pending.shift()]).then(drain, drain);
+        }
+    };
+
+    return (value: any) => {
+        if (busy && size === pending.length) {
+            if ('drop-newest' === overflow) { return; }
+
+            pending.shift();
+        }
+
+        pending.push(value);
+
+        if (!busy) {
+            drain();
+        }
+    };
+}
+
+/**
+ * split given `events` into a list of unique event names, or of every given name in order if not `unique`.
+ *
+ * @private
+ * @method _toEventNames
+ * @param {String|Array} events space-separated event names or an array of them
+ * @param {Boolean} [unique] default to `true`
+ * @return {Array}
+ * @throws TypeError if given `events` contains no valid event name
+ */
+function _toEventNames(events: EventNames | EventKey<any>, unique: boolean = true): Array<string> {
+    const names: Array<string> = [];
+
+    (Array.isArray(events) ? <Array<string>> events : [<any> events]).forEach((event: string) => {
+        if (_isInvalidString(event)) {
+            throw new TypeError('given event is not a valid string');
+        }
+
+        event.split(/\s+/).forEach((name) => {
+            if (name && (!unique || -1 === names.indexOf(name))) {
+                names.push(name);
+            }
+        });
+    });
+
+    if (0 === names.length) {
+        throw new TypeError('given event is not a valid string');
+    }
+
+    return names;
+}
+
+/**
+ * compare any 2 given objects and return their equality by ===.
+ *
+ * @private
+ * @method _defaultComparer
+ * @param {Object} x anything
+ * @param {Object} y anything
+ * @return {Boolean}
+ */
+function _defaultComparer(x: any, y: any): boolean { return x === y; }
+
+/**
+ * The policy of events which are not configured: replay the most recent value, log errors of listeners.
+ *
+ * @private
+ * @property DEFAULT_POLICY
+ * @type {Object}
+ */
+const DEFAULT_POLICY: EventPolicy = { replay: 1, windowMs: Infinity, onError: 'log' };
+
+/**
+ * The options of `FlowControl`, grouped by options which are only taken together
+ *
+ * @private
+ * @property FLOW_OPTIONS
+ * @type {Array}
+ */
+const FLOW_OPTIONS = [
+    ['throttleMs'], ['debounceMs'], ['sampleMs'], ['bufferCount', 'bufferMs'], ['queue'], ['overflow'], ['flowScheduler']
+];
+
+/**
+ * The number of ids of bridged events a bus remembers to deliver them only once.
+ *
+ * @private
+ * @property SEEN_LIMIT
+ * @type {Number}
+ */
+const SEEN_LIMIT = 1000;
+
+/**
+ * return the current time of given `policy`
+ *
+ * @private
+ * @method _now
+ * @param {Object} policy
+ * @return {Number}
+ */
+function _now(policy: ReplayPolicy): number {
+    return policy.scheduler ? policy.scheduler.now() : Date.now();
+}
+
+/**
+ * return a high resolution time in milliseconds, to measure durations
+ *
+ * @private
+ * @method _clock
+ * @return {Number}
+ */
+function _clock(): number {
+    return 'undefined' !== typeof performance ? performance.now() : Date.now();
+}
+
+/**
+ * return the name of given handler, observer or channel
+ *
+ * @private
+ * @method _sourceOf
+ * @param {Object} handler
+ * @return {String}
+ */
+function _sourceOf(handler: any): string {
+    if (undefined === handler) {
+        return 'observe';
+    }
+
+    if ('function' === typeof handler) {
+        return handler.name || 'anonymous';
+    }
+
+    return handler.constructor && handler.constructor.name || 'Object';
+}
+
+/**
+ * check if given `source` is an `EventEmitter` or `EventTarget`, as supported by `Observable.fromEvent`
+ *
+ * @private
+ * @method _isEmitter
+ * @param {Object} source
+ * @return {Boolean}
+ */
+function _isEmitter(source: any): boolean {
+    return [['addEventListener', 'removeEventListener'], ['on', 'off'], ['addListener', 'removeListener']]
+        .some((methods) => methods.every((method) => 'function' === typeof source[method]));
+}
+
+/**
+ * return an Observable of given `source`: an Observable (or interoperable one), a Promise,
+ * or given `event` of an `EventEmitter` or `EventTarget`
+ *
+ * @private
+ * @method _toObservable
+ * @param {Object} source
+ * @param {String} event
+ * @return {Observable}
+ * @throws TypeError if given `source` is none of these
+ */
+function _toObservable(source: any, event: string): Observable<any> {
+    if (null === source || ('object' !== typeof source && 'function' !== typeof source)) {
+        throw new TypeError('source should be an Observable, a Promise, an EventEmitter or an EventTarget');
+    }
+
+    if (source instanceof Observable || 'function' === typeof source[SymbolShim.observable] || 'function' === typeof source.then) {
+        return Observable.from(source);
+    }
+
+    if (_isEmitter(source)) {
+        return Observable.fromEvent(source, event);
+    }
+
+    throw new TypeError('source should be an Observable, a Promise, an EventEmitter or an EventTarget');
+}
+
+/**
+ * emit given `data` as `event` on given `target`: an `EventEmitter`, an `EventTarget` (as a `CustomEvent`)
+ * or an Observer
+ *
+ * @private
+ * @method _emit
+ * @param {Object} target
+ * @param {String} event
+ * @param {Object} data
+ */
+function _emit(target: any, event: string, data: any): void {
+    if ('function' === typeof target.emit) {
+        target.emit(event, data);
+    } else if ('function' === typeof target.dispatchEvent) {
+        target.dispatchEvent(new CustomEvent(event, { detail: data }));
+    } else {
+        target.next(data);
+    }
+}
+
+/**
+ * compare any 2 given plain objects, arrays or primitives by value.
+ *
+ * @private
+ * @method _deepEqual
+ * @param {Object} x anything
+ * @param {Object} y anything
+ * @return {Boolean}
+ */
+function _deepEqual(x: any, y: any): boolean {
+    if (x === y) {
+        return true;
+    }
+
+    if (!x || !y || 'object' !== typeof x || 'object' !== typeof y) {
+        // NaN is the only value which is not equal to itself
+        return x !== x && y !== y;
+    }
+
+    if (x instanceof Date || y instanceof Date) {
+        return x instanceof Date && y instanceof Date && x.getTime() === y.getTime();
+    }
+
+    if (Array.isArray(x) !== Array.isArray(y)) {
+        return false;
+    }
+
+    const keys = Object.keys(x);
+
+    return keys.length === Object.keys(y).length && keys.every((key) => {
+        return Object.prototype.hasOwnProperty.call(y, key) && _deepEqual(x[key], y[key]);
+    });
+}
+
+/**
+ * read the value at given `path` (a list of property names) of `data`.
+ *
+ * @private
+ * @method _valueAt
+ * @param {Object} data
+ * @param {Array} path
+ * @return {Object} `undefined` if any part of `path` is missing
+ */
+function _valueAt(data: any, path: Array<string>): any {
+    return path.reduce((value, key) => (null === value || undefined === value) ? undefined : value[key], data);
+}
+
+/**
+ *
+ * @class EventManager
+ */
+export default class EventManager<T> {
+
+    /**
+     * The bus, shared with scopes of this instance.
+     *
+     * @private
+     * @property _bus
+     * @type {Object}
+     */
+    private _bus: Bus<T>;
+
+    /**
+     * A hash of { eventName: [registration1, registration2, ...] }
+     * made through this instance (or scope) and its scopes.
+     *
+     * @private
+     * @property _subscriptions
+     * @type {Object}
+     */
+    private _subscriptions: { [x: string]: Array<Registration> } = {};
+
+    /**
+     * The instance (or scope) this scope was created by, if this is a scope.
+     *
+     * @private
+     * @property _host
+     * @type {EventManager}
+     */
+    private _host: EventManager<T>;
+
+    /**
+     * Scopes created by this instance (or scope) and not yet disposed.
+     *
+     * @private
+     * @property _scopes
+     * @type {Array}
+     */
+    private _scopes: Array<EventManager<T>> = [];
+
+    /**
+     * @private
+     * @property _disposed
+     * @type {Boolean}
+     */
+    private _disposed: boolean = false;
+
+    /**
+     * Creates an isolated bus. Events fired on a bus created with `parent`
+     * are delivered locally first and then forwarded to `parent`.
+     *
+     * @constructor
+     * @param {EventManager} [parent]
+     */
+    constructor(parent?: EventManager<T>) {
+        this._bus = _createBus(parent, (e: EventMessage<T>, subscriber: Subscriber<any>, error: any) => {
+            if ('unsubscribe' === this._fail([e.event], e.data, subscriber, error)) {
+                subscriber.unsubscribe();
+            }
+        });
+    }
+
+    /**
+     * The stream of errors thrown (or rejected) by middlewares and listeners of this bus,
+     * each one as `{ event, data, error, handler }`. A throwing listener never prevents
+     * the other listeners from getting the event, see `configure` for what else happens.
+     *
+     * @usage
+     *
+     * eventManager.errors$.subscribe((e) => console.error(e.event, e.error));
+     *
+     * @property errors$
+     * @type {Observable}
+     */
+    get errors$(): Observable<EventError<T>> {
+        return this._bus.errors;
+    }
+
+    /**
+     * The stream of events delivered by this bus, after middlewares, each one as a `TapEntry`
+     * telling how many subscribers got it and how long they took. Nothing is measured while nobody observes it.
+     *
+     * @usage
+     *
+     * eventManager.tap$.filter((e) => e.duration > 16).subscribe((e) => console.warn('slow listeners of', e.event));
+     *
+     * @property tap$
+     * @type {Observable}
+     */
+    get tap$(): Observable<TapEntry> {
+        return this._bus.taps;
+    }
+
+    /**
+     * The stream of events fired on this bus which reached no subscriber, e.g. because of a typo in the event name
+     * or a listener registered too late, each one as `{ event, data }`. Events forwarded to a parent bus are left to it.
+     * See `configure` to buffer them until a matching listener comes.
+     *
+     * @usage
+     *
+     * eventManager.deadLetters$.subscribe((e) => console.warn('nobody listens to', e.event));
+     *
+     * @property deadLetters$
+     * @type {Observable}
+     */
+    get deadLetters$(): Observable<EventMessage<T>> {
+        return this._bus.unhandled;
+    }
+
+    /**
+     * Returns the process-wide bus, for the cases a global bus is wanted.
+     *
+     * @usage
+     *
+     * EventManager.shared() === EventManager.shared();
+     * > true
+     *
+     * @static
+     * @method shared
+     * @return {EventManager}
+     */
+    static shared(): EventManager<any> {
+        if (!sharedEventManager) {
+            sharedEventManager = new EventManager<any>();
+        }
+
+        return sharedEventManager;
+    }
+
+    /**
+     * Creates a child bus which forwards every fired event to this one.
+     * Listeners of the child are not affected by `off`/`offAll` of the parent and vice versa.
+     *
+     * @usage
+     *
+     * const child = eventManager.child();
+     *
+     * eventManager.on('hello', (value) => console.log(value));
+     *
+     * child.fire('hello', 42);
+     * > 42
+     *
+     * @method child
+     * @return {EventManager}
+     */
+    child(): EventManager<T> {
+        return new EventManager<T>(this);
+    }
+
+    /**
+     * Creates a scope: a handle on the same bus which tracks every subscription made through it,
+     * so that `dispose` tears all of them down without touching listeners of other scopes.
+     * Scopes nest, disposing a scope disposes its scopes as well.
+     *
+     * @usage
+     *
+     * const scope = eventManager.scope();
+     *
+     * scope.on('hello', (value) => console.log(value));
+     * scope.latest('world', (value) => console.log(value));
+     *
+     * scope.dispose();
+     *
+     * eventManager.fire('hello', 42);
+     * // nothing happened
+     *
+     * @method scope
+     * @return {EventManager}
+     */
+    scope(): EventManager<T> {
+        const scope = new EventManager<T>();
+
+        scope._bus = this._bus;
+        scope._host = this;
+        scope._disposed = this._disposed;
+
+        if (!this._disposed) {
+            this._scopes.push(scope);
+        }
+
+        return scope;
+    }
+
+    /**
+     * unsubscribe every subscription made through this scope and dispose its scopes.
+     * Subscriptions made through a disposed scope are unsubscribed immediately.
+     *
+     * @method dispose
+     */
+    dispose(): void {
+        const host = this._host;
+
+        this._disposed = true;
+
+        this._scopes.slice().forEach((scope) => scope.dispose());
+
+        Object.keys(this._subscriptions).forEach((event) => this.off(event));
+
+        if (host) {
+            host._scopes = host._scopes.filter((scope) => this !== scope);
+        }
+    }
+
+    /**
+     * compare any 2 given plain objects, arrays or primitives by value,
+     * to be used as the comparer of `change`.
+     *
+     * @usage
+     *
+     * EventManager.change('user', EventManager.deepEqual, (user) => {
+     *     console.log(user.name);
+     * });
+     *
+     * @static
+     * @method deepEqual
+     * @param {Object} x anything
+     * @param {Object} y anything
+     * @return {Boolean}
+     */
+    static deepEqual(x: any, y: any): boolean {
+        return _deepEqual(x, y);
+    }
+
+    /**
+     * The channel adapter of `bridge`, e.g. `EventManager.Bridge.JSON` is a serializer to JSON strings.
+     *
+     * @static
+     * @property Bridge
+     * @type {Function}
+     */
+    static Bridge: typeof Bridge = Bridge;
+
+    /**
+     * A storage adapter keeping items in memory, see `persist`.
+     *
+     * @static
+     * @property MemoryStorage
+     * @type {Function}
+     */
+    static MemoryStorage: typeof MemoryStorage = MemoryStorage;
+
+    /**
+     * The event recorder of `record`, e.g. `EventManager.Recorder.parse(text)` imports an exported recording.
+     *
+     * @static
+     * @property Recorder
+     * @type {Function}
+     */
+    static Recorder: typeof Recorder = Recorder;
+
+    /**
+     * The validator of schemas given to `define`, e.g. `new EventManager.Schema(definition).validate(data)`.
+     *
+     * @static
+     * @property Schema
+     * @type {Function}
+     */
+    static Schema: typeof Schema = Schema;
+
+    /**
+     * The default reporter of `report`, logging to the console.
+     *
+     * @static
+     * @property ConsoleReporter
+     * @type {Function}
+     */
+    static ConsoleReporter: typeof ConsoleReporter = ConsoleReporter;
+
+    /**
+     * type given event `name` with the payload type `P`, so that the compiler checks payloads
+     * given to `fire` and infers values of `on`, `once`, `latest`, `change` and `observe`.
+     * Typed events are declared once, as a map of event keys.
+     *
+     * @usage
+     *
+     * const Events = {
+     *     login: EventManager.event<User>('user.login'),
+     *     logout: EventManager.event<number>('user.logout')
+     * };
+     *
+     * eventManager.on(Events.login, (user) => console.log(user.name)); // `user` is a `User`
+     *
+     * eventManager.fire(Events.logout, 'john');
+     * // compile error, the payload of `user.logout` is a number
+     *
+     * @static
+     * @method event
+     * @param {String} name event name or pattern
+     * @return {String} `name`
+     * @throws TypeError if given `name` is not a valid string
+     */
+    static event<P>(name: string): EventKey<P> {
+        if (_isInvalidString(name)) {
+            throw new TypeError('given event is not a valid string');
+        }
+
+        return <any> name;
+    }
+
+    /**
+     * A helper to memorize event and correspoinding subscription.
+     *
+     * A subscription registered again only updates its handler and owner.
+     * Subscriptions of a scope are registered with its host as well, owned by the scope by default.
+     * Once unsubscribed (or completed) it is removed automatically.
+     *
+     * @private
+     * @method _registerSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
+     * @param {Function|Observer} [handler]
+     * @param {Object} [owner]
+     * @return {Subscription}
+     */
+    private _registerSubscription(names: Array<string>, subscription: any, handler?: any, owner?: any): Subscription<any> {
+        const subscriptions = this._subscriptions;
+
+        if (this._disposed) {
+            subscription.unsubscribe();
+        }
+
+        if (subscription.isUnsubscribed) {
+            return subscription;
+        }
+
+        if (this._host) {
+            this._host._registerSubscription(names, subscription, handler, undefined === owner ? this : owner);
+        }
+
+        const added = names.filter((event) => {
+            const registrations = subscriptions[event] || (subscriptions[event] = []);
+            const registration = registrations.filter((r) => subscription === r.subscription)[0];
+
+            if (!registration) {
+                registrations.push({ subscription: subscription, handler: handler, owner: owner });
+
+                return true;
+            }
+
+            if (undefined !== handler) { registration.handler = handler; }
+            if (undefined !== owner) { registration.owner = owner; }
+
+            return false;
+        });
+
+        if (0 < added.length) {
+            subscription.add(() => this._unregisterSubscription(added, subscription));
+        }
+
+        return subscription;
+    }
+
+    /**
+     * forget given `subscription` of given event `names`.
+     *
+     * @private
+     * @method _unregisterSubscription
+     * @param {Array} names event names
+     * @param {Subscription} subscription
+     */
+    private _unregisterSubscription(names: Array<string>, subscription: Subscription<any>): void {
+        const subscriptions = this._subscriptions;
+
+        names.forEach((event) => {
+            if (!subscriptions[event]) { return; }
+
+            subscriptions[event] = subscriptions[event].filter((r) => subscription !== r.subscription);
+
+            if (0 === subscriptions[event].length) {
+                delete subscriptions[event];
+            }
+        });
+    }
+
+    /**
+     * return registrations of every event name matching given `event` (name(s) or pattern(s)),
+     * each registration only once.
+     *
+     * @private
+     * @method _registrations
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    private _registrations(event: EventNames | EventKey<any>): Array<Registration> {
+        const subscriptions = this._subscriptions;
+        const registrations: Array<Registration> = [];
+        const seen: Array<Subscription<any>> = [];
+
+        _toEventNames(event).forEach((name) => {
+            Object.keys(subscriptions)
+                .filter((key) => PatternIndex.matches(name, key))
+                .forEach((key) => subscriptions[key].forEach((registration) => {
+                    if (-1 === seen.indexOf(registration.subscription)) {
+                        seen.push(registration.subscription);
+                        registrations.push(registration);
+                    }
+                }));
+        });
+
+        return registrations;
+    }
+
+    /**
+     * subscribe given `observable` of `event` and memorize the subscription.
+     * `error` can be `ListenerOptions` instead of an error callback.
+     * Handlers get the `EventContext` as second argument, and are skipped once its propagation is stopped.
+     * Values go through the flow control of `options` first, see `_flowOf`.
+     * Handler calls are queued instead if the delivery awaits them, see `fireAsync`.
+     *
+     * @private
+     * @method _listen
+     * @param {String|Array} event event name(s).
+     * @param {Observable} observable
+     * @param {Function|Observer} [next]
+     * @param {Function|Object} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    private _listen(
+        event: EventNames | EventKey<any>,
+        observable: Observable<any>,
+        next?: any,
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<any> {
+        const bus = this._bus;
+        const names = _toEventNames(event);
+        const options: ListenerOptions = _isListenerOptions(error) ? error : {};
+        const flow = this._flowOf(names, options);
+        const observer: Observer<any> = next && 'function' !== typeof next ? next : undefined;
+        let subscription: Subscription<any>;
+        let faulty = false;
+
+        const guarded = (value: any) => {
+            const delivery = _isDelivering(bus.delivering, names, value) ? bus.delivering : undefined;
+            const context = delivery ? delivery.context : new EventContext<any>(names[0], value);
+            const call = () => observer ? (<any> observer).next(value, context) : next(value, context);
+
+            if (context.propagationStopped) { return; }
+
+            if (delivery && delivery.handlers) {
+                delivery.handlers.push({ context: context, call: call });
+
+                return;
+            }
+
+            try {
+                return call();
+            } catch (ex) {
+                faulty = 'unsubscribe' === this._fail(names, value, next, ex);
+
+                if (faulty && subscription) {
+                    subscription.unsubscribe();
+                }
+            }
+        };
+
+        const handle = undefined === flow.queue ? guarded :
+            _bounded(guarded, flow.queue, flow.overflow, () => faulty || subscription && subscription.isUnsubscribed);
+
+        observable = _applyFlow(observable, flow);
+
+        subscription = observer ?
+            observable.subscribe(
+                observer.next ? handle : undefined,
+                (e: any) => observer.error && observer.error(e),
+                () => observer.complete && observer.complete()
+            ) :
+            observable.subscribe(next && handle, _isListenerOptions(error) ? undefined : <any> error, complete);
+
+        if (faulty) {
+            subscription.unsubscribe();
+        }
+
+        return this._registerSubscription(names, subscription, next, options.owner);
+    }
+
+    /**
+     * publish given `error`, thrown by `handler` of event `names` with `value`, on `errors$`
+     * and apply the `onError` policy of the event being delivered.
+     *
+     * @private
+     * @method _fail
+     * @param {Array} names event names the handler listens to
+     * @param {Object} value the value given to the handler
+     * @param {Function|Observer} handler
+     * @param {Object} error
+     * @return {String} the applied policy
+     * @throws the error if the policy is `rethrow` and no event is being delivered (e.g. on replay)
+     */
+    private _fail(names: Array<string>, value: any, handler: any, error: any): string {
+        const bus = this._bus;
+        const message = bus.delivering ? bus.delivering.context : { event: names[0], data: value };
+        const onError = this._policy(message.event).onError || DEFAULT_POLICY.onError;
+
+        bus.errors.next({ event: message.event, data: message.data, error: error, handler: handler });
+
+        if ('log' === onError) {
+            console.error(error);
+        }
+
+        if ('rethrow' === onError) {
+            if (!bus.failures) { throw error; }
+
+            bus.failures.push(error);
+        }
+
+        return onError;
+    }
+
+    /**
+     * return the memorized observable of a single `event` for listeners of given `priority`.
+     * A pattern emits `{ event, data }` so that the concrete event name is known.
+     *
+     * @private
+     * @method _observe
+     * @param {String} event event name or pattern
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    private _observe(event: string, priority: number = 0): Observable<any> {
+        const observables = this._bus.observables[event] || (this._bus.observables[event] = {});
+
+        if (!observables[priority]) {
+            const lanes = this._bus.index.get(event, () => []);
+            const subject = new Subject<EventMessage<T>>();
+
+            lanes.push({ priority: priority, subject: subject });
+
+            observables[priority] = PatternIndex.isPattern(event) ?
+                subject :
+                subject.map((e: EventMessage<T>) => e.data);
+        }
+
+        return observables[priority];
+    }
+
+    /**
+     * return the merged observable of given event `names`.
+     *
+     * @private
+     * @method _source
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent tag values with the concrete event name
+     * @param {Number} [priority] default to `0`
+     * @return {Observable}
+     */
+    private _source(names: Array<string>, withEvent: boolean, priority: number = 0): Observable<any> {
+        if (1 === names.length && !withEvent) {
+            return this._observe(names[0], priority);
+        }
+
+        return Observable.merge(...names.map((name) => {
+            return withEvent && !PatternIndex.isPattern(name) ?
+                this._observe(name, priority).map((data): EventMessage<T> => ({ event: name, data: data })) :
+                this._observe(name, priority);
+        }));
+    }
+
+    /**
+     * wrap given `source` of event `names` into a new observable which memorizes its subscriptions,
+     * and subscriptions of observables derived from it by operators.
+     *
+     * @private
+     * @method _track
+     * @param {Array} names event names
+     * @param {Observable} source
+     * @return {EventObservable}
+     */
+    private _track(names: Array<string>, source: Observable<any>): Observable<any> {
+        return new EventObservable<any>(
+            (subscription, handler) => this._registerSubscription(names, subscription, handler),
+            source
+        );
+    }
+
+    /**
+     * return the policy of given concrete `event`.
+     *
+     * @private
+     * @method _policy
+     * @param {String} event
+     * @return {Object}
+     */
+    private _policy(event: string): EventPolicy {
+        return this._bus.policies[event] || DEFAULT_POLICY;
+    }
+
+    /**
+     * return the flow control of a listener of given event `names`: given `options` take precedence
+     * over the configuration of the names, which takes precedence over the configuration of patterns matching them.
+     *
+     * @private
+     * @method _flowOf
+     * @param {Array} names event names or patterns
+     * @param {Object} options
+     * @return {Object}
+     * @throws TypeError if given `options` are invalid, see `_checkFlow`
+     */
+    private _flowOf(names: Array<string>, options: FlowControl): FlowControl {
+        const policies = this._bus.policies;
+        const flow: FlowControl = {};
+        const sources: Array<FlowControl> = [options];
+
+        _checkFlow(options);
+
+        names.forEach((name) => policies[name] && sources.push(policies[name]));
+        names.forEach((name) => Object.keys(policies)
+            .filter((key) => key !== name && PatternIndex.isPattern(key) && PatternIndex.matches(key, name))
+            .forEach((key) => sources.push(policies[key])));
+
+        FLOW_OPTIONS.forEach((options) => {
+            const source = sources.filter((candidate) => options.some((option) => undefined !== (<any> candidate)[option]))[0];
+
+            options.forEach((option) => (<any> flow)[option] = source && (<any> source)[option]);
+        });
+
+        return flow;
+    }
+
+    /**
+     * return the memorized values of given concrete `event` which are still within the replay window.
+     *
+     * @private
+     * @method _replayEntries
+     * @param {String} event
+     * @return {Array}
+     */
+    private _replayEntries(event: string): Array<ReplayEntry<T>> {
+        const policy = this._policy(event);
+        const now = _now(policy);
+
+        return (this._bus.latestEventData[event] || [])
+            .filter((entry) => now - entry.timestamp <= policy.windowMs);
+    }
+
+    /**
+     * return values to replay for given event `names` in the order they were fired.
+     * Values of patterns are tagged with the concrete event name.
+     *
+     * @private
+     * @method _replayValues
+     * @param {Array} names event names or patterns
+     * @return {Array}
+     */
+    private _replayValues(names: Array<string>): Array<any> {
+        const latestEventData = this._bus.latestEventData;
+        const entries: Array<ReplayEntry<T>> = [];
+        const values: Array<any> = [];
+
+        names.forEach((name) => {
+            const isPattern = PatternIndex.isPattern(name);
+            const keys = isPattern ?
+                Object.keys(latestEventData).filter((key) => PatternIndex.matches(name, key)) :
+                [name];
+
+            keys.forEach((key) => this._replayEntries(key).forEach((entry) => {
+                if (-1 === entries.indexOf(entry)) {
+                    entries.push(entry);
+                    values[entry.sequence] = isPattern ? { event: key, data: entry.value } : entry.value;
+                }
+            }));
+        });
+
+        return entries
+            .sort((x, y) => x.sequence - y.sequence)
+            .map((entry) => values[entry.sequence]);
+    }
+
+    /**
+     * prepend values to replay of given event `names` to `source`.
+     * The replay is delivered synchronously, or through the scheduler configured for one of `names`;
+     * values fired meanwhile, even by the replay itself, are delivered after the replay.
+     *
+     * @private
+     * @method _replaying
+     * @param {Array} names event names or patterns
+     * @param {Observable} source
+     * @return {Observable}
+     */
+    private _replaying(names: Array<string>, source: Observable<any>): Observable<any> {
+        return new Observable((subscriber: Subscriber<any>) => {
+            const values = this._replayValues(names);
+            const scheduler = names
+                .map((name) => this._policy(name).scheduler)
+                .filter(Boolean)[0];
+
+            let pending: Array<any> = values;
+
+            const subscription = source.subscribe(
+                (value) => pending ? pending.push(value) : subscriber.next(value),
+                (error) => subscriber.error(error),
+                () => subscriber.complete()
+            );
+
+            const flush = () => {
+                try {
+                    while (0 < pending.length && !subscriber.isUnsubscribed) {
+                        subscriber.next(pending.shift());
+                    }
+                } catch (ex) {
+                    subscription.unsubscribe();
+
+                    throw ex;
+                }
+
+                pending = null;
+            };
+
+            if (!scheduler || 0 === values.length) {
+                flush();
+            } else {
+                subscription.add(scheduler.schedule(flush));
+            }
+
+            return subscription;
+        });
+    }
+
+    /**
+     * prepend buffered undelivered events of given event `names` to `source`, delivered to the first subscriber only,
+     * in the shape `source` emits them, see `_source`. Given a `count`, only the oldest `count` ones are taken
+     * off the buffer, the others stay for the next subscriber.
+     *
+     * @private
+     * @method _draining
+     * @param {Array} names event names or patterns
+     * @param {Boolean} withEvent whether `source` tags values with the concrete event name
+     * @param {Observable} source
+     * @param {Number} [count] default to every buffered one
+     * @return {Observable}
+     */
+    private _draining(names: Array<string>, withEvent: boolean, source: Observable<any>, count: number = Infinity): Observable<any> {
+        return new Observable((subscriber: Subscriber<any>) => {
+            const bus = this._bus;
+            const letters = bus.deadLetters
+                .filter((letter) => names.some((name) => PatternIndex.matches(name, letter.event)))
+                .slice(0, count);
+
+            bus.deadLetters = bus.deadLetters.filter((letter) => -1 === letters.indexOf(letter));
+
+            letters.forEach((letter) => {
+                const tagged = withEvent || names.some((name) => PatternIndex.isPattern(name) && PatternIndex.matches(name, letter.event));
+
+                subscriber.next(tagged ? letter : letter.data);
+            });
+
+            return source.subscribe(subscriber);
+        });
+    }
+
+    /**
+     * observe `event` and emit value only if the value at given `key` (a property path) is changed.
+     *
+     * @private
+     * @method _changeByKey
+     * @param {String|Array} event event name(s).
+     * @param {String} key property name or dotted property path
+     * @param {Number} priority
+     * @return {Observable}
+     */
+    private _changeByKey(event: EventNames | EventKey<any>, key: string, priority: number): Observable<T> {
+        const path = key.split('.');
+        const names = _toEventNames(event);
+        const observable: any = this._track(names, this._source(names, false, priority));
+
+        if (1 === path.length) {
+            return observable.distinctUntilKeyChanged(key);
+        }
+
+        return observable.distinctUntilChanged((x: T, y: T) => _valueAt(x, path) === _valueAt(y, path));
+    }
+
+    /**
+     * write replayed values of given concrete `event` into its storage, if it is persisted.
+     * An error thrown by the storage is published on `errors$`.
+     *
+     * @private
+     * @method _save
+     * @param {String} event
+     */
+    private _save(event: string): void {
+        const bus = this._bus;
+        const options = bus.persistence[event];
+        const entries = bus.latestEventData[event];
+
+        if (!options) { return; }
+
+        try {
+            if (!entries || 0 === entries.length) {
+                options.storage.removeItem(options.key + event);
+            } else {
+                options.storage.setItem(options.key + event, JSON.stringify(<StoredEntries> {
+                    version: options.version,
+                    entries: entries.map((entry) => ({ value: entry.value, timestamp: entry.timestamp }))
+                }));
+            }
+        } catch (ex) {
+            const data = entries && entries.length ? entries[entries.length - 1].value : undefined;
+
+            bus.errors.next({ event: event, data: data, error: ex, handler: options.storage });
+        }
+    }
+
+    /**
+     * read values of given concrete `event` from its storage, or store the values in memory if there are any.
+     * Expired values are dropped, values of other versions are migrated or dropped.
+     *
+     * @private
+     * @method _rehydrate
+     * @param {String} event
+     */
+    private _rehydrate(event: string): void {
+        const bus = this._bus;
+        const options = bus.persistence[event];
+        const policy = this._policy(event);
+        const now = _now(policy);
+        let stored: StoredEntries;
+
+        try {
+            stored = JSON.parse(options.storage.getItem(options.key + event));
+        } catch (ex) {
+            stored = null;
+        }
+
+        if (bus.latestEventData[event] || !stored || !Array.isArray(stored.entries)) {
+            this._save(event);
+
+            return;
+        }
+
+        let entries = stored.entries
+            .filter((entry) => undefined === options.ttlMs || now - entry.timestamp <= options.ttlMs);
+
+        if (stored.version !== options.version) {
+            entries = options.migrate ? entries.filter((entry) => {
+                try {
+                    entry.value = options.migrate(entry.value, stored.version);
+                } catch (ex) {
+                    bus.errors.next({ event: event, data: entry.value, error: ex, handler: options.migrate });
+
+                    return false;
+                }
+
+                return true;
+            }) : [];
+        }
+
+        bus.latestEventData[event] = entries
+            .slice(Math.max(0, entries.length - policy.replay))
+            .map((entry) => ({ value: entry.value, timestamp: entry.timestamp, sequence: bus.sequence++ }));
+
+        if (0 === bus.latestEventData[event].length) {
+            delete bus.latestEventData[event];
+        }
+
+        this._save(event);
+    }
+
+    /**
+     * observe with given `event`.
+     * Note: It's caller's duty to dispose returned subscription.
+     *
+     * @usage
+     *
+     * 1. single event
+     *
+     * EventManager.observe('ios').subscribe(function (data) {
+     *     console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('ios', { answer: 42 })
+     * > 42
+     *
+     * 2. multiple events (space separated or array), tagged with event name
+     *
+     * EventManager.observe('ios android', { withEvent: true }).subscribe(function (e) {
+     *     console.log(e.event, e.data.answer);
+     * });
+     *
+     * EventManager.fire('android', { answer: 42 })
+     * > android 42
+     *
+     * 3. patterns, `*` matches one segment and `**` any number of segments.
+     *    Values are always emitted as `{ event, data }`
+     *
+     * EventManager.observe('user.*').subscribe(function (e) {
+     *     console.log(e.event, e.data);
+     * });
+     *
+     * EventManager.fire('user.login', 42)
+     * > user.login 42
+     *
+     * 4. flow control, see `FlowControl`
+     *
+     * EventManager.observe('scroll', { throttleMs: 100 }).subscribe(function (position) { ... });
+     *
+     * EventManager.observe('price', { bufferMs: 1000 }).subscribe(function (prices) { ... });
+     *
+     * @throws TypeError if given `event` is not a valid string, or given flow control is invalid
+     * or has a `queue`, which only applies to handlers
+     */
+    observe<P>(event: EventKey<P>): Observable<P>;
+    observe(event: EventNames): Observable<T>;
+    observe(event: EventNames | EventKey<any>, options: ObserveOptions): Observable<any>;
+    observe(event: EventNames | EventKey<any>, options?: ObserveOptions): Observable<any> {
+        const names = _toEventNames(event);
+
+        if (options && undefined !== options.queue) {
+            throw new TypeError('queue only applies to handlers');
+        }
+
+        const withEvent = Boolean(options && options.withEvent);
+
+        const source = this._draining(names, withEvent, this._source(names, withEvent));
+
+        return _applyFlow(this._track(names, source), this._flowOf(names, options || {}));
+    }
+
+    /**
+     * subscribe to given `event`.
+     *
+     * @usage
+     *
+     * EventManager.on('ios', (data) => {
+     *     console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('ios', { answer: 42 })
+     * > 42
+     *
+     * multiple events (space separated)
+     *
+     * EventManager.on('hello world', (data) => {
+     *    console.log(data.answer);
+     * });
+     *
+     * EventManager.fire('hello', { answer: 42 })
+     * > 42
+     *
+     * EventManager.fire('world', { answer: 42 })
+     * > 42
+     *
+     * register with an owner, see `off`
+     *
+     * EventManager.on('ios', (data) => {
+     *    console.log(data.answer);
+     * }, { owner: this });
+     *
+     * register with a priority, and stop the event from reaching listeners with a lower one
+     *
+     * EventManager.on('key.down', (key, e) => {
+     *    if ('Escape' === key) { e.stopPropagation(); }
+     * }, { priority: 10 });
+     *
+     * with flow control, see `FlowControl`
+     *
+     * EventManager.on('tick', (price) => render(price), { throttleMs: 100 });
+     *
+     * EventManager.on('upload', (file) => send(file), { queue: 10, overflow: 'drop-newest' });
+     */
+    on<P>(
+        event: EventKey<P>,
+        next?: Observer<P> | ((value: P, event?: EventContext<P>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<P>;
+    on(
+        event: EventNames,
+        next?: Observer<T> | ((value: T, event?: EventContext<T>) => void),
+        error?: ((error: T) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<T>;
+    on(
+        event: EventNames | EventKey<any>,
+        next?: Observer<any> | ((value: any, event?: EventContext<any>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<any> {
+        const names = _toEventNames(event);
+
+        const source = this._draining(names, false, this._source(names, false, _priorityOf(error)));
+
+        return this._listen(event, this._track(names, source), next, error, complete);
+    }
+
+    /**
+     * execute callback only once and dispose it self.
+     * @see on
+     */
+    once<P>(
+        event: EventKey<P>,
+        next?: Observer<P> | ((value: P, event?: EventContext<P>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<P>;
+    once(
+        event: EventNames,
+        next?: Observer<T> | ((value: T, event?: EventContext<T>) => void),
+        error?: ((error: T) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<T>;
+    once(
+        event: EventNames | EventKey<any>,
+        next?: Observer<any> | ((value: any, event?: EventContext<any>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<any> {
+        const names = _toEventNames(event);
+        const observable = this._track(names, this._draining(names, false, this._source(names, false, _priorityOf(error)), 1));
+
+        return this._listen(event, observable.take(1), next, error, complete);
+    }
+
+    /**
+     * Emits latest-persisted sequence (if available), synchronously and before live values.
+     * How many values are replayed is up to the policy of the event, see `configure`.
+     *
+     * @usage
+     *
+     * EventManager.fire('hello', 42);
+     *
+     * EventManager.latest('hello', (value) => console.log(value));
+     * > 42
+     */
+    latest<P>(
+        event: EventKey<P>,
+        next?: ((value?: P, event?: EventContext<P>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<P>;
+    latest(
+        event: EventNames,
+        next?: ((value?: T, event?: EventContext<T>) => void),
+        error?: ((error: T) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<T>;
+    latest(
+        event: EventNames | EventKey<any>,
+        next?: ((value?: any, event?: EventContext<any>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): Subscription<any> {
+        const names = _toEventNames(event);
+        const observable = this._track(names, this._replaying(names, this._source(names, false, _priorityOf(error))));
+
+        if (undefined === next) { return <any> observable; }
+
+        return this._listen(event, observable, next, error, complete);
+    }
+
+    /**
+     * configure the policy of given `event`. It replays the last `replay` values
+     * (`0` for none, default to `1`) fired within the last `windowMs` milliseconds.
+     * Given a `scheduler` the replay is delivered asynchronously through it.
+     * `onError` tells what to do when a listener throws, see `errors$`.
+     * Options of `FlowControl` are the defaults of listeners of `event`, configuring a pattern
+     * (e.g. `**`) sets defaults of every event it matches, their time-based operators run on `flowScheduler`.
+     * `deadLetters` buffers that many events which reached no subscriber for the first matching `on`, `once` or `observe`,
+     * see `deadLetters$`. `latest` leaves them buffered, it replays the latest values instead.
+     *
+     * @usage
+     *
+     * EventManager.configure('price', { replay: 5, windowMs: 1000 });
+     *
+     * EventManager.configure('hello', { scheduler: asap });
+     *
+     * EventManager.configure('save', { onError: 'rethrow' });
+     *
+     * EventManager.configure('sensor.*', { sampleMs: 1000 });
+     *
+     * EventManager.configure('app.ready', { deadLetters: 1 });
+     *
+     * @method configure
+     * @param {String|Array} event event name(s).
+     * @param {Object} policy
+     * @throws TypeError if given `replay` is not a non-negative integer, `windowMs` is not a positive number
+     * or `onError` is unknown, `deadLetters` is not a non-negative integer, or given flow control is invalid
+     * @chainable
+     */
+    configure(event: EventNames | EventKey<any>, policy: EventPolicy): EventManager<T> {
+        const bus = this._bus;
+        const replay = undefined === policy.replay ? DEFAULT_POLICY.replay : policy.replay;
+        const windowMs = undefined === policy.windowMs ? DEFAULT_POLICY.windowMs : policy.windowMs;
+        const onError = undefined === policy.onError ? DEFAULT_POLICY.onError : policy.onError;
+        const deadLetters = policy.deadLetters;
+
+        if ('number' !== typeof replay || replay < 0 || Math.floor(replay) !== replay) {
+            throw new TypeError('replay should be a non-negative integer');
+        }
+
+        if ('number' !== typeof windowMs || !(windowMs > 0)) {
+            throw new TypeError('windowMs should be a positive number');
+        }
+
+        if (-1 === ['log', 'unsubscribe', 'rethrow'].indexOf(onError)) {
+            throw new TypeError('onError should be one of `log`, `unsubscribe` or `rethrow`');
+        }
+
+        if (undefined !== deadLetters && ('number' !== typeof deadLetters || deadLetters < 0 || Math.floor(deadLetters) !== deadLetters)) {
+            throw new TypeError('deadLetters should be a non-negative integer');
+        }
+
+        _checkFlow(policy);
+
+        _toEventNames(event).forEach((name) => {
+            const entries = bus.latestEventData[name];
+
+            bus.policies[name] = {
+                replay: replay, windowMs: windowMs, scheduler: policy.scheduler, onError: onError, deadLetters: deadLetters
+            };
+            FLOW_OPTIONS.forEach((options) => options.forEach((option) => (<any> bus.policies[name])[option] = (<any> policy)[option]));
+
+            if (entries) {
+                entries.splice(0, Math.max(0, entries.length - replay));
+                this._save(name);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * persist replayed values of given `event` into `storage`, and rehydrate the ones stored before,
+     * so that `latest` replays them right away. Values stored with another `version` are migrated
+     * by `migrate`, or dropped without it. Values older than `ttlMs` are dropped.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage, version: 2, ttlMs: 86400000 });
+     *
+     * EventManager.latest('session.user', (user) => console.log(user.name));
+     * > John
+     *
+     * @method persist
+     * @param {String|Array} event event name(s).
+     * @param {Object} options
+     * @throws TypeError if `event` is a pattern, `storage` is not a storage adapter,
+     * `version` is not a non-negative integer or `ttlMs` is not a positive number
+     * @chainable
+     */
+    persist(event: EventNames | EventKey<any>, options: PersistOptions): EventManager<T> {
+        const names = _toEventNames(event);
+        const storage = options.storage;
+        const version = undefined === options.version ? 0 : options.version;
+
+        if (names.some((name) => PatternIndex.isPattern(name))) {
+            throw new TypeError('patterns can not be persisted');
+        }
+
+        if (!storage || ['getItem', 'setItem', 'removeItem'].some((method) => _isNotFunction(storage[method]))) {
+            throw new TypeError('storage should have getItem, setItem and removeItem methods');
+        }
+
+        if ('number' !== typeof version || version < 0 || Math.floor(version) !== version) {
+            throw new TypeError('version should be a non-negative integer');
+        }
+
+        if (undefined !== options.ttlMs && !(options.ttlMs > 0)) {
+            throw new TypeError('ttlMs should be a positive number');
+        }
+
+        names.forEach((name) => {
+            this._bus.persistence[name] = {
+                storage: storage,
+                key: options.key || 'rx-event-manager:',
+                version: version,
+                migrate: options.migrate,
+                ttlMs: options.ttlMs
+            };
+
+            this._rehydrate(name);
+        });
+
+        return this;
+    }
+
+    /**
+     * return the current value of given state `event`, the one set within the batch in progress if any.
+     *
+     * @private
+     * @method _readState
+     * @param {String} event
+     * @return {Object}
+     */
+    private _readState(event: string): any {
+        const batch = this._bus.batch;
+        const entries = this._replayEntries(event);
+
+        if (batch && batch.values.hasOwnProperty(event)) {
+            return batch.values[event];
+        }
+
+        return entries.length ? entries[entries.length - 1].value : undefined;
+    }
+
+    /**
+     * fire given state `event` with `value`, or set it within the batch in progress.
+     *
+     * @private
+     * @method _writeState
+     * @param {String} event
+     * @param {Object} value
+     */
+    private _writeState(event: string, value: any): void {
+        const batch = this._bus.batch;
+
+        if (!batch) {
+            this.fire(event, value);
+
+            return;
+        }
+
+        if (!batch.values.hasOwnProperty(event)) {
+            batch.names.push(event);
+        }
+
+        batch.values[event] = value;
+    }
+
+    /**
+     * return a handle on the value of given `event`, see `State`: a reactive store whose value is the most recent one
+     * of the event. `initial` is fired unless the event already has a value (e.g. fired before, or rehydrated by `persist`).
+     * It relies on the replayed values of the event, see `configure`.
+     *
+     * @usage
+     *
+     * const counter = EventManager.state('counter', 0);
+     *
+     * counter.observe().subscribe((value) => console.log(value));
+     * > 0
+     *
+     * counter.update((value) => value + 1);
+     * > 1
+     *
+     * counter.get();
+     * > 1
+     *
+     * EventManager.fire('counter', 42);
+     * > 42
+     *
+     * @method state
+     * @param {String} event a single event name
+     * @param {Object} [initial]
+     * @return {State}
+     * @throws TypeError if given `event` is not a single event name
+     */
+    state<P>(event: EventKey<P>, initial?: P): State<P>;
+    state(event: string, initial?: T): State<T>;
+    state(event: string | EventKey<any>, initial?: any): State<any> {
+        const names = _toEventNames(event);
+        const name = names[0];
+
+        if (1 !== names.length || PatternIndex.isPattern(name)) {
+            throw new TypeError('state should be a single event name');
+        }
+
+        if (undefined !== initial && undefined === this._readState(name)) {
+            this._writeState(name, initial);
+        }
+
+        return new State<any>(
+            name,
+            () => this._readState(name),
+            (value) => this._writeState(name, value),
+            () => <any> this.latest(name)
+        );
+    }
+
+    /**
+     * return a read-only state of given `event`, whose value is computed by `project` from the values
+     * of `sources` (event names, typed event keys or states), and fired whenever it changes.
+     * Call `dispose` of the returned state to stop computing it.
+     * Errors of `project` are published on `errors$`.
+     *
+     * @usage
+     *
+     * const price = EventManager.state('cart.price', 10);
+     * const quantity = EventManager.state('cart.quantity', 2);
+     *
+     * const total = EventManager.derive('cart.total', [price, 'cart.quantity'], (price, quantity) => price * quantity);
+     *
+     * total.observe().subscribe((value) => console.log(value));
+     * > 20
+     *
+     * quantity.set(3);
+     * > 30
+     *
+     * @method derive
+     * @param {String} event a single event name
+     * @param {Array} sources
+     * @param {Function} project
+     * @return {State}
+     * @throws TypeError if given `event` is not a single event name, `sources` is empty or `project` is not a function
+     */
+    derive<P>(event: EventKey<P>, sources: Array<string | EventKey<any> | State<any>>, project: (...values: Array<any>) => P): State<P>;
+    derive(event: string, sources: Array<string | EventKey<any> | State<any>>, project: (...values: Array<any>) => T): State<T>;
+    derive(
+        event: string | EventKey<any>,
+        sources: Array<string | EventKey<any> | State<any>>,
+        project: (...values: Array<any>) => any
+    ): State<any> {
+        const bus = this._bus;
+        const state = this.state(<string> event);
+        const name = state.name;
+
+        if (!Array.isArray(sources) || 0 === sources.length) {
+            throw new TypeError('sources should be a non-empty array');
+        }
+
+        if (_isNotFunction(project)) {
+            throw new TypeError('project should be a function');
+        }
+
+        const names = sources.map((source) => source instanceof State ? source.name : this.state(<string> source).name);
+
+        const compute = () => {
+            let value: any;
+
+            try {
+                value = project(...names.map((source) => this._readState(source)));
+            } catch (ex) {
+                bus.errors.next({ event: name, data: undefined, error: ex, handler: project });
+
+                return;
+            }
+
+            if (value !== this._readState(name)) {
+                this._writeState(name, value);
+            }
+        };
+
+        const subscription = this.observe(names).subscribe(compute);
+
+        compute();
+
+        return new State<any>(
+            name,
+            () => this._readState(name),
+            undefined,
+            () => <any> this.latest(name),
+            () => subscription.unsubscribe()
+        );
+    }
+
+    /**
+     * call given `updater`, firing the values it sets on states once it returns, one event per state
+     * with its last value: listeners and derived states see all the updates at once.
+     * Nothing is fired if `updater` throws. A batch within a batch belongs to the outer one.
+     *
+     * @usage
+     *
+     * EventManager.batch(() => {
+     *     price.set(12);
+     *     quantity.update((value) => value + 1);
+     * });
+     * // `cart.total` is fired once
+     *
+     * @method batch
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function
+     * @chainable
+     */
+    batch(updater: () => void): EventManager<T> {
+        const bus = this._bus;
+        let batch = bus.batch;
+
+        if (_isNotFunction(updater)) {
+            throw new TypeError('updater should be a function');
+        }
+
+        if (batch) {
+            updater();
+
+            return this;
+        }
+
+        batch = bus.batch = { names: [], values: {} };
+
+        try {
+            updater();
+
+            while (0 < batch.names.length) {
+                const name = batch.names.shift();
+                const value = batch.values[name];
+
+                delete batch.values[name];
+                this.fire(name, value);
+            }
+        } finally {
+            bus.batch = undefined;
+        }
+
+        return this;
+    }
+
+    /**
+     * fire given composite `event` with what `correlate` returns for every event fired as one of given `sources`,
+     * unless it returns `undefined`. An event matching several sources is correlated once.
+     * The composite is a listener of `event`, so that `off` tears it down.
+     * An error thrown by firing the composite event is published on `errors$`.
+     *
+     * @private
+     * @method _compose
+     * @param {String|Object} event the composite event name
+     * @param {String|Array} sources event name(s) or pattern(s)
+     * @param {Function} correlate called with `{ event, data }`
+     * @return {Subscription}
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    private _compose(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>,
+                     correlate: (message: EventMessage<T>) => any): Subscription<any> {
+        const bus = this._bus;
+        const names = _toEventNames(event);
+        const name = names[0];
+        const sourceNames = _toEventNames(<EventNames> sources);
+        let subscription: Subscription<any>;
+
+        if (1 !== names.length || PatternIndex.isPattern(name)) {
+            throw new TypeError('composite should be a single event name');
+        }
+
+        subscription = this._source(sourceNames, true).subscribe((message: EventMessage<T>) => {
+            const delivery = bus.delivering;
+
+            // overlapping sources, e.g. `user.* user.login`, all receive the event being delivered
+            if (delivery.composites && -1 !== delivery.composites.indexOf(subscription)) {
+                return;
+            }
+
+            delivery.composites = (delivery.composites || []).concat(subscription);
+
+            const data = correlate(message);
+
+            if (undefined === data) {
+                return;
+            }
+
+            try {
+                this.fire(name, data);
+            } catch (ex) {
+                bus.errors.next({ event: name, data: data, error: ex, handler: undefined });
+            }
+        });
+
+        return this._registerSubscription(names, subscription);
+    }
+
+    /**
+     * return the clock of given composite `event`: given `scheduler`, the configured `flowScheduler` or `asap`
+     *
+     * @private
+     * @method _clockOf
+     * @param {String|Object} event
+     * @param {Scheduler} [scheduler]
+     * @return {Scheduler}
+     */
+    private _clockOf(event: string | EventKey<any>, scheduler?: Scheduler): Scheduler {
+        return this._flowOf(_toEventNames(event), { flowScheduler: scheduler }).flowScheduler || asap;
+    }
+
+    /**
+     * fire given composite `event` once every one of `sources` has been fired, with an array of their latest values,
+     * then again once every one of them has been fired again. An event matching several sources
+     * counts for the first of them not fired yet.
+     *
+     * @usage
+     *
+     * EventManager.all('checkout.ready', 'cart.loaded user.loaded');
+     *
+     * EventManager.on('checkout.ready', ([cart, user]) => console.log(cart.items.length, user.name));
+     *
+     * EventManager.fire('user.loaded', { name: 'John' }).fire('cart.loaded', { items: [] });
+     * > 0 John
+     *
+     * @method all
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    all(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>): Subscription<any> {
+        const sourceNames = _toEventNames(<EventNames> sources);
+        const length = sourceNames.length;
+        let values: Array<any> = [];
+        let fired: Array<boolean> = [];
+
+        return this._compose(event, sources, (message) => {
+            const matching = sourceNames
+                .map((source, index) => PatternIndex.matches(source, message.event) ? index : -1)
+                .filter((index) => -1 !== index);
+            const index = matching.filter((i) => !fired[i]).concat(matching)[0];
+
+            values[index] = message.data;
+            fired[index] = true;
+
+            if (fired.filter(Boolean).length < length) {
+                return undefined;
+            }
+
+            fired = [];
+
+            return values.slice();
+        });
+    }
+
+    /**
+     * fire given composite `event` whenever one of `sources` is fired, with `{ event, data }` of the fired one.
+     *
+     * @usage
+     *
+     * EventManager.any('session.ended', 'user.logout session.expired');
+     *
+     * EventManager.on('session.ended', (e) => console.log(e.event));
+     *
+     * EventManager.fire('session.expired', {});
+     * > session.expired
+     *
+     * @method any
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name or `sources` is not a valid string
+     */
+    any(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>): Subscription<any> {
+        return this._compose(event, sources, (message) => ({ event: message.event, data: message.data }));
+    }
+
+    /**
+     * fire given composite `event` once `sources` have been fired in order, with an array of their values.
+     * A source may be given several times, e.g. `a a b`. Other sources fired in between are ignored,
+     * the first source starts the sequence over unless it is the next step, as does the next event
+     * once `timeoutMs` elapsed since the first one.
+     *
+     * @usage
+     *
+     * EventManager.sequence('onboarding.done', 'user.signup user.verified profile.completed', { timeoutMs: 600000 });
+     *
+     * @method sequence
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, in order
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string
+     * or `timeoutMs` is not a positive number
+     */
+    sequence(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>, options?: SequenceOptions): Subscription<any> {
+        const timeoutMs = options && options.timeoutMs;
+        const steps = _toEventNames(<EventNames> sources, false);
+        const clock = this._clockOf(event, options && options.scheduler);
+        let values: Array<any> = [];
+        let startedAt: number;
+
+        if (undefined !== timeoutMs && ('number' !== typeof timeoutMs || !(timeoutMs > 0))) {
+            throw new TypeError('timeoutMs should be a positive number');
+        }
+
+        return this._compose(event, sources, (message) => {
+            const now = clock.now();
+
+            if (0 < values.length && undefined !== timeoutMs && now - startedAt > timeoutMs) {
+                values = [];
+            }
+
+            if (!PatternIndex.matches(steps[values.length], message.event)) {
+                if (!PatternIndex.matches(steps[0], message.event)) {
+                    return undefined;
+                }
+
+                values = [];
+            }
+
+            if (0 === values.length) {
+                startedAt = now;
+            }
+
+            values.push(message.data);
+
+            if (values.length < steps.length) {
+                return undefined;
+            }
+
+            const completed = values;
+
+            values = [];
+
+            return completed;
+        });
+    }
+
+    /**
+     * fire given composite `event` once `sources` have been fired `count` times within `withinMs` milliseconds,
+     * with an array of their values, then start counting over.
+     *
+     * @usage
+     *
+     * EventManager.window('login.locked', 'login.failed', { count: 3, withinMs: 60000 });
+     *
+     * @method window
+     * @param {String} event composite event name
+     * @param {String|Array} sources event names or patterns, counted together
+     * @param {Object} options
+     * @return {Subscription} unsubscribe it (or `off` the composite event) to stop firing it
+     * @throws TypeError if given `event` is not a single event name, `sources` is not a valid string,
+     * `count` is not a positive integer or `withinMs` is not a positive number
+     */
+    window(event: string | EventKey<any>, sources: EventNames | Array<EventKey<any>>, options: WindowOptions): Subscription<any> {
+        const count = options && options.count;
+        const withinMs = options && options.withinMs;
+        const clock = this._clockOf(event, options && options.scheduler);
+        let fired: Array<{ timestamp: number; data: any }> = [];
+
+        if ('number' !== typeof count || !(count > 0) || Math.floor(count) !== count) {
+            throw new TypeError('count should be a positive integer');
+        }
+
+        if ('number' !== typeof withinMs || !(withinMs > 0)) {
+            throw new TypeError('withinMs should be a positive number');
+        }
+
+        return this._compose(event, sources, (message) => {
+            const now = clock.now();
+
+            fired = fired.filter((e) => now - e.timestamp <= withinMs).concat({ timestamp: now, data: message.data });
+
+            if (fired.length < count) {
+                return undefined;
+            }
+
+            const values = fired.map((e) => e.data);
+
+            fired = [];
+
+            return values;
+        });
+    }
+
+    /**
+     * Emits value only if it's changed (determined by `comparer`)
+     *
+     * @usage
+     *
+     * EventManager.change('user', (x, y) => x.id === y.id, (user) => {
+     *     console.log(user.id);
+     * });
+     *
+     * compare by key or by property path
+     *
+     * EventManager.change('user', 'id', (user) => {
+     *     console.log(user.id);
+     * });
+     *
+     * EventManager.change('user', 'profile.address.city', (user) => {
+     *     console.log(user.profile.address.city);
+     * });
+     *
+     * compare plain objects by value
+     *
+     * EventManager.change('user', EventManager.deepEqual, (user) => {
+     *     console.log(user);
+     * });
+     *
+     * @method change
+     * @param {String|Array} event event name(s).
+     * @param {Function|String} [comparer] default to `_defaultComparer`, a key or property path to compare by
+     * @param {Function} [next]
+     * @param {Function|Object} [error] or `ListenerOptions`
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    change<P>(
+        event: EventKey<P>,
+        comparer?: ((x: P, y: P) => boolean) | string,
+        next?: Observer<P> | ((value: P, event?: EventContext<P>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): any;
+    change(
+        event: EventNames,
+        comparer?: ((x: T, y: T) => boolean) | string,
+        next?: Observer<T> | ((value: T, event?: EventContext<T>) => void),
+        error?: ((error: T) => void) | ListenerOptions,
+        complete?: () => void
+    ): any;
+    change(
+        event: EventNames | EventKey<any>,
+        comparer?: ((x: any, y: any) => boolean) | string,
+        next?: Observer<any> | ((value: any, event?: EventContext<any>) => void),
+        error?: ((error: any) => void) | ListenerOptions,
+        complete?: () => void
+    ): any {
+
+        const names = _toEventNames(event);
+        const priority = _priorityOf(error);
+        let observable;
+
+        comparer = comparer || _defaultComparer;
+
+        if ('string' === typeof comparer) {
+            observable = this._changeByKey(event, <string> comparer, priority);
+        } else if (_isNotFunction(<any> comparer)) {
+            throw new TypeError('comparer should be a function');
+        } else {
+            observable = this._track(names, this._source(names, false, priority))
+                .distinctUntilChanged(<(x: T, y: T) => boolean> comparer);
+        }
+
+        if (undefined === next) { return observable; }
+
+        return this._listen(event, observable, next, error, complete);
+    }
+
+    /**
+     * memorize given `message` for replay and deliver it to listeners and to the parent bus.
+     *
+     * @private
+     * @method _deliver
+     * @param {Object} message
+     * @param {Object} delivery its context is updated with `message`, its route defaults to a new route from this bus
+     * @return {Promise} settled once the parent bus delivered `message` too
+     */
+    private _deliver(message: EventMessage<T>, delivery: Delivery<T>): Promise<void> {
+        const bus = this._bus;
+        const name = message.event;
+        const policy = this._policy(name);
+        const entries = bus.latestEventData[name] || (bus.latestEventData[name] = []);
+        const sequence = bus.sequence++;
+
+        entries.push({ value: message.data, timestamp: _now(policy), sequence: sequence });
+        entries.splice(0, Math.max(0, entries.length - policy.replay));
+
+        this._save(name);
+
+        const delivering = bus.delivering;
+        const failures = bus.failures;
+        const rethrown = bus.failures = [];
+
+        delivery.route = delivery.route || { id: bus.id + '.' + sequence, origin: undefined, path: [] };
+        delivery.context.event = name;
+        delivery.context.data = message.data;
+
+        bus.delivering = delivery;
+
+        const tapping = 0 < bus.taps.observers.length;
+        const start = tapping ? _clock() : 0;
+
+        try {
+            bus.core.next(message);
+        } finally {
+            bus.delivering = delivering;
+            bus.failures = failures;
+        }
+
+        if (tapping) {
+            this._tap(message, delivery.context, _clock() - start);
+        }
+
+        const forwarding = bus.parent && !delivery.context.propagationStopped;
+
+        if (!forwarding) {
+            this._undelivered(message);
+        }
+
+        const forwarded = forwarding ? bus.parent._fire(name, message.data, delivery) : [];
+
+        if (0 < rethrown.length) {
+            throw rethrown[0];
+        }
+
+        return Promise.all(forwarded.map((parent) => parent.done)).then(() => undefined);
+    }
+
+    /**
+     * check given `data` against definitions of given concrete `event`, see `define`.
+     * An invalid payload is thrown in `strict` mode, published on `errors$` otherwise.
+     *
+     * @private
+     * @method _validate
+     * @param {String} event
+     * @param {Object} data
+     * @return {Boolean} whether `data` is valid
+     * @throws ValidationError if `data` is invalid and a failing definition is `strict`
+     */
+    private _validate(event: string, data: any): boolean {
+        const definitions = this._bus.definitions;
+        const failing = Object.keys(definitions)
+            .filter((key) => PatternIndex.matches(key, event))
+            .map((key) => ({ definition: definitions[key], errors: definitions[key].validate(data) }))
+            .filter((failure) => 0 < failure.errors.length);
+
+        if (0 === failing.length) {
+            return true;
+        }
+
+        const errors = failing.reduce((all, failure) => all.concat(failure.errors), []);
+        const error = _createError('ValidationError', 'invalid payload of event ' + event + ': ' + errors.join(', '));
+
+        (<any> error).event = event;
+        (<any> error).errors = errors;
+
+        if (failing.some((failure) => 'strict' === failure.definition.mode)) {
+            throw error;
+        }
+
+        failing.forEach((failure) => {
+            this._bus.errors.next({ event: event, data: data, error: error, handler: failure.definition.schema });
+        });
+
+        return false;
+    }
+
+    /**
+     * return the number of subscribers of given concrete `event`.
+     *
+     * @private
+     * @method _receivers
+     * @param {String} event
+     * @return {Number}
+     */
+    private _receivers(event: string): number {
+        return this._bus.index.match(event).reduce((count, matched) => count +
+            matched.reduce((sum, lane) => sum + lane.subject.observers.length, 0), 0);
+    }
+
+    /**
+     * return how many undelivered events of given concrete `event` to buffer: the `deadLetters` configured
+     * for the event, or else for the first pattern matching it.
+     *
+     * @private
+     * @method _deadLettersOf
+     * @param {String} event
+     * @return {Number}
+     */
+    private _deadLettersOf(event: string): number {
+        const policies = this._bus.policies;
+        const key = [event]
+            .concat(Object.keys(policies).filter((key) => key !== event && PatternIndex.isPattern(key) && PatternIndex.matches(key, event)))
+            .filter((key) => policies[key] && undefined !== policies[key].deadLetters)[0];
+
+        return key ? policies[key].deadLetters : 0;
+    }
+
+    /**
+     * publish given delivered `message` on `deadLetters$` and buffer it, if it reached no subscriber.
+     * Nothing is counted while nobody observes `deadLetters$` and no event is buffered.
+     *
+     * @private
+     * @method _undelivered
+     * @param {Object} message
+     */
+    private _undelivered(message: EventMessage<T>): void {
+        const bus = this._bus;
+        const policies = bus.policies;
+        const name = message.event;
+        const observed = 0 < bus.unhandled.observers.length;
+
+        if (!observed && !Object.keys(policies).some((key) => policies[key] && 0 < policies[key].deadLetters)) {
+            return;
+        }
+
+        const limit = this._deadLettersOf(name);
+
+        if ((!observed && 0 === limit) || 0 < this._receivers(name)) {
+            return;
+        }
+
+        bus.unhandled.next({ event: name, data: message.data });
+
+        if (0 < limit) {
+            const buffered = bus.deadLetters.filter((letter) => name === letter.event);
+
+            bus.deadLetters.push({ event: name, data: message.data });
+            buffered.slice(0, Math.max(0, buffered.length + 1 - limit))
+                .forEach((letter) => bus.deadLetters.splice(bus.deadLetters.indexOf(letter), 1));
+        }
+    }
+
+    /**
+     * publish given delivered `message` on `tap$`.
+     *
+     * @private
+     * @method _tap
+     * @param {Object} message
+     * @param {EventContext} context
+     * @param {Number} duration
+     */
+    private _tap(message: EventMessage<T>, context: EventContext<T>, duration: number): void {
+        this._bus.taps.next({
+            event: message.event,
+            data: message.data,
+            origin: message.origin,
+            timestamp: Date.now(),
+            duration: duration,
+            listeners: this._receivers(message.event),
+            propagationStopped: context.propagationStopped,
+            defaultPrevented: context.defaultPrevented
+        });
+    }
+
+    /**
+     * pass given `message` through `middlewares` matching its event, from `index` on, and deliver it.
+     * Delivery stays synchronous as long as middlewares call `next` synchronously.
+     *
+     * @private
+     * @method _dispatch
+     * @param {Array} middlewares
+     * @param {Number} index
+     * @param {Object} message
+     * @param {Object} delivery see `_deliver`
+     * @return {Promise} settled once `message` is delivered, vetoed or failed
+     * @throws the error of a synchronous delivery (e.g. rethrown by policy), which is not reported as the middleware's
+     */
+    private _dispatch(
+        middlewares: Array<MiddlewareEntry<T>>,
+        index: number,
+        message: EventMessage<T>,
+        delivery: Delivery<T>
+    ): Promise<void> {
+        const bus = this._bus;
+
+        while (index < middlewares.length &&
+            !middlewares[index].names.some((pattern) => PatternIndex.matches(pattern, message.event))) {
+            index++;
+        }
+
+        if (index === middlewares.length) {
+            return this._deliver(message, delivery);
+        }
+
+        const middleware = middlewares[index].middleware;
+        let called = false;
+        let failure: { error: any };
+
+        const next = (nextMessage?: EventMessage<T>) => {
+            if (called) { return Promise.resolve(); }
+
+            called = true;
+
+            try {
+                return this._dispatch(middlewares, index + 1, nextMessage || message, delivery);
+            } catch (ex) {
+                failure = { error: ex };
+
+                throw ex;
+            }
+        };
+
+        const settled = _settle(middleware, [message, next]).then(() => undefined, (error) => {
+            if (!failure || error !== failure.error) {
+                bus.errors.next({ event: message.event, data: message.data, error: error, handler: middleware });
+            }
+        });
+
+        if (failure) {
+            throw failure.error;
+        }
+
+        return settled;
+    }
+
+    /**
+     * Same as fire method
+     */
+    trigger<P>(event: EventKey<P>, data: P): EventManager<T>;
+    trigger(event: EventNames, data: T): EventManager<T>;
+    trigger(event: EventNames | EventKey<any>, data: any): EventManager<T> {
+        return this.fire(<EventNames> <any> event, data);
+    }
+
+    /**
+     * dispatch `event` with given `data`.
+     *
+     * @usage
+     *
+     * EventManager.fire('hello', 42);
+     * > 42
+     *
+     * EventManager.fire('hello world', 42);
+     * // dispatched to both `hello` and `world`
+     *
+     * @method fire
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     * @chainable
+     */
+    fire<P>(event: EventKey<P>, data: P): EventManager<T>;
+    fire(event: EventNames, data: T): EventManager<T>;
+    fire(event: EventNames | EventKey<any>, data: any): EventManager<T> {
+        this._fire(event, data);
+
+        return this;
+    }
+
+    /**
+     * dispatch `event` with given `data` like `fire`, and tell whether the caller should run its default action:
+     * `false` if a handler called `preventDefault` of the event (synchronously), `true` otherwise.
+     *
+     * @usage
+     *
+     * EventManager.on('document.close', (document, e) => {
+     *     if (document.dirty) { e.preventDefault(); }
+     * }, { priority: 10 });
+     *
+     * if (EventManager.dispatch('document.close', document)) {
+     *     document.close();
+     * }
+     *
+     * @method dispatch
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @return {Boolean}
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     */
+    dispatch<P>(event: EventKey<P>, data: P): boolean;
+    dispatch(event: EventNames, data: T): boolean;
+    dispatch(event: EventNames | EventKey<any>, data: any): boolean {
+        return !this._fire(event, data).some((delivery) => delivery.context.defaultPrevented);
+    }
+
+    /**
+     * dispatch `event` with given `data` like `fire`, and await handlers of `on`, `once`, `latest` and `change`:
+     * a handler returning a Promise or an Observable settles with it (the last value of the Observable).
+     * Handlers are called in priority order, at once (`parallel` mode, default) or each once the previous
+     * one settled (`serial` mode, where a handler can still `stopPropagation` to skip the next ones).
+     * The returned Promise resolves with the results of handlers, in order, and rejects
+     * with an `AggregateError` if any handler failed, whose `errors` and `results` tell what happened to each.
+     * It rejects with a `TimeoutError` if handlers did not settle within `timeoutMs`.
+     *
+     * @usage
+     *
+     * EventManager.on('app.shutdown', () => database.close());
+     * EventManager.on('app.shutdown', () => server.close());
+     *
+     * EventManager.fireAsync('app.shutdown', null, { timeoutMs: 5000 }).then(() => process.exit(0));
+     *
+     * EventManager.on('document.beforeSave', (document) => validate(document), { priority: 10 });
+     * EventManager.on('document.beforeSave', (document) => backup(document));
+     *
+     * EventManager.fireAsync('document.beforeSave', document, { mode: 'serial' }).then(() => save(document));
+     *
+     * @method fireAsync
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @param {Object} [options] `FireAsyncOptions`
+     * @return {Promise}
+     * @throws TypeError if given `event` is not a valid string, contains a pattern or `mode` is unknown
+     */
+    fireAsync<P>(event: EventKey<P>, data: P, options?: FireAsyncOptions): Promise<Array<any>>;
+    fireAsync(event: EventNames, data: T, options?: FireAsyncOptions): Promise<Array<any>>;
+    fireAsync(event: EventNames | EventKey<any>, data: any, options?: FireAsyncOptions): Promise<Array<any>> {
+        const mode = options && options.mode || 'parallel';
+        const timeoutMs = options && options.timeoutMs;
+        const handlers: Array<PendingHandler<T>> = [];
+
+        if ('parallel' !== mode && 'serial' !== mode) {
+            throw new TypeError('mode should be either `parallel` or `serial`');
+        }
+
+        const deliveries = this._fire(event, data, { route: undefined, context: undefined, handlers: handlers, done: undefined });
+
+        const settled = Promise.all(deliveries.map((delivery) => delivery.done)).then(() => {
+            const outcomes: Array<Promise<{ error?: any, result?: any }>> = [];
+            const run = (handler: PendingHandler<T>) => handler.context.propagationStopped ?
+                Promise.resolve({}) :
+                _settle(handler.call, []).then((result) => ({ result: result }), (error) => ({ error: error }));
+
+            if ('parallel' === mode) {
+                handlers.forEach((handler) => outcomes.push(run(handler)));
+            } else {
+                handlers.reduce((previous, handler) => {
+                    const outcome = previous.then(() => run(handler));
+
+                    outcomes.push(outcome);
+
+                    return outcome;
+                }, Promise.resolve({}));
+            }
+
+            return Promise.all(outcomes);
+        }).then((outcomes) => {
+            const results = outcomes.map((outcome) => outcome.result);
+            const errors = outcomes.filter((outcome) => 'error' in outcome).map((outcome) => outcome.error);
+
+            if (0 < errors.length) {
+                const error = _createError('AggregateError', errors.length + ' handler(s) of ' + event + ' failed');
+
+                (<any> error).errors = errors;
+                (<any> error).results = results;
+
+                throw error;
+            }
+
+            return results;
+        });
+
+        if (undefined === timeoutMs) {
+            return settled;
+        }
+
+        return Observable.fromPromise(settled)
+            .timeout(timeoutMs, _createError('TimeoutError', 'handlers of ' + event + ' timed out'))
+            .toPromise();
+    }
+
+    /**
+     * dispatch `event` with given `data`, to its valid names only (see `_validate`).
+     * Given a `from` delivery, the route and the awaited handlers
+     * of `from` are kept: a bridged event keeps its route, an event forwarded by a child bus keeps its context too.
+     *
+     * @private
+     * @method _fire
+     * @param {String|Array} event event name(s)
+     * @param {Object} data anything
+     * @param {Object} [from] see `Delivery`
+     * @return {Array} deliveries of dispatched events
+     * @throws TypeError if given `event` is not a valid string or contains a pattern
+     */
+    private _fire(event: EventNames | EventKey<any>, data: any, from?: Delivery<T>): Array<Delivery<T>> {
+        const middlewares = this._bus.middlewares.slice();
+        const route = from && from.route;
+        const names = _toEventNames(event);
+
+        if (names.some((name) => PatternIndex.isPattern(name))) {
+            throw new TypeError('patterns can not be fired');
+        }
+
+        return names.filter((name) => this._validate(name, data)).map((name) => {
+            const message: EventMessage<T> = route && undefined !== route.origin ?
+                { event: name, data: data, origin: route.origin } :
+                { event: name, data: data };
+            const delivery: Delivery<T> = {
+                route: route,
+                context: from && from.context || new EventContext<T>(name, data, message.origin),
+                handlers: from && from.handlers,
+                done: undefined
+            };
+
+            delivery.done = this._dispatch(middlewares, 0, message, delivery);
+
+            return delivery;
+        });
+    }
+
+    /**
+     * mirror events fired on this bus onto given `channel`, and fire events posted by the other end on this bus.
+     * Events are tagged with the bus they were fired on (`origin`, see `EventMessage`), and dropped once they
+     * loop back to a bus they went through, so buses can be bridged in any topology.
+     * An error thrown by posting an event, or by firing a received one, is published on `errors$`.
+     *
+     * @usage
+     *
+     * const worker = new Worker('worker.js');
+     *
+     * eventManager.bridge(worker, { events: 'cart.**', origin: 'main' });
+     *
+     * // worker.js
+     * eventManager.bridge(self, { events: 'cart.**', origin: 'worker' });
+     *
+     * eventManager.bridge(new BroadcastChannel('app'), { serializer: EventManager.Bridge.JSON });
+     *
+     * @method bridge
+     * @param {Object} channel `MessagePort`, `Worker`, `BroadcastChannel`, Node `worker_threads` port...
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it to stop bridging, `off` removes it like a listener of `channel`
+     * @throws TypeError if given `channel` has no `postMessage`
+     */
+    bridge(channel: Channel, options?: BridgeOptions): Subscription<any> {
+        const bus = this._bus;
+        const bridge = new Bridge(channel, options && options.serializer);
+        const names = _toEventNames(options && options.events || '**');
+        const origin = options && options.origin || bus.id;
+
+        const subscription = this._track(names, this._source(names, true)).subscribe((e: EventMessage<T>) => {
+            const route = bus.delivering.route;
 
-/**
- * compare any 2 given objects and return their equality by ===.
- *
- * @private
- * @method _defaultComparer
- * @param {Object} x anything
- * @param {Object} y anything
- * @return {Boolean}
- */
-function _defaultComparer(x: any, y: any): boolean { return x === y; }
+            try {
+                bridge.post(e.event, e.data, {
+                    id: route.id,
+                    origin: undefined === route.origin ? origin : route.origin,
+                    path: route.path.concat(bus.id)
+                });
+            } catch (ex) {
+                bus.errors.next({ event: e.event, data: e.data, error: ex, handler: channel });
+            }
+        });
 
-/**
- * A helper to memorize event and correspoinding subscription.
- *
- * @private
- * @method _registerSubscription
- * @param {String} event
- * @param {Subscription} subscription
- * @return {Subscription}
- */
-function _registerSubscription(event: string, subscription: any): Subscription<any> {
-    if (Array.isArray(subscriptions[event])) {
-        subscriptions[event].push(subscription);
-    } else {
-        subscriptions[event] = [subscription];
-    }
+        subscription.add(bridge.listen((message: BridgeMessage) => {
+            const seen = bus.seen;
 
-    return subscription;
-}
+            if (-1 !== message.path.indexOf(bus.id) || -1 !== seen.indexOf(message.id) ||
+                !names.some((name) => PatternIndex.matches(name, message.event))) {
+                return;
+            }
 
-/**
- *
- * @class EventManager
- */
-export default class EventManager<T> {
+            seen.push(message.id);
+            seen.splice(0, Math.max(0, seen.length - SEEN_LIMIT));
+
+            try {
+                this._fire(message.event, message.data, { route: message, context: undefined, handlers: undefined, done: undefined });
+            } catch (ex) {
+                bus.errors.next({ event: message.event, data: message.data, error: ex, handler: channel });
+            }
+        }));
+
+        return this._registerSubscription(names, subscription, channel);
+    }
 
     /**
-     * observe with given `event`.
-     * Note: It's caller's duty to dispose returned subscription.
+     * fire given `event` with every value of given `source`: an Observable, a Promise,
+     * or an event of an `EventEmitter` or `EventTarget`. An error of the source, or thrown by `map` or firing the event,
+     * is published on `errors$`. The connection is a listener of `event`, so that `off` and `offAll` disconnect it.
      *
      * @usage
      *
-     * 1. single event
+     * EventManager.connect('window.resize', window, { event: 'resize', map: () => window.innerWidth });
      *
-     * EventManager.observe('ios').subscribe(function (data) {
-     *     console.log(data.answer);
-     * });
+     * EventManager.connect('process.exit', process, { event: 'exit' });
      *
-     * EventManager.fire('ios', { answer: 42 })
-     * > 42
+     * EventManager.connect('config.loaded', fetch('/config.json').then((response) => response.json()));
      *
-     * @throws TypeError if given `event` is not a valid string
+     * EventManager.connect('clock.tick', Observable.interval(1000));
+     *
+     * @method connect
+     * @param {String} event event name
+     * @param {Object} source
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to disconnect the source
+     * @throws TypeError if given `event` is not a single event name, `source` is not supported
+     * or `map` is not a function
      */
-    observe(event): Observable<T> {
-        if (_isInvalidString(event)) {
-            throw new TypeError('given event is not a valid string');
+    connect(event: string | EventKey<any>, source: any, options?: ConnectOptions): Subscription<any> {
+        const bus = this._bus;
+        const names = _toEventNames(event);
+        const name = names[0];
+        const map = options && options.map;
+
+        if (1 !== names.length || PatternIndex.isPattern(name)) {
+            throw new TypeError('connect should be given a single event name');
         }
 
-        if (!observables[event]) {
-            observables[event] = eventManagerCore
-                .filter((e: any) => event === e.event)
-                .map((e: any) => e.data);
+        if (undefined !== map && _isNotFunction(map)) {
+            throw new TypeError('map should be a function');
         }
 
-        const observable = observables[event];
-        const originalSubscribe = observable.subscribe;
+        const subscription = _toObservable(source, options && options.event || name).subscribe(
+            (value: any) => {
+                let data: any;
 
+                try {
+                    data = map ? map(value) : value;
+                } catch (ex) {
+                    bus.errors.next({ event: name, data: value, error: ex, handler: map });
 
-        observable.subscribe = (...args) => {
-            return _registerSubscription(
-                event,
-                originalSubscribe.call(observable, ...args)
-            );
-        };
+                    return;
+                }
+
+                try {
+                    this.fire(name, data);
+                } catch (ex) {
+                    bus.errors.next({ event: name, data: data, error: ex, handler: source });
+                }
+            },
+            (error: any) => bus.errors.next({ event: name, data: undefined, error: error, handler: source })
+        );
 
-        return observable;
+        return this._registerSubscription(names, subscription, source);
     }
 
     /**
-     * subscribe to given `event`.
+     * emit events fired on this bus of given `event` (name(s) or pattern(s)) on given `target`: an `EventEmitter`
+     * (`emit`), an `EventTarget` (`dispatchEvent` of a `CustomEvent` with the payload as `detail`) or an Observer (`next`).
+     * An error thrown by `map` or emitting is published on `errors$`. The pipe is a listener of `event`,
+     * so that `off` and `offAll` remove it.
      *
      * @usage
      *
-     * EventManager.on('ios', (data) => {
-     *     console.log(data.answer);
-     * });
+     * const emitter = new EventEmitter();
      *
-     * EventManager.fire('ios', { answer: 42 })
+     * EventManager.pipeTo('cart.*', emitter);
+     * emitter.on('cart.add', (item) => console.log(item.id));
+     *
+     * EventManager.fire('cart.add', { id: 42 });
      * > 42
      *
-     * multiple events (space separated)
+     * EventManager.pipeTo('user.login', document.body, { event: 'login', map: (user) => user.id });
      *
-     * EventManager.on('hello world', (data) => {
-     *    console.log(data.answer);
+     * @method pipeTo
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} target
+     * @param {Object} [options]
+     * @return {Subscription} unsubscribe it (or `off` the event) to stop emitting
+     * @throws TypeError if given `target` has neither `emit`, `dispatchEvent` nor `next`, or `map` is not a function
+     */
+    pipeTo(event: EventNames | EventKey<any>, target: any, options?: PipeOptions): Subscription<any> {
+        const bus = this._bus;
+        const names = _toEventNames(event);
+        const map = options && options.map;
+
+        if (!target || ['emit', 'dispatchEvent', 'next'].every((method) => 'function' !== typeof target[method])) {
+            throw new TypeError('target should be an EventEmitter, an EventTarget or an Observer');
+        }
+
+        if (undefined !== map && _isNotFunction(map)) {
+            throw new TypeError('map should be a function');
+        }
+
+        const subscription = this._source(names, true).subscribe((e: EventMessage<T>) => {
+            try {
+                _emit(target, options && options.event || e.event, map ? map(e.data, e.event) : e.data);
+            } catch (ex) {
+                bus.errors.next({ event: e.event, data: e.data, error: ex, handler: target });
+            }
+        });
+
+        return this._registerSubscription(names, subscription, target);
+    }
+
+    /**
+     * define the payload of given `event` (name(s) or pattern(s)) by a JSON-Schema-style `schema` (see `Schema`)
+     * or a `Validator` function. Invalid payloads are not delivered: `fire` throws a `ValidationError`
+     * (`strict` mode, default) or publishes it on `errors$` (`lenient` mode). Payloads are validated
+     * as they are fired, before middlewares. Defining an event again replaces its definition.
+     *
+     * @usage
+     *
+     * EventManager.define('user.login', {
+     *     type: 'object',
+     *     required: ['id'],
+     *     properties: { id: { type: 'integer' }, name: { type: 'string' } },
+     *     additionalProperties: false
      * });
      *
-     * EventManager.fire('hello', { answer: 42 })
-     * > 42
+     * EventManager.fire('user.login', { id: 42, nmae: 'John' });
+     * > ValidationError: invalid payload of event user.login: data.nmae is not allowed
      *
-     * EventManager.fire('world', { answer: 42 })
-     * > 42
+     * EventManager.define('price.*', (price) => price < 0 && 'price should be positive', { mode: 'lenient' });
+     *
+     * @method define
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object|Function} schema
+     * @param {Object} [options]
+     * @throws TypeError if given `event` is not a valid string, `schema` is neither an object nor a function
+     * or `mode` is unknown
+     * @chainable
      */
-    on(
-        event: string,
-        next?: Observer<T> | ((value: T) => void),
-        error?: (error: T) => void,
-        complete?: () => void
-    ): Subscription<T> {
-        return _registerSubscription(
-            event,
-            this.observe(event).subscribe(next, error, complete)
-        );
+    define(event: EventNames | EventKey<any>, schema: SchemaDefinition | Validator, options?: DefineOptions): EventManager<T> {
+        const mode = options && options.mode || 'strict';
+        const names = _toEventNames(event);
+        let validate: (data: any) => Array<string>;
+
+        if ('strict' !== mode && 'lenient' !== mode) {
+            throw new TypeError('mode should be either `strict` or `lenient`');
+        }
+
+        if ('function' === typeof schema) {
+            validate = (data) => {
+                const errors = (<Validator> schema)(data);
+
+                return Array.isArray(errors) ? errors : errors ? [String(errors)] : [];
+            };
+        } else {
+            const validator = new Schema(<SchemaDefinition> schema);
+
+            validate = (data) => validator.validate(data);
+        }
+
+        names.forEach((name) => {
+            this._bus.definitions[name] = { event: name, schema: schema, mode: mode, validate: validate };
+        });
+
+        return this;
     }
 
     /**
-     * execute callback only once and dispose it self.
-     * @see on
+     * return defined events with their schema and mode, by event name, e.g. to document them
+     *
+     * @usage
+     *
+     * EventManager.definitions();
+     * > [{ event: 'price.*', schema: validator, mode: 'lenient' }, { event: 'user.login', schema: { ... }, mode: 'strict' }]
+     *
+     * @method definitions
+     * @return {Array}
      */
-    once(
-        event: string,
-        next?: Observer<T> | ((value: T) => void),
-        error?: (error: T) => void,
-        complete?: () => void
-    ): Subscription<T> {
-        return _registerSubscription(
-            event,
-            this.observe(event).take(1).subscribe(next, error, complete)
-        );
+    definitions(): Array<EventDefinition> {
+        const definitions = this._bus.definitions;
+
+        return Object.keys(definitions).sort().map((key) => ({
+            event: key,
+            schema: definitions[key].schema,
+            mode: definitions[key].mode
+        }));
     }
 
     /**
-     * Emits latest-persisted sequence (if available)
+     * return a snapshot of the listeners of this bus (or scope) by event name or pattern,
+     * with where each subscription comes from and the number of values `latest` replays.
+     *
+     * @usage
+     *
+     * EventManager.on('user.login', function greet() {}, { owner: header });
+     *
+     * EventManager.inspect().events;
+     * > [{ event: 'user.login', listenerCount: 1, listeners: [{ handler: greet, source: 'greet', owner: header }], replayed: 0 }]
+     *
+     * @method inspect
+     * @return {Object}
      */
-    latest(
-        event: string,
-        next?: ((value?: T) => void),
-        error?: (error: T) => void,
-        complete?: () => void
-    ): Subscription<T> {
-        let observable,
-            observer,
-            latestData,
-            subscription;
+    inspect(): InspectorSnapshot {
+        const bus = this._bus;
+        const subscriptions = this._subscriptions;
+        const events = Object.keys(subscriptions)
+            .concat(Object.keys(bus.latestEventData).filter((key) => !subscriptions.hasOwnProperty(key)))
+            .sort();
 
-        observable = this.observe(event);
+        return {
+            id: bus.id,
+            parent: bus.parent ? bus.parent._bus.id : undefined,
+            events: events.map((event) => {
+                const registrations = subscriptions[event] || [];
 
-        if (undefined === next) { return observable; }
+                return {
+                    event: event,
+                    listenerCount: registrations.length,
+                    listeners: registrations.map((r) => ({ handler: r.handler, source: _sourceOf(r.handler), owner: r.owner })),
+                    replayed: PatternIndex.isPattern(event) ? 0 : this._replayEntries(event).length
+                };
+            }),
+            middlewares: bus.middlewares.length
+        };
+    }
+
+    /**
+     * report every event delivered by this bus to given `reporter`, until the returned subscription is unsubscribed,
+     * `**` is off-ed or the scope it was made through is disposed.
+     *
+     * @usage
+     *
+     * const reporting = EventManager.report();
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     * > [2016-02-01T10:00:00.000Z] user.login -> 2 listener(s) in 0.12ms { id: 42 }
+     *
+     * reporting.unsubscribe();
+     *
+     * @method report
+     * @param {Object} [reporter] default to a `ConsoleReporter`
+     * @return {Subscription}
+     * @throws TypeError if given `reporter` has no `report` method
+     */
+    report(reporter: Reporter = new ConsoleReporter()): Subscription<any> {
+        if (!reporter || _isNotFunction(reporter.report)) {
+            throw new TypeError('reporter should have a report method');
+        }
 
-        observer = Subscriber.create(next, error, complete);
+        return this._registerSubscription(['**'], this.tap$.subscribe((entry: TapEntry) => reporter.report(entry)), reporter);
+    }
+
+    /**
+     * record fired events (of given `events` only, if any) until `stop` of the returned recorder is called,
+     * keeping the last `limit` ones. Events are recorded as they are fired, before middlewares.
+     *
+     * @usage
+     *
+     * const recorder = EventManager.record({ events: 'user.* cart.*', limit: 500 });
+     *
+     * EventManager.fire('user.login', { id: 42 });
+     *
+     * recorder.query({ events: 'user.*' });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 0 }]
+     *
+     * fs.writeFileSync('session.ndjson', recorder.export('ndjson'));
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     * @throws TypeError if given `events` is not a valid string or `limit` is not a positive integer
+     */
+    record(options?: RecordOptions): Recorder {
+        const bus = this._bus;
+        const scheduler = options && options.scheduler;
+        const names = _toEventNames(options && undefined !== options.events ? options.events : '**');
+        let entry: MiddlewareEntry<T>;
+        const recorder = new Recorder(
+            options && undefined !== options.limit ? options.limit : undefined,
+            scheduler ? () => scheduler.now() : undefined,
+            () => bus.middlewares = bus.middlewares.filter((e) => entry !== e)
+        );
 
-        subscription = observable.subscribe(observer);
+        entry = {
+            names: names,
+            middleware: (message, next) => {
+                recorder.push(message.event, message.data);
 
-        latestData = latestEventData[event];
+                return next();
+            }
+        };
 
-        if (latestData && true === latestData.hasValue) {
-            setImmediate(function () {
-                observer.next(latestData.value);
-            });
-        }
+        bus.middlewares.unshift(entry);
 
-        return _registerSubscription(event, subscription);
+        return recorder;
     }
 
     /**
-     * Emits value only if it's changed (determined by `comparer`)
+     * fire again the events of given recording, in the order they were fired, e.g. into a fresh bus to reproduce a bug.
+     * The `original` timing keeps delays between events, divided by `speed`, the `compressed` one fires them at once.
      *
-     * @method change
-     * @param {String} event event name.
-     * @param {Function} [comparer] default to `_defaultComparer`
-     * @param {Function} [next]
-     * @param {Function} [error]
-     * @param {Function} [complete]
-     * @return {Subscription}
+     * @usage
+     *
+     * const recording = EventManager.Recorder.parse(fs.readFileSync('session.ndjson', 'utf8'));
+     *
+     * new EventManager().play(recording, { speed: 10 }).then(() => console.log('done'));
+     *
+     * @method play
+     * @param {Recorder|Array} recording a recorder or its records
+     * @param {Object} [options]
+     * @return {Promise} settled once every event is fired, rejected with the first error thrown by `fire`
+     * @throws TypeError if given `timing` is unknown or `speed` is not a positive number
      */
-    change(
-        event: string,
-        comparer: Function,
-        next?: Observer<T> | ((value: T) => void),
-        error?: (error: T) => void,
-        complete?: () => void
-    ) {
+    play(recording: Recorder | Array<HistoryRecord>, options?: PlayOptions): Promise<void> {
+        const timing = options && options.timing || 'original';
+        const speed = options && undefined !== options.speed ? options.speed : 1;
+        const scheduler: Scheduler = options && options.scheduler || asap;
+        const records = (recording instanceof Recorder ? recording.query() : (<Array<HistoryRecord>> recording).slice())
+            .sort((x, y) => x.sequence - y.sequence);
 
-        let observable;
+        if ('original' !== timing && 'compressed' !== timing) {
+            throw new TypeError('timing should be either `original` or `compressed`');
+        }
 
-        comparer = comparer || _defaultComparer;
+        if ('number' !== typeof speed || !(speed > 0)) {
+            throw new TypeError('speed should be a positive number');
+        }
 
-        if (_isNotFunction(comparer)) {
-            throw new TypeError('comparer should be a function');
+        if ('compressed' === timing) {
+            try {
+                records.forEach((record) => this.fire(record.event, record.data));
+            } catch (ex) {
+                return Promise.reject(ex);
+            }
+
+            return Promise.resolve();
         }
 
-        observable = this.observe(event).distinctUntilChanged(_keySelector);
+        return new Promise<void>((resolve, reject) => {
+            let schedule: (index: number) => void;
+            const playFrom = (index: number) => {
+                if (index === records.length) {
+                    resolve();
 
-        if (undefined === next) { return observable; }
+                    return;
+                }
 
-        return _registerSubscription(event, observable.subscribe(next, error, complete));
-    }
+                try {
+                    this.fire(records[index].event, records[index].data);
+                } catch (ex) {
+                    reject(ex);
 
-    /**
-     * Same as fire method
-     */
-    trigger(event: string, data: T): EventManager<T> {
-        return this.fire(event, data);
+                    return;
+                }
+
+                schedule(index + 1);
+            };
+
+            schedule = (index: number) => {
+                const delay = 0 < index && index < records.length ?
+                    (records[index].timestamp - records[index - 1].timestamp) / speed : 0;
+
+                scheduler.schedule(() => playFrom(index), Math.max(0, delay));
+            };
+
+            schedule(0);
+        });
     }
 
     /**
-     * dispatch `event` with given `data`.
+     * use given `middleware` for every fired event, or only for events matching given `event`
+     * name(s) or pattern(s). Middlewares run in the order they are used, before delivery.
+     * An error thrown (or rejected) by a middleware is published on `errors$` instead of thrown by `fire`.
      *
      * @usage
      *
-     * EventManager.fire('hello', 42);
-     * > 42
+     * eventManager.use((message, next) => next({ event: message.event, data: { value: message.data, at: Date.now() } }));
      *
-     * @method fire
-     * @param {String} event event name
-     * @param {Object} data anything
-     * @throws TypeError if given `event` is not a valid string
-     * @chainable
+     * eventManager.use('admin.*', (message, next) => {
+     *     return isAllowed(message) && next().then(() => console.log('delivered', message.event));
+     * });
+     *
+     * @method use
+     * @param {String|Array} [event] event name(s) or pattern(s)
+     * @param {Function} middleware
+     * @return {Subscription} unsubscribe it (or `off` given `event`, or dispose the scope it was used through)
+     * to stop using `middleware`
+     * @throws TypeError if given `event` is not a valid string or given `middleware` is not a function
      */
-    fire(event: string, data: T): EventManager<T> {
+    use(event: EventNames | Middleware<T>, middleware?: Middleware<T>): Subscription<any> {
+        const bus = this._bus;
 
-        if (_isInvalidString(event)) {
-            throw new TypeError('given event is not a valid string');
+        if ('function' === typeof event) {
+            middleware = <Middleware<T>> event;
+            event = '**';
         }
 
-        if ( ! latestEventData[event]) {
-            latestEventData[event] = { hasValue: true };
-        }
+        const entry: MiddlewareEntry<T> = { names: _toEventNames(<EventNames> event), middleware: middleware };
 
-        latestEventData[event].value = data;
+        if (_isNotFunction(middleware)) {
+            throw new TypeError('middleware should be a function');
+        }
 
-        eventManagerCore.next({ event: event, data: data });
+        bus.middlewares.push(entry);
 
-        return this;
+        return this._registerSubscription(entry.names, new Subscription<any>(() => {
+            bus.middlewares = bus.middlewares.filter((e) => entry !== e);
+        }), middleware);
     }
 
     /**
+     * off listeners of given `event`, and forget its latest data and dead letters.
+     * Persisted events (see `persist`) keep their latest data, `latest` replays it until `forget`.
+     *
      * @usage
      *
      * EventManager.on('hello', function (value) {
@@ -320,36 +3814,221 @@ export default class EventManager<T> {
      * EventManager.fire('hello', 42);
      * // nothing happened
      *
+     * EventManager.off('hello world');
+     * // both `hello` and `world` are off-ed
+     *
+     * EventManager.off('user.*');
+     * // every registration matching `user.*` is off-ed
+     *
+     * EventManager.off('hello', handler);
+     * // only listeners registered with `handler` are off-ed
+     *
+     * EventManager.off('hello', { owner: this });
+     * // only listeners registered with `{ owner: this }` are off-ed
+     *
      * @method off
-     * @param {String} event event name.
+     * @param {String|Array} event event name(s).
+     * @param {Function|Observer|Object} [listener] a handler, or `{ owner }`, to off only matching listeners
+     * @chainable
      */
-    off(event: string): EventManager<T> {
-        if (Array.isArray(subscriptions[event])) {
-            subscriptions[event].forEach((s) => s.unsubscribe());
+    off(event: EventNames | EventKey<any>, listener?: any): EventManager<T> {
+        const bus = this._bus;
+        const latestEventData = bus.latestEventData;
+        const byOwner = _isListenerOptions(listener) && listener.hasOwnProperty('owner');
 
-            delete subscriptions[event];
-        }
+        this._registrations(event)
+            .filter((r) => undefined === listener || (byOwner ? listener.owner === r.owner : listener === r.handler))
+            .forEach((r) => r.subscription.unsubscribe());
 
-        if (latestEventData[event]) {
-            delete latestEventData[event];
+        // a scope only offs its own listeners, the latest data and dead letters belong to the bus
+        if (undefined !== listener || this._host) {
+            return this;
         }
 
+        const names = _toEventNames(event);
+
+        // persisted events keep their latest data, in memory as in their storage, until `forget`
+        names.forEach((name) => {
+            Object.keys(latestEventData)
+                .filter((key) => PatternIndex.matches(name, key) && !bus.persistence.hasOwnProperty(key))
+                .forEach((key) => delete latestEventData[key]);
+        });
+
+        bus.deadLetters = bus.deadLetters.filter((letter) => !names.some((name) => PatternIndex.matches(name, letter.event)));
+
+        return this;
+    }
+
+    /**
+     * forget the latest data of given `event` (name(s) or pattern(s)), and remove its values from the storage
+     * it is persisted into, see `persist`. Listeners are kept.
+     *
+     * @usage
+     *
+     * EventManager.persist('session.user', { storage: window.localStorage });
+     *
+     * // on logout
+     * EventManager.forget('session.user');
+     *
+     * @method forget
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @chainable
+     */
+    forget(event: EventNames | EventKey<any>): EventManager<T> {
+        const bus = this._bus;
+        const names = _toEventNames(event);
+
+        Object.keys(bus.latestEventData)
+            .concat(Object.keys(bus.persistence).filter((key) => !bus.latestEventData.hasOwnProperty(key)))
+            .filter((key) => names.some((name) => PatternIndex.matches(name, key)))
+            .forEach((key) => {
+                delete bus.latestEventData[key];
+                this._save(key);
+            });
+
         return this;
     }
 
     /**
-     * off all subscriptions
+     * off all subscriptions, and drop every buffered dead letter of the bus
      *
      * @method offAll
      * @chainable
      */
     offAll(): EventManager<T> {
 
-        Object.keys(subscriptions).forEach((event) => this.off(event));
+        Object.keys(this._subscriptions).forEach((event) => this.off(event));
+
+        if (!this._host) {
+            this._bus.deadLetters = [];
+        }
 
         return this;
     }
+
+    /**
+     * ask responders of given `event` and reply with their answer, see `respond`.
+     * The returned Observable is lazy: the request is dispatched on subscribe.
+     * It errors with a `NoResponderError` if nobody responds to `event`,
+     * and with a `TimeoutError` if no reply arrived within `timeoutMs`.
+     *
+     * @usage
+     *
+     * EventManager.respond('config.get', (key) => config[key]);
+     *
+     * EventManager.request('config.get', 'locale', { timeoutMs: 1000 }).subscribe((locale) => {
+     *     console.log(locale);
+     * });
+     * > en-US
+     *
+     * EventManager.request('config.get', 'locale').toPromise().then((locale) => { ... });
+     *
+     * @method request
+     * @param {String} event event name
+     * @param {Object} [data] anything
+     * @param {Object} [options]
+     * @return {Observable}
+     * @throws TypeError if given `event` is not a valid string or `strategy` is unknown
+     */
+    request(event: string, data?: any, options?: RequestOptions): Observable<any> {
+        const timeoutMs = options && options.timeoutMs;
+        const strategy = options && options.strategy || 'first';
+        const requests = this._bus.requests;
+
+        if (_isInvalidString(event)) {
+            throw new TypeError('given event is not a valid string');
+        }
+
+        if ('first' !== strategy && 'all' !== strategy) {
+            throw new TypeError('strategy should be either `first` or `all`');
+        }
+
+        return Observable.defer(() => {
+            const replies: Array<Promise<any>> = [];
+            let reply: Observable<any>;
+
+            requests.next({ event: event, data: data, reply: (result) => replies.push(result) });
+
+            if (0 === replies.length) {
+                return Observable.throw(_createError('NoResponderError', 'no responder for event ' + event));
+            }
+
+            reply = Observable.fromPromise('all' === strategy ? Promise.all(replies) : _firstFulfilled(replies));
+
+            if (undefined !== timeoutMs) {
+                reply = reply.timeout(timeoutMs, _createError('TimeoutError', 'request ' + event + ' timed out'));
+            }
+
+            return reply;
+        });
+    }
+
+    /**
+     * answer requests of given `event` with the result of `handler`, which is called with
+     * the request data and the event name. The result can be a value, a Promise or an Observable.
+     * Responders are listeners: `off`, `offAll` and `dispose` of scopes remove them.
+     *
+     * @usage
+     *
+     * EventManager.respond('user.get', (id) => fetchUser(id));
+     *
+     * @method respond
+     * @param {String|Array} event event name(s) or pattern(s).
+     * @param {Function} handler
+     * @param {Object} [options] `ListenerOptions`
+     * @return {Subscription}
+     * @throws TypeError if given `handler` is not a function
+     */
+    respond(event: EventNames, handler: (data?: any, event?: string) => any, options?: ListenerOptions): Subscription<any> {
+        const names = _toEventNames(event);
+
+        if (_isNotFunction(handler)) {
+            throw new TypeError('handler should be a function');
+        }
+
+        const requests = this._bus.requests
+            .filter((request: RequestMessage) => names.some((name) => PatternIndex.matches(name, request.event)));
+        const subscription = this._track(names, requests).subscribe((request: RequestMessage) => {
+            request.reply(_settle(handler, [request.data, request.event]));
+        });
+
+        return this._registerSubscription(names, subscription, handler, options && options.owner);
+    }
+
+    /**
+     * return handlers listening to given `event` (name(s) or pattern(s)).
+     * Subscriptions made without a handler are counted by `listenerCount` only.
+     *
+     * @usage
+     *
+     * EventManager.on('hello', handler);
+     *
+     * EventManager.listeners('hello');
+     * > [handler]
+     *
+     * @method listeners
+     * @param {String|Array} event event name(s).
+     * @return {Array}
+     */
+    listeners(event: EventNames | EventKey<any>): Array<any> {
+        return this._registrations(event)
+            .map((r) => r.handler)
+            .filter((handler) => undefined !== handler);
+    }
+
+    /**
+     * return the number of subscriptions of given `event` (name(s) or pattern(s)).
+     *
+     * @method listenerCount
+     * @param {String|Array} event event name(s).
+     * @return {Number}
+     */
+    listenerCount(event: EventNames | EventKey<any>): number {
+        return this._registrations(event).length;
+    }
 };
 
 
+// keep `import EventManager from './EventManager'` working, e.g. in `testing`
 module.exports = EventManager;
+module.exports.default = EventManager;
@@ -0,0 +1,62 @@
+import {Subscription} from 'rxjs/Subscription';
+import {Observable} from 'rxjs/Observable';
+import {Observer} from 'rxjs/Observer';
+import {Operator} from 'rxjs/Operator';
+import {Subscriber} from 'rxjs/Subscriber';
+
+/**
+ * memorize given `subscription`, made with given `handler`, and return it
+ */
+export type Register = (subscription: Subscription<any>, handler: any) => Subscription<any>;
+
+/**
+ * An Observable of events which hands every subscription to `register`,
+ * including subscriptions of Observables derived from it by operators:
+ * operators `lift` it into another `EventObservable` with the same `register`.
+ *
+ * @class EventObservable
+ */
+export default class EventObservable<T> extends Observable<T> {
+
+    /**
+     * @private
+     * @property _register
+     * @type {Function}
+     */
+    private _register: Register;
+
+    /**
+     * @constructor
+     * @param {Function} register
+     * @param {Observable} [source] the Observable to subscribe, omitted by `lift`
+     */
+    constructor(register: Register, source?: Observable<any>) {
+        super(source ? (subscriber: Subscriber<any>) => source.subscribe(subscriber) : undefined);
+        this._register = register;
+    }
+
+    /**
+     * @method lift
+     * @param {Operator} operator
+     * @return {EventObservable}
+     */
+    lift<T, R>(operator: Operator<T, R>): Observable<T> {
+        const observable = new EventObservable<T>(this._register);
+
+        observable.source = this;
+        observable.operator = <any> operator;
+
+        return observable;
+    }
+
+    /**
+     * @method subscribe
+     * @param {Observer|Function} [observerOrNext]
+     * @param {Function} [error]
+     * @param {Function} [complete]
+     * @return {Subscription}
+     */
+    subscribe(observerOrNext?: Observer<T> | ((value: T) => void), error?: (error: T) => void, complete?: () => void): Subscription<T> {
+        return this._register(super.subscribe(observerOrNext, error, complete), observerOrNext);
+    }
+}
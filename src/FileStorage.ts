@@ -0,0 +1,88 @@
+import {StorageAdapter} from './MemoryStorage';
+
+/**
+ * A storage adapter keeping every item in one JSON file, for Node.js.
+ * The file is read once when created and written on every change.
+ * It requires `fs`, so it ships apart from `EventManager`: `require('rx-event-manager/file-storage')`.
+ *
+ * @class FileStorage
+ */
+export class FileStorage implements StorageAdapter {
+
+    /**
+     * @private
+     * @property _fs
+     * @type {Object}
+     */
+    private _fs: any = require('fs');
+
+    /**
+     * A hash of { key: value }
+     *
+     * @private
+     * @property _items
+     * @type {Object}
+     */
+    private _items: { [key: string]: string } = {};
+
+    /**
+     * @private
+     * @property _path
+     * @type {String}
+     */
+    private _path: string;
+
+    /**
+     * @constructor
+     * @param {String} path of the JSON file, created on the first change if missing
+     */
+    constructor(path: string) {
+        this._path = path;
+
+        if (this._fs.existsSync(path)) {
+            this._items = JSON.parse(this._fs.readFileSync(path, 'utf8'));
+        }
+    }
+
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    getItem(key: string): string {
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    }
+
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    setItem(key: string, value: string): void {
+        this._items[key] = String(value);
+        this._write();
+    }
+
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    removeItem(key: string): void {
+        if (this._items.hasOwnProperty(key)) {
+            delete this._items[key];
+            this._write();
+        }
+    }
+
+    /**
+     * @private
+     * @method _write
+     */
+    private _write(): void {
+        this._fs.writeFileSync(this._path, JSON.stringify(this._items));
+    }
+}
+
+export default FileStorage;
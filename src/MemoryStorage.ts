@@ -0,0 +1,54 @@
+/**
+ * A synchronous key-value storage of strings, a subset of the Web Storage API:
+ * `window.localStorage` and `window.sessionStorage` are storage adapters as they are.
+ */
+export interface StorageAdapter {
+    getItem(key: string): string;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+/**
+ * A storage adapter keeping items in memory, for tests and for contexts without a persistent storage.
+ *
+ * @class MemoryStorage
+ */
+export default class MemoryStorage implements StorageAdapter {
+
+    /**
+     * A hash of { key: value }
+     *
+     * @private
+     * @property _items
+     * @type {Object}
+     */
+    private _items: { [key: string]: string } = {};
+
+    /**
+     * return the value stored with given `key`, or `null` if there is none
+     *
+     * @method getItem
+     * @param {String} key
+     * @return {String}
+     */
+    getItem(key: string): string {
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    }
+
+    /**
+     * @method setItem
+     * @param {String} key
+     * @param {String} value
+     */
+    setItem(key: string, value: string): void {
+        this._items[key] = String(value);
+    }
+
+    /**
+     * @method removeItem
+     * @param {String} key
+     */
+    removeItem(key: string): void {
+        delete this._items[key];
+    }
+}
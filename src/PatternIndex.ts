@@ -0,0 +1,176 @@
+/**
+ * matches any single segment of a dotted event name
+ *
+ * @private
+ * @property SINGLE_WILDCARD
+ * @type {String}
+ */
+const SINGLE_WILDCARD = '*';
+
+/**
+ * matches any number (including zero) of segments of a dotted event name
+ *
+ * @private
+ * @property MULTI_WILDCARD
+ * @type {String}
+ */
+const MULTI_WILDCARD = '**';
+
+/**
+ * A node of the trie, one per segment of registered keys.
+ *
+ * @private
+ */
+interface PatternNode<V> {
+    children: { [segment: string]: PatternNode<V> };
+    hasValue: boolean;
+    value?: V;
+}
+
+/**
+ * @private
+ * @method _createNode
+ * @return {Object}
+ */
+function _createNode<V>(): PatternNode<V> {
+    return { children: {}, hasValue: false };
+}
+
+/**
+ * check if given `pattern` segments (from `p`) match given `name` segments (from `n`)
+ *
+ * @private
+ * @method _matchSegments
+ * @param {Array} pattern
+ * @param {Number} p
+ * @param {Array} name
+ * @param {Number} n
+ * @return {Boolean}
+ */
+function _matchSegments(pattern: Array<string>, p: number, name: Array<string>, n: number): boolean {
+    if (p === pattern.length) {
+        return n === name.length;
+    }
+
+    if (MULTI_WILDCARD === pattern[p]) {
+        for (let i = n; i <= name.length; i++) {
+            if (_matchSegments(pattern, p + 1, name, i)) { return true; }
+        }
+
+        return false;
+    }
+
+    if (n === name.length) {
+        return false;
+    }
+
+    return (SINGLE_WILDCARD === pattern[p] || pattern[p] === name[n]) &&
+        _matchSegments(pattern, p + 1, name, n + 1);
+}
+
+/**
+ * A trie of dotted event names and glob-style patterns (`user.*`, `cart.**`, `*.error`).
+ * Looking up the values matching a concrete event name walks the segments of that name
+ * instead of testing every registered pattern.
+ *
+ * @class PatternIndex
+ */
+export default class PatternIndex<V> {
+
+    /**
+     * @private
+     * @property _root
+     * @type {Object}
+     */
+    private _root: PatternNode<V> = _createNode<V>();
+
+    /**
+     * check if given `name` contains a wildcard segment
+     *
+     * @static
+     * @method isPattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    static isPattern(name: string): boolean {
+        return name.split('.').some((segment) => SINGLE_WILDCARD === segment || MULTI_WILDCARD === segment);
+    }
+
+    /**
+     * check if given `pattern` matches given concrete event `name`
+     *
+     * @static
+     * @method matches
+     * @param {String} pattern
+     * @param {String} name
+     * @return {Boolean}
+     */
+    static matches(pattern: string, name: string): boolean {
+        return pattern === name || _matchSegments(pattern.split('.'), 0, name.split('.'), 0);
+    }
+
+    /**
+     * return the value stored with given `key`, create it by `factory` if there is none
+     *
+     * @method get
+     * @param {String} key an event name or a pattern
+     * @param {Function} factory
+     * @return {Object}
+     */
+    get(key: string, factory: () => V): V {
+        let node = this._root;
+
+        key.split('.').forEach((segment) => {
+            node = node.children[segment] || (node.children[segment] = _createNode<V>());
+        });
+
+        if (!node.hasValue) {
+            node.value = factory();
+            node.hasValue = true;
+        }
+
+        return node.value;
+    }
+
+    /**
+     * return values of every key matching given concrete event `name`
+     *
+     * @method match
+     * @param {String} name
+     * @return {Array}
+     */
+    match(name: string): Array<V> {
+        const segments = name.split('.');
+        const values: Array<V> = [];
+
+        const walk = (node: PatternNode<V>, n: number) => {
+            const children = node.children;
+
+            if (children[MULTI_WILDCARD]) {
+                for (let i = n; i <= segments.length; i++) {
+                    walk(children[MULTI_WILDCARD], i);
+                }
+            }
+
+            if (n === segments.length) {
+                if (node.hasValue && -1 === values.indexOf(node.value)) {
+                    values.push(node.value);
+                }
+
+                return;
+            }
+
+            if (children[segments[n]]) {
+                walk(children[segments[n]], n + 1);
+            }
+
+            if (SINGLE_WILDCARD !== segments[n] && children[SINGLE_WILDCARD]) {
+                walk(children[SINGLE_WILDCARD], n + 1);
+            }
+        };
+
+        walk(this._root, 0);
+
+        return values;
+    }
+}
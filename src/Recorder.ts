@@ -0,0 +1,244 @@
+import PatternIndex from './PatternIndex';
+
+/**
+ * A fired event, as recorded by `Recorder`.
+ */
+export interface HistoryRecord {
+    event: string;
+    data: any;
+
+    /**
+     * when the event was fired, in milliseconds
+     */
+    timestamp: number;
+
+    /**
+     * the order the event was fired in, among recorded events
+     */
+    sequence: number;
+}
+
+/**
+ * Which records `query` returns, every record matching all given criteria.
+ */
+export interface HistoryQuery {
+    /**
+     * event name(s) or pattern(s), space-separated or an array
+     */
+    events?: string | Array<string>;
+
+    /**
+     * records fired at or after `from`, in milliseconds
+     */
+    from?: number;
+
+    /**
+     * records fired at or before `to`, in milliseconds
+     */
+    to?: number;
+}
+
+/**
+ * The number of records kept by default.
+ *
+ * @private
+ * @property DEFAULT_LIMIT
+ * @type {Number}
+ */
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * check given `record` as imported
+ *
+ * @private
+ * @method _isRecord
+ * @param {Object} record
+ * @return {Boolean}
+ */
+function _isRecord(record: any): boolean {
+    return null !== record && 'object' === typeof record && 'string' === typeof record.event &&
+        'number' === typeof record.timestamp && 'number' === typeof record.sequence;
+}
+
+/**
+ * Records fired events into a ring buffer keeping the last `limit` ones, made by `record` of `EventManager`.
+ * Recordings export to JSON or NDJSON and import back with `Recorder.parse`, `play` of `EventManager` fires them again.
+ *
+ * @class Recorder
+ */
+export default class Recorder {
+
+    /**
+     * @private
+     * @property _records
+     * @type {Array}
+     */
+    private _records: Array<HistoryRecord> = [];
+
+    /**
+     * @private
+     * @property _sequence
+     * @type {Number}
+     */
+    private _sequence: number = 0;
+
+    /**
+     * @private
+     * @property _limit
+     * @type {Number}
+     */
+    private _limit: number;
+
+    /**
+     * @private
+     * @property _now
+     * @type {Function}
+     */
+    private _now: () => number;
+
+    /**
+     * @private
+     * @property _stop
+     * @type {Function}
+     */
+    private _stop: () => void;
+
+    /**
+     * @constructor
+     * @param {Number} [limit] the number of records to keep, default to `1000`
+     * @param {Function} [now] returns the current time, default to `Date.now`
+     * @param {Function} [stop] stops recording, omitted by imported recordings
+     * @throws TypeError if given `limit` is not a positive integer
+     */
+    constructor(limit: number = DEFAULT_LIMIT, now: () => number = Date.now, stop?: () => void) {
+        if ('number' !== typeof limit || !(limit > 0) || Math.floor(limit) !== limit) {
+            throw new TypeError('limit should be a positive integer');
+        }
+
+        this._limit = limit;
+        this._now = now;
+        this._stop = stop;
+    }
+
+    /**
+     * parse a recording exported by `export`, as JSON or NDJSON
+     *
+     * @static
+     * @method parse
+     * @param {String} text
+     * @return {Recorder} a stopped recorder of the parsed records
+     * @throws SyntaxError if given `text` is neither JSON nor NDJSON
+     * @throws TypeError if a parsed value is not a record
+     */
+    static parse(text: string): Recorder {
+        const trimmed = String(text).trim();
+        const records: Array<HistoryRecord> = '[' === trimmed.charAt(0) ?
+            JSON.parse(trimmed) :
+            trimmed.split('\n').filter((line) => '' !== line.trim()).map((line) => JSON.parse(line));
+        const recorder = new Recorder(Math.max(DEFAULT_LIMIT, records.length));
+
+        records.forEach((record, index) => {
+            if (!_isRecord(record)) {
+                throw new TypeError('record ' + index + ' should have an event, a timestamp and a sequence');
+            }
+        });
+
+        recorder._records = records
+            .map((record) => ({ event: record.event, data: record.data, timestamp: record.timestamp, sequence: record.sequence }))
+            .sort((x, y) => x.sequence - y.sequence);
+        recorder._sequence = records.length ? recorder._records[records.length - 1].sequence + 1 : 0;
+
+        return recorder;
+    }
+
+    /**
+     * record given fired event, dropping the oldest record once `limit` is reached
+     *
+     * @method push
+     * @param {String} event
+     * @param {Object} data
+     * @chainable
+     */
+    push(event: string, data: any): Recorder {
+        this._records.push({ event: event, data: data, timestamp: this._now(), sequence: this._sequence++ });
+        this._records.splice(0, Math.max(0, this._records.length - this._limit));
+
+        return this;
+    }
+
+    /**
+     * return records matching given `query`, all of them without it, in the order they were fired
+     *
+     * @usage
+     *
+     * recorder.query({ events: 'user.*', from: Date.now() - 60000 });
+     * > [{ event: 'user.login', data: { id: 42 }, timestamp: 1445678901234, sequence: 3 }]
+     *
+     * @method query
+     * @param {Object} [query]
+     * @return {Array}
+     */
+    query(query?: HistoryQuery): Array<HistoryRecord> {
+        const events = query && query.events;
+        const patterns = Array.isArray(events) ? <Array<string>> events : events ? (<string> events).split(' ').filter(Boolean) : [];
+        const from = query && undefined !== query.from ? query.from : -Infinity;
+        const to = query && undefined !== query.to ? query.to : Infinity;
+
+        return this._records.filter((record) => from <= record.timestamp && record.timestamp <= to &&
+            (0 === patterns.length || patterns.some((pattern) => PatternIndex.matches(pattern, record.event))));
+    }
+
+    /**
+     * drop every record
+     *
+     * @method clear
+     * @chainable
+     */
+    clear(): Recorder {
+        this._records = [];
+
+        return this;
+    }
+
+    /**
+     * stop recording, records are kept
+     *
+     * @method stop
+     */
+    stop(): void {
+        if (this._stop) {
+            this._stop();
+            this._stop = undefined;
+        }
+    }
+
+    /**
+     * return the records, so that `JSON.stringify(recorder)` exports them
+     *
+     * @method toJSON
+     * @return {Array}
+     */
+    toJSON(): Array<HistoryRecord> {
+        return this.query();
+    }
+
+    /**
+     * export records as a JSON array, or as NDJSON (one JSON record per line)
+     *
+     * @method export
+     * @param {String} [format] `json` (default) or `ndjson`
+     * @return {String}
+     * @throws TypeError if given `format` is unknown
+     */
+    export(format: string = 'json'): string {
+        if ('json' === format) {
+            return JSON.stringify(this._records);
+        }
+
+        if ('ndjson' === format) {
+            return this._records.map((record) => JSON.stringify(record) + '\n').join('');
+        }
+
+        throw new TypeError('format should be either `json` or `ndjson`');
+    }
+}
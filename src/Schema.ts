@@ -0,0 +1,209 @@
+/**
+ * A JSON-Schema-style description of a payload, see `Schema`.
+ */
+export interface SchemaDefinition {
+    /**
+     * one or several of `string`, `number`, `integer`, `boolean`, `object`, `array` and `null`
+     */
+    type?: string | Array<string>;
+
+    /**
+     * allowed values, compared by `===`
+     */
+    enum?: Array<any>;
+
+    /**
+     * properties of an object
+     */
+    properties?: { [x: string]: SchemaDefinition };
+
+    /**
+     * properties an object should have
+     */
+    required?: Array<string>;
+
+    /**
+     * `false` to forbid properties which are not in `properties`, or the schema of these properties
+     */
+    additionalProperties?: boolean | SchemaDefinition;
+
+    /**
+     * the schema of every item of an array
+     */
+    items?: SchemaDefinition;
+
+    minimum?: number;
+    maximum?: number;
+    minLength?: number;
+    maxLength?: number;
+    minItems?: number;
+    maxItems?: number;
+
+    /**
+     * a regular expression strings should match
+     */
+    pattern?: string;
+}
+
+/**
+ * return the JSON type of given `value`
+ *
+ * @private
+ * @method _typeOf
+ * @param {Object} value
+ * @return {String}
+ */
+function _typeOf(value: any): string {
+    if (null === value) {
+        return 'null';
+    }
+
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * check if given `value` is of given JSON `type`
+ *
+ * @private
+ * @method _isOfType
+ * @param {Object} value
+ * @param {String} type
+ * @return {Boolean}
+ */
+function _isOfType(value: any, type: string): boolean {
+    if ('integer' === type) {
+        return 'number' === typeof value && Math.floor(value) === value;
+    }
+
+    return type === _typeOf(value);
+}
+
+/**
+ * collect errors of given `value` against `definition` into `errors`
+ *
+ * @private
+ * @method _check
+ * @param {Object} definition
+ * @param {Object} value
+ * @param {String} path where `value` is in the payload, e.g. `data.user.name`
+ * @param {Array} errors
+ */
+function _check(definition: SchemaDefinition, value: any, path: string, errors: Array<string>): void {
+    const types = undefined === definition.type ? [] : [].concat(definition.type);
+    const type = _typeOf(value);
+
+    if (0 < types.length && !types.some((expected) => _isOfType(value, expected))) {
+        errors.push(path + ' should be ' + types.join(' or ') + ', not ' + type);
+
+        return;
+    }
+
+    if (definition.enum && -1 === definition.enum.indexOf(value)) {
+        errors.push(path + ' should be one of ' + JSON.stringify(definition.enum));
+    }
+
+    if ('number' === type) {
+        if (undefined !== definition.minimum && value < definition.minimum) {
+            errors.push(path + ' should be >= ' + definition.minimum);
+        }
+
+        if (undefined !== definition.maximum && value > definition.maximum) {
+            errors.push(path + ' should be <= ' + definition.maximum);
+        }
+    }
+
+    if ('string' === type) {
+        if (undefined !== definition.minLength && value.length < definition.minLength) {
+            errors.push(path + ' should have at least ' + definition.minLength + ' characters');
+        }
+
+        if (undefined !== definition.maxLength && value.length > definition.maxLength) {
+            errors.push(path + ' should have at most ' + definition.maxLength + ' characters');
+        }
+
+        if (undefined !== definition.pattern && !new RegExp(definition.pattern).test(value)) {
+            errors.push(path + ' should match ' + definition.pattern);
+        }
+    }
+
+    if ('array' === type) {
+        if (undefined !== definition.minItems && value.length < definition.minItems) {
+            errors.push(path + ' should have at least ' + definition.minItems + ' items');
+        }
+
+        if (undefined !== definition.maxItems && value.length > definition.maxItems) {
+            errors.push(path + ' should have at most ' + definition.maxItems + ' items');
+        }
+
+        if (definition.items) {
+            value.forEach((item: any, index: number) => _check(definition.items, item, path + '[' + index + ']', errors));
+        }
+    }
+
+    if ('object' === type) {
+        const properties = definition.properties || {};
+        const additional = definition.additionalProperties;
+
+        (definition.required || [])
+            .filter((key) => !value.hasOwnProperty(key))
+            .forEach((key) => errors.push(path + '.' + key + ' is required'));
+
+        Object.keys(value).forEach((key) => {
+            if (properties.hasOwnProperty(key)) {
+                _check(properties[key], value[key], path + '.' + key, errors);
+            } else if (false === additional) {
+                errors.push(path + '.' + key + ' is not allowed');
+            } else if (additional && 'object' === typeof additional) {
+                _check(<SchemaDefinition> additional, value[key], path + '.' + key, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validates payloads against a JSON-Schema-style definition: `type`, `enum`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * @class Schema
+ */
+export default class Schema {
+
+    /**
+     * @property definition
+     * @type {Object}
+     */
+    definition: SchemaDefinition;
+
+    /**
+     * @constructor
+     * @param {Object} definition
+     * @throws TypeError if given `definition` is not an object
+     */
+    constructor(definition: SchemaDefinition) {
+        if (null === definition || 'object' !== typeof definition || Array.isArray(definition)) {
+            throw new TypeError('definition should be an object');
+        }
+
+        this.definition = definition;
+    }
+
+    /**
+     * return errors of given `data`, none if it is valid
+     *
+     * @usage
+     *
+     * new Schema({ type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }).validate({ id: '42' });
+     * > ['data.id should be integer, not string']
+     *
+     * @method validate
+     * @param {Object} data
+     * @return {Array} error messages
+     */
+    validate(data: any): Array<string> {
+        const errors: Array<string> = [];
+
+        _check(this.definition, data, 'data', errors);
+
+        return errors;
+    }
+}
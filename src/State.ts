@@ -0,0 +1,133 @@
+import {Observable} from 'rxjs/Observable';
+
+/**
+ * A handle on the most recent value of an event, made by `state` and `derive` of `EventManager`.
+ * The value lives with the replayed values of the event: `fire` sets it too, `latest` replays it.
+ *
+ * @class State
+ */
+export default class State<T> {
+
+    /**
+     * the event name
+     *
+     * @property name
+     * @type {String}
+     */
+    name: string;
+
+    /**
+     * @private
+     * @property _read
+     * @type {Function}
+     */
+    private _read: () => T;
+
+    /**
+     * @private
+     * @property _write
+     * @type {Function}
+     */
+    private _write: (value: T) => void;
+
+    /**
+     * @private
+     * @property _observe
+     * @type {Function}
+     */
+    private _observe: () => Observable<T>;
+
+    /**
+     * @private
+     * @property _dispose
+     * @type {Function}
+     */
+    private _dispose: () => void;
+
+    /**
+     * @constructor
+     * @param {String} name the event name
+     * @param {Function} read returns the current value
+     * @param {Function} [write] sets the current value, omitted by read-only (derived) states
+     * @param {Function} observe returns an Observable of the value
+     * @param {Function} [dispose] stops deriving the value
+     */
+    constructor(
+        name: string,
+        read: () => T,
+        write: (value: T) => void,
+        observe: () => Observable<T>,
+        dispose?: () => void
+    ) {
+        this.name = name;
+        this._read = read;
+        this._write = write;
+        this._observe = observe;
+        this._dispose = dispose;
+    }
+
+    /**
+     * return the current value, `undefined` if there is none (e.g. it is outside of the replay window)
+     *
+     * @method get
+     * @return {Object}
+     */
+    get(): T {
+        return this._read();
+    }
+
+    /**
+     * set the current value, fired as the event of the state
+     *
+     * @method set
+     * @param {Object} value
+     * @throws TypeError if the state is read-only
+     * @chainable
+     */
+    set(value: T): State<T> {
+        if (!this._write) {
+            throw new TypeError('state ' + this.name + ' is read-only');
+        }
+
+        this._write(value);
+
+        return this;
+    }
+
+    /**
+     * set the current value to the result of `updater` called with the current value
+     *
+     * @method update
+     * @param {Function} updater
+     * @throws TypeError if given `updater` is not a function or the state is read-only
+     * @chainable
+     */
+    update(updater: (value: T) => T): State<T> {
+        if ('function' !== typeof updater) {
+            throw new TypeError('updater should be a function');
+        }
+
+        return this.set(updater(this.get()));
+    }
+
+    /**
+     * return an Observable of the value, which replays the current one like `latest`
+     *
+     * @method observe
+     * @return {Observable}
+     */
+    observe(): Observable<T> {
+        return this._observe();
+    }
+
+    /**
+     * stop deriving the value of a derived state, which keeps its current value
+     *
+     * @method dispose
+     */
+    dispose(): void {
+        if (this._dispose) {
+            this._dispose();
+        }
+    }
+}
@@ -0,0 +1,371 @@
+import {Observable} from 'rxjs/Observable';
+import {Subscription} from 'rxjs/Subscription';
+import {TestScheduler} from 'rxjs/testing/TestScheduler';
+import {TestMessage} from 'rxjs/testing/TestMessage';
+
+import EventManager, {EventNames, EventKey, EventMessage, RecordOptions, PlayOptions} from './EventManager';
+import Recorder, {HistoryRecord} from './Recorder';
+
+/**
+ * The number of fired events a test bus remembers for its expectations.
+ *
+ * @private
+ * @property HISTORY_LIMIT
+ * @type {Number}
+ */
+const HISTORY_LIMIT = 10000;
+
+/**
+ * A value received by a spy, or fired on a test bus, at a virtual time.
+ */
+export interface SpiedEvent<T> extends EventMessage<T> {
+    /**
+     * the virtual time of the scheduler, `0` outside of `flush`
+     */
+    frame: number;
+}
+
+/**
+ * throw an `AssertionError` with given `message`
+ *
+ * @private
+ * @method _fail
+ * @param {String} message
+ * @throws AssertionError
+ */
+function _fail(message: string): void {
+    const error = new Error(message);
+
+    error.name = 'AssertionError';
+
+    throw error;
+}
+
+/**
+ * render given fired events (or expected ones) for error messages
+ *
+ * @private
+ * @method _render
+ * @param {Array} events of `{ frame, data }`
+ * @return {String}
+ */
+function _render(events: Array<{ frame: number; data: any }>): string {
+    return '[' + events.map((e) => e.frame + ': ' + JSON.stringify(e.data)).join(', ') + ']';
+}
+
+/**
+ * Records values of an event received by listeners, see `TestBus.spy`.
+ *
+ * @class Spy
+ */
+export class Spy<T> {
+
+    /**
+     * received events, in order
+     *
+     * @property events
+     * @type {Array}
+     */
+    events: Array<SpiedEvent<T>> = [];
+
+    /**
+     * @private
+     * @property _subscription
+     * @type {Subscription}
+     */
+    private _subscription: Subscription<any>;
+
+    /**
+     * @constructor
+     * @param {Observable} observable of `{ event, data }`
+     * @param {Function} now returns the virtual time
+     */
+    constructor(observable: Observable<EventMessage<T>>, now: () => number) {
+        this._subscription = observable.subscribe((e: EventMessage<T>) => {
+            this.events.push({ event: e.event, data: e.data, frame: now() });
+        });
+    }
+
+    /**
+     * received values, in order
+     *
+     * @property values
+     * @type {Array}
+     */
+    get values(): Array<T> {
+        return this.events.map((e) => e.data);
+    }
+
+    /**
+     * the number of received values
+     *
+     * @property count
+     * @type {Number}
+     */
+    get count(): number {
+        return this.events.length;
+    }
+
+    /**
+     * the last received value, if any
+     *
+     * @property last
+     * @type {Object}
+     */
+    get last(): T {
+        return this.count ? this.events[this.count - 1].data : undefined;
+    }
+
+    /**
+     * forget received values
+     *
+     * @method clear
+     * @chainable
+     */
+    clear(): Spy<T> {
+        this.events = [];
+
+        return this;
+    }
+
+    /**
+     * stop spying
+     *
+     * @method dispose
+     */
+    dispose(): void {
+        this._subscription.unsubscribe();
+    }
+}
+
+/**
+ * An `EventManager` for tests, running on virtual time: its `scheduler` is the default one of time-based flow control,
+ * `record` and `play`, and can be given to `configure` to replay `latest` values deterministically.
+ * It remembers every fired event for expectations, which throw an `AssertionError` when they fail.
+ *
+ * @usage
+ *
+ * const {TestBus} = require('rx-event-manager/testing');
+ * const bus = new TestBus();
+ *
+ * const spy = bus.spy('search');
+ *
+ * bus.on('input', (text) => bus.fire('search', text), { debounceMs: 20 });
+ * bus.fireMarbles('input', 'ab-c----', { a: 'r', b: 'rx', c: 'rxjs' });
+ * bus.flush();
+ *
+ * bus.expectMarbles('search', '-----c', { c: 'rxjs' });
+ * spy.values;
+ * > ['rxjs']
+ *
+ * @class TestBus
+ */
+export class TestBus<T> extends EventManager<T> {
+
+    /**
+     * the virtual time scheduler of the bus
+     *
+     * @property scheduler
+     * @type {TestScheduler}
+     */
+    scheduler: TestScheduler;
+
+    /**
+     * every event fired on the bus, see `Recorder`
+     *
+     * @property history
+     * @type {Recorder}
+     */
+    history: Recorder;
+
+    /**
+     * @constructor
+     */
+    constructor() {
+        super();
+
+        this.scheduler = new TestScheduler((actual: any, expected: any) => {
+            if (!EventManager.deepEqual(actual, expected)) {
+                _fail('expected ' + JSON.stringify(actual) + ' to deep equal ' + JSON.stringify(expected));
+            }
+        });
+        this.history = this.record({ limit: HISTORY_LIMIT });
+
+        this.configure('**', { flowScheduler: this.scheduler });
+    }
+
+    /**
+     * same as `record` of `EventManager`, on the virtual time of the bus by default
+     *
+     * @method record
+     * @param {Object} [options]
+     * @return {Recorder}
+     */
+    record(options?: RecordOptions): Recorder {
+        return super.record({
+            events: options && options.events,
+            limit: options && options.limit,
+            scheduler: options && options.scheduler || this.scheduler
+        });
+    }
+
+    /**
+     * same as `play` of `EventManager`, on the virtual time of the bus by default: call `flush` to play the recording
+     *
+     * @method play
+     * @param {Recorder|Array} recording
+     * @param {Object} [options]
+     * @return {Promise}
+     */
+    play(recording: Recorder | Array<HistoryRecord>, options?: PlayOptions): Promise<void> {
+        return super.play(recording, {
+            timing: options && options.timing,
+            speed: options && options.speed,
+            scheduler: options && options.scheduler || this.scheduler
+        });
+    }
+
+    /**
+     * run everything scheduled on the virtual time of the bus, the virtual time restarts from `0` afterwards
+     *
+     * @method flush
+     * @chainable
+     */
+    flush(): TestBus<T> {
+        this.scheduler.flush();
+
+        return this;
+    }
+
+    /**
+     * spy on values of given `event` (name(s) or pattern(s)) received from now on
+     *
+     * @method spy
+     * @param {String|Array} event
+     * @return {Spy}
+     */
+    spy<P>(event: EventKey<P>): Spy<P>;
+    spy(event: EventNames): Spy<T>;
+    spy(event: EventNames | EventKey<any>): Spy<any> {
+        return new Spy<any>(this.observe(<EventNames> <any> event, { withEvent: true }), () => this.scheduler.now());
+    }
+
+    /**
+     * schedule firing `event` as described by given `marbles`: every character is a frame of 10 virtual milliseconds,
+     * `-` lets a frame pass, `(ab)` fires `a` and `b` within a frame, any other character fires its value in `values`,
+     * or itself without `values`. Events are fired once `flush` is called.
+     *
+     * @usage
+     *
+     * bus.fireMarbles('price', '-a--b', { a: 10, b: 12 });
+     * // fires `price` with 10 at frame 10, then with 12 at frame 40
+     *
+     * @method fireMarbles
+     * @param {String} event event name(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @chainable
+     */
+    fireMarbles(event: EventNames, marbles: string, values?: { [x: string]: any }): TestBus<T> {
+        TestScheduler.parseMarbles(marbles, values)
+            .filter((message: TestMessage) => 'N' === message.notification.kind)
+            .forEach((message: TestMessage) => {
+                this.scheduler.schedule(() => { this.fire(event, message.notification.value); }, message.frame);
+            });
+
+        return this;
+    }
+
+    /**
+     * return events fired on the bus matching given `event` (name(s) or pattern(s))
+     *
+     * @method fired
+     * @param {String|Array} event
+     * @return {Array}
+     */
+    fired(event: EventNames | EventKey<any>): Array<SpiedEvent<any>> {
+        return this.history.query({ events: <EventNames> <any> event })
+            .map((record) => ({ event: record.event, data: record.data, frame: record.timestamp }));
+    }
+
+    /**
+     * expect given `event` to have been fired, with a payload deep equal to `payload` if given
+     *
+     * @method expectFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {Object} [payload]
+     * @throws AssertionError if no such event was fired
+     * @chainable
+     */
+    expectFired(event: EventNames | EventKey<any>, payload?: any): TestBus<T> {
+        const fired = this.fired(event);
+        const withPayload = 1 < arguments.length;
+
+        if (!fired.some((e) => !withPayload || EventManager.deepEqual(e.data, payload))) {
+            _fail('expected ' + event + ' to be fired' + (withPayload ? ' with ' + JSON.stringify(payload) : '') +
+                ', fired ' + _render(fired));
+        }
+
+        return this;
+    }
+
+    /**
+     * expect given `event` not to have been fired
+     *
+     * @method expectNotFired
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @throws AssertionError if such an event was fired
+     * @chainable
+     */
+    expectNotFired(event: EventNames | EventKey<any>): TestBus<T> {
+        const fired = this.fired(event);
+
+        if (0 < fired.length) {
+            _fail('expected ' + event + ' not to be fired, fired ' + _render(fired));
+        }
+
+        return this;
+    }
+
+    /**
+     * expect the events fired matching given `event` to be described by `marbles`, see `fireMarbles`
+     *
+     * @usage
+     *
+     * bus.expectMarbles('search', '---a', { a: 'rxjs' });
+     *
+     * @method expectMarbles
+     * @param {String|Array} event event name(s) or pattern(s)
+     * @param {String} marbles
+     * @param {Object} [values]
+     * @throws AssertionError if fired events differ
+     * @chainable
+     */
+    expectMarbles(event: EventNames | EventKey<any>, marbles: string, values?: { [x: string]: any }): TestBus<T> {
+        const actual = this.fired(event).map((e) => ({ frame: e.frame, data: e.data }));
+        const expected = TestScheduler.parseMarbles(marbles, values)
+            .filter((message: TestMessage) => 'N' === message.notification.kind)
+            .map((message: TestMessage) => ({ frame: message.frame, data: message.notification.value }));
+
+        if (!EventManager.deepEqual(actual, expected)) {
+            _fail('expected ' + event + ' to be fired as ' + _render(expected) + ', fired ' + _render(actual));
+        }
+
+        return this;
+    }
+
+    /**
+     * off every listener, forget latest values and fired events, e.g. in `afterEach`
+     *
+     * @method reset
+     * @chainable
+     */
+    reset(): TestBus<T> {
+        this.off('**');
+        this.history.clear();
+
+        return this;
+    }
+}
+
+export default TestBus;
@@ -0,0 +1,102 @@
+// Node.js modules
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+
+var Bridge = require('../lib/Bridge').default;
+
+var ROUTE = { id: 'bus.0', origin: 'main', path: ['bus'] };
+
+describe('Bridge', function() {
+
+    it('should throw error if given channel has no postMessage', function () {
+        [undefined, null, {}, { postMessage: 42 }].forEach(function (invalidInput) {
+            assert.throws(function () { new Bridge(invalidInput); });
+        });
+    });
+
+    describe('post', function () {
+
+        it('should post tagged messages as they are by default', function () {
+            var posted = [];
+            var bridge = new Bridge({ postMessage: function (message) { posted.push(message); } });
+
+            bridge.post('hello', 42, ROUTE);
+
+            assert.deepEqual(posted, [{
+                type: 'rx-event-manager',
+                event: 'hello',
+                data: 42,
+                id: 'bus.0',
+                origin: 'main',
+                path: ['bus']
+            }]);
+        });
+
+        it('should post serialized messages', function () {
+            var posted = [];
+            var bridge = new Bridge({ postMessage: function (message) { posted.push(message); } }, Bridge.JSON);
+
+            bridge.post('hello', { answer: 42 }, ROUTE);
+
+            assert.strictEqual(typeof posted[0], 'string');
+            assert.deepEqual(JSON.parse(posted[0]).data, { answer: 42 });
+        });
+    });
+
+    describe('listen', function () {
+
+        it('should listen to channels with addEventListener', function () {
+            var listeners = [];
+            var started = false;
+            var messages = [];
+            var channel = {
+                postMessage: function () {},
+                addEventListener: function (type, listener) { listeners.push(listener); },
+                removeEventListener: function (type, listener) { listeners.splice(listeners.indexOf(listener), 1); },
+                start: function () { started = true; }
+            };
+            var stop = new Bridge(channel).listen(function (message) { messages.push(message.event); });
+
+            listeners[0]({ data: { type: 'rx-event-manager', event: 'hello' } });
+
+            assert.ok(started);
+            assert.deepEqual(messages, ['hello']);
+
+            stop();
+
+            assert.strictEqual(listeners.length, 0);
+        });
+
+        it('should listen to channels with on, such as worker_threads ports', function () {
+            var channel = new EventEmitter();
+            var messages = [];
+
+            channel.postMessage = function () {};
+
+            var stop = new Bridge(channel, Bridge.JSON).listen(function (message) { messages.push(message.data); });
+
+            channel.emit('message', JSON.stringify({ type: 'rx-event-manager', event: 'hello', data: 42 }));
+
+            stop();
+
+            channel.emit('message', JSON.stringify({ type: 'rx-event-manager', event: 'hello', data: 43 }));
+
+            assert.deepEqual(messages, [42]);
+        });
+
+        it('should ignore other messages of the channel', function () {
+            var channel = new EventEmitter();
+            var messages = [];
+
+            channel.postMessage = function () {};
+
+            new Bridge(channel, Bridge.JSON).listen(function (message) { messages.push(message); });
+
+            ['{"event":"hello"}', 'not json', 'null', '{"type":"other"}'].forEach(function (raw) {
+                channel.emit('message', raw);
+            });
+
+            assert.deepEqual(messages, []);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+// Node.js modules
+var assert = require('assert');
+
+var ConsoleReporter = require('../lib/ConsoleReporter').default;
+
+describe('ConsoleReporter', function() {
+
+    function entry(overrides) {
+        var e = {
+            event: 'hello',
+            data: { value: 42 },
+            timestamp: Date.UTC(2016, 1, 1, 10),
+            duration: 0.123,
+            listeners: 2,
+            propagationStopped: false,
+            defaultPrevented: false
+        };
+
+        Object.keys(overrides || {}).forEach(function (key) { e[key] = overrides[key]; });
+
+        return e;
+    }
+
+    it('should log one line per entry', function () {
+        var lines = [];
+        var reporter = new ConsoleReporter({ log: function () { lines.push([].slice.call(arguments)); } });
+
+        reporter.report(entry());
+        reporter.report(entry({ origin: 'worker', propagationStopped: true, defaultPrevented: true }));
+
+        assert.deepEqual(lines, [
+            ['[%s] %s%s -> %d listener(s) in %sms%s', '2016-02-01T10:00:00.000Z', 'hello', '', 2, '0.12', '', { value: 42 }],
+            ['[%s] %s%s -> %d listener(s) in %sms%s', '2016-02-01T10:00:00.000Z', 'hello', ' (from worker)', 2, '0.12', ' stopped prevented', { value: 42 }]
+        ]);
+    });
+
+    it('should log to the console by default', function () {
+        var log = console.log;
+        var count = 0;
+
+        console.log = function () { count++; };
+
+        try {
+            new ConsoleReporter().report(entry());
+        } finally {
+            console.log = log;
+        }
+
+        assert.strictEqual(count, 1);
+    });
+});
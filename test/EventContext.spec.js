@@ -0,0 +1,27 @@
+// Node.js modules
+var assert = require('assert');
+
+var EventContext = require('../lib/EventContext').default;
+
+describe('EventContext', function() {
+
+    it('should describe the event', function () {
+        var context = new EventContext('hello', 42, 'worker');
+
+        assert.strictEqual(context.event, 'hello');
+        assert.strictEqual(context.data, 42);
+        assert.strictEqual(context.origin, 'worker');
+        assert.ok(!context.defaultPrevented);
+        assert.ok(!context.propagationStopped);
+    });
+
+    it('should stop propagation and prevent default', function () {
+        var context = new EventContext('hello', 42);
+
+        context.stopPropagation();
+        context.preventDefault();
+
+        assert.ok(context.propagationStopped);
+        assert.ok(context.defaultPrevented);
+    });
+});
@@ -10,6 +10,70 @@ var WORLD = 'event.world';
 
 describe('EventManager', function() {
 
+    describe('instance', function () {
+
+        it('should not share listeners between instances', function () {
+            var other = new EventManager(),
+                count = 0;
+
+            other.on(HELLO, function (value) { count += value; });
+
+            eventManager.fire(HELLO, 1);
+            other.fire(HELLO, 2);
+
+            assert.strictEqual(count, 2);
+        });
+
+        it('should not off listeners of other instances', function () {
+            var other = new EventManager(),
+                count = 0;
+
+            other.on(HELLO, function (value) { count += value; });
+
+            eventManager.offAll();
+
+            other.fire(HELLO, 1);
+
+            assert.strictEqual(count, 1);
+
+            other.offAll();
+        });
+
+        it('should not share latest data between instances', function (done) {
+            var other = new EventManager();
+
+            eventManager.fire(HELLO, 'whatever');
+
+            other.latest(HELLO, function (value) {
+                assert.strictEqual(value, 42);
+                done();
+            });
+
+            other.fire(HELLO, 42);
+        });
+
+        it('should return the same shared instance', function () {
+            assert.ok(EventManager.shared() instanceof EventManager);
+            assert.strictEqual(EventManager.shared(), EventManager.shared());
+            assert.notStrictEqual(EventManager.shared(), eventManager);
+        });
+
+        it('should forward events of child to parent', function () {
+            var child = eventManager.child(),
+                parentCount = 0,
+                childCount = 0;
+
+            eventManager.on(HELLO, function (value) { parentCount += value; });
+            child.on(HELLO, function (value) { childCount += value; });
+
+            child.fire(HELLO, 1);
+            eventManager.fire(HELLO, 2);
+
+            assert.strictEqual(parentCount, 3, 'parent should receive events of child');
+            assert.strictEqual(childCount, 1, 'child should not receive events of parent');
+        });
+    });
+
     describe('observe', function() {
 
         it('should throw error if given event is not a valid string', function() {
@@ -53,6 +117,24 @@ describe('EventManager', function() {
             });
         });
 
+        it('should throw error if given event contains a pattern', function() {
+            var values = [];
+
+            eventManager.on('a.*', function (value) { values.push(value); });
+
+            ['a.*', 'a.**', 'a.b a.*'].forEach(function (pattern) {
+                assert.throws(function () { eventManager.fire(pattern, 1); }, /patterns can not be fired/);
+                assert.throws(function () { eventManager.trigger(pattern, 1); }, /patterns can not be fired/);
+                assert.throws(function () { eventManager.dispatch(pattern, 1); }, /patterns can not be fired/);
+                assert.throws(function () { eventManager.fireAsync(pattern, 1); }, /patterns can not be fired/);
+            });
+
+            eventManager.latest('a.*', function (value) { values.push(value); });
+
+            assert.deepEqual(values, []);
+            eventManager.off('a.*');
+        });
+
         it('should be chainable', function() {
             assert.strictEqual(eventManager.fire(HELLO).fire(WORLD), eventManager, 'fire should be chainable');
         });
@@ -181,6 +263,175 @@ describe('EventManager', function() {
 
             eventManager.fire(HELLO, expect);
         });
+
+        it('should deliver values fired during the replay after it', function () {
+            var values = [];
+            var bus = new EventManager();
+
+            bus.configure(HELLO, { replay: 2 });
+            bus.fire(HELLO, 1).fire(HELLO, 2);
+
+            bus.latest(HELLO, function (value) {
+                values.push(value);
+
+                if (1 === value) { bus.fire(HELLO, 99); }
+            });
+
+            assert.deepEqual(values, [1, 2, 99]);
+            bus.offAll();
+        });
+    });
+
+    describe('configure', function () {
+
+        var asap = require('rxjs/scheduler/asap').asap;
+
+        function createClock() {
+            return {
+                time: 0,
+                now: function () { return this.time; },
+                schedule: function (work) {
+                    work();
+
+                    return new Rx.Subscription();
+                }
+            };
+        }
+
+        beforeEach(function () {
+            eventManager.off([HELLO, WORLD]);
+        });
+
+        afterEach(function () {
+            eventManager.configure([HELLO, WORLD], {});
+        });
+
+        it('should throw error if given policy is invalid', function () {
+            [-1, 1.5, '1'].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.configure(HELLO, { replay: invalidInput }); });
+            });
+
+            [0, -1, '1'].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.configure(HELLO, { windowMs: invalidInput }); });
+            });
+        });
+
+        it('should be chainable', function () {
+            assert.strictEqual(eventManager.configure(HELLO, { replay: 2 }), eventManager);
+        });
+
+        it('should replay synchronously before live values', function () {
+            var values = [];
+
+            eventManager.fire(HELLO, 1);
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [1]);
+
+            eventManager.fire(HELLO, 2);
+
+            assert.deepEqual(values, [1, 2]);
+        });
+
+        it('should replay via the returned Observable', function () {
+            var values = [];
+
+            eventManager.fire(HELLO, 1);
+
+            eventManager.latest(HELLO).subscribe(function (value) { values.push(value); });
+
+            assert.deepEqual(values, [1]);
+        });
+
+        it('should replay last N values', function () {
+            var values = [];
+
+            eventManager.configure(HELLO, { replay: 3 });
+
+            [1, 2, 3, 4, 5].forEach(function (value) { eventManager.fire(HELLO, value); });
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [3, 4, 5]);
+        });
+
+        it('should trim memorized values once reconfigured', function () {
+            var values = [];
+
+            eventManager.configure(HELLO, { replay: 3 });
+
+            [1, 2, 3].forEach(function (value) { eventManager.fire(HELLO, value); });
+
+            eventManager.configure(HELLO, { replay: 2 });
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [2, 3]);
+        });
+
+        it('should not replay if replay is 0', function () {
+            var values = [];
+
+            eventManager.configure(HELLO, { replay: 0 });
+
+            eventManager.fire(HELLO, 1);
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, []);
+        });
+
+        it('should replay only values within the time window', function () {
+            var clock = createClock(),
+                values = [];
+
+            eventManager.configure(HELLO, { replay: 5, windowMs: 1000, scheduler: clock });
+
+            eventManager.fire(HELLO, 1);
+            clock.time = 500;
+            eventManager.fire(HELLO, 2);
+            clock.time = 1200;
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [2]);
+        });
+
+        it('should replay several events in the order they were fired', function () {
+            var values = [];
+
+            eventManager.configure([HELLO, WORLD], { replay: 2 });
+
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
+            eventManager.fire(HELLO, 3);
+
+            eventManager.latest([WORLD, HELLO], function (value) { values.push(value); });
+
+            assert.deepEqual(values, [1, 2, 3]);
+        });
+
+        it('should replay through given scheduler and deliver values fired meanwhile afterwards', function (done) {
+            var values = [];
+
+            eventManager.configure(HELLO, { scheduler: asap });
+
+            eventManager.fire(HELLO, 1);
+
+            eventManager.latest(HELLO, function (value) {
+                values.push(value);
+
+                if (2 === values.length) {
+                    assert.deepEqual(values, [1, 2]);
+                    done();
+                }
+            });
+
+            assert.deepEqual(values, []);
+
+            eventManager.fire(HELLO, 2);
+        });
     });
 
     describe('change', function () {
@@ -215,9 +466,10 @@ describe('EventManager', function() {
 
         it('should fire event only if data is changed', function () {
             var expect = 42,
-                count = 0;
+                count = 0,
+                subscription;
 
-            eventManager.change(HELLO).
+            subscription = eventManager.change(HELLO).
                 subscribe(function (value) {
                     assert.strictEqual(value, expect);
                     assert.strictEqual(0, count);
@@ -229,15 +481,18 @@ describe('EventManager', function() {
 
             // should not trigger subscribe
             eventManager.fire(HELLO, expect);
+
+            subscription.unsubscribe();
         });
 
         it('should be capable of customizing comparer', function () {
             var expect = 42,
-                count = 0;
+                count = 0,
+                subscription;
 
             function comparer(x, y) { return x.value === y.value; }
 
-            eventManager.change(HELLO, comparer).
+            subscription = eventManager.change(HELLO, comparer).
                 subscribe(function (data) {
                     assert.strictEqual(data.value, expect);
                     assert.strictEqual(0, count);
@@ -249,214 +504,2758 @@ describe('EventManager', function() {
 
             // should not trigger subscribe
             eventManager.fire(HELLO, { value: expect });
+
+            subscription.unsubscribe();
         });
-    });
 
-    describe('use-case', function () {
+        it('should emit with customizing comparer once it is changed', function () {
+            var values = [];
 
-        it('should emit sequences only for latest subscriptions while using observe/on and latest', function (done) {
-            var expect = 42;
+            function comparer(x, y) { return x.value === y.value; }
 
-            eventManager.fire(HELLO, expect);
+            eventManager.change(HELLO, comparer, function (data) {
+                values.push(data.value);
+            });
 
-            eventManager.observe(HELLO).
-                subscribe(function () {
-                    assert.fail('observe should be never invoked');
-                });
+            [1, 1, 2, 2, 1].forEach(function (value) {
+                eventManager.fire(HELLO, { value: value, other: Math.random() });
+            });
 
-            eventManager.on(HELLO, function () {
-                assert.fail('on should be never invoked');
+            assert.deepEqual(values, [1, 2, 1]);
+        });
+
+        it('should be capable of comparing by key', function () {
+            var values = [];
+
+            eventManager.change(HELLO, 'id', function (data) {
+                values.push(data.name);
             });
 
-            eventManager.latest(HELLO, function (value) {
-                assert.strictEqual(value, expect);
-                done();
+            eventManager.fire(HELLO, { id: 1, name: 'a' });
+            eventManager.fire(HELLO, { id: 1, name: 'b' });
+            eventManager.fire(HELLO, { id: 2, name: 'c' });
+
+            assert.deepEqual(values, ['a', 'c']);
+        });
+
+        it('should be capable of comparing by property path', function () {
+            var values = [];
+
+            eventManager.change(HELLO, 'user.profile.id', function (data) {
+                values.push(data.name);
             });
+
+            eventManager.fire(HELLO, { user: { profile: { id: 1 } }, name: 'a' });
+            eventManager.fire(HELLO, { user: { profile: { id: 1 } }, name: 'b' });
+            eventManager.fire(HELLO, { user: null, name: 'c' });
+            eventManager.fire(HELLO, { name: 'd' });
+            eventManager.fire(HELLO, { user: { profile: { id: 2 } }, name: 'e' });
+
+            assert.deepEqual(values, ['a', 'c', 'e']);
         });
-    });
 
-    describe('off', function () {
+        it('should be capable of comparing plain objects by value', function () {
+            var values = [];
 
-        it('should off with given event via `on`', function () {
-            var count = 0;
+            eventManager.change(HELLO, EventManager.deepEqual, function (data) {
+                values.push(data);
+            });
 
-            eventManager.on(HELLO, function (value) {
-                count += value;
+            eventManager.fire(HELLO, { a: [1, { b: 2 }] });
+            eventManager.fire(HELLO, { a: [1, { b: 2 }] });
+            eventManager.fire(HELLO, { a: [1, { b: 3 }] });
+
+            assert.deepEqual(values, [{ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] }]);
+        });
+    });
+
+    describe('event', function () {
+
+        it('should throw error if given name is not a valid string', function () {
+            ['', 0, undefined, null, false, {}, []].forEach(function (invalidInput) {
+                assert.throws(function () { EventManager.event(invalidInput); });
             });
+        });
 
-            eventManager.fire(HELLO, 1);
+        it('should be the bare event name at runtime', function () {
+            var LOGIN = EventManager.event('user.login');
+            var values = [];
 
-            eventManager.off(HELLO);
+            assert.strictEqual(LOGIN, 'user.login');
 
-            eventManager.fire(HELLO, 1);
+            eventManager.on(LOGIN, function (value) { values.push(value); });
+            eventManager.fire(LOGIN, { name: 'john' });
 
-            assert.strictEqual(count, 1);
+            assert.deepEqual(values, [{ name: 'john' }]);
+            assert.strictEqual(eventManager.listenerCount(LOGIN), 1);
+
+            eventManager.off(LOGIN);
         });
+    });
 
-        it('should off with given event via `once`', function () {
-            var count = 0;
+    describe('deepEqual', function () {
 
-            eventManager.once(HELLO, function (data) {
-                count += value;
+        it('should compare primitives', function () {
+            assert.ok(EventManager.deepEqual(1, 1));
+            assert.ok(EventManager.deepEqual(NaN, NaN));
+            assert.ok(!EventManager.deepEqual(1, '1'));
+            assert.ok(!EventManager.deepEqual(null, undefined));
+        });
+
+        it('should compare plain objects, arrays and dates by value', function () {
+            assert.ok(EventManager.deepEqual({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }));
+            assert.ok(EventManager.deepEqual(new Date(0), new Date(0)));
+            assert.ok(!EventManager.deepEqual(new Date(0), new Date(1)));
+            assert.ok(!EventManager.deepEqual({ a: 1 }, { a: 1, b: undefined }));
+            assert.ok(!EventManager.deepEqual({ 0: 1 }, [1]));
+            assert.ok(!EventManager.deepEqual({ a: null }, { a: {} }));
+        });
+    });
+
+    describe('multiple events', function () {
+
+        it('should throw error if given events contain no valid event name', function() {
+            ['  ', [], [''], [HELLO, 0]].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.observe(invalidInput); });
             });
+        });
 
-            eventManager.off(HELLO);
+        it('should observe space separated events', function () {
+            var values = [];
+
+            eventManager.observe(HELLO + ' ' + WORLD).subscribe(function (value) {
+                values.push(value);
+            });
 
             eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
+            eventManager.fire('event.other', 3);
 
-            assert.strictEqual(count, 0);
+            assert.deepEqual(values, [1, 2]);
         });
 
-        it('should off with given event via `observe`', function () {
-            var count = 0;
+        it('should observe an array of events tagged with event name', function () {
+            var values = [];
 
-            eventManager.observe(HELLO).subscribe(function (value) {
-                count += value;
+            eventManager.observe([HELLO, WORLD], { withEvent: true }).subscribe(function (e) {
+                values.push(e);
             });
 
             eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
 
-            eventManager.off(HELLO);
+            assert.deepEqual(values, [{ event: HELLO, data: 1 }, { event: WORLD, data: 2 }]);
+        });
+
+        it('should listen to space separated events via `on`', function () {
+            var count = 0;
+
+            eventManager.on(HELLO + ' ' + WORLD, function (value) { count += value; });
 
             eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
+
+            assert.strictEqual(count, 3);
+        });
+
+        it('should execute callback only once for any of given events via `once`', function () {
+            var count = 0;
+
+            eventManager.once([HELLO, WORLD], function (value) { count += value; });
+
+            eventManager.fire(WORLD, 1);
+            eventManager.fire(HELLO, 2);
 
             assert.strictEqual(count, 1);
         });
 
-        it('should off with given event via `observe` which has extra operators', function () {
-            var count = 0,
-                i;
+        it('should replay latest value of each given event via `latest`', function (done) {
+            var values = [];
 
-            eventManager.observe(HELLO).
-                // @FIXME oparators crete new instance of Subject which subscribe is no overwrite
-                // filter(function (value) {
-                //     return value > 5;
-                // }).
-                subscribe(function (value) {
-                    count += value;
-                });
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
 
-            for (i = 0; i < 5; i++) {
-                eventManager.fire(HELLO, Math.pow(2, i));
-            }
+            eventManager.latest(HELLO + ' ' + WORLD, function (value) {
+                values.push(value);
 
-            eventManager.off(HELLO);
+                if (2 === values.length) {
+                    assert.deepEqual(values, [1, 2]);
+                    done();
+                }
+            });
+        });
+
+        it('should fire all space separated events', function () {
+            var values = [];
 
-            // for (i = 0; i < 5; i++) {
-            //     eventManager.fire(HELLO, Math.pow(2, i));
-            // }
+            eventManager.on(HELLO, function (value) { values.push('hello ' + value); });
+            eventManager.on(WORLD, function (value) { values.push('world ' + value); });
 
-            assert.strictEqual(count, 31, 'should be sum of 8 + 16');
+            eventManager.fire(HELLO + ' ' + WORLD, 42);
+
+            assert.deepEqual(values, ['hello 42', 'world 42']);
         });
 
-        it('should not off further subscriptions', function () {
+        it('should off all space separated events', function () {
             var count = 0;
 
-            eventManager.on(HELLO, function (value) {
-                count += value;
-            });
+            eventManager.on(HELLO, function (value) { count += value; });
+            eventManager.on(WORLD, function (value) { count += value; });
+            eventManager.on(HELLO + ' ' + WORLD, function (value) { count += value; });
+
+            eventManager.off(HELLO + ' ' + WORLD);
 
             eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 1);
 
-            eventManager.off(HELLO);
+            assert.strictEqual(count, 0);
+        });
+    });
 
-            eventManager.fire(HELLO, 2);
+    describe('patterns', function () {
 
-            eventManager.on(HELLO, function (value) {
-                count += value;
+        it('should observe events matching `*` with concrete event name', function () {
+            var values = [];
+
+            eventManager.observe('event.*').subscribe(function (e) {
+                values.push(e);
             });
 
-            eventManager.fire(HELLO, 4);
+            eventManager.fire(HELLO, 1);
+            eventManager.fire('event.hello.again', 2);
+            eventManager.fire(WORLD, 3);
 
-            assert.strictEqual(count, 5, 'should be sum of 1 + 4');
+            assert.deepEqual(values, [{ event: HELLO, data: 1 }, { event: WORLD, data: 3 }]);
         });
 
-        it('should off with given event - crazy example', function () {
-            var events = 'abcdefghijklmnopqrstuvwxyz'.split(''),
-                count = 0;
+        it('should listen to events matching `**` via `on`', function () {
+            var events = [];
 
-            events.
-                forEach(function (event, index) {
-                    // subscribe `event`
-                    eventManager.on(event, function (value) { count += value; });
+            eventManager.on('cart.**', function (e) { events.push(e.event); });
 
-                    // fire `event`
-                    eventManager.fire(event, Math.pow(2, index));
+            eventManager.fire('cart', 1);
+            eventManager.fire('cart.item', 2);
+            eventManager.fire('cart.item.added', 3);
+            eventManager.fire('user.login', 4);
 
-                    // off `event`
-                    eventManager.off(event);
+            assert.deepEqual(events, ['cart', 'cart.item', 'cart.item.added']);
+        });
 
-                    // fire `event` again, if it's taking effect
-                    // count won't be a number anymore
-                    eventManager.fire(event, undefined);
+        it('should listen to events matching a leading `*` only once via `once`', function () {
+            var events = [];
+
+            eventManager.once('*.error', function (e) { events.push(e.event); });
+
+            eventManager.fire('network.error', 1);
+            eventManager.fire('storage.error', 2);
+
+            assert.deepEqual(events, ['network.error']);
+        });
+
+        it('should replay latest value of each matching event via `latest`', function (done) {
+            var values = [];
+
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 2);
+            eventManager.fire('other.hello', 3);
+
+            eventManager.latest('event.*', function (e) {
+                values.push(e);
+
+                if (2 === values.length) {
+                    assert.deepEqual(values, [{ event: HELLO, data: 1 }, { event: WORLD, data: 2 }]);
+                    done();
+                }
+            });
+        });
+
+        it('should off every registration matching given pattern', function () {
+            var count = 0;
+
+            eventManager.on(HELLO, function (value) { count += value; });
+            eventManager.on(WORLD, function (value) { count += value; });
+            eventManager.on('event.*', function (e) { count += e.data; });
+            eventManager.on('other.hello', function (value) { count += value; });
+
+            eventManager.off('event.*');
+
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 1);
+            eventManager.fire('other.hello', 10);
+
+            assert.strictEqual(count, 10);
+        });
+    });
+
+    describe('use-case', function () {
+
+        it('should emit sequences only for latest subscriptions while using observe/on and latest', function (done) {
+            var expect = 42;
+
+            eventManager.fire(HELLO, expect);
+
+            eventManager.observe(HELLO).
+                subscribe(function () {
+                    assert.fail('observe should be never invoked');
                 });
 
-            // 2^0 + 2^1 + ... + 2^25
-            assert.strictEqual(count, Math.pow(2, 26) - 1, 'event should be only invoked before disposing');
+            eventManager.on(HELLO, function () {
+                assert.fail('on should be never invoked');
+            });
+
+            eventManager.latest(HELLO, function (value) {
+                assert.strictEqual(value, expect);
+                done();
+            });
         });
     });
 
-    describe('offAll', function () {
+    describe('off', function () {
 
-        it('should off all subscriptions', function () {
+        it('should off with given event via `on`', function () {
             var count = 0;
 
             eventManager.on(HELLO, function (value) {
-                assert.strictEqual(value, 3);
+                count += value;
+            });
+
+            eventManager.fire(HELLO, 1);
+
+            eventManager.off(HELLO);
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 1);
+        });
+
+        it('should off with given event via `once`', function () {
+            var count = 0;
+
+            eventManager.once(HELLO, function (data) {
+                count += value;
+            });
+
+            eventManager.off(HELLO);
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('should off with given event via `observe`', function () {
+            var count = 0;
+
+            eventManager.observe(HELLO).subscribe(function (value) {
+                count += value;
             });
 
+            eventManager.fire(HELLO, 1);
+
+            eventManager.off(HELLO);
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 1);
+        });
+
+        it('should off with given event via `observe` which has extra operators', function () {
+            var count = 0,
+                i;
+
             eventManager.observe(HELLO).
+                filter(function (value) {
+                    return value > 5;
+                }).
                 subscribe(function (value) {
-                    assert.strictEqual(value, 3);
+                    count += value;
                 });
 
+            for (i = 0; i < 5; i++) {
+                eventManager.fire(HELLO, Math.pow(2, i));
+            }
+
+            eventManager.off(HELLO);
+
+            for (i = 0; i < 5; i++) {
+                eventManager.fire(HELLO, Math.pow(2, i));
+            }
+
+            assert.strictEqual(count, 24, 'should be sum of 8 + 16');
+        });
+
+        it('should off with given event via `observe` which has chained operators', function () {
+            var values = [];
+
+            eventManager.observe(HELLO).
+                filter(function (value) { return value % 2; }).
+                map(function (value) { return value * 10; }).
+                take(10).
+                subscribe(function (value) { values.push(value); });
+
+            eventManager.change(HELLO).
+                map(function (value) { return -value; }).
+                subscribe(function (value) { values.push(value); });
+
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(HELLO, 2);
+
+            eventManager.off(HELLO);
+
             eventManager.fire(HELLO, 3);
 
-            eventManager.on(WORLD, function (value) {
-                assert.strictEqual(value, 4);
-            });
+            assert.deepEqual(values, [10, -1, -2]);
+        });
 
-            eventManager.observe(WORLD).
-                subscribe(function (value) {
-                    assert.strictEqual(value, 4);
-                });
+        it('should off with given event via `observe` which is merged with other Observables', function () {
+            var count = 0;
 
-            eventManager.fire(WORLD, 4);
+            eventManager.observe(HELLO).
+                merge(eventManager.observe(WORLD)).
+                subscribe(function (value) { count += value; });
 
-            eventManager.offAll();
+            eventManager.off(HELLO);
 
-            // all subscriptions should be off-ed
-            eventManager.fire(HELLO, undefined);
-            eventManager.fire(WORLD, undefined);
+            eventManager.fire(HELLO, 1);
+            eventManager.fire(WORLD, 10);
+
+            assert.strictEqual(count, 10);
         });
 
-        it('should off all subscriptions', function () {
+        it('should not stack subscriptions of repeated `observe` calls', function () {
+            var count = 0;
 
-            var events = 'abcdefghijklmnopqrstuvwxyz'.split('');
+            eventManager.observe(HELLO);
+            eventManager.observe(HELLO);
 
-            events.forEach(function (event) {
+            eventManager.observe(HELLO).subscribe(function (value) { count += value; });
 
-                eventManager.on(event, function (value) {
-                    assert.strictEqual(value, 0);
-                });
+            eventManager.fire(HELLO, 1);
 
-                eventManager.observe(event, function (value) {
-                    assert.strictEqual(value, 0);
-                });
+            assert.strictEqual(count, 1);
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+        });
+
+        it('should not off further subscriptions', function () {
+            var count = 0;
+
+            eventManager.on(HELLO, function (value) {
+                count += value;
             });
 
-            events.forEach(function (event) {
-                eventManager.fire(event, 0);
+            eventManager.fire(HELLO, 1);
+
+            eventManager.off(HELLO);
+
+            eventManager.fire(HELLO, 2);
+
+            eventManager.on(HELLO, function (value) {
+                count += value;
             });
 
-            eventManager.offAll();
+            eventManager.fire(HELLO, 4);
 
-            events.forEach(function (event) {
-                eventManager.fire(event, undefined);
+            assert.strictEqual(count, 5, 'should be sum of 1 + 4');
+        });
+
+        it('should off with given event - crazy example', function () {
+            var events = 'abcdefghijklmnopqrstuvwxyz'.split(''),
+                count = 0;
+
+            events.
+                forEach(function (event, index) {
+                    // subscribe `event`
+                    eventManager.on(event, function (value) { count += value; });
+
+                    // fire `event`
+                    eventManager.fire(event, Math.pow(2, index));
+
+                    // off `event`
+                    eventManager.off(event);
+
+                    // fire `event` again, if it's taking effect
+                    // count won't be a number anymore
+                    eventManager.fire(event, undefined);
+                });
+
+            // 2^0 + 2^1 + ... + 2^25
+            assert.strictEqual(count, Math.pow(2, 26) - 1, 'event should be only invoked before disposing');
+        });
+    });
+
+    describe('off listener', function () {
+
+        it('should off only given handler', function () {
+            var values = [];
+
+            function a(value) { values.push('a' + value); }
+            function b(value) { values.push('b' + value); }
+
+            eventManager.on(HELLO, a);
+            eventManager.on(HELLO, b);
+
+            eventManager.off(HELLO, a);
+
+            eventManager.fire(HELLO, 1);
+
+            assert.deepEqual(values, ['b1']);
+        });
+
+        it('should off only given observer', function () {
+            var count = 0,
+                observer = { next: function (value) { count += value; } };
+
+            eventManager.observe(HELLO).subscribe(observer);
+            eventManager.on(HELLO, function (value) { count += value * 10; });
+
+            eventManager.off(HELLO, observer);
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 10);
+        });
+
+        it('should off only listeners of given owner', function () {
+            var values = [],
+                owner = {},
+                other = {};
+
+            eventManager.on(HELLO, function (value) { values.push('on' + value); }, { owner: owner });
+            eventManager.once(HELLO, function (value) { values.push('once' + value); }, { owner: owner });
+            eventManager.change(HELLO, null, function (value) { values.push('change' + value); }, { owner: owner });
+            eventManager.latest(HELLO, function (value) { values.push('latest' + value); }, { owner: owner });
+            eventManager.on(HELLO, function (value) { values.push('other' + value); }, { owner: other });
+
+            eventManager.off(HELLO, { owner: owner });
+
+            eventManager.fire(HELLO, 1);
+
+            assert.deepEqual(values, ['other1']);
+        });
+
+        it('should keep latest data if only given listener is off-ed', function (done) {
+            function handler() {}
+
+            eventManager.on(HELLO, handler);
+            eventManager.fire(HELLO, 42);
+
+            eventManager.off(HELLO, handler);
+
+            eventManager.latest(HELLO, function (value) {
+                assert.strictEqual(value, 42);
+                done();
             });
         });
     });
 
+    describe('listeners', function () {
+
+        it('should return handlers of given event', function () {
+            function a() {}
+            function b() {}
+
+            eventManager.on(HELLO, a);
+            eventManager.once(HELLO, b);
+            eventManager.on(WORLD, b);
+            eventManager.on(HELLO);
+
+            assert.deepEqual(eventManager.listeners(HELLO), [a, b]);
+            assert.deepEqual(eventManager.listeners('event.*'), [a, b, b]);
+            assert.deepEqual(eventManager.listeners('unknown'), []);
+        });
+
+        it('should count subscriptions of given event', function () {
+            eventManager.on(HELLO, function () {});
+            eventManager.on(HELLO);
+            eventManager.observe(HELLO).subscribe(function () {});
+            eventManager.on(HELLO + ' ' + WORLD, function () {});
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 4);
+            assert.strictEqual(eventManager.listenerCount(WORLD), 1);
+            assert.strictEqual(eventManager.listenerCount(HELLO + ' ' + WORLD), 4);
+            assert.strictEqual(eventManager.listenerCount('event.**'), 4);
+        });
+
+        it('should prune unsubscribed and completed subscriptions', function () {
+            var subscription = eventManager.on(HELLO, function () {});
+
+            eventManager.once(HELLO, function () {});
+            eventManager.once(WORLD, function () {});
+
+            assert.strictEqual(eventManager.listenerCount(HELLO + ' ' + WORLD), 3);
+
+            subscription.unsubscribe();
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 0);
+            assert.strictEqual(eventManager.listenerCount(WORLD), 1);
+        });
+    });
+
+    describe('scope', function () {
+
+        it('should share the bus with its instance', function () {
+            var scope = eventManager.scope(),
+                values = [];
+
+            scope.on(HELLO, function (value) { values.push('scope' + value); });
+            eventManager.on(HELLO, function (value) { values.push('instance' + value); });
+
+            scope.fire(HELLO, 1);
+            eventManager.fire(HELLO, 2);
+
+            assert.deepEqual(values, ['scope1', 'instance1', 'scope2', 'instance2']);
+        });
+
+        it('should dispose all subscriptions made through it', function () {
+            var scope = eventManager.scope(),
+                other = eventManager.scope(),
+                count = 0;
+
+            function add(value) { count += value; }
+
+            scope.on(HELLO, add);
+            scope.once(HELLO, add);
+            scope.latest(HELLO, add);
+            scope.change(HELLO, null, add);
+            scope.observe(HELLO).subscribe(add);
+            other.on(HELLO, function (value) { count += value * 10; });
+
+            scope.dispose();
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 10);
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+        });
+
+        it('should off only its own listeners and keep latest data', function (done) {
+            var scope = eventManager.scope(),
+                count = 0;
+
+            scope.on(HELLO, function (value) { count += value; });
+            eventManager.on(HELLO, function (value) { count += value * 10; });
+
+            eventManager.fire(HELLO, 1);
+
+            scope.off(HELLO);
+
+            eventManager.fire(HELLO, 2);
+
+            assert.strictEqual(count, 31);
+            assert.strictEqual(scope.listenerCount(HELLO), 0);
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+
+            scope.latest(HELLO, function (value) {
+                assert.strictEqual(value, 2);
+                done();
+            });
+        });
+
+        it('should register its listeners with its instance owned by the scope', function () {
+            var scope = eventManager.scope(),
+                count = 0;
+
+            scope.on(HELLO, function (value) { count += value; });
+
+            eventManager.off(HELLO, { owner: scope });
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('should be off-ed by offAll of its instance', function () {
+            var scope = eventManager.scope(),
+                count = 0;
+
+            scope.on(HELLO, function (value) { count += value; });
+
+            eventManager.offAll();
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('should dispose nested scopes', function () {
+            var scope = eventManager.scope(),
+                nested = scope.scope(),
+                sibling = eventManager.scope(),
+                count = 0;
+
+            nested.on(HELLO, function (value) { count += value; });
+            sibling.on(HELLO, function (value) { count += value * 10; });
+
+            assert.strictEqual(scope.listenerCount(HELLO), 1);
+
+            scope.dispose();
+
+            eventManager.fire(HELLO, 1);
+
+            assert.strictEqual(count, 10);
+        });
+
+        it('should unsubscribe subscriptions made through a disposed scope immediately', function () {
+            var scope = eventManager.scope(),
+                count = 0,
+                subscription;
+
+            scope.dispose();
+
+            subscription = scope.on(HELLO, function (value) { count += value; });
+
+            eventManager.fire(HELLO, 1);
+
+            assert.ok(subscription.isUnsubscribed);
+            assert.ok(scope.scope().on(HELLO).isUnsubscribed);
+            assert.strictEqual(count, 0);
+        });
+    });
+
+    describe('offAll', function () {
+
+        it('should off all subscriptions', function () {
+            var count = 0;
+
+            eventManager.on(HELLO, function (value) {
+                assert.strictEqual(value, 3);
+            });
+
+            eventManager.observe(HELLO).
+                subscribe(function (value) {
+                    assert.strictEqual(value, 3);
+                });
+
+            eventManager.fire(HELLO, 3);
+
+            eventManager.on(WORLD, function (value) {
+                assert.strictEqual(value, 4);
+            });
+
+            eventManager.observe(WORLD).
+                subscribe(function (value) {
+                    assert.strictEqual(value, 4);
+                });
+
+            eventManager.fire(WORLD, 4);
+
+            eventManager.offAll();
+
+            // all subscriptions should be off-ed
+            eventManager.fire(HELLO, undefined);
+            eventManager.fire(WORLD, undefined);
+        });
+
+        it('should off all subscriptions', function () {
+
+            var events = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+            events.forEach(function (event) {
+
+                eventManager.on(event, function (value) {
+                    assert.strictEqual(value, 0);
+                });
+
+                eventManager.observe(event, function (value) {
+                    assert.strictEqual(value, 0);
+                });
+            });
+
+            events.forEach(function (event) {
+                eventManager.fire(event, 0);
+            });
+
+            eventManager.offAll();
+
+            events.forEach(function (event) {
+                eventManager.fire(event, undefined);
+            });
+        });
+    });
+
+    describe('request', function () {
+
+        it('should throw error if given event is not a valid string', function() {
+            ['', 0, undefined, null, false, {}, []].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.request(invalidInput); });
+            });
+        });
+
+        it('should throw error if given strategy is unknown', function() {
+            assert.throws(function () { eventManager.request(HELLO, 1, { strategy: 'last' }); });
+        });
+
+        it('should reply with the answer of the responder', function (done) {
+            eventManager.respond(HELLO, function (data, event) {
+                return event + ' ' + data;
+            });
+
+            eventManager.request(HELLO, 42).subscribe(function (value) {
+                assert.strictEqual(value, HELLO + ' 42');
+                done();
+            });
+        });
+
+        it('should reply with the answer of async responders as a Promise', function () {
+            eventManager.respond(HELLO, function (data) {
+                return Promise.resolve(data * 2);
+            });
+
+            eventManager.respond(WORLD, function (data) {
+                return Rx.Observable.of(data, data * 3);
+            });
+
+            return Promise.all([
+                eventManager.request(HELLO, 21).toPromise(),
+                eventManager.request(WORLD, 14).toPromise()
+            ]).then(function (values) {
+                assert.deepEqual(values, [42, 42]);
+            });
+        });
+
+        it('should not dispatch the request until subscribed', function () {
+            var count = 0;
+
+            eventManager.respond(HELLO, function () { count++; });
+
+            eventManager.request(HELLO);
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('should error if nobody responds', function (done) {
+            eventManager.request(HELLO, 42).subscribe(
+                function () { assert.fail('should not reply'); },
+                function (error) {
+                    assert.strictEqual(error.name, 'NoResponderError');
+                    done();
+                }
+            );
+        });
+
+        it('should error if no reply arrived in time', function (done) {
+            eventManager.respond(HELLO, function () {
+                return new Promise(function () {});
+            });
+
+            eventManager.request(HELLO, 42, { timeoutMs: 10 }).subscribe(
+                function () { assert.fail('should not reply'); },
+                function (error) {
+                    assert.strictEqual(error.name, 'TimeoutError');
+                    done();
+                }
+            );
+        });
+
+        it('should reply with the first successful answer by default', function () {
+            eventManager.respond(HELLO, function () { throw new Error('failed'); });
+            eventManager.respond(HELLO, function () {
+                return new Promise(function (resolve) { setTimeout(function () { resolve('slow'); }, 10); });
+            });
+            eventManager.respond('event.*', function () { return 'fast'; });
+
+            return eventManager.request(HELLO).toPromise().then(function (value) {
+                assert.strictEqual(value, 'fast');
+            });
+        });
+
+        it('should error with the first error if all responders failed', function () {
+            eventManager.respond(HELLO, function () { throw new Error('first'); });
+            eventManager.respond(HELLO, function () { return Promise.reject(new Error('second')); });
+
+            return eventManager.request(HELLO).toPromise().then(function () {
+                assert.fail('should not reply');
+            }, function (error) {
+                assert.strictEqual(error.message, 'first');
+            });
+        });
+
+        it('should gather answers of all responders', function () {
+            eventManager.respond(HELLO, function (data) { return data + 1; });
+            eventManager.respond(HELLO, function (data) { return Promise.resolve(data + 2); });
+
+            return eventManager.request(HELLO, 0, { strategy: 'all' }).toPromise().then(function (values) {
+                assert.deepEqual(values, [1, 2]);
+            });
+        });
+
+        it('should not reach responders off-ed or disposed', function (done) {
+            var scope = eventManager.scope();
+
+            function handler() { return 'handler'; }
+
+            eventManager.respond(HELLO, handler);
+            scope.respond(HELLO, function () { return 'scope'; });
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 2);
+            assert.deepEqual(scope.listeners(HELLO).length, 1);
+
+            eventManager.off(HELLO, handler);
+            scope.dispose();
+
+            eventManager.request(HELLO).subscribe(null, function (error) {
+                assert.strictEqual(error.name, 'NoResponderError');
+                done();
+            });
+        });
+
+        it('should throw error if given handler is not a function', function () {
+            assert.throws(function () { eventManager.respond(HELLO, {}); });
+        });
+    });
+
+    describe('use', function () {
+        var middlewares = [];
+
+        function use() {
+            var subscription = eventManager.use.apply(eventManager, arguments);
+
+            middlewares.push(subscription);
+
+            return subscription;
+        }
+
+        afterEach(function () {
+            middlewares.forEach(function (subscription) { subscription.unsubscribe(); });
+            middlewares = [];
+        });
+
+        it('should throw error if given middleware is not a function', function () {
+            assert.throws(function () { eventManager.use({}); });
+            assert.throws(function () { eventManager.use(HELLO, null); });
+            assert.throws(function () { eventManager.use('', function () {}); });
+        });
+
+        it('should run middlewares in order and deliver synchronously', function () {
+            var calls = [];
+
+            use(function (message, next) { calls.push('first'); return next(); });
+            use(function (message, next) { calls.push('second'); return next(); });
+
+            eventManager.on(HELLO, function (value) { calls.push(value); });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.deepEqual(calls, ['first', 'second', 42]);
+        });
+
+        it('should deliver transformed events', function () {
+            var values = [];
+
+            use(function (message, next) {
+                return next({ event: message.event, data: { value: message.data, enriched: true } });
+            });
+
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            eventManager.fire(HELLO, 42);
+
+            eventManager.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [{ value: 42, enriched: true }, { value: 42, enriched: true }]);
+        });
+
+        it('should not deliver vetoed events', function () {
+            var values = [];
+
+            use(function (message, next) { return message.data > 5 && next(); });
+
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            eventManager.fire(HELLO, 3).fire(HELLO, 8);
+
+            assert.deepEqual(values, [8]);
+        });
+
+        it('should only run middlewares scoped to matching events', function () {
+            var calls = [];
+
+            use('event.*', function (message, next) { calls.push(message.event); return next(); });
+
+            eventManager.fire(HELLO, 1);
+            eventManager.fire('other', 2);
+
+            assert.deepEqual(calls, [HELLO]);
+        });
+
+        it('should wait for async middlewares and observe delivery', function (done) {
+            var calls = [];
+
+            use(function (message, next) {
+                return next().then(function () {
+                    calls.push('delivered');
+
+                    assert.deepEqual(calls, [42, 'delivered']);
+                    done();
+                });
+            });
+
+            use(function (message, next) {
+                return new Promise(function (resolve) { setTimeout(resolve, 1); }).then(function () { return next(); });
+            });
+
+            eventManager.on(HELLO, function (value) { calls.push(value); });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.deepEqual(calls, []);
+        });
+
+        it('should publish errors of middlewares on errors$ instead of throwing', function (done) {
+            var values = [];
+
+            function failing() { throw new Error('failed'); }
+
+            use(HELLO, failing);
+
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            var subscription = eventManager.errors$.subscribe(function (e) {
+                subscription.unsubscribe();
+
+                assert.strictEqual(e.event, HELLO);
+                assert.strictEqual(e.data, 42);
+                assert.strictEqual(e.error.message, 'failed');
+                assert.strictEqual(e.handler, failing);
+                assert.deepEqual(values, []);
+                done();
+            });
+
+            assert.doesNotThrow(function () { eventManager.fire(HELLO, 42); });
+        });
+
+        it('should stop using middleware once unsubscribed', function () {
+            var count = 0;
+
+            use(function (message, next) { count++; return next(); }).unsubscribe();
+
+            eventManager.fire(HELLO, 42);
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('should stop using middleware on off and once its scope is disposed', function () {
+            var scope = eventManager.scope();
+            var count = 0;
+
+            function counting(message, next) { count++; return next(); }
+
+            scope.use(HELLO, counting);
+            eventManager.use('event.*', counting);
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+
+            scope.dispose();
+            eventManager.fire(HELLO, 42);
+            eventManager.off('event.*');
+            eventManager.fire(HELLO, 43);
+
+            assert.strictEqual(count, 1);
+        });
+    });
+
+    describe('errors$', function () {
+        var errors, subscription, consoleError;
+
+        beforeEach(function () {
+            errors = [];
+            subscription = eventManager.errors$.subscribe(function (e) { errors.push(e); });
+            consoleError = console.error;
+            console.error = function () {};
+        });
+
+        afterEach(function () {
+            subscription.unsubscribe();
+            console.error = consoleError;
+            eventManager.configure(HELLO, {});
+        });
+
+        function failing() { throw new Error('failed'); }
+
+        it('should deliver to remaining listeners if a listener throws', function () {
+            var values = [];
+
+            eventManager.on(HELLO, failing);
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            assert.doesNotThrow(function () { eventManager.fire(HELLO, 42).fire(HELLO, 43); });
+
+            assert.deepEqual(values, [42, 43]);
+            assert.strictEqual(errors.length, 2);
+            assert.strictEqual(errors[0].event, HELLO);
+            assert.strictEqual(errors[0].data, 42);
+            assert.strictEqual(errors[0].handler, failing);
+            assert.strictEqual(errors[0].error.message, 'failed');
+        });
+
+        it('should isolate observers and pattern listeners', function () {
+            var values = [];
+
+            eventManager.on('event.*', { next: failing });
+            eventManager.on(HELLO, { next: function (value) { values.push(value); } });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.deepEqual(values, [42]);
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].event, HELLO);
+            assert.strictEqual(errors[0].data, 42);
+        });
+
+        it('should isolate subscribers of observe', function () {
+            var values = [];
+            var subscription = eventManager.observe(HELLO).subscribe(failing);
+
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            assert.doesNotThrow(function () { eventManager.fire(HELLO, 42).fire(HELLO, 43); });
+
+            assert.deepEqual(values, [42, 43]);
+            assert.strictEqual(errors.length, 2);
+            assert.strictEqual(errors[0].event, HELLO);
+            assert.strictEqual(errors[0].data, 42);
+            assert.strictEqual(errors[0].error.message, 'failed');
+
+            eventManager.configure(HELLO, { onError: 'unsubscribe' });
+            eventManager.fire(HELLO, 44).fire(HELLO, 45);
+            subscription.unsubscribe();
+
+            assert.deepEqual(values, [42, 43, 44, 45]);
+            assert.strictEqual(errors.length, 3);
+        });
+
+        it('should log errors by default', function () {
+            var logged = [];
+
+            console.error = function (error) { logged.push(error); };
+
+            eventManager.on(HELLO, failing);
+            eventManager.fire(HELLO, 42);
+
+            assert.strictEqual(logged.length, 1);
+            assert.strictEqual(logged[0].message, 'failed');
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+        });
+
+        it('should unsubscribe the faulty listener by policy', function () {
+            eventManager.configure(HELLO, { onError: 'unsubscribe' });
+
+            eventManager.on(HELLO, failing);
+            eventManager.on(HELLO, function () {});
+
+            eventManager.fire(HELLO, 42);
+
+            assert.deepEqual(eventManager.listeners(HELLO).length, 1);
+
+            eventManager.latest(HELLO, failing);
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+            assert.strictEqual(errors.length, 2);
+        });
+
+        it('should rethrow once every listener got the event by policy', function () {
+            var values = [];
+
+            eventManager.configure(HELLO, { onError: 'rethrow' });
+
+            eventManager.on(HELLO, failing);
+            eventManager.on(HELLO, function (value) { values.push(value); });
+
+            assert.throws(function () { eventManager.fire(HELLO, 42); }, /failed/);
+
+            assert.deepEqual(values, [42]);
+            assert.strictEqual(errors.length, 1);
+
+            assert.throws(function () { eventManager.latest(HELLO, failing); }, /failed/);
+        });
+
+        it('should rethrow through middlewares by policy', function () {
+            var middleware = eventManager.use(function (message, next) { return next(); });
+
+            eventManager.configure(HELLO, { onError: 'rethrow' });
+            eventManager.on(HELLO, failing);
+
+            assert.throws(function () { eventManager.fire(HELLO, 42); }, /failed/);
+            middleware.unsubscribe();
+
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].handler, failing);
+        });
+
+        it('should throw error if given onError is unknown', function () {
+            assert.throws(function () { eventManager.configure(HELLO, { onError: 'ignore' }); });
+        });
+    });
+
+    describe('priority', function () {
+
+        it('should throw error if given priority is not a finite number', function () {
+            ['1', NaN, Infinity, null].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.on(HELLO, function () {}, { priority: invalidInput }); });
+            });
+        });
+
+        it('should deliver to listeners by priority', function () {
+            var calls = [];
+
+            eventManager.on(HELLO, function () { calls.push('default'); });
+            eventManager.once(HELLO, function () { calls.push('low'); }, { priority: -1 });
+            eventManager.on(HELLO, function () { calls.push('high'); }, { priority: 10 });
+            eventManager.on('event.*', function () { calls.push('pattern high'); }, { priority: 10 });
+            eventManager.change(HELLO, null, function () { calls.push('default change'); }, { priority: 0 });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.deepEqual(calls, ['high', 'pattern high', 'default', 'default change', 'low']);
+        });
+
+        it('should give handlers the event context', function () {
+            var contexts = [];
+
+            eventManager.on(HELLO, function (value, e) { contexts.push(e); });
+            eventManager.on(HELLO, { next: function (value, e) { contexts.push(e); } });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.strictEqual(contexts.length, 2);
+            assert.strictEqual(contexts[0], contexts[1]);
+            assert.strictEqual(contexts[0].event, HELLO);
+            assert.strictEqual(contexts[0].data, 42);
+        });
+
+        it('should give values replayed during a delivery their own context', function () {
+            var contexts = [];
+
+            eventManager.fire(WORLD, 'world');
+            eventManager.on(HELLO, function (value, e) {
+                e.stopPropagation();
+                eventManager.latest(WORLD, function (value, context) { contexts.push(context); });
+            });
+
+            eventManager.fire(HELLO, 42);
+
+            assert.strictEqual(contexts.length, 1);
+            assert.strictEqual(contexts[0].event, WORLD);
+            assert.strictEqual(contexts[0].data, 'world');
+            assert.strictEqual(contexts[0].propagationStopped, false);
+        });
+
+        it('should stop propagation to listeners with a lower priority and to the parent bus', function () {
+            var calls = [];
+            var child = eventManager.child();
+
+            eventManager.on(HELLO, function () { calls.push('parent'); }, { priority: 100 });
+            child.on(HELLO, function () { calls.push('low'); });
+            child.on(HELLO, function (value, e) {
+                calls.push('high');
+
+                if (1 === value) { e.stopPropagation(); }
+            }, { priority: 1 });
+
+            child.fire(HELLO, 1).fire(HELLO, 2);
+
+            assert.deepEqual(calls, ['high', 'high', 'low', 'parent']);
+
+            child.offAll();
+        });
+
+        it('should tell if a handler prevented the default action', function () {
+            eventManager.on(HELLO, function (value, e) {
+                if (value > 5) { e.preventDefault(); }
+            });
+
+            assert.strictEqual(eventManager.dispatch(HELLO, 3), true);
+            assert.strictEqual(eventManager.dispatch(HELLO, 8), false);
+            assert.strictEqual(eventManager.dispatch([WORLD, HELLO], 8), false);
+        });
+    });
+
+    describe('fireAsync', function () {
+
+        function delay(ms, value) {
+            return new Promise(function (resolve) { setTimeout(function () { resolve(value); }, ms); });
+        }
+
+        it('should throw error if given mode is unknown', function () {
+            assert.throws(function () { eventManager.fireAsync(HELLO, 1, { mode: 'random' }); });
+        });
+
+        it('should resolve with the results of handlers once they all settled', function () {
+            eventManager.on(HELLO, function (value) { return value; });
+            eventManager.on(HELLO, function (value) { return delay(10, value * 2); });
+            eventManager.on(HELLO, function (value) { return Rx.Observable.of(value, value * 3); });
+
+            return eventManager.fireAsync(HELLO, 7).then(function (results) {
+                assert.deepEqual(results, [7, 14, 21]);
+            });
+        });
+
+        it('should resolve once no handler listens', function () {
+            return eventManager.fireAsync(HELLO, 7).then(function (results) {
+                assert.deepEqual(results, []);
+            });
+        });
+
+        it('should not await values replayed during a delivery', function () {
+            var replayed = [];
+
+            eventManager.fire(WORLD, 'world');
+            eventManager.on(HELLO, function (value) { return value; });
+            eventManager.observe(HELLO).subscribe(function () {
+                eventManager.latest(WORLD, function (value) { replayed.push(value); return 'replayed'; });
+            });
+
+            var settled = eventManager.fireAsync(HELLO, 7);
+
+            assert.deepEqual(replayed, ['world']);
+
+            return settled.then(function (results) {
+                assert.deepEqual(results, [7]);
+            });
+        });
+
+        it('should call handlers at once in parallel mode', function () {
+            var calls = [];
+
+            eventManager.on(HELLO, function () { calls.push('slow'); return delay(20).then(function () { calls.push('slow done'); }); });
+            eventManager.on(HELLO, function () { calls.push('fast'); return delay(5).then(function () { calls.push('fast done'); }); });
+
+            return eventManager.fireAsync(HELLO, 1).then(function () {
+                assert.deepEqual(calls, ['slow', 'fast', 'fast done', 'slow done']);
+            });
+        });
+
+        it('should call handlers one after the other by priority in serial mode', function () {
+            var calls = [];
+
+            eventManager.on(HELLO, function () { calls.push('fast'); return delay(5).then(function () { calls.push('fast done'); }); });
+            eventManager.on(HELLO, function () { calls.push('slow'); return delay(20).then(function () { calls.push('slow done'); }); }, { priority: 1 });
+
+            return eventManager.fireAsync(HELLO, 1, { mode: 'serial' }).then(function () {
+                assert.deepEqual(calls, ['slow', 'slow done', 'fast', 'fast done']);
+            });
+        });
+
+        it('should skip the next handlers once a handler stopped propagation in serial mode', function () {
+            var calls = [];
+            var child = eventManager.child();
+
+            eventManager.on(HELLO, function () { calls.push('parent'); });
+            child.on(HELLO, function (value, e) {
+                return delay(5).then(function () {
+                    calls.push('first');
+                    e.stopPropagation();
+                });
+            }, { priority: 1 });
+            child.on(HELLO, function () { calls.push('second'); });
+
+            return child.fireAsync(HELLO, 1, { mode: 'serial' }).then(function (results) {
+                assert.deepEqual(calls, ['first']);
+                assert.strictEqual(results.length, 3);
+
+                child.offAll();
+            });
+        });
+
+        it('should await handlers of the parent bus and of every event', function () {
+            var child = eventManager.child();
+
+            eventManager.on(HELLO, function (value) { return delay(5, 'parent ' + value); });
+            child.on(WORLD, function (value) { return 'world ' + value; });
+            child.on(HELLO, function (value) { return 'child ' + value; });
+
+            return child.fireAsync([HELLO, WORLD], 1).then(function (results) {
+                assert.deepEqual(results, ['child 1', 'parent 1', 'world 1']);
+
+                child.offAll();
+            });
+        });
+
+        it('should await handlers of once, latest and change', function () {
+            var count = 0;
+
+            eventManager.once(HELLO, function (value) { count += value; return delay(5, 'once'); });
+            eventManager.latest(HELLO, function () { return 'latest'; });
+            eventManager.change(HELLO, null, function () { return 'change'; });
+
+            return eventManager.fireAsync(HELLO, 1).then(function (results) {
+                assert.deepEqual(results, ['once', 'latest', 'change']);
+
+                return eventManager.fireAsync(HELLO, 2);
+            }).then(function (results) {
+                assert.strictEqual(count, 1);
+                assert.deepEqual(results, ['latest', 'change']);
+            });
+        });
+
+        it('should await handlers once async middlewares delivered the event', function () {
+            var middleware = eventManager.use(HELLO, function (message, next) {
+                return delay(5).then(function () { return next({ event: message.event, data: message.data + 1 }); });
+            });
+            eventManager.on(HELLO, function (value) { return value; });
+
+            return eventManager.fireAsync(HELLO, 1).then(function (results) {
+                assert.deepEqual(results, [2]);
+
+                middleware.unsubscribe();
+            });
+        });
+
+        it('should reject with the errors of failed handlers', function () {
+            var failure = new Error('failure');
+            var errors = [];
+
+            eventManager.errors$.subscribe(function (error) { errors.push(error); });
+            eventManager.on(HELLO, function () { throw failure; });
+            eventManager.on(HELLO, function () { return 42; });
+            eventManager.on(HELLO, function () { return Promise.reject(failure); });
+
+            return eventManager.fireAsync(HELLO, 1).then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.strictEqual(error.name, 'AggregateError');
+                assert.deepEqual(error.errors, [failure, failure]);
+                assert.deepEqual(error.results, [undefined, 42, undefined]);
+                assert.strictEqual(errors.length, 0);
+            });
+        });
+
+        it('should reject if handlers did not settle in time', function () {
+            eventManager.on(HELLO, function () { return delay(50); });
+
+            return eventManager.fireAsync(HELLO, 1, { timeoutMs: 10 }).then(function () {
+                assert.fail('should reject');
+            }, function (error) {
+                assert.strictEqual(error.name, 'TimeoutError');
+            });
+        });
+    });
+
+    describe('flow control', function () {
+        var VirtualTimeScheduler = require('rxjs/scheduler/VirtualTimeScheduler').VirtualTimeScheduler;
+        var scheduler;
+
+        beforeEach(function () {
+            scheduler = new VirtualTimeScheduler();
+        });
+
+        it('should throw error if given flow control is invalid', function () {
+            [
+                { throttleMs: 0 }, { debounceMs: '10' }, { sampleMs: -1 }, { bufferMs: Infinity },
+                { bufferCount: 1.5 }, { queue: 0 }, { overflow: 'drop-all' }, { bufferCount: 2, bufferMs: 10 }
+            ].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.on(HELLO, function () {}, invalidInput); }, TypeError);
+                assert.throws(function () { eventManager.observe(HELLO, invalidInput); }, TypeError);
+                assert.throws(function () { eventManager.configure(HELLO, invalidInput); }, TypeError);
+            });
+        });
+
+        it('should throw error if observe is given a queue', function () {
+            assert.throws(function () { eventManager.observe(HELLO, { queue: 1 }); }, TypeError);
+        });
+
+        it('should throttle values', function () {
+            var values = [];
+
+            eventManager.on(HELLO, function (value) { values.push(value); }, { throttleMs: 10, flowScheduler: scheduler });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            scheduler.flush();
+            eventManager.fire(HELLO, 3);
+
+            assert.deepEqual(values, [1, 3]);
+        });
+
+        it('should debounce values', function () {
+            var values = [];
+
+            eventManager.observe(HELLO, { debounceMs: 10, flowScheduler: scheduler }).subscribe(function (value) { values.push(value); });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+
+            assert.deepEqual(values, []);
+
+            scheduler.flush();
+
+            assert.deepEqual(values, [2]);
+        });
+
+        it('should sample values', function () {
+            var values = [];
+
+            eventManager.on(HELLO, function (value) { values.push(value); }, { sampleMs: 10, flowScheduler: scheduler });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            scheduler.maxFrames = 10;
+            scheduler.flush();
+
+            assert.deepEqual(values, [2]);
+        });
+
+        it('should buffer values by count', function () {
+            var values = [];
+
+            eventManager.on(HELLO, function (value) { values.push(value); }, { bufferCount: 2 });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2).fire(HELLO, 3);
+
+            assert.deepEqual(values, [[1, 2]]);
+        });
+
+        it('should buffer values by time', function () {
+            var values = [];
+
+            eventManager.observe(HELLO, { bufferMs: 10, flowScheduler: scheduler }).subscribe(function (value) { values.push(value); });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            scheduler.maxFrames = 10;
+            scheduler.flush();
+
+            assert.deepEqual(values, [[1, 2]]);
+        });
+
+        it('should queue values until the handler settled, dropping the oldest ones', function () {
+            var calls = [];
+            var resolves = [];
+
+            eventManager.on(HELLO, function (value) {
+                calls.push(value);
+
+                return new Promise(function (resolve) { resolves.push(resolve); });
+            }, { queue: 2 });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2).fire(HELLO, 3).fire(HELLO, 4);
+
+            assert.deepEqual(calls, [1]);
+
+            resolves[0]();
+
+            return Promise.resolve().then(function () {}).then(function () {
+                assert.deepEqual(calls, [1, 3]);
+
+                resolves[1]();
+            }).then(function () {}).then(function () {
+                assert.deepEqual(calls, [1, 3, 4]);
+            });
+        });
+
+        it('should queue values until the handler settled, dropping the newest ones', function () {
+            var calls = [];
+            var resolves = [];
+
+            eventManager.on(HELLO, function (value) {
+                calls.push(value);
+
+                return new Promise(function (resolve) { resolves.push(resolve); });
+            }, { queue: 1, overflow: 'drop-newest' });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2).fire(HELLO, 3);
+            resolves[0]();
+
+            return Promise.resolve().then(function () {}).then(function () {
+                assert.deepEqual(calls, [1, 2]);
+
+                resolves[1]();
+            }).then(function () {}).then(function () {
+                assert.deepEqual(calls, [1, 2]);
+            });
+        });
+
+        it('should drop queued values once unsubscribed', function () {
+            var calls = [];
+            var subscription = eventManager.on(HELLO, function (value) {
+                calls.push(value);
+
+                return Promise.resolve();
+            }, { queue: 5 });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            subscription.unsubscribe();
+
+            return Promise.resolve().then(function () {}).then(function () {
+                assert.deepEqual(calls, [1]);
+            });
+        });
+
+        it('should not make the replay asynchronous with a flow scheduler', function () {
+            var bus = new EventManager();
+            var values = [];
+
+            bus.configure(HELLO, { throttleMs: 10, flowScheduler: scheduler });
+            bus.fire(HELLO, 1);
+            bus.latest(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [1]);
+            bus.offAll();
+        });
+
+        it('should apply the flow control configured for the event or a matching pattern', function () {
+            var bus = new EventManager();
+            var values = [];
+
+            bus.configure('**', { bufferCount: 3 });
+            bus.configure(HELLO, { bufferCount: 2, throttleMs: 10, flowScheduler: scheduler });
+
+            bus.on(HELLO, function (value) { values.push(value); });
+            bus.on(WORLD, function (value) { values.push(value); });
+            bus.on(WORLD, function (value) { values.push(value); }, { bufferCount: 1 });
+
+            bus.fire(HELLO, 1).fire(HELLO, 2);
+            scheduler.flush();
+            bus.fire(HELLO, 3).fire(WORLD, 4).fire(WORLD, 5).fire(WORLD, 6);
+
+            assert.deepEqual(values, [[1, 3], [4], [5], [4, 5, 6], [6]]);
+
+            bus.offAll();
+        });
+    });
+
+    describe('state', function () {
+
+        afterEach(function () {
+            eventManager.off('event.**');
+        });
+
+        it('should throw error if given event is not a single event name', function () {
+            ['', 'hello world', 'event.*', ['a', 'b']].forEach(function (invalidInput) {
+                assert.throws(function () { eventManager.state(invalidInput); }, TypeError);
+            });
+        });
+
+        it('should fire the initial value unless the event has one', function () {
+            var values = [];
+
+            eventManager.on(HELLO, function (value) { values.push(value); });
+            eventManager.fire(WORLD, 'world');
+
+            assert.strictEqual(eventManager.state(HELLO, 'hello').get(), 'hello');
+            assert.strictEqual(eventManager.state(WORLD, 'initial').get(), 'world');
+            assert.strictEqual(eventManager.state('event.none').get(), undefined);
+            assert.deepEqual(values, ['hello']);
+        });
+
+        it('should interoperate with fire and latest', function () {
+            var counter = eventManager.state(HELLO, 0);
+            var values = [];
+
+            counter.observe().subscribe(function (value) { values.push(value); });
+            counter.update(function (value) { return value + 1; }).set(10);
+            eventManager.fire(HELLO, 42);
+
+            eventManager.latest(HELLO, function (value) { values.push('latest ' + value); });
+
+            assert.strictEqual(counter.get(), 42);
+            assert.deepEqual(values, [0, 1, 10, 42, 'latest 42']);
+        });
+    });
+
+    describe('derive', function () {
+        var PRICE = 'cart.price';
+        var QUANTITY = 'cart.quantity';
+        var TOTAL = 'cart.total';
+
+        afterEach(function () {
+            eventManager.off('cart.*');
+        });
+
+        it('should throw error if given sources or project are invalid', function () {
+            assert.throws(function () { eventManager.derive(TOTAL, [], function () {}); }, TypeError);
+            assert.throws(function () { eventManager.derive(TOTAL, PRICE, function () {}); }, TypeError);
+            assert.throws(function () { eventManager.derive(TOTAL, [PRICE], 42); }, TypeError);
+            assert.throws(function () { eventManager.derive(TOTAL, ['cart.*'], function () {}); }, TypeError);
+        });
+
+        it('should compute the value from states and events, and fire it when it changes', function () {
+            var price = eventManager.state(PRICE, 10);
+            var values = [];
+            var total;
+
+            eventManager.fire(QUANTITY, 2);
+
+            total = eventManager.derive(TOTAL, [price, QUANTITY], function (price, quantity) { return price * quantity; });
+            total.observe().subscribe(function (value) { values.push(value); });
+
+            eventManager.fire(QUANTITY, 3);
+            price.set(15);
+            price.set(15);
+
+            assert.strictEqual(total.get(), 45);
+            assert.deepEqual(values, [20, 30, 45]);
+            assert.throws(function () { total.set(0); }, TypeError);
+
+            total.dispose();
+            price.set(20);
+
+            assert.strictEqual(total.get(), 45);
+        });
+
+        it('should publish errors of project on errors$', function () {
+            var errors = [];
+            var failure = new Error('failure');
+
+            eventManager.errors$.subscribe(function (error) { errors.push(error); });
+
+            var total = eventManager.derive(TOTAL, [PRICE], function (price) {
+                if (undefined === price) { throw failure; }
+
+                return price;
+            });
+
+            eventManager.fire(PRICE, 5);
+
+            assert.strictEqual(total.get(), 5);
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].event, TOTAL);
+            assert.strictEqual(errors[0].error, failure);
+
+            total.dispose();
+        });
+    });
+
+    describe('batch', function () {
+
+        afterEach(function () {
+            eventManager.off('event.**');
+        });
+
+        it('should throw error if given updater is not a function', function () {
+            assert.throws(function () { eventManager.batch(42); }, TypeError);
+        });
+
+        it('should fire the last value of each state once', function () {
+            var price = eventManager.state(HELLO, 1);
+            var quantity = eventManager.state(WORLD, 1);
+            var total = eventManager.derive('event.total', [HELLO, WORLD], function (x, y) { return x * y; });
+            var values = [];
+
+            eventManager.on('event.*', function (e) { values.push(e.event + ' ' + e.data); });
+
+            eventManager.batch(function () {
+                price.set(2).update(function (value) { return value + 1; });
+
+                eventManager.batch(function () {
+                    quantity.set(5);
+                });
+
+                assert.strictEqual(price.get(), 3);
+                assert.deepEqual(values, []);
+            });
+
+            assert.deepEqual(values, [HELLO + ' 3', WORLD + ' 5', 'event.total 15']);
+
+            total.dispose();
+        });
+
+        it('should not fire anything if the updater throws', function () {
+            var counter = eventManager.state(HELLO, 1);
+
+            assert.throws(function () {
+                eventManager.batch(function () {
+                    counter.set(2);
+
+                    throw new Error('failure');
+                });
+            });
+
+            assert.strictEqual(counter.get(), 1);
+        });
+    });
+
+    describe('composite events', function () {
+        var time;
+        var clock = { now: function () { return time; } };
+        var fired;
+
+        beforeEach(function () {
+            time = 0;
+            fired = [];
+            eventManager.on('composite', function (data) { fired.push(data); });
+        });
+
+        afterEach(function () {
+            eventManager.off('composite event.*');
+        });
+
+        it('should throw error if given arguments are invalid', function () {
+            assert.throws(function () { eventManager.all('composite.*', [HELLO]); }, TypeError);
+            assert.throws(function () { eventManager.any('composite other', [HELLO]); }, TypeError);
+            assert.throws(function () { eventManager.all('composite', ''); }, TypeError);
+            assert.throws(function () { eventManager.sequence('composite', [HELLO], { timeoutMs: 0 }); }, TypeError);
+            assert.throws(function () { eventManager.window('composite', HELLO); }, TypeError);
+            assert.throws(function () { eventManager.window('composite', HELLO, { count: 1.5, withinMs: 10 }); }, TypeError);
+            assert.throws(function () { eventManager.window('composite', HELLO, { count: 2, withinMs: -1 }); }, TypeError);
+        });
+
+        it('should fire once all sources have been fired', function () {
+            eventManager.all('composite', [HELLO, WORLD]);
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            assert.deepEqual(fired, []);
+
+            eventManager.fire(WORLD, 3).fire(WORLD, 4).fire(HELLO, 5);
+            assert.deepEqual(fired, [[2, 3], [5, 4]]);
+        });
+
+        it('should fire whenever any source is fired', function () {
+            eventManager.any('composite', 'event.* other');
+
+            eventManager.fire(HELLO, 1).fire('other', 2).fire('unrelated', 3);
+
+            assert.deepEqual(fired, [{ event: HELLO, data: 1 }, { event: 'other', data: 2 }]);
+            eventManager.off('other');
+        });
+
+        it('should fire once sources have been fired in order within the timeout', function () {
+            eventManager.sequence('composite', 'event.a event.b event.c', { timeoutMs: 100, scheduler: clock });
+
+            eventManager.fire('event.b', 0).fire('event.a', 1).fire('event.c', 2).fire('event.b', 3).fire('event.c', 4);
+            assert.deepEqual(fired, [[1, 3, 4]]);
+
+            eventManager.fire('event.a', 5).fire('event.b', 6).fire('event.a', 7).fire('event.b', 8);
+            time = 101;
+            eventManager.fire('event.c', 9);
+            assert.deepEqual(fired, [[1, 3, 4]]);
+
+            eventManager.fire('event.a', 10);
+            time = 202;
+            eventManager.fire('event.b', 11).fire('event.c', 12);
+            assert.deepEqual(fired, [[1, 3, 4]]);
+        });
+
+        it('should count every step of a sequence given the same source several times', function () {
+            eventManager.sequence('composite', 'event.a event.a event.b');
+
+            eventManager.fire('event.a', 1).fire('event.b', 2);
+            assert.deepEqual(fired, []);
+
+            eventManager.fire('event.a', 3).fire('event.a', 4).fire('event.a', 5).fire('event.b', 6);
+            assert.deepEqual(fired, [[4, 5, 6]]);
+        });
+
+        it('should count an event matching overlapping sources once in a sequence', function () {
+            eventManager.sequence('composite', 'event.* event.a');
+
+            eventManager.fire('event.a', 1);
+            assert.deepEqual(fired, []);
+
+            eventManager.fire('event.a', 2);
+            assert.deepEqual(fired, [[1, 2]]);
+        });
+
+        it('should fire once for an event matching overlapping sources of any', function () {
+            eventManager.any('composite', 'event.* event.a');
+
+            eventManager.fire('event.a', 1);
+            assert.deepEqual(fired, [{ event: 'event.a', data: 1 }]);
+        });
+
+        it('should count an event matching overlapping sources of all for the first one not fired yet', function () {
+            eventManager.all('composite', 'event.* event.a');
+
+            eventManager.fire('event.a', 1);
+            assert.deepEqual(fired, []);
+
+            eventManager.fire('event.b', 2).fire('event.a', 3);
+            assert.deepEqual(fired, [[2, 3]]);
+        });
+
+        it('should fire once sources have been fired count times within the window', function () {
+            eventManager.window('composite', HELLO, { count: 3, withinMs: 60, scheduler: clock });
+
+            eventManager.fire(HELLO, 1).fire(HELLO, 2);
+            time = 61;
+            eventManager.fire(HELLO, 3).fire(HELLO, 4);
+            assert.deepEqual(fired, []);
+
+            time = 100;
+            eventManager.fire(HELLO, 5).fire(HELLO, 6);
+            assert.deepEqual(fired, [[3, 4, 5]]);
+        });
+
+        it('should use the scheduler configured for the composite event', function () {
+            eventManager.configure('composite', { flowScheduler: clock });
+            eventManager.window('composite', HELLO, { count: 2, withinMs: 10 });
+
+            eventManager.fire(HELLO, 1);
+            time = 11;
+            eventManager.fire(HELLO, 2);
+
+            eventManager.configure('composite', {});
+            assert.deepEqual(fired, []);
+        });
+
+        it('should be torn down by off', function () {
+            var subscription = eventManager.any('composite', HELLO);
+            var other = eventManager.any('composite', WORLD);
+
+            assert.strictEqual(eventManager.listenerCount('composite'), 3);
+
+            subscription.unsubscribe();
+            eventManager.fire(HELLO, 1).fire(WORLD, 2);
+            eventManager.off('composite');
+            eventManager.fire(WORLD, 3);
+
+            assert.deepEqual(fired, [{ event: WORLD, data: 2 }]);
+            assert.ok(other.isUnsubscribed);
+        });
+
+        it('should publish errors thrown by firing the composite event', function () {
+            var bus = new EventManager();
+            var errors = [];
+
+            bus.errors$.subscribe(function (e) { errors.push(e); });
+            bus.define('composite', { type: 'string' });
+            bus.any('composite', HELLO);
+
+            assert.doesNotThrow(function () { bus.fire(HELLO, 1); });
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].event, 'composite');
+            assert.strictEqual(errors[0].error.name, 'ValidationError');
+            bus.offAll();
+        });
+    });
+
+    describe('connect', function () {
+        var EventEmitter = require('events').EventEmitter;
+        var values;
+
+        beforeEach(function () {
+            values = [];
+            eventManager.on(HELLO, function (value) { values.push(value); });
+        });
+
+        afterEach(function () {
+            eventManager.off(HELLO);
+        });
+
+        it('should throw error if given arguments are invalid', function () {
+            assert.throws(function () { eventManager.connect('event.*', new Rx.Subject()); }, TypeError);
+            assert.throws(function () { eventManager.connect(HELLO, 42); }, TypeError);
+            assert.throws(function () { eventManager.connect(HELLO, {}); }, TypeError);
+            assert.throws(function () { eventManager.connect(HELLO, new Rx.Subject(), { map: 42 }); }, TypeError);
+        });
+
+        it('should fire values of an Observable until disconnected by off', function () {
+            var subject = new Rx.Subject();
+
+            eventManager.connect(HELLO, subject, { map: function (value) { return value * 2; } });
+
+            subject.next(1);
+            eventManager.off(HELLO);
+            subject.next(2);
+
+            assert.deepEqual(values, [2]);
+            assert.strictEqual(subject.observers.length, 0);
+        });
+
+        it('should fire events of an EventEmitter and an EventTarget until unsubscribed', function () {
+            var emitter = new EventEmitter();
+            var target = new EventTarget();
+            var fromEmitter = eventManager.connect(HELLO, emitter, { event: 'hello' });
+
+            eventManager.connect(HELLO, target, { event: 'hello', map: function (e) { return e.detail; } });
+
+            assert.strictEqual(eventManager.listenerCount(HELLO), 3);
+
+            emitter.emit('hello', 1);
+            target.dispatchEvent(new CustomEvent('hello', { detail: 2 }));
+            fromEmitter.unsubscribe();
+            emitter.emit('hello', 3);
+
+            assert.deepEqual(values, [1, 2]);
+            assert.strictEqual(emitter.listenerCount('hello'), 0);
+        });
+
+        it('should fire the value of a Promise', function () {
+            eventManager.connect(HELLO, Promise.resolve(42));
+
+            return Promise.resolve().then(function () {
+                assert.deepEqual(values, [42]);
+                assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+            });
+        });
+
+        it('should publish errors of the source and of map', function () {
+            var errors = [];
+            var subscription = eventManager.errors$.subscribe(function (e) { errors.push(e); });
+            var subject = new Rx.Subject();
+
+            function map(value) { if (2 === value) { throw new Error('map'); } return value; }
+
+            eventManager.connect(HELLO, subject, { map: map });
+            subject.next(1);
+            subject.next(2);
+            subject.error(new Error('source'));
+            subscription.unsubscribe();
+
+            assert.deepEqual(values, [1]);
+            assert.deepEqual(errors.map(function (e) { return e.error.message; }), ['map', 'source']);
+            assert.strictEqual(errors[0].handler, map);
+            assert.strictEqual(errors[1].handler, subject);
+            assert.strictEqual(eventManager.listenerCount(HELLO), 1);
+        });
+    });
+
+    describe('pipeTo', function () {
+        var EventEmitter = require('events').EventEmitter;
+
+        it('should throw error if given arguments are invalid', function () {
+            assert.throws(function () { eventManager.pipeTo(HELLO, {}); }, TypeError);
+            assert.throws(function () { eventManager.pipeTo(HELLO, null); }, TypeError);
+            assert.throws(function () { eventManager.pipeTo(HELLO, new EventEmitter(), { map: 42 }); }, TypeError);
+        });
+
+        it('should emit fired events on an EventEmitter until removed by off', function () {
+            var emitter = new EventEmitter();
+            var emitted = [];
+
+            emitter.on(HELLO, function (value) { emitted.push([HELLO, value]); });
+            emitter.on(WORLD, function (value) { emitted.push([WORLD, value]); });
+
+            eventManager.pipeTo('event.*', emitter);
+            eventManager.fire(HELLO, 1).fire(WORLD, 2);
+            eventManager.off('event.*');
+            eventManager.fire(HELLO, 3);
+
+            assert.deepEqual(emitted, [[HELLO, 1], [WORLD, 2]]);
+        });
+
+        it('should dispatch fired events on an EventTarget and an Observer', function () {
+            var target = new EventTarget();
+            var subject = new Rx.Subject();
+            var emitted = [];
+
+            target.addEventListener('hello', function (e) { emitted.push(e.detail); });
+            subject.subscribe(function (value) { emitted.push(value); });
+
+            eventManager.pipeTo(HELLO, target, { event: 'hello', map: function (data, event) { return event + ':' + data; } });
+            eventManager.pipeTo(HELLO, subject);
+            eventManager.fire(HELLO, 1);
+            eventManager.off(HELLO);
+
+            assert.deepEqual(emitted, [HELLO + ':1', 1]);
+        });
+
+        it('should publish errors thrown by emitting', function () {
+            var errors = [];
+            var subscription = eventManager.errors$.subscribe(function (e) { errors.push(e); });
+            var target = { next: function () { throw new Error('failed'); } };
+
+            eventManager.pipeTo(HELLO, target);
+            eventManager.fire(HELLO, 1);
+            eventManager.off(HELLO);
+            subscription.unsubscribe();
+
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].handler, target);
+        });
+    });
+
+    describe('deadLetters$', function () {
+        var bus, letters, subscription;
+
+        beforeEach(function () {
+            bus = new EventManager();
+            letters = [];
+            subscription = bus.deadLetters$.subscribe(function (e) { letters.push(e); });
+        });
+
+        afterEach(function () {
+            subscription.unsubscribe();
+            bus.offAll();
+        });
+
+        it('should publish events which reached no subscriber', function () {
+            bus.on(HELLO, function () {});
+            bus.fire(HELLO, 1).fire('event.helo', 2);
+
+            assert.deepEqual(letters, [{ event: 'event.helo', data: 2 }]);
+        });
+
+        it('should leave events forwarded to a parent bus to it', function () {
+            var child = bus.child();
+
+            child.fire(HELLO, 1);
+            child.on(WORLD, function (value, context) { context.stopPropagation(); });
+            child.fire(WORLD, 2);
+
+            assert.deepEqual(letters, [{ event: HELLO, data: 1 }]);
+        });
+
+        it('should throw error if configured dead letters are invalid', function () {
+            assert.throws(function () { bus.configure(HELLO, { deadLetters: -1 }); }, TypeError);
+            assert.throws(function () { bus.configure(HELLO, { deadLetters: 1.5 }); }, TypeError);
+        });
+
+        it('should buffer the last configured dead letters for the first matching listener', function () {
+            var values = [];
+            var later = [];
+
+            bus.configure(HELLO, { deadLetters: 2 });
+            bus.fire(HELLO, 1).fire(HELLO, 2).fire(HELLO, 3).fire(WORLD, 4);
+
+            bus.on(HELLO, function (value) { values.push(value); });
+            bus.on(HELLO, function (value) { later.push(value); });
+            bus.fire(HELLO, 5);
+
+            assert.deepEqual(values, [2, 3, 5]);
+            assert.deepEqual(later, [5]);
+            assert.strictEqual(letters.length, 4);
+        });
+
+        it('should hand the oldest buffered dead letter to a late once listener', function () {
+            var first = [];
+            var values = [];
+
+            bus.configure(HELLO, { deadLetters: 2 });
+            bus.fire(HELLO, 1).fire(HELLO, 2);
+
+            bus.once(HELLO, function (value) { first.push(value); });
+            bus.on(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(first, [1]);
+            assert.deepEqual(values, [2]);
+        });
+
+        it('should leave buffered dead letters to latest', function () {
+            var replayed = [];
+            var values = [];
+
+            bus.configure(HELLO, { deadLetters: 2 });
+            bus.fire(HELLO, 1).fire(HELLO, 2);
+
+            bus.latest(HELLO, function (value) { replayed.push(value); });
+            bus.on(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(replayed, [2]);
+            assert.deepEqual(values, [1, 2]);
+        });
+
+        it('should keep dead letters configured for a pattern when the event is configured without them', function () {
+            var values = [];
+
+            bus.configure('event.*', { deadLetters: 3 });
+            bus.configure(HELLO, { replay: 2 });
+            bus.fire(HELLO, 1).fire(HELLO, 2);
+
+            bus.on(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [1, 2]);
+        });
+
+        it('should drop buffered dead letters on off', function () {
+            var values = [];
+
+            bus.configure('event.*', { deadLetters: 3 });
+            bus.fire(HELLO, 1).fire(WORLD, 2);
+            bus.off(HELLO);
+
+            bus.on('event.*', function (e) { values.push(e); });
+
+            assert.deepEqual(values, [{ event: WORLD, data: 2 }]);
+
+            bus.off('event.*');
+            bus.fire(HELLO, 3);
+            bus.offAll();
+            bus.on(HELLO, function (value) { values.push(value); });
+            bus.fire(HELLO, 4);
+
+            assert.deepEqual(values, [{ event: WORLD, data: 2 }, 4]);
+        });
+
+        it('should buffer dead letters of events matching a configured pattern for observe', function () {
+            var values = [];
+
+            subscription.unsubscribe();
+            bus.configure('event.*', { deadLetters: 1 });
+            bus.fire(HELLO, 1).fire(WORLD, 2).fire('other', 3);
+
+            bus.observe('event.*').subscribe(function (e) { values.push(e); });
+            bus.observe('other').subscribe(function (value) { values.push(value); });
+
+            assert.deepEqual(values, [{ event: HELLO, data: 1 }, { event: WORLD, data: 2 }]);
+        });
+    });
+
+    describe('record', function () {
+
+        it('should throw error if given options are invalid', function () {
+            assert.throws(function () { eventManager.record({ events: '' }); }, TypeError);
+            assert.throws(function () { eventManager.record({ limit: 0 }); }, TypeError);
+        });
+
+        it('should record fired events before middlewares until stopped', function () {
+            var VirtualTimeScheduler = require('rxjs/scheduler/VirtualTimeScheduler').VirtualTimeScheduler;
+            var scheduler = new VirtualTimeScheduler();
+            var middleware = eventManager.use(function () {});
+            var recorder = eventManager.record({ events: 'event.*', limit: 2, scheduler: scheduler });
+
+            eventManager.fire(HELLO, 1).fire('other', 2).fire(WORLD, 3).fire(HELLO, 4);
+            recorder.stop();
+            eventManager.fire(HELLO, 5);
+            middleware.unsubscribe();
+
+            assert.deepEqual(recorder.query(), [
+                { event: WORLD, data: 3, timestamp: 0, sequence: 1 },
+                { event: HELLO, data: 4, timestamp: 0, sequence: 2 }
+            ]);
+        });
+    });
+
+    describe('play', function () {
+        var VirtualTimeScheduler = require('rxjs/scheduler/VirtualTimeScheduler').VirtualTimeScheduler;
+        var recording = [
+            { event: WORLD, data: 2, timestamp: 130, sequence: 1 },
+            { event: HELLO, data: 1, timestamp: 100, sequence: 0 },
+            { event: HELLO, data: 3, timestamp: 150, sequence: 2 }
+        ];
+
+        it('should throw error if given options are invalid', function () {
+            assert.throws(function () { eventManager.play(recording, { timing: 'slow' }); }, TypeError);
+            assert.throws(function () { eventManager.play(recording, { speed: 0 }); }, TypeError);
+        });
+
+        it('should fire recorded events at once with compressed timing', function () {
+            var values = [];
+
+            eventManager.on('event.*', function (e) { values.push(e.data); });
+
+            return eventManager.play(recording, { timing: 'compressed' }).then(function () {
+                assert.deepEqual(values, [1, 2, 3]);
+            });
+        });
+
+        it('should fire recorded events with original timing', function () {
+            var scheduler = new VirtualTimeScheduler();
+            var values = [];
+            var played = eventManager.play(recording, { scheduler: scheduler, speed: 2 });
+
+            eventManager.on('event.*', function (e) { values.push(e.data + '@' + scheduler.now()); });
+            scheduler.flush();
+
+            return played.then(function () {
+                assert.deepEqual(values, ['1@0', '2@15', '3@25']);
+            });
+        });
+
+        it('should replay a recorder into another bus', function () {
+            var source = new EventManager();
+            var target = new EventManager();
+            var recorder = source.record();
+            var values = [];
+
+            source.fire(HELLO, 1).fire(WORLD, 2);
+            target.on('event.*', function (e) { values.push(e.event + ' ' + e.data); });
+
+            return target.play(EventManager.Recorder.parse(recorder.export('ndjson'))).then(function () {
+                assert.deepEqual(values, [HELLO + ' 1', WORLD + ' 2']);
+
+                target.offAll();
+            });
+        });
+
+        it('should reject with errors thrown by fire', function () {
+            var failure = new Error('failure');
+
+            eventManager.configure(HELLO, { onError: 'rethrow' });
+            eventManager.on(HELLO, function () { throw failure; });
+
+            return Promise.all([
+                eventManager.play(recording, { timing: 'compressed' }),
+                eventManager.play(recording)
+            ].map(function (played) {
+                return played.then(function () { assert.fail('should reject'); }, function (error) {
+                    assert.strictEqual(error, failure);
+                });
+            })).then(function () {
+                eventManager.configure(HELLO, {});
+            });
+        });
+    });
+
+    describe('define', function () {
+        var USER = 'user.login';
+        var schema = {
+            type: 'object',
+            required: ['id'],
+            properties: { id: { type: 'integer' } },
+            additionalProperties: false
+        };
+
+        function positive(price) {
+            return price < 0 && 'price should be positive';
+        }
+
+        it('should throw error if given schema or mode is invalid', function () {
+            var bus = new EventManager();
+
+            assert.throws(function () { bus.define(USER, 42); }, TypeError);
+            assert.throws(function () { bus.define(USER, null); }, TypeError);
+            assert.throws(function () { bus.define(USER, schema, { mode: 'loose' }); }, TypeError);
+            assert.throws(function () { bus.define('', schema); }, TypeError);
+        });
+
+        it('should throw invalid payloads in strict mode, before they are delivered', function () {
+            var bus = new EventManager();
+            var values = [];
+
+            bus.define(USER, schema);
+            bus.on(USER, function (user) { values.push(user.id); });
+            bus.on(HELLO, function (value) { values.push(value); });
+
+            bus.fire(USER, { id: 1 });
+
+            assert.throws(function () { bus.fire([HELLO, USER], { id: 2, nmae: 'John' }); }, function (error) {
+                return 'ValidationError' === error.name && USER === error.event &&
+                    'data.nmae is not allowed' === error.errors[0];
+            });
+            assert.deepEqual(values, [1]);
+        });
+
+        it('should publish invalid payloads on errors$ in lenient mode, and deliver valid ones', function () {
+            var bus = new EventManager();
+            var values = [];
+            var errors = [];
+
+            bus.define('price.*', positive, { mode: 'lenient' });
+            bus.define('price.eur', function (price) { return 'number' !== typeof price ? ['price should be a number'] : []; }, { mode: 'lenient' });
+            bus.errors$.subscribe(function (error) { errors.push(error); });
+            bus.on('price.*', function (e) { values.push(e.data); });
+
+            assert.strictEqual(bus.dispatch('price.usd price.eur', -1), true);
+            bus.fire('price.eur', 'one').fire('price.eur', 2);
+
+            assert.deepEqual(values, [2]);
+            assert.deepEqual(errors.map(function (e) { return e.event + ': ' + e.error.errors.join(); }), [
+                'price.usd: price should be positive',
+                'price.eur: price should be positive',
+                'price.eur: price should be a number'
+            ]);
+            assert.strictEqual(errors[0].handler, positive);
+        });
+
+        it('should await valid events only with fireAsync', function () {
+            var bus = new EventManager();
+
+            bus.define(WORLD, positive, { mode: 'lenient' });
+            bus.on(HELLO, function (value) { return value; });
+            bus.on(WORLD, function (value) { return value; });
+
+            return bus.fireAsync([HELLO, WORLD], -1).then(function (results) {
+                assert.deepEqual(results, [-1]);
+            });
+        });
+
+        it('should list definitions by event', function () {
+            var bus = new EventManager();
+
+            bus.define(USER, positive).define('price.* ' + USER, schema, { mode: 'lenient' });
+
+            assert.deepEqual(bus.definitions(), [
+                { event: 'price.*', schema: schema, mode: 'lenient' },
+                { event: USER, schema: schema, mode: 'lenient' }
+            ]);
+        });
+    });
+
+    describe('inspect', function () {
+
+        it('should describe listeners by event', function () {
+            var owner = {};
+            var bus = new EventManager();
+            var scope = bus.scope();
+
+            function greet() {}
+
+            bus.on(HELLO, greet, { owner: owner });
+            bus.on(HELLO, { next: function () {} });
+            bus.observe('event.*').subscribe(function () {});
+            scope.on(WORLD, function () {});
+            bus.fire(WORLD, 1).fire('other', 2);
+            bus.use(function middleware() {});
+
+            var snapshot = bus.inspect();
+
+            assert.strictEqual(typeof snapshot.id, 'string');
+            assert.strictEqual(snapshot.parent, undefined);
+            assert.strictEqual(bus.child().inspect().parent, snapshot.id);
+            assert.strictEqual(snapshot.middlewares, 1);
+            assert.deepEqual(snapshot.events.map(function (e) {
+                return [e.event, e.listenerCount, e.replayed, e.listeners.map(function (l) { return l.source; }).join()];
+            }), [
+                ['**', 1, 0, 'middleware'],
+                ['event.*', 1, 0, 'anonymous'],
+                [HELLO, 2, 0, 'greet,Object'],
+                [WORLD, 1, 1, 'anonymous'],
+                ['other', 0, 1, '']
+            ]);
+            assert.strictEqual(snapshot.events[2].listeners[0].handler, greet);
+            assert.strictEqual(snapshot.events[2].listeners[0].owner, owner);
+            assert.strictEqual(snapshot.events[3].listeners[0].owner, scope);
+            assert.deepEqual(scope.inspect().events.map(function (e) { return e.event; }), [WORLD, 'other']);
+
+            bus.offAll();
+        });
+    });
+
+    describe('tap$', function () {
+
+        it('should publish delivered events with timing while observed', function () {
+            var entries = [];
+            var subscription;
+
+            eventManager.on(HELLO, function () {});
+            eventManager.on('event.*', function (e, context) { context.preventDefault(); context.stopPropagation(); });
+
+            subscription = eventManager.tap$.subscribe(function (entry) { entries.push(entry); });
+            eventManager.fire(HELLO, 42).fire('other', 1);
+            subscription.unsubscribe();
+            eventManager.fire(HELLO, 43);
+
+            assert.strictEqual(entries.length, 2);
+            assert.strictEqual(entries[0].event, HELLO);
+            assert.strictEqual(entries[0].data, 42);
+            assert.strictEqual(entries[0].listeners, 2);
+            assert.ok(entries[0].duration >= 0);
+            assert.ok(entries[0].timestamp <= Date.now());
+            assert.ok(entries[0].propagationStopped && entries[0].defaultPrevented);
+            assert.strictEqual(entries[1].listeners, 0);
+        });
+    });
+
+    describe('report', function () {
+
+        it('should throw error if given reporter has no report method', function () {
+            assert.throws(function () { eventManager.report({}); }, TypeError);
+            assert.throws(function () { eventManager.report(null); }, TypeError);
+        });
+
+        it('should report delivered events until unsubscribed', function () {
+            var reported = [];
+            var reporting = eventManager.report({ report: function (entry) { reported.push(entry.event); } });
+
+            eventManager.fire(HELLO, 1);
+            reporting.unsubscribe();
+            eventManager.fire(WORLD, 2);
+
+            assert.deepEqual(reported, [HELLO]);
+            assert.ok(new EventManager().report() instanceof Rx.Subscription);
+        });
+
+        it('should stop reporting on off and once its scope is disposed', function () {
+            var reported = [];
+            var scope = eventManager.scope();
+            var reporter = { report: function (entry) { reported.push(entry.data); } };
+
+            scope.report(reporter);
+            eventManager.report(reporter);
+
+            eventManager.fire(HELLO, 1);
+            scope.dispose();
+            eventManager.fire(HELLO, 2);
+            eventManager.off('**');
+            eventManager.fire(HELLO, 3);
+
+            assert.deepEqual(reported, [1, 1, 2]);
+        });
+    });
+
+    describe('persist', function () {
+        var USER = 'session.user';
+
+        function stored(storage, entries, version) {
+            storage.setItem('rx-event-manager:' + USER, JSON.stringify({ version: version || 0, entries: entries }));
+        }
+
+        it('should throw error if given options are invalid', function () {
+            var storage = new EventManager.MemoryStorage();
+
+            assert.throws(function () { eventManager.persist('user.*', { storage: storage }); });
+            assert.throws(function () { eventManager.persist(USER, { storage: {} }); });
+            assert.throws(function () { eventManager.persist(USER, { storage: storage, version: -1 }); });
+            assert.throws(function () { eventManager.persist(USER, { storage: storage, ttlMs: 0 }); });
+        });
+
+        it('should store replayed values and rehydrate them on another bus', function () {
+            var storage = new EventManager.MemoryStorage();
+            var other = new EventManager();
+            var values = [];
+
+            eventManager.configure(USER, { replay: 2 }).persist(USER, { storage: storage });
+            eventManager.fire(USER, { name: 'a' }).fire(USER, { name: 'b' }).fire(USER, { name: 'c' });
+
+            other.configure(USER, { replay: 2 }).persist(USER, { storage: storage });
+            other.latest(USER, function (user) { values.push(user.name); });
+
+            assert.deepEqual(values, ['b', 'c']);
+
+            eventManager.off(USER);
+            other.offAll();
+            values = [];
+
+            eventManager.latest(USER, function (user) { values.push(user.name); });
+            eventManager.fire(USER, { name: 'd' });
+
+            assert.deepEqual(values, ['b', 'c', 'd']);
+            assert.deepEqual(JSON.parse(storage.getItem('rx-event-manager:' + USER)).entries.map(function (entry) {
+                return entry.value.name;
+            }), ['c', 'd']);
+
+            eventManager.offAll();
+            eventManager.forget('session.*');
+            values = [];
+
+            eventManager.latest(USER, function (user) { values.push(user.name); });
+
+            assert.deepEqual(values, []);
+            assert.strictEqual(storage.getItem('rx-event-manager:' + USER), null);
+            eventManager.off(USER);
+            eventManager.configure(USER, {});
+        });
+
+        it('should keep values in memory over stored ones', function () {
+            var storage = new EventManager.MemoryStorage();
+            var values = [];
+
+            stored(storage, [{ value: 'stored', timestamp: Date.now() }]);
+
+            eventManager.fire(USER, 'memory').persist(USER, { storage: storage });
+            eventManager.latest(USER, function (value) { values.push(value); });
+
+            assert.deepEqual(values, ['memory']);
+            assert.deepEqual(JSON.parse(storage.getItem('rx-event-manager:' + USER)).entries[0].value, 'memory');
+
+            eventManager.off(USER).forget(USER);
+        });
+
+        it('should drop expired values', function () {
+            var storage = new EventManager.MemoryStorage();
+            var values = [];
+
+            stored(storage, [{ value: 'expired', timestamp: Date.now() - 2000 }]);
+
+            eventManager.persist(USER, { storage: storage, ttlMs: 1000 });
+            eventManager.latest(USER, function (value) { values.push(value); });
+
+            assert.deepEqual(values, []);
+            assert.strictEqual(storage.getItem('rx-event-manager:' + USER), null);
+        });
+
+        it('should migrate or drop values of other versions', function () {
+            var storage = new EventManager.MemoryStorage();
+            var values = [];
+
+            stored(storage, [{ value: 'john', timestamp: Date.now() }], 1);
+
+            eventManager.persist(USER, {
+                storage: storage,
+                version: 2,
+                migrate: function (name, version) { return { name: name, from: version }; }
+            });
+            eventManager.latest(USER, function (value) { values.push(value); });
+
+            assert.deepEqual(values, [{ name: 'john', from: 1 }]);
+            assert.strictEqual(JSON.parse(storage.getItem('rx-event-manager:' + USER)).version, 2);
+
+            eventManager.off(USER).forget(USER);
+            stored(storage, [{ value: 'john', timestamp: Date.now() }], 1);
+
+            eventManager.persist(USER, { storage: storage, version: 2 });
+
+            assert.strictEqual(storage.getItem('rx-event-manager:' + USER), null);
+        });
+
+        it('should publish errors of the storage on errors$', function () {
+            var errors = [];
+            var storage = new EventManager.MemoryStorage();
+            var subscription = eventManager.errors$.subscribe(function (e) { errors.push(e); });
+
+            storage.setItem = function () { throw new Error('QuotaExceededError'); };
+
+            eventManager.persist(USER, { storage: storage });
+
+            assert.doesNotThrow(function () { eventManager.fire(USER, 42); });
+
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].data, 42);
+            assert.strictEqual(errors[0].handler, storage);
+
+            subscription.unsubscribe();
+            eventManager.off(USER).forget(USER);
+        });
+    });
+
+    describe('bridge', function () {
+        var MessageChannel = require('worker_threads').MessageChannel;
+
+        // a pair of channel ends delivering messages synchronously
+        function pair() {
+            var ends = [0, 1].map(function () { return { listeners: [] }; });
+
+            ends.forEach(function (end, index) {
+                var other = ends[1 - index];
+
+                end.postMessage = function (message) {
+                    other.listeners.forEach(function (listener) { listener({ data: message }); });
+                };
+                end.addEventListener = function (type, listener) { end.listeners.push(listener); };
+                end.removeEventListener = function (type, listener) {
+                    end.listeners = end.listeners.filter(function (l) { return listener !== l; });
+                };
+            });
+
+            return ends;
+        }
+
+        it('should throw error if given channel has no postMessage', function () {
+            assert.throws(function () { eventManager.bridge({}); });
+        });
+
+        it('should mirror events over a MessageChannel both ways', function (done) {
+            var channel = new MessageChannel();
+            var other = new EventManager();
+            var values = [];
+
+            eventManager.bridge(channel.port1);
+            other.bridge(channel.port2);
+
+            other.on(HELLO, function (value) {
+                values.push(value);
+                other.fire(WORLD, value.answer + 1);
+            });
+
+            eventManager.on(WORLD, function (value) {
+                assert.deepEqual(values, [{ answer: 42 }]);
+                assert.strictEqual(value, 43);
+
+                channel.port1.close();
+                other.offAll();
+                done();
+            });
+
+            eventManager.fire(HELLO, { answer: 42 });
+        });
+
+        it('should only mirror given events, tagged with their origin', function () {
+            var ends = pair();
+            var other = new EventManager();
+            var local = [], remote = [];
+
+            eventManager.bridge(ends[0], { events: 'event.*', origin: 'main' });
+            other.bridge(ends[1], { origin: 'worker' });
+
+            eventManager.observe('**').subscribe(function (e) { local.push(e); });
+            other.observe('**').subscribe(function (e) { remote.push(e); });
+
+            eventManager.fire(HELLO, 1).fire('other', 2);
+            other.fire(WORLD, 3).fire('other', 4);
+
+            assert.deepEqual(local, [
+                { event: HELLO, data: 1 },
+                { event: 'other', data: 2 },
+                { event: WORLD, data: 3, origin: 'worker' }
+            ]);
+            assert.deepEqual(remote, [
+                { event: HELLO, data: 1, origin: 'main' },
+                { event: WORLD, data: 3 },
+                { event: 'other', data: 4 }
+            ]);
+
+            other.offAll();
+        });
+
+        it('should publish errors thrown by firing a received event', function () {
+            var ends = pair();
+            var sender = new EventManager();
+            var receiver = new EventManager();
+            var errors = [];
+
+            sender.bridge(ends[0]);
+            receiver.bridge(ends[1]);
+            receiver.errors$.subscribe(function (e) { errors.push(e); });
+            receiver.define(HELLO, { type: 'string' });
+
+            assert.doesNotThrow(function () { sender.fire(HELLO, 42); });
+
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].event, HELLO);
+            assert.strictEqual(errors[0].error.name, 'ValidationError');
+            assert.strictEqual(errors[0].handler, ends[1]);
+
+            sender.offAll();
+            receiver.offAll();
+        });
+
+        it('should deliver events once per bus in any topology', function () {
+            var ab = pair(), bc = pair(), ca = pair();
+            var b = new EventManager(), c = new EventManager();
+            var values = [];
+
+            eventManager.bridge(ab[0]);
+            b.bridge(ab[1]);
+            b.bridge(bc[0]);
+            c.bridge(bc[1]);
+            c.bridge(ca[0]);
+            eventManager.bridge(ca[1]);
+
+            [eventManager, b, c].forEach(function (bus, index) {
+                bus.on(HELLO, function (value) { values.push(index + ':' + value); });
+            });
+
+            eventManager.fire(HELLO, 1);
+            c.fire(HELLO, 2);
+
+            assert.deepEqual(values.sort(), ['0:1', '0:2', '1:1', '1:2', '2:1', '2:2']);
+
+            b.offAll();
+            c.offAll();
+        });
+
+        it('should stop bridging once unsubscribed or off-ed', function () {
+            var ends = pair();
+            var other = new EventManager();
+            var values = [];
+            var subscription = eventManager.bridge(ends[0]);
+
+            other.bridge(ends[1]);
+            other.on(HELLO, function (value) { values.push(value); });
+
+            assert.deepEqual(eventManager.listeners('**'), [ends[0]]);
+
+            subscription.unsubscribe();
+            eventManager.fire(HELLO, 1);
+
+            eventManager.bridge(ends[0]);
+            eventManager.off('**', ends[0]);
+            eventManager.fire(HELLO, 2);
+
+            other.fire(HELLO, 3);
+
+            assert.deepEqual(values, [3]);
+            assert.strictEqual(ends[0].listeners.length, 0);
+
+            other.offAll();
+        });
+
+        it('should publish errors of posting on errors$', function () {
+            var errors = [];
+            var channel = new (require('events').EventEmitter)();
+
+            channel.postMessage = function () { throw new Error('DataCloneError'); };
+
+            var subscription = eventManager.errors$.subscribe(function (e) { errors.push(e); });
+
+            eventManager.bridge(channel);
+
+            assert.doesNotThrow(function () { eventManager.fire(HELLO, function () {}); });
+
+            assert.strictEqual(errors.length, 1);
+            assert.strictEqual(errors[0].handler, channel);
+
+            subscription.unsubscribe();
+        });
+    });
+
     afterEach(function () {
         eventManager.offAll();
     });
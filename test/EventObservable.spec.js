@@ -0,0 +1,61 @@
+// Node.js modules
+var assert = require('assert');
+var Rx = require('rxjs');
+
+var EventObservable = require('../lib/EventObservable').default;
+
+describe('EventObservable', function() {
+
+    var subject, registered, observable;
+
+    beforeEach(function () {
+        subject = new Rx.Subject();
+        registered = [];
+        observable = new EventObservable(function (subscription, handler) {
+            registered.push({ subscription: subscription, handler: handler });
+
+            return subscription;
+        }, subject);
+    });
+
+    it('should be an Observable instance', function () {
+        assert.ok(observable instanceof Rx.Observable);
+    });
+
+    it('should register subscriptions with their handler', function () {
+        var values = [],
+            subscription;
+
+        function handler(value) { values.push(value); }
+
+        subscription = observable.subscribe(handler);
+
+        subject.next(1);
+
+        assert.deepEqual(values, [1]);
+        assert.strictEqual(registered.length, 1);
+        assert.strictEqual(registered[0].subscription, subscription);
+        assert.strictEqual(registered[0].handler, handler);
+    });
+
+    it('should register subscriptions of derived Observables once', function () {
+        var values = [],
+            derived = observable.filter(function (value) { return value > 1; }).map(function (value) { return value * 2; });
+
+        assert.ok(derived instanceof EventObservable);
+
+        derived.subscribe(function (value) { values.push(value); });
+
+        subject.next(1);
+        subject.next(2);
+
+        assert.deepEqual(values, [4]);
+        assert.strictEqual(registered.length, 1);
+
+        registered[0].subscription.unsubscribe();
+
+        subject.next(3);
+
+        assert.deepEqual(values, [4]);
+    });
+});
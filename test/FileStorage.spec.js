@@ -0,0 +1,44 @@
+// Node.js modules
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var EventManager = require('../lib/EventManager');
+var FileStorage = require('../file-storage').FileStorage;
+
+describe('FileStorage', function() {
+    var file = path.join(os.tmpdir(), 'rx-event-manager-' + process.pid + '.json');
+
+    afterEach(function () {
+        if (fs.existsSync(file)) { fs.unlinkSync(file); }
+    });
+
+    it('should ship apart from EventManager', function () {
+        assert.strictEqual(FileStorage, require('../lib/FileStorage').default);
+        assert.strictEqual(EventManager.FileStorage, undefined);
+        assert.ok(!/require\(['"]\.\/FileStorage['"]\)/.test(fs.readFileSync(require.resolve('../lib/EventManager'), 'utf8')));
+    });
+
+    it('should not create the file until an item is set', function () {
+        var storage = new FileStorage(file);
+
+        assert.strictEqual(storage.getItem('hello'), null);
+        assert.ok(!fs.existsSync(file));
+    });
+
+    it('should keep items in the file across instances', function () {
+        var storage = new FileStorage(file);
+
+        storage.setItem('hello', 'world');
+        storage.setItem('answer', 42);
+
+        assert.strictEqual(new FileStorage(file).getItem('hello'), 'world');
+        assert.strictEqual(new FileStorage(file).getItem('answer'), '42');
+
+        storage.removeItem('hello');
+
+        assert.strictEqual(new FileStorage(file).getItem('hello'), null);
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { answer: '42' });
+    });
+});
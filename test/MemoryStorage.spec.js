@@ -0,0 +1,22 @@
+// Node.js modules
+var assert = require('assert');
+
+var MemoryStorage = require('../lib/MemoryStorage').default;
+
+describe('MemoryStorage', function() {
+
+    it('should get, set and remove items as strings', function () {
+        var storage = new MemoryStorage();
+
+        assert.strictEqual(storage.getItem('hello'), null);
+
+        storage.setItem('hello', 42);
+
+        assert.strictEqual(storage.getItem('hello'), '42');
+        assert.strictEqual(storage.getItem('hasOwnProperty'), null);
+
+        storage.removeItem('hello');
+
+        assert.strictEqual(storage.getItem('hello'), null);
+    });
+});
@@ -0,0 +1,78 @@
+// Node.js modules
+var assert = require('assert');
+
+var PatternIndex = require('../lib/PatternIndex').default;
+
+describe('PatternIndex', function() {
+
+    describe('isPattern', function () {
+
+        it('should detect wildcard segments', function () {
+            assert.ok(PatternIndex.isPattern('user.*'));
+            assert.ok(PatternIndex.isPattern('cart.**'));
+            assert.ok(PatternIndex.isPattern('*.error'));
+            assert.ok(!PatternIndex.isPattern('user.login'));
+            assert.ok(!PatternIndex.isPattern('user*.login'));
+        });
+    });
+
+    describe('matches', function () {
+
+        it('should match `*` against exactly one segment', function () {
+            assert.ok(PatternIndex.matches('user.*', 'user.login'));
+            assert.ok(PatternIndex.matches('*.error', 'network.error'));
+            assert.ok(!PatternIndex.matches('user.*', 'user'));
+            assert.ok(!PatternIndex.matches('user.*', 'user.login.failed'));
+        });
+
+        it('should match `**` against any number of segments', function () {
+            assert.ok(PatternIndex.matches('cart.**', 'cart'));
+            assert.ok(PatternIndex.matches('cart.**', 'cart.item'));
+            assert.ok(PatternIndex.matches('cart.**', 'cart.item.added'));
+            assert.ok(PatternIndex.matches('cart.**.added', 'cart.item.added'));
+            assert.ok(!PatternIndex.matches('cart.**', 'user.login'));
+        });
+
+        it('should match concrete names only by equality', function () {
+            assert.ok(PatternIndex.matches('user.login', 'user.login'));
+            assert.ok(!PatternIndex.matches('user.login', 'user.*'));
+        });
+    });
+
+    describe('get', function () {
+
+        it('should create the value only once', function () {
+            var index = new PatternIndex(),
+                count = 0;
+
+            function factory() { return ++count; }
+
+            assert.strictEqual(index.get('user.login', factory), 1);
+            assert.strictEqual(index.get('user.login', factory), 1);
+            assert.strictEqual(index.get('user.*', factory), 2);
+        });
+    });
+
+    describe('match', function () {
+
+        it('should return values of all keys matching given name', function () {
+            var index = new PatternIndex();
+
+            ['user.login', 'user.*', '*.login', 'user.**', '**', 'cart.*', 'user.logout'].forEach(function (key) {
+                index.get(key, function () { return key; });
+            });
+
+            assert.deepEqual(index.match('user.login').sort(), ['**', '*.login', 'user.*', 'user.**', 'user.login']);
+            assert.deepEqual(index.match('cart').sort(), ['**']);
+            assert.deepEqual(index.match('unknown.event.name'), ['**']);
+        });
+
+        it('should return each value once', function () {
+            var index = new PatternIndex();
+
+            index.get('a.**.**', function () { return 'value'; });
+
+            assert.deepEqual(index.match('a.b.c'), ['value']);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+// Node.js modules
+var assert = require('assert');
+
+var Recorder = require('../lib/Recorder').default;
+
+describe('Recorder', function() {
+    var now, recorder;
+
+    beforeEach(function () {
+        now = 100;
+        recorder = new Recorder(3, function () { return now++; });
+    });
+
+    it('should throw error if given limit is not a positive integer', function () {
+        [0, -1, 1.5, '3', null].forEach(function (invalidInput) {
+            assert.throws(function () { new Recorder(invalidInput); }, TypeError);
+        });
+    });
+
+    it('should keep the last records', function () {
+        recorder.push('a', 1).push('b', 2).push('c', 3).push('d', 4);
+
+        assert.deepEqual(recorder.query(), [
+            { event: 'b', data: 2, timestamp: 101, sequence: 1 },
+            { event: 'c', data: 3, timestamp: 102, sequence: 2 },
+            { event: 'd', data: 4, timestamp: 103, sequence: 3 }
+        ]);
+    });
+
+    it('should query records by event, pattern and time range', function () {
+        recorder = new Recorder(10, function () { return now++; });
+        recorder.push('user.login', 1).push('cart.add', 2).push('user.logout', 3).push('cart.remove', 4);
+
+        function events(query) {
+            return recorder.query(query).map(function (record) { return record.event; });
+        }
+
+        assert.deepEqual(events({ events: 'user.*' }), ['user.login', 'user.logout']);
+        assert.deepEqual(events({ events: ['cart.add', 'user.logout'] }), ['cart.add', 'user.logout']);
+        assert.deepEqual(events({ events: 'user.login cart.remove', from: 101 }), ['cart.remove']);
+        assert.deepEqual(events({ from: 101, to: 102 }), ['cart.add', 'user.logout']);
+    });
+
+    it('should clear records', function () {
+        recorder.push('a', 1).clear();
+
+        assert.deepEqual(recorder.query(), []);
+    });
+
+    it('should stop recording once', function () {
+        var stopped = 0;
+
+        recorder = new Recorder(3, undefined, function () { stopped++; });
+        recorder.stop();
+        recorder.stop();
+
+        assert.strictEqual(stopped, 1);
+    });
+
+    it('should export and parse records as JSON and NDJSON', function () {
+        recorder.push('a', { value: 1 }).push('b', [2]);
+
+        assert.strictEqual(JSON.stringify(recorder), recorder.export());
+        assert.strictEqual(recorder.export('ndjson').split('\n').length, 3);
+
+        assert.deepEqual(Recorder.parse(recorder.export()).query(), recorder.query());
+        assert.deepEqual(Recorder.parse(recorder.export('ndjson')).query(), recorder.query());
+        assert.deepEqual(Recorder.parse('').query(), []);
+    });
+
+    it('should throw error if given format is unknown', function () {
+        assert.throws(function () { recorder.export('xml'); }, TypeError);
+    });
+
+    it('should throw error if parsed values are not records', function () {
+        assert.throws(function () { Recorder.parse('{'); }, SyntaxError);
+        assert.throws(function () { Recorder.parse('[{ "event": "a" }]'); }, TypeError);
+        assert.throws(function () { Recorder.parse('42'); }, TypeError);
+    });
+});
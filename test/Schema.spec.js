@@ -0,0 +1,69 @@
+// Node.js modules
+var assert = require('assert');
+
+var Schema = require('../lib/Schema').default;
+
+describe('Schema', function() {
+
+    it('should throw error if given definition is not an object', function () {
+        [undefined, null, 42, 'string', []].forEach(function (invalidInput) {
+            assert.throws(function () { new Schema(invalidInput); }, TypeError);
+        });
+    });
+
+    it('should validate types', function () {
+        var schema = new Schema({ type: ['integer', 'null'] });
+
+        assert.deepEqual(schema.validate(42), []);
+        assert.deepEqual(schema.validate(null), []);
+        assert.deepEqual(schema.validate(4.2), ['data should be integer or null, not number']);
+        assert.deepEqual(new Schema({ type: 'array' }).validate({}), ['data should be array, not object']);
+        assert.deepEqual(new Schema({}).validate('anything'), []);
+    });
+
+    it('should validate values', function () {
+        assert.deepEqual(new Schema({ enum: ['a', 'b'] }).validate('c'), ['data should be one of ["a","b"]']);
+        assert.deepEqual(new Schema({ minimum: 1, maximum: 3 }).validate(0), ['data should be >= 1']);
+        assert.deepEqual(new Schema({ minimum: 1, maximum: 3 }).validate(4), ['data should be <= 3']);
+        assert.deepEqual(new Schema({ minLength: 2, maxLength: 3, pattern: '^a' }).validate('b'), [
+            'data should have at least 2 characters',
+            'data should match ^a'
+        ]);
+        assert.deepEqual(new Schema({ maxLength: 1 }).validate('ab'), ['data should have at most 1 characters']);
+    });
+
+    it('should validate arrays', function () {
+        var schema = new Schema({ type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } });
+
+        assert.deepEqual(schema.validate(['a']), []);
+        assert.deepEqual(schema.validate([]), ['data should have at least 1 items']);
+        assert.deepEqual(schema.validate(['a', 2, 'c']), [
+            'data should have at most 2 items',
+            'data[1] should be string, not number'
+        ]);
+    });
+
+    it('should validate objects', function () {
+        var schema = new Schema({
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                address: { type: 'object', properties: { city: { type: 'string' } } }
+            },
+            additionalProperties: false
+        });
+
+        assert.deepEqual(schema.validate({ id: 1, name: 'John' }), []);
+        assert.deepEqual(schema.validate({ id: '1', nmae: 'John', address: { city: 42 } }), [
+            'data.name is required',
+            'data.id should be integer, not string',
+            'data.nmae is not allowed',
+            'data.address.city should be string, not number'
+        ]);
+        assert.deepEqual(new Schema({ additionalProperties: { type: 'number' } }).validate({ a: 1, b: 'b' }), [
+            'data.b should be number, not string'
+        ]);
+    });
+});
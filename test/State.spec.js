@@ -0,0 +1,49 @@
+// Node.js modules
+var assert = require('assert');
+var Rx = require('rxjs');
+
+var State = require('../lib/State').default;
+
+describe('State', function() {
+    var value, observable, state;
+
+    beforeEach(function () {
+        value = 1;
+        observable = Rx.Observable.of(1);
+        state = new State('counter', function () { return value; }, function (next) { value = next; }, function () { return observable; });
+    });
+
+    it('should get and set the value', function () {
+        assert.strictEqual(state.name, 'counter');
+        assert.strictEqual(state.get(), 1);
+        assert.strictEqual(state.set(2), state);
+        assert.strictEqual(state.get(), 2);
+    });
+
+    it('should update the value from the current one', function () {
+        state.update(function (current) { return current + 41; });
+
+        assert.strictEqual(value, 42);
+    });
+
+    it('should throw error if given updater is not a function', function () {
+        assert.throws(function () { state.update(42); }, TypeError);
+    });
+
+    it('should return the Observable of the value', function () {
+        assert.strictEqual(state.observe(), observable);
+    });
+
+    it('should be read-only without a writer', function () {
+        var disposed = 0;
+        var derived = new State('total', function () { return value; }, undefined, function () { return observable; }, function () { disposed++; });
+
+        assert.throws(function () { derived.set(2); }, TypeError);
+        assert.throws(function () { derived.update(function () { return 2; }); }, TypeError);
+
+        derived.dispose();
+        state.dispose();
+
+        assert.strictEqual(disposed, 1);
+    });
+});
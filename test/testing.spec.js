@@ -0,0 +1,104 @@
+// Node.js modules
+var assert = require('assert');
+
+var EventManager = require('../lib/EventManager');
+var testing = require('../testing');
+var TestBus = testing.TestBus;
+
+describe('testing', function() {
+    var bus;
+
+    beforeEach(function () {
+        bus = new TestBus();
+    });
+
+    afterEach(function () {
+        bus.reset();
+    });
+
+    it('should be an EventManager', function () {
+        assert.ok(bus instanceof EventManager);
+        assert.strictEqual(testing.default, TestBus);
+    });
+
+    it('should spy on values of events', function () {
+        var spy = bus.spy('event.*');
+
+        assert.strictEqual(spy.last, undefined);
+
+        bus.fire('event.hello', 1).fire('event.world', 2).fire('other', 3);
+
+        assert.deepEqual(spy.values, [1, 2]);
+        assert.deepEqual(spy.events[1], { event: 'event.world', data: 2, frame: 0 });
+        assert.strictEqual(spy.count, 2);
+        assert.strictEqual(spy.last, 2);
+
+        spy.clear().dispose();
+        bus.fire('event.hello', 4);
+
+        assert.strictEqual(spy.count, 0);
+    });
+
+    it('should expect events to be fired or not', function () {
+        bus.fire('user.login', { id: 42 }).fire('user.logout');
+
+        bus.expectFired('user.login').expectFired('user.login', { id: 42 }).expectFired('user.*', undefined);
+        bus.expectNotFired('user.signup');
+
+        assert.throws(function () { bus.expectFired('user.login', { id: 1 }); }, /expected user.login to be fired with \{"id":1\}, fired \[0: \{"id":42\}\]/);
+        assert.throws(function () { bus.expectFired('user.signup'); }, /AssertionError/);
+        assert.throws(function () { bus.expectNotFired('user.logout'); }, /expected user.logout not to be fired/);
+
+        bus.reset().expectNotFired('**');
+    });
+
+    it('should fire and expect events as marbles on virtual time', function () {
+        var spy = bus.spy('search');
+
+        bus.on('input', function (text) { bus.fire('search', text); }, { debounceMs: 20 });
+        bus.fireMarbles('input', 'ab-c----', { a: 'r', b: 'rx', c: 'rxjs' });
+
+        bus.expectNotFired('input');
+
+        bus.flush();
+
+        bus.expectMarbles('input', 'ab-c', { a: 'r', b: 'rx', c: 'rxjs' });
+        bus.expectMarbles('search', '-----c', { c: 'rxjs' });
+
+        assert.deepEqual(spy.values, ['rxjs']);
+        assert.throws(function () { bus.expectMarbles('search', '----c', { c: 'rxjs' }); }, /fired \[50: "rxjs"\]/);
+    });
+
+    it('should record and play on virtual time', function () {
+        var spy = bus.spy('event.*');
+        var recording = [
+            { event: 'event.hello', data: 1, timestamp: 100, sequence: 0 },
+            { event: 'event.world', data: 2, timestamp: 130, sequence: 1 }
+        ];
+        var played = bus.play(recording);
+
+        assert.strictEqual(spy.count, 0);
+
+        bus.flush();
+
+        return played.then(function () {
+            assert.deepEqual(spy.events.map(function (e) { return e.frame; }), [0, 30]);
+            assert.deepEqual(bus.history.query().map(function (record) { return record.timestamp; }), [0, 30]);
+            assert.strictEqual(bus.record({ events: 'event.*', limit: 5 }).query().length, 0);
+        });
+    });
+
+    it('should replay latest values on virtual time once configured with its scheduler', function () {
+        var values = [];
+
+        bus.configure('event.hello', { scheduler: bus.scheduler });
+        bus.fire('event.hello', 42);
+        bus.latest('event.hello', function (value) { values.push(value); });
+
+        assert.deepEqual(values, []);
+
+        bus.flush();
+
+        assert.deepEqual(values, [42]);
+    });
+});